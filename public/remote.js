@@ -0,0 +1,128 @@
+// Video clips, matching VIDEO_EXTENSIONS on the server; they have no preview
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm'];
+
+// Size of the preview rendition, in CSS pixels
+const PREVIEW_SIZE = 480;
+
+// A phone remote for every display running the slideshow. Commands go to
+// /api/control/*, and the displays' state comes back over /api/events.
+class Remote {
+  constructor() {
+    // What the displays show (see DisplayState in src/remote.ts), or null
+    this.state = null;
+
+    this.initElements();
+    this.bindEvents();
+    this.loadState();
+    this.subscribe();
+  }
+
+  initElements() {
+    this.preview = document.getElementById('preview');
+    this.message = document.getElementById('message');
+    this.imageName = document.getElementById('imageName');
+    this.position = document.getElementById('position');
+    this.prevBtn = document.getElementById('prevBtn');
+    this.playPauseBtn = document.getElementById('playPauseBtn');
+    this.nextBtn = document.getElementById('nextBtn');
+    this.shuffleBtn = document.getElementById('shuffleBtn');
+    this.intervalSelect = document.getElementById('intervalSelect');
+  }
+
+  bindEvents() {
+    this.prevBtn.addEventListener('click', () => this.send('prev'));
+    this.nextBtn.addEventListener('click', () => this.send('next'));
+    // Ask for what the button shows, so every display ends up the same
+    this.playPauseBtn.addEventListener('click', () => this.send(this.state && this.state.playing ? 'pause' : 'play'));
+    this.shuffleBtn.addEventListener('click', () => this.send('shuffle', !(this.state && this.state.shuffle)));
+    this.intervalSelect.addEventListener('change', (e) => this.send('interval', parseInt(e.target.value, 10)));
+  }
+
+  async loadState() {
+    try {
+      const response = await fetch('/api/control/state');
+      if (response.status === 401) {
+        this.redirectToLogin();
+        return;
+      }
+      if (!response.ok) throw new Error(await response.text());
+      this.render(await response.json());
+    } catch (error) {
+      console.error('Failed to load the display state:', error);
+    }
+  }
+
+  // The server has a password set and this browser isn't logged in
+  redirectToLogin() {
+    window.location.assign('/login.html');
+  }
+
+  subscribe() {
+    if (typeof EventSource === 'undefined' || this.events) return;
+
+    this.events = new EventSource('/api/events');
+    this.events.addEventListener('state', (e) => this.render(JSON.parse(e.data)));
+  }
+
+  async send(command, value) {
+    try {
+      const response = await fetch(`/api/control/${command}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(value === undefined ? {} : { value }),
+      });
+      if (!response.ok) throw new Error(await response.text());
+    } catch (error) {
+      console.error(`Failed to send ${command}:`, error);
+    }
+  }
+
+  isVideo(imageName) {
+    const dot = imageName.lastIndexOf('.');
+    return dot >= 0 && VIDEO_EXTENSIONS.includes(imageName.slice(dot).toLowerCase());
+  }
+
+  render(state) {
+    this.state = state;
+    if (!state || !state.image) {
+      this.preview.classList.add('hidden');
+      this.message.classList.remove('hidden');
+      this.message.textContent = 'Waiting for a display…';
+      this.imageName.textContent = '';
+      this.position.textContent = '';
+      return;
+    }
+
+    const showPreview = !this.isVideo(state.image);
+    if (showPreview) {
+      const size = Math.ceil(PREVIEW_SIZE * (window.devicePixelRatio || 1));
+      const src = `/images/${encodeURIComponent(state.image)}?w=${size}&h=${size}`;
+      if (this.preview.getAttribute('src') !== src) this.preview.src = src;
+      this.preview.alt = state.image;
+    } else {
+      this.message.textContent = '🎬 Video clip';
+    }
+    this.preview.classList.toggle('hidden', !showPreview);
+    this.message.classList.toggle('hidden', showPreview);
+
+    this.imageName.textContent = state.image;
+    this.position.textContent = `${state.index + 1} / ${state.total}`;
+    this.playPauseBtn.textContent = state.playing ? '⏸ Pause' : '▶ Play';
+    this.shuffleBtn.textContent = state.shuffle ? '🔀 Shuffle' : '➡️ Order';
+
+    const interval = String(state.interval);
+    if (![...this.intervalSelect.options].some(option => option.value === interval)) {
+      // An interval that isn't one of the presets
+      const option = document.createElement('option');
+      option.value = interval;
+      option.textContent = `${state.interval / 1000} sec`;
+      this.intervalSelect.appendChild(option);
+    }
+    this.intervalSelect.value = interval;
+  }
+}
+
+// Initialize the remote when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new Remote();
+});
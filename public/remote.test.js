@@ -0,0 +1,147 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+// Set up DOM, mirroring remote.html
+function setupDOM() {
+  document.body.innerHTML = `
+    <div class="preview">
+      <img id="preview" class="hidden" alt="">
+      <p class="status" id="message">Waiting for a display…</p>
+    </div>
+    <p class="status" id="imageName"></p>
+    <p class="status" id="position"></p>
+    <button id="prevBtn">◀ Prev</button>
+    <button id="playPauseBtn">⏸ Pause</button>
+    <button id="nextBtn">Next ▶</button>
+    <button id="shuffleBtn">🔀 Shuffle</button>
+    <select id="intervalSelect">
+      <option value="5000">5 sec</option>
+      <option value="60000" selected>1 min</option>
+    </select>
+  `;
+}
+
+// Load and expose the Remote class
+function loadRemote() {
+  const code = fs.readFileSync(path.join(__dirname, 'remote.js'), 'utf8');
+  // Remove the DOMContentLoaded auto-init
+  const codeWithoutInit = code.replace(/\/\/ Initialize the remote when DOM is ready[\s\S]*$/, '');
+  return new Function(`${codeWithoutInit}; return Remote;`)();
+}
+
+let Remote;
+let eventSources;
+
+const state = { image: 'trip/beach.jpg', index: 2, total: 10, playing: true, shuffle: false, interval: 60000 };
+
+beforeAll(() => {
+  Remote = loadRemote();
+});
+
+beforeEach(() => {
+  setupDOM();
+  jest.clearAllMocks();
+  global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(state) });
+
+  eventSources = [];
+  global.EventSource = jest.fn(function (url) {
+    this.url = url;
+    this.listeners = {};
+    this.addEventListener = (type, listener) => { this.listeners[type] = listener; };
+    this.emit = (type, data) => this.listeners[type]({ data: JSON.stringify(data) });
+    eventSources.push(this);
+  });
+});
+
+afterEach(() => {
+  delete global.EventSource;
+});
+
+const sentCommands = () => global.fetch.mock.calls
+  .filter(([url]) => url.startsWith('/api/control/') && url !== '/api/control/state')
+  .map(([url, options]) => [url, JSON.parse(options.body)]);
+
+describe('Remote', () => {
+  it('should show what the displays are showing', async () => {
+    new Remote();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const preview = document.getElementById('preview');
+    expect(preview.getAttribute('src')).toMatch(/^\/images\/trip%2Fbeach\.jpg\?w=\d+&h=\d+$/);
+    expect(preview.classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('message').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('imageName').textContent).toBe('trip/beach.jpg');
+    expect(document.getElementById('position').textContent).toBe('3 / 10');
+    expect(document.getElementById('playPauseBtn').textContent).toBe('⏸ Pause');
+    expect(document.getElementById('shuffleBtn').textContent).toBe('➡️ Order');
+  });
+
+  it('should follow state changes from the displays', async () => {
+    new Remote();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    eventSources[0].emit('state', { ...state, image: 'clip.mp4', index: 3, playing: false, interval: 15000 });
+
+    expect(document.getElementById('preview').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('message').textContent).toBe('🎬 Video clip');
+    expect(document.getElementById('position').textContent).toBe('4 / 10');
+    expect(document.getElementById('playPauseBtn').textContent).toBe('▶ Play');
+    expect(document.getElementById('intervalSelect').value).toBe('15000');
+  });
+
+  it('should wait for a display when none has reported yet', async () => {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(null) });
+    new Remote();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(document.getElementById('message').textContent).toBe('Waiting for a display…');
+    expect(document.getElementById('preview').classList.contains('hidden')).toBe(true);
+  });
+
+  it('should send commands', async () => {
+    new Remote();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    document.getElementById('nextBtn').click();
+    document.getElementById('prevBtn').click();
+    document.getElementById('playPauseBtn').click();
+    document.getElementById('shuffleBtn').click();
+    const interval = document.getElementById('intervalSelect');
+    interval.value = '5000';
+    interval.dispatchEvent(new Event('change'));
+
+    expect(sentCommands()).toEqual([
+      ['/api/control/next', {}],
+      ['/api/control/prev', {}],
+      ['/api/control/pause', {}],
+      ['/api/control/shuffle', { value: true }],
+      ['/api/control/interval', { value: 5000 }],
+    ]);
+  });
+
+  it('should ask for play or pause as the button shows it', async () => {
+    new Remote();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    eventSources[0].emit('state', { ...state, playing: false });
+
+    document.getElementById('playPauseBtn').click();
+    expect(sentCommands()).toEqual([['/api/control/play', {}]]);
+  });
+
+  it('should send people who aren\'t logged in to the login page', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 401 });
+    const redirect = jest.spyOn(Remote.prototype, 'redirectToLogin').mockImplementation(() => {});
+
+    new Remote();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(redirect).toHaveBeenCalled();
+    redirect.mockRestore();
+  });
+});
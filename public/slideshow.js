@@ -1,3 +1,133 @@
+// Transition styles, matching the transition-* classes in index.html
+const TRANSITIONS = ['crossfade', 'slide', 'zoom', 'none'];
+
+// How long the CSS transition between slides takes, in ms
+const TRANSITION_DURATION = 1000;
+
+// Video clips, matching VIDEO_EXTENSIONS on the server
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm'];
+
+// How long a clip played to the end (without a maximum duration) has to start
+// before the slideshow gives up on it and moves on, in ms
+const VIDEO_LOAD_TIMEOUT = 15000;
+
+// Orders for when shuffle is off, matching the sort values /api/images accepts
+const SORT_ORDERS = ['name', 'dateTaken'];
+
+// Ways to spread out similar images in a shuffle: not at all, by folder, or by day taken
+const SPREAD_OPTIONS = ['none', 'folder', 'date'];
+
+// Where captions sit on screen, matching the caption-* classes in index.html
+const CAPTION_POSITIONS = ['bottom', 'top'];
+
+// How background music plays through its tracks: in order, or shuffled anew each time round
+const MUSIC_MODES = ['loop', 'shuffle'];
+
+// Longest a video can hold an image, and how often an export in progress is
+// checked on, in ms, and the most images a video can have (see src/exports.ts)
+const MAX_EXPORT_INTERVAL = 60000;
+const EXPORT_POLL_INTERVAL = 1000;
+const MAX_EXPORT_IMAGES = 300;
+
+// localStorage key for the user's settings
+const SETTINGS_KEY = 'slideshow.settings';
+
+// localStorage keys for the images shown so far in this pass through the
+// library: hashes of their names, in chunks of SHOWN_CHUNK_SIZE under
+// "slideshow.shown.0", ".1"..., so showing an image only rewrites the last
+// chunk. SHOWN_KEY alone holds the names themselves, as they used to be kept.
+const SHOWN_KEY = 'slideshow.shown';
+const SHOWN_CHUNK_SIZE = 1000;
+
+// Days of the week as the schedule names them, in Date.getDay() order (see src/schedule.ts)
+const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Playback group names the server accepts, matching isGroupName in src/groups.ts
+const GROUP_NAME = /^[\w-]{1,64}$/;
+
+const DEFAULT_SETTINGS = {
+  interval: 60000,
+  shuffle: true,
+  info: true,
+  transition: 'crossfade',
+  kenBurns: false,
+  fullscreen: false,
+  muteVideos: true,
+  // Stay on a clip until it ends (up to maxVideoDuration ms, 0 for no limit)
+  // instead of looping it until the interval is up
+  playVideosToEnd: true,
+  maxVideoDuration: 60000,
+  sort: 'name',
+  // Only show images marked as favorites
+  favoritesOnly: false,
+  // When shuffling, show images with more stars (and favorites) more often
+  weightedShuffle: false,
+  // Keep images from the same folder or day apart when shuffling (see SPREAD_OPTIONS)
+  spread: 'none',
+  // Show each image's caption (from a sidecar file, the image itself or the
+  // server's caption template) at the bottom or top of the screen
+  captions: false,
+  captionPosition: 'bottom',
+  // Background music from the server's music folder (see MUSIC_MODES)
+  musicMode: 'loop',
+  musicVolume: 0.5,
+  musicMuted: false,
+};
+
+// 32-bit FNV-1a hash of an image name, for remembering it in little space
+function hashName(name) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < name.length; i++) {
+    hash ^= name.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Shuffled copy of a list
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Reorder a list so each group's items are spread evenly through it: a group
+// of n items has one in each nth of the list. Items keep their order within
+// their group.
+function spreadOut(items, groupOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const group = groupOf(item);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(item);
+  });
+
+  const keyed = [...groups.values()].flatMap(group =>
+    group.map((item, i) => ({ item, key: (i + Math.random()) / group.length }))
+  );
+  return keyed.sort((a, b) => a.key - b.key).map(({ item }) => item);
+}
+
+// Break up an item coming up twice in a row by swapping one of them with an
+// item elsewhere, where there is one that fits
+function separateRepeats(items) {
+  for (let i = 1; i < items.length; i++) {
+    const repeat = items[i];
+    if (repeat !== items[i - 1]) continue;
+
+    // Swap it with an item elsewhere whose neighbours are something else
+    const j = items.findIndex((item, k) => item !== repeat && Math.abs(k - i) > 1 &&
+      items[k - 1] !== repeat && items[k + 1] !== repeat);
+    if (j >= 0) {
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+  }
+  return items;
+}
+
 class Slideshow {
   constructor() {
     this.images = [];
@@ -5,17 +135,279 @@ class Slideshow {
     this.currentIndex = 0;
     this.interval = 60000;
     this.timer = null;
+    this.videoTimer = null;
     this.isPlaying = true;
     this.isShuffled = true;
     this.activeSlide = 1;
     this.cursorTimeout = null;
     this.showMetadata = true;
-
+    this.transition = 'crossfade';
+    this.kenBurns = false;
+    this.selectedAlbums = [];
+    this.includeSubfolders = true;
+    this.muteVideos = true;
+    this.playVideosToEnd = true;
+    this.maxVideoDuration = 60000;
+    this.sortBy = 'name';
+    this.filters = { camera: '', place: '', from: '', to: '', onThisDay: false };
+    // Images matching the filters (in sort order) as listed by the server;
+    // null when no filter or date order is in use
+    this.filteredImages = null;
+    // Favorites, stars and hidden images by image name, from /api/ratings
+    this.ratings = {};
+    this.favoritesOnly = false;
+    this.weightedShuffle = false;
+    this.spread = 'none';
+    // The day each image was taken, from /api/dates; only loaded to spread by date
+    this.daysTaken = null;
+    // Images shown so far in this pass through the library (by hashName), in
+    // the order they were shown, kept across reloads so a shuffle doesn't
+    // start over every session
+    this.shown = new Set();
+    this.shownOrder = [];
+    // The selected images not shown yet in this pass; the pass ends when the
+    // last of them is
+    this.unseen = new Set();
+    // Saved playlists from /api/playlists, and the one playing (?playlist=),
+    // which stands in for the albums and filters
+    this.playlists = [];
+    this.playlistId = null;
+    // The playback group this display is joined to (?group=), if any, and how
+    // many images ahead of (or behind) the group it shows (?offset=)
+    this.group = null;
+    this.groupOffset = 0;
+    // The group's last state from the server, the image it puts on screen,
+    // and how far the server's clock is ahead of this one, in ms
+    this.groupState = null;
+    this.groupImage = null;
+    this.clockOffset = 0;
+    this.groupTimer = null;
+    // Display profiles by time of day, from the server's config (see
+    // src/schedule.ts); the one in effect, the settings it stood in for, and
+    // whether it has blanked the screen
+    this.schedule = window.SLIDESHOW_SCHEDULE || null;
+    this.profileName = null;
+    this.unscheduled = null;
+    this.blackout = false;
+    // Background music: the tracks in the server's music folder, the order
+    // they play in, the one playing (-1 before the first), and whether the
+    // slideshow has been started (music waits for it)
+    this.musicTracks = [];
+    this.musicQueue = [];
+    this.musicIndex = -1;
+    this.musicStarted = false;
+    // Tracks that failed to load in a row, so a folder of broken files
+    // doesn't skip forever
+    this.musicErrors = 0;
+    // Checks on the video export in progress
+    this.exportTimer = null;
+    // The order the last export lined up, and what from, so the slideshow
+    // starts in that order if nothing has changed since
+    this.exportOrder = null;
+
+    this.fullscreen = false;
+    // The image or clip on screen, and how many in a row failed to load, so
+    // a library the browser can't show any of doesn't skip forever
+    this.shownImage = null;
+    this.mediaErrors = 0;
+
+    this.loadSettings();
+    this.loadShown();
+    this.readAlbumSelection();
+    this.readPlaylistSelection();
+    this.readGroup();
+    this.readFilters();
     this.initElements();
     this.bindEvents();
     this.loadImages();
     this.startClock();
     this.initMetadataState();
+    this.initSettingsControls();
+  }
+
+  // Settings come from the defaults, then the server's configured defaults
+  // (/config.js), then what was saved in localStorage, then the URL
+  // (?interval=10000&shuffle=0&info=0&transition=slide&kenburns=1&fullscreen=1
+  // &muted=0&videoend=0&maxvideo=30000&sort=dateTaken&favorites=1&weighted=1
+  // &spread=folder)
+  loadSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (error) {
+      // Storage unavailable or corrupt; use the defaults
+    }
+    const settings = { ...DEFAULT_SETTINGS, ...window.SLIDESHOW_DEFAULTS, ...saved };
+
+    const params = new URLSearchParams(window.location.search);
+    const parseBoolean = (value) => value === '1' || value === 'true';
+    const interval = parseInt(params.get('interval'), 10);
+    if (interval >= 1000) settings.interval = interval;
+    if (params.has('shuffle')) settings.shuffle = parseBoolean(params.get('shuffle'));
+    if (params.has('info')) settings.info = parseBoolean(params.get('info'));
+    if (params.has('transition')) settings.transition = params.get('transition');
+    if (params.has('kenburns')) settings.kenBurns = parseBoolean(params.get('kenburns'));
+    if (params.has('fullscreen')) settings.fullscreen = parseBoolean(params.get('fullscreen'));
+    if (params.has('muted')) settings.muteVideos = parseBoolean(params.get('muted'));
+    if (params.has('videoend')) settings.playVideosToEnd = parseBoolean(params.get('videoend'));
+    const maxVideo = parseInt(params.get('maxvideo'), 10);
+    if (maxVideo >= 0) settings.maxVideoDuration = maxVideo;
+    if (params.has('sort')) settings.sort = params.get('sort');
+    if (params.has('favorites')) settings.favoritesOnly = parseBoolean(params.get('favorites'));
+    if (params.has('weighted')) settings.weightedShuffle = parseBoolean(params.get('weighted'));
+    if (params.has('spread')) settings.spread = params.get('spread');
+    if (params.has('captions')) settings.captions = parseBoolean(params.get('captions'));
+    if (params.has('captionpos')) settings.captionPosition = params.get('captionpos');
+    if (params.has('music')) settings.musicMuted = !parseBoolean(params.get('music'));
+    if (params.has('musicmode')) settings.musicMode = params.get('musicmode');
+    const volume = parseFloat(params.get('volume'));
+    if (volume >= 0 && volume <= 1) settings.musicVolume = volume;
+
+    this.interval = settings.interval;
+    this.isShuffled = settings.shuffle;
+    this.showMetadata = settings.info;
+    this.transition = settings.transition;
+    this.kenBurns = settings.kenBurns;
+    this.fullscreen = settings.fullscreen;
+    this.muteVideos = settings.muteVideos;
+    this.playVideosToEnd = settings.playVideosToEnd;
+    this.maxVideoDuration = settings.maxVideoDuration;
+    this.sortBy = SORT_ORDERS.includes(settings.sort) ? settings.sort : 'name';
+    this.favoritesOnly = settings.favoritesOnly;
+    this.weightedShuffle = settings.weightedShuffle;
+    this.spread = SPREAD_OPTIONS.includes(settings.spread) ? settings.spread : 'none';
+    this.showCaptions = settings.captions;
+    this.captionPosition = CAPTION_POSITIONS.includes(settings.captionPosition) ? settings.captionPosition : 'bottom';
+    this.musicMode = MUSIC_MODES.includes(settings.musicMode) ? settings.musicMode : 'loop';
+    this.musicVolume = settings.musicVolume;
+    this.musicMuted = settings.musicMuted;
+  }
+
+  saveSettings() {
+    // A scheduled profile's settings only last while it is in effect
+    const own = this.unscheduled || { interval: this.interval, shuffle: this.isShuffled };
+    const settings = {
+      interval: own.interval,
+      shuffle: own.shuffle,
+      info: this.showMetadata,
+      transition: this.transition,
+      kenBurns: this.kenBurns,
+      fullscreen: this.fullscreen,
+      muteVideos: this.muteVideos,
+      playVideosToEnd: this.playVideosToEnd,
+      maxVideoDuration: this.maxVideoDuration,
+      sort: this.sortBy,
+      favoritesOnly: this.favoritesOnly,
+      weightedShuffle: this.weightedShuffle,
+      spread: this.spread,
+      captions: this.showCaptions,
+      captionPosition: this.captionPosition,
+      musicMode: this.musicMode,
+      musicVolume: this.musicVolume,
+      musicMuted: this.musicMuted,
+    };
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      // Storage unavailable (e.g. private browsing); settings last until reload
+    }
+  }
+
+  loadShown() {
+    try {
+      for (let chunk = 0; ; chunk++) {
+        const stored = localStorage.getItem(`${SHOWN_KEY}.${chunk}`);
+        if (stored === null) break;
+        stored.split(',').filter(Boolean).forEach(hash => this.rememberShown(parseInt(hash, 36)));
+      }
+      // Names saved before they were hashed
+      const names = localStorage.getItem(SHOWN_KEY);
+      if (names !== null) {
+        (JSON.parse(names) || []).forEach(name => this.rememberShown(hashName(name)));
+        localStorage.removeItem(SHOWN_KEY);
+        this.saveShown(0);
+      }
+    } catch (error) {
+      // Storage unavailable or corrupt; start a new pass
+    }
+  }
+
+  rememberShown(hash) {
+    if (this.shown.has(hash)) return;
+    this.shown.add(hash);
+    this.shownOrder.push(hash);
+  }
+
+  hasBeenShown(imageName) {
+    return this.shown.has(hashName(imageName));
+  }
+
+  // Write the chunks from the given one on; every chunk before it is full and
+  // already saved
+  saveShown(fromChunk) {
+    try {
+      for (let chunk = fromChunk; chunk * SHOWN_CHUNK_SIZE < this.shownOrder.length; chunk++) {
+        const hashes = this.shownOrder.slice(chunk * SHOWN_CHUNK_SIZE, (chunk + 1) * SHOWN_CHUNK_SIZE);
+        localStorage.setItem(`${SHOWN_KEY}.${chunk}`, hashes.map(hash => hash.toString(36)).join(','));
+      }
+    } catch (error) {
+      // The pass lasts until reload
+      console.error('Failed to save the shuffle history:', error);
+    }
+  }
+
+  // Forget what was shown, to start a new pass
+  clearShown() {
+    for (let chunk = 0; chunk * SHOWN_CHUNK_SIZE < this.shownOrder.length; chunk++) {
+      try {
+        localStorage.removeItem(`${SHOWN_KEY}.${chunk}`);
+      } catch (error) {
+        // Storage unavailable; there is nothing to remove
+      }
+    }
+    this.shown = new Set();
+    this.shownOrder = [];
+  }
+
+  // Remember an image as shown. Once every selected image has been, a new
+  // pass starts.
+  markShown(imageName) {
+    const hash = hashName(imageName);
+    if (this.unseen.delete(imageName) && this.unseen.size === 0) {
+      this.clearShown();
+      this.unseen = new Set(this.getSelectedImages().filter(name => name !== imageName));
+    }
+    if (this.shown.has(hash)) return;
+    this.rememberShown(hash);
+    this.saveShown(Math.floor((this.shownOrder.length - 1) / SHOWN_CHUNK_SIZE));
+  }
+
+  // Reflect the loaded settings in the controls bar
+  initSettingsControls() {
+    this.updateIntervalSelect();
+    this.updateShuffleButton();
+    this.updateTransitionClass();
+    this.updateKenBurnsButton();
+    this.updateMuteButton();
+    this.updateSortControls();
+    this.updateFilterControls();
+    this.updateFavoritesOnlyButton();
+    this.updateWeightedButton();
+    this.spreadSelect.value = this.spread;
+    this.updateCaptionControls();
+    this.updateMusicControls();
+  }
+
+  updateIntervalSelect() {
+    const intervalValue = String(this.interval);
+    if (![...this.intervalSelect.options].some(option => option.value === intervalValue)) {
+      // An interval from the URL or a remote that isn't one of the presets
+      const option = document.createElement('option');
+      option.value = intervalValue;
+      option.textContent = `${this.interval / 1000} sec`;
+      this.intervalSelect.appendChild(option);
+    }
+    this.intervalSelect.value = intervalValue;
   }
 
   initMetadataState() {
@@ -29,6 +421,7 @@ class Slideshow {
     this.startScreen = document.getElementById('startScreen');
     this.startBtn = document.getElementById('startBtn');
     this.imageCountEl = document.getElementById('imageCount');
+    this.slideshow = document.getElementById('slideshow');
     this.slide1 = document.getElementById('slide1');
     this.slide2 = document.getElementById('slide2');
     this.prevBtn = document.getElementById('prevBtn');
@@ -36,12 +429,59 @@ class Slideshow {
     this.playPauseBtn = document.getElementById('playPauseBtn');
     this.intervalSelect = document.getElementById('intervalSelect');
     this.shuffleBtn = document.getElementById('shuffleBtn');
+    this.transitionSelect = document.getElementById('transitionSelect');
+    this.kenBurnsBtn = document.getElementById('kenBurnsBtn');
+    this.muteBtn = document.getElementById('muteBtn');
     this.fullscreenBtn = document.getElementById('fullscreenBtn');
     this.imageCounter = document.getElementById('imageCounter');
     this.clock = document.getElementById('clock');
     this.metadata = document.getElementById('metadata');
     this.metadataBtn = document.getElementById('metadataBtn');
+    this.caption = document.getElementById('caption');
+    this.captionBtn = document.getElementById('captionBtn');
+    this.captionPositionSelect = document.getElementById('captionPositionSelect');
+    this.music = document.getElementById('music');
+    this.musicControls = document.getElementById('musicControls');
+    this.musicBtn = document.getElementById('musicBtn');
+    this.skipTrackBtn = document.getElementById('skipTrackBtn');
+    this.musicVolumeInput = document.getElementById('musicVolume');
+    this.musicModeSelect = document.getElementById('musicModeSelect');
     this.imageGrid = document.getElementById('imageGrid');
+    this.albumPicker = document.getElementById('albumPicker');
+    this.albumList = document.getElementById('albumList');
+    this.subfoldersToggle = document.getElementById('subfoldersToggle');
+    this.sortSelect = document.getElementById('sortSelect');
+    this.barCameraSelect = document.getElementById('barCameraSelect');
+    this.barPlaceSelect = document.getElementById('barPlaceSelect');
+    this.barFromDate = document.getElementById('barFromDate');
+    this.barToDate = document.getElementById('barToDate');
+    this.onThisDayBtn = document.getElementById('onThisDayBtn');
+    this.favoritesOnlyBtn = document.getElementById('favoritesOnlyBtn');
+    this.weightedBtn = document.getElementById('weightedBtn');
+    this.spreadSelect = document.getElementById('spreadSelect');
+    this.favoriteBtn = document.getElementById('favoriteBtn');
+    this.ratingSelect = document.getElementById('ratingSelect');
+    this.hideBtn = document.getElementById('hideBtn');
+    this.addToPlaylistSelect = document.getElementById('addToPlaylistSelect');
+    this.playlistPicker = document.getElementById('playlistPicker');
+    this.playlistSelect = document.getElementById('playlistSelect');
+    this.newPlaylistBtn = document.getElementById('newPlaylistBtn');
+    this.renamePlaylistBtn = document.getElementById('renamePlaylistBtn');
+    this.deletePlaylistBtn = document.getElementById('deletePlaylistBtn');
+    this.playlistImages = document.getElementById('playlistImages');
+    this.filterPicker = document.getElementById('filterPicker');
+    this.startSortSelect = document.getElementById('startSortSelect');
+    this.cameraSelect = document.getElementById('cameraSelect');
+    this.placeSelect = document.getElementById('placeSelect');
+    this.fromDate = document.getElementById('fromDate');
+    this.toDate = document.getElementById('toDate');
+    this.onThisDayToggle = document.getElementById('onThisDayToggle');
+    this.exportPicker = document.getElementById('exportPicker');
+    this.exportFormatSelect = document.getElementById('exportFormatSelect');
+    this.exportAudioLabel = document.getElementById('exportAudioLabel');
+    this.exportAudioToggle = document.getElementById('exportAudioToggle');
+    this.exportBtn = document.getElementById('exportBtn');
+    this.exportStatus = document.getElementById('exportStatus');
   }
 
   bindEvents() {
@@ -51,49 +491,887 @@ class Slideshow {
     this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
     this.intervalSelect.addEventListener('change', (e) => this.changeInterval(e.target.value));
     this.shuffleBtn.addEventListener('click', () => this.toggleShuffle());
+    this.transitionSelect.addEventListener('change', (e) => this.setTransition(e.target.value));
+    this.kenBurnsBtn.addEventListener('click', () => this.toggleKenBurns());
+    this.muteBtn.addEventListener('click', () => this.toggleMute());
     this.metadataBtn.addEventListener('click', () => this.toggleMetadata());
+    this.captionBtn.addEventListener('click', () => this.toggleCaptions());
+    this.captionPositionSelect.addEventListener('change', (e) => this.setCaptionPosition(e.target.value));
+    this.musicBtn.addEventListener('click', () => this.toggleMusic());
+    this.skipTrackBtn.addEventListener('click', () => this.nextTrack());
+    this.musicVolumeInput.addEventListener('input', (e) => this.setMusicVolume(parseFloat(e.target.value)));
+    this.musicModeSelect.addEventListener('change', (e) => this.setMusicMode(e.target.value));
+    this.music.addEventListener('ended', () => this.nextTrack());
+    this.music.addEventListener('playing', () => { this.musicErrors = 0; });
+    this.music.addEventListener('error', () => this.handleMusicError());
     this.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+    if (this.subfoldersToggle) {
+      this.subfoldersToggle.checked = this.includeSubfolders;
+      this.subfoldersToggle.addEventListener('change', (e) => this.setIncludeSubfolders(e.target.checked));
+    }
+    this.sortSelect.addEventListener('change', (e) => this.setSort(e.target.value));
+    this.barCameraSelect.addEventListener('change', (e) => this.setFilter('camera', e.target.value));
+    this.barPlaceSelect.addEventListener('change', (e) => this.setFilter('place', e.target.value));
+    this.barFromDate.addEventListener('change', (e) => this.setFilter('from', e.target.value));
+    this.barToDate.addEventListener('change', (e) => this.setFilter('to', e.target.value));
+    this.onThisDayBtn.addEventListener('click', () => this.toggleOnThisDay());
+    this.favoritesOnlyBtn.addEventListener('click', () => this.toggleFavoritesOnly());
+    this.weightedBtn.addEventListener('click', () => this.toggleWeightedShuffle());
+    this.spreadSelect.addEventListener('change', (e) => this.setSpread(e.target.value));
+    this.favoriteBtn.addEventListener('click', () => this.toggleFavorite());
+    this.ratingSelect.addEventListener('change', (e) => this.setStars(parseInt(e.target.value, 10)));
+    this.hideBtn.addEventListener('click', () => this.hideCurrent());
+    this.addToPlaylistSelect.addEventListener('change', (e) => this.addToPlaylist(e.target.value));
+    if (this.playlistPicker) {
+      this.playlistSelect.addEventListener('change', (e) => this.setPlaylist(e.target.value));
+      this.newPlaylistBtn.addEventListener('click', () => this.newPlaylist());
+      this.renamePlaylistBtn.addEventListener('click', () => this.renamePlaylist());
+      this.deletePlaylistBtn.addEventListener('click', () => this.deletePlaylist());
+    }
+    if (this.filterPicker) {
+      this.startSortSelect.addEventListener('change', (e) => this.setSort(e.target.value));
+      this.cameraSelect.addEventListener('change', (e) => this.setFilter('camera', e.target.value));
+      this.placeSelect.addEventListener('change', (e) => this.setFilter('place', e.target.value));
+      this.fromDate.addEventListener('change', (e) => this.setFilter('from', e.target.value));
+      this.toDate.addEventListener('change', (e) => this.setFilter('to', e.target.value));
+      this.onThisDayToggle.addEventListener('change', (e) => this.setFilter('onThisDay', e.target.checked));
+    }
+    if (this.exportPicker) {
+      this.exportBtn.addEventListener('click', () => this.exportVideo());
+    }
 
     // Keyboard controls
     document.addEventListener('keydown', (e) => this.handleKeydown(e));
 
-    // Mouse movement to show/hide cursor and controls
-    document.addEventListener('mousemove', () => this.showCursor());
+    // Mouse movement to show/hide cursor and controls
+    document.addEventListener('mousemove', () => this.showCursor());
+
+    // Touch events for mobile
+    document.addEventListener('touchstart', (e) => this.handleTouch(e));
+  }
+
+  async loadImages() {
+    try {
+      const response = await fetch('/api/images');
+      if (response.status === 401) {
+        this.redirectToLogin();
+        return;
+      }
+      this.images = await response.json();
+      await this.loadRatings();
+      await this.loadPlaylists();
+      await this.loadFilteredImages();
+      if (this.spread === 'date') await this.loadDaysTaken();
+
+      this.updateImageCount();
+      if (this.images.length > 0) {
+        this.populateImageGrid();
+      }
+      this.subscribeToChanges();
+    } catch (error) {
+      console.error('Failed to load images:', error);
+      this.imageCountEl.textContent = 'Error loading images';
+      return;
+    }
+
+    await this.loadAlbums();
+    await this.loadFilterOptions();
+    await this.loadMusic();
+    await this.loadExports();
+  }
+
+  // The server has a password set and this browser isn't logged in
+  redirectToLogin() {
+    window.location.assign('/login.html');
+  }
+
+  updateImageCount() {
+    const count = this.getSelectedImages().length;
+    if (this.images.length === 0) {
+      this.imageCountEl.textContent = 'No images found in the folder';
+      this.startBtn.disabled = true;
+      this.startBtn.textContent = 'No Images';
+    } else if (count === 0) {
+      if (this.activePlaylist()) {
+        this.imageCountEl.textContent = 'No images in the playlist';
+      } else {
+        this.imageCountEl.textContent = this.hasFilters()
+          ? 'No images match the filters'
+          : 'No images in the selected albums';
+      }
+      this.startBtn.disabled = true;
+      this.startBtn.textContent = 'No Images';
+    } else {
+      this.imageCountEl.textContent = `${count} images found`;
+      this.startBtn.disabled = false;
+      this.startBtn.textContent = 'Start Slideshow';
+    }
+  }
+
+  // Album selection comes from the URL (?album=2023/trip&album=2024&subfolders=0)
+  // so a kiosk can be bookmarked to a single album
+  readAlbumSelection() {
+    const params = new URLSearchParams(window.location.search);
+    this.selectedAlbums = params.getAll('album').map(album => album.replace(/^\/+|\/+$/g, ''));
+    this.includeSubfolders = params.get('subfolders') !== '0';
+  }
+
+  // ?group=lobby joins a playback group when started, so several displays
+  // show the same playlist in step; &offset=1 shows the image one ahead
+  readGroup() {
+    const params = new URLSearchParams(window.location.search);
+    const group = params.get('group');
+    this.group = group && GROUP_NAME.test(group) ? group : null;
+    this.groupOffset = parseInt(params.get('offset'), 10) || 0;
+  }
+
+  writeAlbumSelection() {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('album');
+    this.selectedAlbums.forEach(album => params.append('album', album));
+    if (this.includeSubfolders) {
+      params.delete('subfolders');
+    } else {
+      params.set('subfolders', '0');
+    }
+    const query = params.toString();
+    history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+  }
+
+  isInSelectedAlbums(imageName) {
+    if (this.selectedAlbums.length === 0) return true;
+
+    const slash = imageName.lastIndexOf('/');
+    const folder = slash >= 0 ? imageName.slice(0, slash) : '';
+    return this.selectedAlbums.some(album =>
+      folder === album || (this.includeSubfolders && folder.startsWith(`${album}/`))
+    );
+  }
+
+  // Hidden images never play, and only favorites do in favorites-only mode
+  passesRatings(imageName) {
+    const rating = this.ratings[imageName];
+    if (rating && rating.hidden) return false;
+    return !this.favoritesOnly || Boolean(rating && rating.favorite);
+  }
+
+  // Images in the chosen albums (the whole library when none are chosen)
+  // that match the filters and ratings, or the playing playlist's images in
+  // its order
+  getSelectedImages() {
+    const playlist = this.activePlaylist();
+    if (playlist) {
+      // Leave out images that have since been deleted
+      const inLibrary = new Set(this.images);
+      return playlist.images.filter(imageName => inLibrary.has(imageName) && this.passesRatings(imageName));
+    }
+    return (this.filteredImages || this.images).filter(imageName =>
+      this.isInSelectedAlbums(imageName) && this.passesRatings(imageName)
+    );
+  }
+
+  // Filters come from the URL too (?camera=Canon%20EOS%20R5&place=Paris,%20France
+  // &from=2023-06-01&to=2023-06-30&onthisday=1), so a filtered show can be bookmarked
+  readFilters() {
+    const params = new URLSearchParams(window.location.search);
+    this.filters = {
+      camera: params.get('camera') || '',
+      place: params.get('place') || '',
+      from: params.get('from') || '',
+      to: params.get('to') || '',
+      onThisDay: params.get('onthisday') === '1',
+    };
+  }
+
+  writeFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+      camera: this.filters.camera,
+      place: this.filters.place,
+      from: this.filters.from,
+      to: this.filters.to,
+      onthisday: this.filters.onThisDay ? '1' : '',
+    };
+    Object.entries(values).forEach(([name, value]) => {
+      if (value) {
+        params.set(name, value);
+      } else {
+        params.delete(name);
+      }
+    });
+    const query = params.toString();
+    history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+  }
+
+  hasFilters() {
+    const { camera, place, from, to, onThisDay } = this.filters;
+    return Boolean(camera || place || from || to || onThisDay);
+  }
+
+  // Filtering and ordering by EXIF need every image's metadata, so the server
+  // does both and the result stands in for the library
+  async loadFilteredImages() {
+    if (!this.hasFilters() && this.sortBy === 'name') {
+      this.filteredImages = null;
+      return;
+    }
+
+    const params = new URLSearchParams({ sort: this.sortBy });
+    if (this.filters.camera) params.set('camera', this.filters.camera);
+    if (this.filters.place) params.set('place', this.filters.place);
+    if (this.filters.from) params.set('from', this.filters.from);
+    if (this.filters.to) params.set('to', this.filters.to);
+    if (this.filters.onThisDay) {
+      // Today's month and day, in any year
+      const today = new Date();
+      const pad = (value) => String(value).padStart(2, '0');
+      params.set('day', `${pad(today.getMonth() + 1)}-${pad(today.getDate())}`);
+    }
+
+    try {
+      const response = await fetch(`/api/images?${params}`);
+      if (!response.ok) throw new Error(await response.text());
+      this.filteredImages = (await response.json()).images;
+    } catch (error) {
+      console.error('Failed to filter images:', error);
+      this.filteredImages = [];
+    }
+  }
+
+  // Fill the camera and place pickers, on the start screen and in the controls
+  // bar, with what the library contains
+  async loadFilterOptions() {
+    const selects = (bar, start) => (this.filterPicker ? [bar, start] : [bar]);
+    await Promise.all([
+      this.loadFilterOption('/api/cameras', 'camera', selects(this.barCameraSelect, this.cameraSelect), 'All cameras'),
+      this.loadFilterOption('/api/places', 'place', selects(this.barPlaceSelect, this.placeSelect), 'All places'),
+    ]);
+  }
+
+  async loadFilterOption(url, key, selects, allLabel) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return;
+      const counts = await response.json();
+      selects.forEach(select => this.renderFilterOption(key, select, allLabel, counts));
+    } catch (error) {
+      console.error(`Failed to load ${key} options:`, error);
+    }
+  }
+
+  // counts is [{ camera: 'Canon EOS R5', count: 12 }, ...] (or place)
+  renderFilterOption(key, select, allLabel, counts) {
+    select.innerHTML = '';
+    const values = counts.map(entry => entry[key]);
+    // Keep a value from the URL selectable even if none of these images have it
+    const current = this.filters[key];
+    const options = current && !values.includes(current) ? [{ [key]: current, count: 0 }, ...counts] : counts;
+
+    [{ [key]: '', count: null }, ...options].forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry[key];
+      option.textContent = entry[key] ? `${entry[key]} (${entry.count})` : allLabel;
+      select.appendChild(option);
+    });
+    select.value = current;
+  }
+
+  setFilter(name, value) {
+    this.filters[name] = value;
+    this.writeFilters();
+    this.updateFilterControls();
+    return this.applyFilters();
+  }
+
+  toggleOnThisDay() {
+    return this.setFilter('onThisDay', !this.filters.onThisDay);
+  }
+
+  setSort(sortBy) {
+    this.sortBy = SORT_ORDERS.includes(sortBy) ? sortBy : 'name';
+    // Picking an order means wanting to see it
+    this.isShuffled = false;
+    this.updateShuffleButton();
+    this.updateSortControls();
+    this.saveSettings();
+    return this.applyFilters();
+  }
+
+  updateSortControls() {
+    this.sortSelect.value = this.sortBy;
+    if (this.startSortSelect) this.startSortSelect.value = this.sortBy;
+  }
+
+  updateFilterControls() {
+    this.onThisDayBtn.textContent = this.filters.onThisDay ? '📅 On this day ✓' : '📅 On this day';
+    this.barCameraSelect.value = this.filters.camera;
+    this.barPlaceSelect.value = this.filters.place;
+    this.barFromDate.value = this.filters.from;
+    this.barToDate.value = this.filters.to;
+    if (!this.filterPicker) return;
+
+    this.cameraSelect.value = this.filters.camera;
+    this.placeSelect.value = this.filters.place;
+    this.fromDate.value = this.filters.from;
+    this.toDate.value = this.filters.to;
+    this.onThisDayToggle.checked = this.filters.onThisDay;
+  }
+
+  // ?playlist=<id> plays a saved playlist, so it can be bookmarked like an album
+  readPlaylistSelection() {
+    const params = new URLSearchParams(window.location.search);
+    this.playlistId = params.get('playlist') || null;
+  }
+
+  writePlaylistSelection() {
+    const params = new URLSearchParams(window.location.search);
+    if (this.playlistId) {
+      params.set('playlist', this.playlistId);
+    } else {
+      params.delete('playlist');
+    }
+    const query = params.toString();
+    history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+  }
+
+  activePlaylist() {
+    return this.playlists.find(playlist => playlist.id === this.playlistId) || null;
+  }
+
+  async loadPlaylists() {
+    try {
+      const response = await fetch('/api/playlists');
+      // Share links can't use playlists, so they stay hidden
+      if (!response.ok) return;
+      this.playlists = await response.json();
+      this.renderPlaylists();
+    } catch (error) {
+      console.error('Failed to load playlists:', error);
+    }
+  }
+
+  renderPlaylists() {
+    const fill = (select, firstLabel) => {
+      select.innerHTML = '';
+      const first = document.createElement('option');
+      first.value = '';
+      first.textContent = firstLabel;
+      select.appendChild(first);
+      this.playlists.forEach(playlist => {
+        const option = document.createElement('option');
+        option.value = playlist.id;
+        option.textContent = playlist.name;
+        select.appendChild(option);
+      });
+    };
+
+    fill(this.addToPlaylistSelect, '➕ Add to playlist…');
+    const newOption = document.createElement('option');
+    newOption.value = 'new';
+    newOption.textContent = 'New playlist…';
+    this.addToPlaylistSelect.appendChild(newOption);
+    this.addToPlaylistSelect.classList.remove('hidden');
+
+    if (!this.playlistPicker) return;
+    fill(this.playlistSelect, 'Albums and filters');
+    this.playlistSelect.value = this.activePlaylist() ? this.playlistId : '';
+    this.playlistPicker.classList.remove('hidden');
+    this.renamePlaylistBtn.disabled = !this.activePlaylist();
+    this.deletePlaylistBtn.disabled = !this.activePlaylist();
+    this.renderPlaylistImages();
+  }
+
+  // The playing playlist's images, to reorder or remove
+  renderPlaylistImages() {
+    this.playlistImages.innerHTML = '';
+    const playlist = this.activePlaylist();
+    this.playlistImages.classList.toggle('hidden', !playlist);
+    if (!playlist) return;
+
+    playlist.images.forEach((imageName, index) => {
+      const item = document.createElement('li');
+      item.textContent = imageName;
+      const button = (label, title, action) => {
+        const el = document.createElement('button');
+        el.textContent = label;
+        el.title = title;
+        el.addEventListener('click', action);
+        item.appendChild(el);
+      };
+      button('↑', 'Move up', () => this.moveInPlaylist(index, -1));
+      button('↓', 'Move down', () => this.moveInPlaylist(index, 1));
+      button('✕', 'Remove from the playlist', () => this.removeFromPlaylist(index));
+      this.playlistImages.appendChild(item);
+    });
+  }
+
+  setPlaylist(id) {
+    this.playlistId = id || null;
+    this.writePlaylistSelection();
+    this.renderPlaylists();
+    this.updateImageCount();
+    if (this.startScreen.classList.contains('hidden')) {
+      this.reorder();
+    } else {
+      this.populateImageGrid();
+    }
+  }
+
+  // Send a playlist to the server: a new one without an id, or changes to
+  // one. Returns the saved playlist, or null if it couldn't be saved.
+  async savePlaylist(id, changes) {
+    try {
+      const response = await fetch(id ? `/api/playlists/${encodeURIComponent(id)}` : '/api/playlists', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      if (!response.ok) throw new Error(await response.text());
+      const playlist = await response.json();
+      this.playlists = [...this.playlists.filter(existing => existing.id !== playlist.id), playlist]
+        .sort((a, b) => a.name.localeCompare(b.name));
+      this.renderPlaylists();
+      if (playlist.id === this.playlistId) {
+        this.updateImageCount();
+        // Play the new order straight away
+        if (this.startScreen.classList.contains('hidden')) this.reorder();
+      }
+      return playlist;
+    } catch (error) {
+      console.error('Failed to save the playlist:', error);
+      return null;
+    }
+  }
+
+  async newPlaylist() {
+    const name = window.prompt('Name for the new playlist');
+    if (!name || !name.trim()) return;
+    const playlist = await this.savePlaylist(null, { name, images: [] });
+    if (playlist) this.setPlaylist(playlist.id);
+  }
+
+  async renamePlaylist() {
+    const playlist = this.activePlaylist();
+    if (!playlist) return;
+    const name = window.prompt('New name for the playlist', playlist.name);
+    if (!name || !name.trim() || name === playlist.name) return;
+    await this.savePlaylist(playlist.id, { name });
+  }
+
+  async deletePlaylist() {
+    const playlist = this.activePlaylist();
+    if (!playlist || !window.confirm(`Delete the playlist "${playlist.name}"?`)) return;
+
+    try {
+      const response = await fetch(`/api/playlists/${encodeURIComponent(playlist.id)}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(await response.text());
+    } catch (error) {
+      console.error('Failed to delete the playlist:', error);
+      return;
+    }
+    this.playlists = this.playlists.filter(existing => existing.id !== playlist.id);
+    this.setPlaylist(null);
+  }
+
+  moveInPlaylist(index, by) {
+    const playlist = this.activePlaylist();
+    const target = index + by;
+    if (!playlist || target < 0 || target >= playlist.images.length) return;
+
+    const images = [...playlist.images];
+    [images[index], images[target]] = [images[target], images[index]];
+    return this.savePlaylist(playlist.id, { images });
+  }
+
+  removeFromPlaylist(index) {
+    const playlist = this.activePlaylist();
+    if (!playlist) return;
+    return this.savePlaylist(playlist.id, { images: playlist.images.filter((_, i) => i !== index) });
+  }
+
+  // Add the image on screen to a playlist, or to a new one ('new')
+  async addToPlaylist(id) {
+    this.addToPlaylistSelect.value = '';
+    const imageName = this.displayImages[this.currentIndex];
+    if (!id || !imageName) return;
+
+    if (id === 'new') {
+      const name = window.prompt('Name for the new playlist');
+      if (name && name.trim()) await this.savePlaylist(null, { name, images: [imageName] });
+      return;
+    }
+    const playlist = this.playlists.find(existing => existing.id === id);
+    if (playlist && !playlist.images.includes(imageName)) {
+      await this.savePlaylist(id, { images: [...playlist.images, imageName] });
+    }
+  }
+
+  // Fetch the images matching the new filters or order, and switch to them
+  // straight away if the slideshow is running
+  async applyFilters() {
+    await this.loadFilteredImages();
+    this.updateImageCount();
+    if (this.startScreen.classList.contains('hidden')) {
+      this.reorder();
+    } else {
+      this.populateImageGrid();
+    }
+  }
+
+  async loadAlbums() {
+    if (!this.albumPicker) return;
+
+    try {
+      const response = await fetch('/api/folders');
+      if (!response.ok) return;
+      const tree = await response.json();
+      this.renderAlbums(tree);
+    } catch (error) {
+      console.error('Failed to load albums:', error);
+    }
+  }
+
+  renderAlbums(tree) {
+    this.albumList.innerHTML = '';
+
+    const addFolder = (folder, depth) => {
+      const label = document.createElement('label');
+      label.className = 'album';
+      label.style.paddingLeft = `${depth * 16}px`;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = folder.path;
+      checkbox.checked = this.selectedAlbums.includes(folder.path);
+      checkbox.addEventListener('change', () => this.toggleAlbum(folder.path, checkbox.checked));
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${folder.name} (${folder.totalCount})`));
+      this.albumList.appendChild(label);
+
+      folder.children.forEach(child => addFolder(child, depth + 1));
+    };
+    tree.children.forEach(child => addFolder(child, 0));
+
+    // Nothing to pick from a library without subfolders
+    this.albumPicker.classList.toggle('hidden', tree.children.length === 0);
+  }
+
+  toggleAlbum(albumPath, selected) {
+    this.selectedAlbums = this.selectedAlbums.filter(album => album !== albumPath);
+    if (selected) {
+      this.selectedAlbums.push(albumPath);
+    }
+    this.onAlbumSelectionChanged();
+  }
+
+  setIncludeSubfolders(include) {
+    this.includeSubfolders = include;
+    this.onAlbumSelectionChanged();
+  }
+
+  onAlbumSelectionChanged() {
+    this.writeAlbumSelection();
+    this.updateImageCount();
+    this.populateImageGrid();
+  }
+
+  // Listen for images added to or removed from the folder while running, and
+  // for commands from remotes (remote.html)
+  subscribeToChanges() {
+    if (typeof EventSource === 'undefined' || this.events) return;
+
+    this.events = new EventSource('/api/events');
+    this.events.addEventListener('add', (e) => this.addImage(JSON.parse(e.data)));
+    this.events.addEventListener('remove', (e) => this.removeImage(JSON.parse(e.data)));
+    this.events.addEventListener('control', (e) => this.handleControl(JSON.parse(e.data)));
+    this.events.addEventListener('group', (e) => this.applyGroupChange(JSON.parse(e.data)));
+  }
+
+  // A command from a remote: { command: 'next' }, { command: 'interval', value: 10000 }, ...
+  handleControl({ command, value }) {
+    // The server passes remote commands on to groups, which keep their displays in step
+    if (this.group) return;
+
+    const running = this.startScreen.classList.contains('hidden');
+    switch (command) {
+      case 'next':
+        if (running) this.next();
+        break;
+      case 'prev':
+        if (running) this.prev();
+        break;
+      case 'play':
+      case 'pause':
+      case 'toggle':
+        if (!running) {
+          // Playing from the start screen starts the slideshow
+          if (command !== 'pause' && !this.startBtn.disabled) this.start();
+        } else if (command === 'toggle' || this.isPlaying !== (command === 'play')) {
+          this.togglePlayPause();
+        }
+        break;
+      case 'shuffle':
+        if (value === undefined || value !== this.isShuffled) this.toggleShuffle();
+        break;
+      case 'interval':
+        if (running) {
+          this.changeInterval(value);
+        } else {
+          // Only the running slideshow has a timer to restart
+          this.interval = value;
+          this.saveSettings();
+        }
+        this.updateIntervalSelect();
+        break;
+    }
+  }
+
+  // Tell the remotes what this display is showing
+  reportState() {
+    if (this.displayImages.length === 0) return;
+
+    const state = {
+      image: this.displayImages[this.currentIndex] || null,
+      index: this.currentIndex,
+      total: this.displayImages.length,
+      playing: this.isPlaying,
+      shuffle: this.isShuffled,
+      interval: this.interval,
+    };
+    fetch('/api/control/state', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(state),
+    }).catch(error => console.error('Failed to report state:', error));
+  }
+
+  // Merge a new image into the library without disturbing playback
+  addImage(imageName) {
+    if (this.images.includes(imageName)) return;
+
+    // The server lists images sorted by path; keep that order
+    const sortedIndex = this.images.findIndex(name => name > imageName);
+    this.images.splice(sortedIndex >= 0 ? sortedIndex : this.images.length, 0, imageName);
+
+    // Whether a new image matches the filters isn't known until they are applied
+    // again; a group's playlist comes from the server
+    if (this.displayImages.length > 0 && this.filteredImages === null && !this.group &&
+        this.isInSelectedAlbums(imageName) && this.passesRatings(imageName)) {
+      let position;
+      if (this.isShuffled) {
+        // Somewhere still to come in this pass through the shuffle
+        const start = this.currentIndex + 1;
+        position = start + Math.floor(Math.random() * (this.displayImages.length - start + 1));
+      } else {
+        const orderedIndex = this.displayImages.findIndex(name => name > imageName);
+        position = orderedIndex >= 0 ? orderedIndex : this.displayImages.length;
+      }
+      this.displayImages.splice(position, 0, imageName);
+      if (position <= this.currentIndex) {
+        this.currentIndex++;
+      }
+      if (!this.hasBeenShown(imageName)) this.unseen.add(imageName);
+    }
+
+    this.updateImageCount();
+    this.updateImageCounter();
+  }
+
+  // Drop a deleted image so it is never transitioned to
+  removeImage(imageName) {
+    const imageIndex = this.images.indexOf(imageName);
+    if (imageIndex < 0) return;
+    this.images.splice(imageIndex, 1);
+    if (this.filteredImages) {
+      this.filteredImages = this.filteredImages.filter(name => name !== imageName);
+    }
+
+    if (!this.group) this.removeFromDisplay(imageName);
+    this.updateImageCount();
+    this.updateImageCounter();
+  }
+
+  // Take an image out of the play order (every time it comes up, with the
+  // weighted shuffle)
+  removeFromDisplay(imageName) {
+    let displayIndex;
+    while ((displayIndex = this.displayImages.indexOf(imageName)) >= 0) {
+      this.displayImages.splice(displayIndex, 1);
+      // Removing the current image leaves it on screen; the next one slides
+      // into its place, so step back to show that one next
+      if (displayIndex <= this.currentIndex && this.currentIndex > 0) {
+        this.currentIndex--;
+      } else if (displayIndex === this.currentIndex) {
+        this.currentIndex = this.displayImages.length - 1;
+      }
+    }
+  }
+
+  async loadRatings() {
+    try {
+      const response = await fetch('/api/ratings');
+      if (!response.ok) return;
+      this.ratings = await response.json();
+    } catch (error) {
+      console.error('Failed to load ratings:', error);
+    }
+  }
+
+  // Save a change to an image's rating ({ favorite, stars, hidden }). An image
+  // that no longer belongs in the show (hidden, or unmarked in favorites-only
+  // mode) is dropped from it, moving on if it is the one on screen.
+  async rate(imageName, update) {
+    let rating;
+    try {
+      const response = await fetch(`/api/ratings/${encodeURIComponent(imageName)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(update),
+      });
+      if (!response.ok) throw new Error(await response.text());
+      rating = await response.json();
+    } catch (error) {
+      console.error(`Failed to rate ${imageName}:`, error);
+      return;
+    }
+
+    if (Object.keys(rating).length > 0) {
+      this.ratings[imageName] = rating;
+    } else {
+      delete this.ratings[imageName];
+    }
+
+    // A group's playlist is the same on every display, so it stays in that
+    if (!this.passesRatings(imageName) && !this.group) {
+      const onScreen = this.displayImages[this.currentIndex] === imageName;
+      this.removeFromDisplay(imageName);
+      this.updateImageCount();
+      if (onScreen && this.displayImages.length > 0) {
+        this.next();
+        return;
+      }
+      this.updateImageCounter();
+    }
+    this.updateRatingControls();
+  }
+
+  currentRating() {
+    return this.ratings[this.displayImages[this.currentIndex]] || {};
+  }
+
+  toggleFavorite() {
+    const imageName = this.displayImages[this.currentIndex];
+    if (!imageName) return;
+    return this.rate(imageName, { favorite: !this.currentRating().favorite });
+  }
+
+  // 0 clears the stars
+  setStars(stars) {
+    const imageName = this.displayImages[this.currentIndex];
+    if (!imageName) return;
+    return this.rate(imageName, { stars });
+  }
+
+  // Leave the image on screen out of the slideshow from now on
+  hideCurrent() {
+    const imageName = this.displayImages[this.currentIndex];
+    if (!imageName) return;
+    return this.rate(imageName, { hidden: true });
+  }
+
+  updateRatingControls() {
+    const { favorite = false, stars = 0 } = this.currentRating();
+    this.favoriteBtn.textContent = favorite ? '♥ Favorite' : '♡ Favorite';
+    this.ratingSelect.value = String(stars);
+  }
+
+  toggleFavoritesOnly() {
+    this.favoritesOnly = !this.favoritesOnly;
+    this.updateFavoritesOnlyButton();
+    this.saveSettings();
+    this.updateImageCount();
+    if (this.startScreen.classList.contains('hidden')) {
+      this.reorder();
+    } else {
+      this.populateImageGrid();
+    }
+  }
+
+  updateFavoritesOnlyButton() {
+    this.favoritesOnlyBtn.textContent = this.favoritesOnly ? '♥ Favorites only ✓' : '♥ Favorites only';
+  }
+
+  toggleWeightedShuffle() {
+    this.weightedShuffle = !this.weightedShuffle;
+    this.updateWeightedButton();
+    this.saveSettings();
+    if (this.isShuffled && this.startScreen.classList.contains('hidden')) {
+      this.reorder();
+    }
+  }
+
+  updateWeightedButton() {
+    this.weightedBtn.textContent = this.weightedShuffle ? '⚖️ Weighted ✓' : '⚖️ Weighted';
+  }
 
-    // Touch events for mobile
-    document.addEventListener('touchstart', (e) => this.handleTouch(e));
+  async setSpread(spread) {
+    this.spread = SPREAD_OPTIONS.includes(spread) ? spread : 'none';
+    this.spreadSelect.value = this.spread;
+    this.saveSettings();
+    if (this.spread === 'date' && !this.daysTaken) {
+      await this.loadDaysTaken();
+    }
+    if (this.isShuffled && this.startScreen.classList.contains('hidden')) {
+      this.reorder();
+    }
   }
 
-  async loadImages() {
+  async loadDaysTaken() {
     try {
-      const response = await fetch('/api/images');
-      this.images = await response.json();
-
-      if (this.images.length === 0) {
-        this.imageCountEl.textContent = 'No images found in the folder';
-        this.startBtn.disabled = true;
-        this.startBtn.textContent = 'No Images';
-      } else {
-        this.imageCountEl.textContent = `${this.images.length} images found`;
-        this.populateImageGrid();
-      }
+      const response = await fetch('/api/dates');
+      if (!response.ok) throw new Error(await response.text());
+      this.daysTaken = await response.json();
     } catch (error) {
-      console.error('Failed to load images:', error);
-      this.imageCountEl.textContent = 'Error loading images';
+      console.error('Failed to load dates:', error);
+    }
+  }
+
+  // What images are spread out by: their folder or the day they were taken
+  spreadGroup() {
+    if (this.spread === 'folder') {
+      return (imageName) => imageName.slice(0, Math.max(0, imageName.lastIndexOf('/')));
+    }
+    if (this.spread === 'date') {
+      // Images added since the dates were loaded count as one more day
+      return (imageName) => (this.daysTaken && this.daysTaken[imageName]) || '';
     }
+    return null;
+  }
+
+  // How many times an image comes up in one pass of the weighted shuffle:
+  // once, plus once per two stars and once more for a favorite
+  ratingWeight(imageName) {
+    const { favorite = false, stars = 0 } = this.ratings[imageName] || {};
+    return 1 + Math.floor(stars / 2) + (favorite ? 1 : 0);
+  }
+
+  updateImageCounter() {
+    if (this.displayImages.length === 0) return;
+    this.imageCounter.textContent = `${this.currentIndex + 1} / ${this.displayImages.length}`;
   }
 
   populateImageGrid() {
-    if (!this.imageGrid || this.images.length === 0) return;
+    if (!this.imageGrid) return;
 
-    // Shuffle and pick up to 25 images for the grid
-    const shuffled = [...this.images];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
+    // Shuffle and pick up to 25 images for the grid (clips can't be shown in an <img>)
+    const shuffled = shuffle(this.getSelectedImages().filter(imageName => !this.isVideo(imageName)));
     const gridImages = shuffled.slice(0, 40);
 
+    // Tiles only need a rendition the size of one cell of the 8x5 grid
+    const cellWidth = window.innerWidth / 8;
+    const cellHeight = window.innerHeight / 5;
+
     // Create grid cells
     this.imageGrid.innerHTML = '';
     gridImages.forEach(imageName => {
@@ -101,7 +1379,7 @@ class Slideshow {
       cell.className = 'grid-cell';
 
       const img = document.createElement('img');
-      img.src = `/images/${encodeURIComponent(imageName)}`;
+      img.src = this.imageUrl(imageName, cellWidth, cellHeight);
       img.alt = imageName;
       img.onload = () => img.classList.add('loaded');
 
@@ -110,6 +1388,17 @@ class Slideshow {
     });
   }
 
+  // Build the URL for an image, asking the server for a rendition that fits
+  // width x height CSS pixels on this display
+  imageUrl(imageName, width, height) {
+    const ratio = window.devicePixelRatio || 1;
+    const params = new URLSearchParams({
+      w: Math.ceil(width * ratio),
+      h: Math.ceil(height * ratio),
+    });
+    return `/images/${encodeURIComponent(imageName)}?${params}`;
+  }
+
   stopGridLoading() {
     if (this.imageGrid) {
       // Clear src to abort pending downloads, then remove elements
@@ -120,42 +1409,93 @@ class Slideshow {
   }
 
   updateDisplayOrder() {
+    const images = this.getSelectedImages();
+    let unseen = images.filter(imageName => !this.hasBeenShown(imageName));
+    if (unseen.length === 0) {
+      // Everything selected has been shown already
+      this.clearShown();
+      unseen = images;
+    }
+    this.unseen = new Set(unseen);
     if (this.isShuffled) {
-      this.displayImages = [...this.images];
-      for (let i = this.displayImages.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [this.displayImages[i], this.displayImages[j]] = [this.displayImages[j], this.displayImages[i]];
-      }
+      // Images not shown yet in this pass come first, so a reload carries on
+      // where the last session left off instead of starting over
+      const seen = images.filter(imageName => !this.unseen.has(imageName));
+      this.displayImages = [...this.shuffleImages(unseen), ...this.shuffleImages(seen)];
     } else {
-      this.displayImages = [...this.images];
+      this.displayImages = images;
     }
     this.updateShuffleButton();
   }
 
+  // Shuffle, with higher-rated images repeated for the weighted shuffle, and
+  // repeats and images from the same folder or day spread out
+  shuffleImages(images) {
+    const groupOf = this.spreadGroup();
+    if (!this.weightedShuffle && !groupOf) return shuffle(images);
+
+    const list = this.weightedShuffle
+      ? images.flatMap(imageName => Array(this.ratingWeight(imageName)).fill(imageName))
+      : images;
+    return separateRepeats(spreadOut(shuffle(list), groupOf || (imageName => imageName)));
+  }
+
   updateShuffleButton() {
     this.shuffleBtn.textContent = this.isShuffled ? '🔀 Shuffle' : '➡️ Order';
   }
 
   toggleShuffle() {
+    if (this.group) {
+      this.sendGroupCommand('shuffle', !this.isShuffled);
+      return;
+    }
     this.isShuffled = !this.isShuffled;
+    this.reorder();
+    this.saveSettings();
+  }
+
+  // Rebuild the play order, staying on the image currently shown if it is still in it
+  reorder() {
+    // The group decides the order
+    if (this.group) return;
+
     const currentImage = this.displayImages[this.currentIndex];
     this.updateDisplayOrder();
-    // Try to find the current image in the new order
     const newIndex = this.displayImages.indexOf(currentImage);
     this.currentIndex = newIndex >= 0 ? newIndex : 0;
-    this.imageCounter.textContent = `${this.currentIndex + 1} / ${this.displayImages.length}`;
+    this.updateImageCounter();
+    this.reportState();
   }
 
   start() {
     // Reset play state in case user toggled before starting
     this.isPlaying = true;
     this.playPauseBtn.textContent = '⏸ Pause';
+    this.slideshow.classList.remove('paused');
     this.stopTimer();
 
     // Stop loading background grid images to free up connections
     this.stopGridLoading();
 
-    this.updateDisplayOrder();
+    // The start button click counts as the user gesture fullscreen needs
+    if (this.fullscreen && !document.fullscreenElement) {
+      this.requestFullscreen();
+    }
+    // ...and that browsers need to play music
+    this.musicStarted = true;
+    this.syncMusic();
+
+    if (this.group) {
+      this.joinGroup();
+      return;
+    }
+
+    if (this.exportOrder && this.exportOrder.key === this.orderKey()) {
+      this.displayImages = this.exportOrder.images;
+    } else {
+      this.updateDisplayOrder();
+    }
+    this.exportOrder = null;
 
     // Show first image, then hide start screen after it loads
     this.showImage(0, () => {
@@ -170,20 +1510,33 @@ class Slideshow {
 
     this.currentIndex = ((index % this.displayImages.length) + this.displayImages.length) % this.displayImages.length;
     const imageName = this.displayImages[this.currentIndex];
-    const imageUrl = `/images/${encodeURIComponent(imageName)}`;
+    const imageUrl = this.imageUrl(imageName, window.innerWidth, window.innerHeight);
 
     // Use double-buffering technique for smooth transitions
     const currentSlide = this.activeSlide === 1 ? this.slide1 : this.slide2;
     const nextSlide = this.activeSlide === 1 ? this.slide2 : this.slide1;
 
-    // Preload image
-    const img = new Image();
-    img.onload = () => {
+    // Preload the image, or the first frame of a clip
+    const isVideo = this.isVideo(imageName);
+    const media = isVideo ? this.createVideo(imageName) : new Image();
+    const onReady = () => {
+      this.shownImage = imageName;
+      this.mediaErrors = 0;
       nextSlide.innerHTML = '';
-      nextSlide.appendChild(img);
+      nextSlide.appendChild(media);
+      this.prepareSlide(nextSlide);
+
+      if (isVideo) {
+        this.playVideo(media);
+      } else if (this.kenBurns) {
+        this.applyKenBurns(media);
+      }
 
       // Transition
+      const leavingVideo = currentSlide.querySelector('video');
+      if (leavingVideo) leavingVideo.pause();
       currentSlide.classList.remove('active');
+      currentSlide.classList.add('leaving');
       nextSlide.classList.add('active');
 
       this.activeSlide = this.activeSlide === 1 ? 2 : 1;
@@ -191,19 +1544,165 @@ class Slideshow {
       // Call callback if provided (for first image load)
       if (onLoad) onLoad();
     };
-    img.src = imageUrl;
-    img.alt = imageName;
+    // Skip what the browser can't show (such as an HEVC clip) instead of
+    // waiting on it. Groups move on by themselves.
+    media.onerror = () => {
+      if (this.displayImages[this.currentIndex] !== imageName) return;
+      console.error(`Could not show ${imageName}`);
+      this.mediaErrors++;
+      if (this.group || this.mediaErrors >= this.displayImages.length) {
+        if (onLoad) onLoad();
+        return;
+      }
+      this.showImage(this.currentIndex + 1, onLoad);
+      if (this.isPlaying) this.restartTimer();
+    };
+    if (isVideo) {
+      // Clips are streamed as they are, without renditions
+      media.onloadeddata = onReady;
+      media.src = `/images/${encodeURIComponent(imageName)}`;
+    } else {
+      media.onload = onReady;
+      media.src = imageUrl;
+      media.alt = imageName;
+    }
 
     // Update counter
-    this.imageCounter.textContent = `${this.currentIndex + 1} / ${this.displayImages.length}`;
+    this.updateImageCounter();
+    this.updateRatingControls();
+    this.markShown(imageName);
+    this.reportState();
 
-    // Update metadata if enabled
-    if (this.showMetadata) {
+    // Update metadata and the caption if enabled
+    if (this.showMetadata || this.showCaptions) {
       this.fetchMetadata();
     }
   }
 
+  isVideo(imageName) {
+    const dot = imageName.lastIndexOf('.');
+    return dot >= 0 && VIDEO_EXTENSIONS.includes(imageName.slice(dot).toLowerCase());
+  }
+
+  createVideo(imageName) {
+    const video = document.createElement('video');
+    video.muted = this.muteVideos;
+    video.playsInline = true;
+    video.preload = 'auto';
+    // In a group, clips loop until the group moves on
+    video.loop = this.group !== null || !this.playVideosToEnd;
+    video.onended = () => {
+      // Ignore clips that were skipped past before they finished
+      if (this.isPlaying && !this.group && this.displayImages[this.currentIndex] === imageName) {
+        this.next();
+      }
+    };
+    return video;
+  }
+
+  playVideo(video) {
+    if (!this.isPlaying) return;
+
+    const playing = video.play();
+    if (playing) {
+      playing.catch(() => {
+        // Browsers block autoplay with sound until the page has been clicked
+        if (!video.muted) {
+          video.muted = true;
+          video.play().catch(() => {});
+        }
+      });
+    }
+  }
+
+  currentVideo() {
+    return (this.activeSlide === 1 ? this.slide1 : this.slide2).querySelector('video');
+  }
+
+  toggleMute() {
+    this.muteVideos = !this.muteVideos;
+    this.updateMuteButton();
+    this.saveSettings();
+
+    const video = this.currentVideo();
+    if (video) video.muted = this.muteVideos;
+  }
+
+  updateMuteButton() {
+    this.muteBtn.textContent = this.muteVideos ? '🔇 Muted' : '🔊 Sound';
+  }
+
+  // Move a slide back to its entry position without animating, so the
+  // slide transition always brings new images in from the same side
+  prepareSlide(slide) {
+    if (!slide.classList.contains('leaving')) return;
+
+    slide.classList.add('no-transition');
+    slide.classList.remove('leaving');
+    void slide.offsetWidth; // Force a reflow so the jump isn't animated
+    slide.classList.remove('no-transition');
+  }
+
+  // Slowly pan and zoom the image for as long as it is on screen
+  applyKenBurns(img) {
+    const random = (min, max) => min + Math.random() * (max - min);
+    let fromScale = random(1.0, 1.08);
+    let toScale = random(1.15, 1.25);
+    if (Math.random() < 0.5) {
+      [fromScale, toScale] = [toScale, fromScale];
+    }
+
+    img.style.setProperty('--kb-from-scale', fromScale.toFixed(3));
+    img.style.setProperty('--kb-to-scale', toScale.toFixed(3));
+    img.style.setProperty('--kb-from-x', `${random(-4, 4).toFixed(2)}%`);
+    img.style.setProperty('--kb-from-y', `${random(-4, 4).toFixed(2)}%`);
+    img.style.setProperty('--kb-to-x', `${random(-4, 4).toFixed(2)}%`);
+    img.style.setProperty('--kb-to-y', `${random(-4, 4).toFixed(2)}%`);
+    // Keep moving through the fade out as well
+    img.style.setProperty('--kb-duration', `${this.interval + TRANSITION_DURATION * 2}ms`);
+    img.classList.add('ken-burns');
+  }
+
+  setTransition(transition) {
+    this.transition = transition;
+    this.updateTransitionClass();
+    this.saveSettings();
+  }
+
+  updateTransitionClass() {
+    if (!TRANSITIONS.includes(this.transition)) {
+      this.transition = 'crossfade';
+    }
+    TRANSITIONS.forEach(name => this.slideshow.classList.remove(`transition-${name}`));
+    this.slideshow.classList.add(`transition-${this.transition}`);
+    this.transitionSelect.value = this.transition;
+  }
+
+  toggleKenBurns() {
+    this.kenBurns = !this.kenBurns;
+    this.updateKenBurnsButton();
+    this.saveSettings();
+
+    // Start or stop the motion on the image currently shown
+    const img = (this.activeSlide === 1 ? this.slide1 : this.slide2).querySelector('img');
+    if (img) {
+      if (this.kenBurns) {
+        this.applyKenBurns(img);
+      } else {
+        img.classList.remove('ken-burns');
+      }
+    }
+  }
+
+  updateKenBurnsButton() {
+    this.kenBurnsBtn.textContent = this.kenBurns ? '🎥 Pan & zoom ✓' : '🎥 Pan & zoom';
+  }
+
   next() {
+    if (this.group) {
+      this.sendGroupCommand('next');
+      return;
+    }
     this.showImage(this.currentIndex + 1);
     if (this.isPlaying) {
       this.restartTimer();
@@ -211,6 +1710,10 @@ class Slideshow {
   }
 
   prev() {
+    if (this.group) {
+      this.sendGroupCommand('prev');
+      return;
+    }
     this.showImage(this.currentIndex - 1);
     if (this.isPlaying) {
       this.restartTimer();
@@ -218,6 +1721,23 @@ class Slideshow {
   }
 
   startTimer() {
+    // The slideshow holds still through a blackout
+    if (this.blackout) return;
+
+    const current = this.displayImages[this.currentIndex];
+    if (this.playVideosToEnd && current && this.isVideo(current)) {
+      // The clip moves on by itself when it ends; this only cuts long ones
+      // short, or moves on from one that never starts
+      if (this.maxVideoDuration > 0) {
+        this.videoTimer = setTimeout(() => this.next(), this.maxVideoDuration);
+      } else {
+        this.videoTimer = setTimeout(() => {
+          if (this.shownImage !== current) this.next();
+        }, VIDEO_LOAD_TIMEOUT);
+      }
+      return;
+    }
+
     this.timer = setInterval(() => {
       this.next();
     }, this.interval);
@@ -228,6 +1748,14 @@ class Slideshow {
       clearInterval(this.timer);
       this.timer = null;
     }
+    if (this.videoTimer) {
+      clearTimeout(this.videoTimer);
+      this.videoTimer = null;
+    }
+    if (this.groupTimer) {
+      clearTimeout(this.groupTimer);
+      this.groupTimer = null;
+    }
   }
 
   restartTimer() {
@@ -236,6 +1764,10 @@ class Slideshow {
   }
 
   togglePlayPause() {
+    if (this.group) {
+      this.sendGroupCommand(this.isPlaying ? 'pause' : 'play');
+      return;
+    }
     this.isPlaying = !this.isPlaying;
     if (this.isPlaying) {
       this.playPauseBtn.textContent = '⏸ Pause';
@@ -244,16 +1776,168 @@ class Slideshow {
       this.playPauseBtn.textContent = '▶ Play';
       this.stopTimer();
     }
+
+    const video = this.currentVideo();
+    if (video) {
+      if (this.isPlaying) {
+        this.playVideo(video);
+      } else {
+        video.pause();
+      }
+    }
+    // Freezes Ken Burns motion while paused
+    this.slideshow.classList.toggle('paused', !this.isPlaying);
+    this.syncMusic();
+    this.reportState();
   }
 
   changeInterval(value) {
+    if (this.group) {
+      this.sendGroupCommand('interval', parseInt(value, 10));
+      return;
+    }
     this.interval = parseInt(value, 10);
+    this.saveSettings();
     if (this.isPlaying) {
       this.restartTimer();
     }
+    this.reportState();
+  }
+
+  // Join the group, starting it with this display's settings if it isn't
+  // playing yet, and show what it is showing
+  async joinGroup() {
+    try {
+      const sent = Date.now();
+      const response = await fetch(`/api/groups/${encodeURIComponent(this.group)}/join`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          interval: this.interval,
+          shuffle: this.isShuffled,
+          albums: this.selectedAlbums,
+          playlist: this.activePlaylist() ? this.playlistId : undefined,
+        }),
+      });
+      if (response.status === 401) {
+        this.redirectToLogin();
+        return;
+      }
+      if (!response.ok) throw new Error(await response.text());
+      const state = await response.json();
+      // The server read its clock about halfway through the round trip
+      this.clockOffset = state.serverTime - (sent + Date.now()) / 2;
+      this.applyGroupState(state, () => this.startScreen.classList.add('hidden'));
+    } catch (error) {
+      console.error(`Failed to join group ${this.group}:`, error);
+    }
+  }
+
+  // Take on a group's playlist and settings, as it was started or changed
+  applyGroupState(state, onLoad) {
+    this.groupState = state;
+    this.displayImages = state.playlist;
+    this.interval = state.interval;
+    this.isShuffled = state.shuffle;
+    this.isPlaying = state.playing;
+    this.updateIntervalSelect();
+    this.updateShuffleButton();
+    this.playPauseBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
+    this.slideshow.classList.toggle('paused', !this.isPlaying);
+
+    const video = this.currentVideo();
+    if (video) {
+      if (this.isPlaying) {
+        this.playVideo(video);
+      } else {
+        video.pause();
+      }
+    }
+    this.syncMusic();
+    this.syncGroup(onLoad);
+  }
+
+  // Follow a change to the group from the server: its clock and settings,
+  // with the image added or removed, or the whole playlist when it was rebuilt
+  applyGroupChange(change) {
+    if (change.name !== this.group || !this.groupState) return;
+    // An ended group starts again, as the first display back sets it up
+    if (change.ended) {
+      this.joinGroup();
+      return;
+    }
+
+    const { added, removed, length, playlist, ...state } = change;
+    let images = this.groupState.playlist;
+    if (playlist) {
+      images = playlist;
+    } else if (added !== undefined) {
+      images = [...images, added];
+    } else if (removed !== undefined) {
+      images = images.filter(name => name !== removed);
+    }
+    // A change was missed (say while the connection was down); fetch the lot
+    if (images.length !== length) {
+      this.joinGroup();
+      return;
+    }
+    this.applyGroupState({ ...state, playlist: images });
+  }
+
+  // Show the image the group is on by the server's clock, and wake up when it
+  // moves on to the next one
+  syncGroup(onLoad) {
+    this.stopTimer();
+    const { playlist, playing, startedAt, elapsed, interval } = this.groupState;
+    if (playlist.length === 0) return;
+
+    const position = playing ? Date.now() + this.clockOffset - startedAt : elapsed;
+    const slot = Math.floor(position / interval);
+    const index = (((slot + this.groupOffset) % playlist.length) + playlist.length) % playlist.length;
+    if (playlist[index] !== this.groupImage || onLoad) {
+      this.groupImage = playlist[index];
+      this.showImage(index, onLoad);
+    } else {
+      // Same image, but the playlist may have changed around it
+      this.currentIndex = index;
+      this.updateImageCounter();
+    }
+
+    if (playing) {
+      // Load the next image ahead of time so every display changes at once
+      const nextImage = playlist[(index + 1) % playlist.length];
+      if (!this.isVideo(nextImage)) {
+        new Image().src = this.imageUrl(nextImage, window.innerWidth, window.innerHeight);
+      }
+      this.groupTimer = setTimeout(() => this.syncGroup(), (slot + 1) * interval - position);
+    }
+  }
+
+  // Controls on a display in a group steer the whole group; every display
+  // then follows the group event from the server
+  async sendGroupCommand(command, value) {
+    try {
+      const response = await fetch(`/api/groups/${encodeURIComponent(this.group)}/${command}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(value === undefined ? {} : { value }),
+      });
+      if (response.status === 404) {
+        // The group was ended (or the server restarted); start it again
+        await this.joinGroup();
+        return;
+      }
+      if (!response.ok) throw new Error(await response.text());
+    } catch (error) {
+      console.error(`Failed to send ${command} to group ${this.group}:`, error);
+    }
   }
 
   async toggleFullscreen() {
+    // Remember the choice so the next start goes fullscreen too
+    this.fullscreen = !document.fullscreenElement;
+    this.saveSettings();
+
     if (!document.fullscreenElement) {
       await this.requestFullscreen();
     } else {
@@ -285,14 +1969,318 @@ class Slideshow {
     const updateClock = () => {
       const now = new Date();
       this.clock.textContent = now.toLocaleTimeString();
+      this.applySchedule(now);
     };
     updateClock();
     setInterval(updateClock, 1000);
   }
 
+  // The profile the schedule picks for a time, or null outside all its windows
+  scheduledProfile(date) {
+    if (!this.schedule) return null;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const toMinutes = (time) => {
+      const [hours, mins] = time.split(':').map(Number);
+      return hours * 60 + mins;
+    };
+    const today = SCHEDULE_DAYS[date.getDay()];
+    const yesterday = SCHEDULE_DAYS[(date.getDay() + 6) % 7];
+    const match = this.schedule.windows.find(({ days, from, to }) => {
+      const start = toMinutes(from);
+      const end = toMinutes(to);
+      if (start < end) return days.includes(today) && minutes >= start && minutes < end;
+      // Past midnight: the early hours belong to the day the window started
+      return (days.includes(today) && minutes >= start) || (days.includes(yesterday) && minutes < end);
+    });
+    return match ? match.profile : null;
+  }
+
+  // Switch to the profile the schedule picks for now, if it has changed. The
+  // settings a profile leaves out, and those outside the schedule, are the
+  // display's own.
+  applySchedule(date = new Date()) {
+    const name = this.scheduledProfile(date);
+    if (name === this.profileName) return;
+
+    if (this.profileName === null) {
+      this.unscheduled = { albums: this.selectedAlbums, interval: this.interval, shuffle: this.isShuffled };
+    }
+    const settings = { ...this.unscheduled, blackout: false, ...(name !== null && this.schedule.profiles[name]) };
+    this.profileName = name;
+    if (name === null) this.unscheduled = null;
+
+    // A group's playlist and timing come from the group
+    if (!this.group) {
+      const reordered = settings.albums !== this.selectedAlbums || settings.shuffle !== this.isShuffled;
+      const retimed = settings.interval !== this.interval;
+      this.selectedAlbums = settings.albums;
+      this.interval = settings.interval;
+      this.isShuffled = settings.shuffle;
+      this.updateIntervalSelect();
+      this.updateShuffleButton();
+
+      // Before the library has loaded there is nothing to update
+      if (this.images.length > 0 && reordered) {
+        this.updateImageCount();
+        if (this.startScreen.classList.contains('hidden')) {
+          this.reorder();
+        } else {
+          this.populateImageGrid();
+        }
+      }
+      if (retimed && this.isPlaying && this.startScreen.classList.contains('hidden')) {
+        this.restartTimer();
+      }
+    }
+    this.setBlackout(Boolean(settings.blackout), settings.blackout === 'clock');
+  }
+
+  // Blank the screen (leaving a dimmed clock if showClock), and hold the
+  // slideshow where it is until the blackout ends
+  setBlackout(blackout, showClock) {
+    document.body.classList.toggle('blackout', blackout);
+    document.body.classList.toggle('blackout-clock', blackout && showClock);
+    if (blackout === this.blackout) return;
+    this.blackout = blackout;
+    this.syncMusic();
+
+    if (!this.startScreen.classList.contains('hidden') || !this.isPlaying) return;
+    const video = this.currentVideo();
+    if (blackout) {
+      this.stopTimer();
+      if (video) video.pause();
+    } else if (this.group) {
+      // Catch up with the group rather than moving on by itself
+      this.syncGroup();
+      if (video && this.currentVideo() === video) this.playVideo(video);
+    } else {
+      this.restartTimer();
+      if (video) this.playVideo(video);
+    }
+  }
+
+  // The tracks in the server's music folder. The music controls stay hidden
+  // when there are none.
+  async loadMusic() {
+    try {
+      const response = await fetch('/api/music');
+      if (!response.ok) return;
+      this.musicTracks = await response.json();
+    } catch (error) {
+      console.error('Failed to load music:', error);
+      return;
+    }
+    this.musicControls.classList.toggle('hidden', this.musicTracks.length === 0);
+    if (this.exportAudioLabel) this.exportAudioLabel.classList.toggle('hidden', this.musicTracks.length === 0);
+    this.musicQueue = this.musicMode === 'shuffle' ? shuffle(this.musicTracks) : [...this.musicTracks];
+    this.musicIndex = -1;
+    if (this.musicStarted) this.syncMusic();
+  }
+
+  // Play the music while the slideshow runs, and pause it with the slideshow
+  // (when paused, or blanked by the schedule)
+  syncMusic() {
+    if (this.musicQueue.length === 0) return;
+
+    if (this.musicStarted && this.isPlaying && !this.blackout) {
+      if (this.musicIndex < 0) {
+        this.playTrack(0);
+      } else {
+        this.playMusic();
+      }
+    } else if (this.musicIndex >= 0) {
+      this.music.pause();
+    }
+  }
+
+  playTrack(index) {
+    this.musicIndex = index;
+    this.music.src = `/music/${encodeURIComponent(this.musicQueue[index])}`;
+    this.skipTrackBtn.title = this.musicQueue[index];
+    if (this.musicStarted && this.isPlaying && !this.blackout) {
+      this.playMusic();
+    }
+  }
+
+  playMusic() {
+    this.music.volume = this.musicVolume;
+    this.music.muted = this.musicMuted;
+    const playing = this.music.play();
+    if (playing) {
+      // Blocked until the page has been clicked; the next sync tries again
+      playing.catch(() => {});
+    }
+  }
+
+  // Move on to the next track, shuffling the tracks again after the last one
+  nextTrack() {
+    if (this.musicQueue.length === 0) return;
+
+    let index = this.musicIndex + 1;
+    if (index >= this.musicQueue.length) {
+      index = 0;
+      if (this.musicMode === 'shuffle') this.musicQueue = shuffle(this.musicTracks);
+    }
+    this.playTrack(index);
+  }
+
+  handleMusicError() {
+    this.musicErrors++;
+    if (this.musicErrors < this.musicQueue.length) {
+      this.nextTrack();
+    } else {
+      console.error('Failed to play any of the music');
+    }
+  }
+
+  toggleMusic() {
+    this.musicMuted = !this.musicMuted;
+    this.music.muted = this.musicMuted;
+    this.updateMusicControls();
+    this.saveSettings();
+  }
+
+  setMusicVolume(volume) {
+    if (!(volume >= 0 && volume <= 1)) return;
+    this.musicVolume = volume;
+    this.music.volume = volume;
+    this.saveSettings();
+  }
+
+  // Switch between playing the tracks in order and shuffled, carrying on with
+  // the track that is playing
+  setMusicMode(mode) {
+    this.musicMode = MUSIC_MODES.includes(mode) ? mode : 'loop';
+    const current = this.musicQueue[this.musicIndex];
+    if (this.musicMode === 'loop') {
+      this.musicQueue = [...this.musicTracks];
+    } else if (current === undefined) {
+      this.musicQueue = shuffle(this.musicTracks);
+    } else {
+      // The rest of the tracks play shuffled after the one playing now
+      this.musicQueue = [current, ...shuffle(this.musicTracks.filter(track => track !== current))];
+    }
+    if (current !== undefined) this.musicIndex = this.musicQueue.indexOf(current);
+    this.updateMusicControls();
+    this.saveSettings();
+  }
+
+  updateMusicControls() {
+    this.musicBtn.textContent = this.musicMuted ? '🎵 Music off' : '🎵 Music';
+    this.musicVolumeInput.value = String(this.musicVolume);
+    this.musicModeSelect.value = this.musicMode;
+  }
+
+  // Offer to export the slideshow as a video, and carry on following an export
+  // still in progress from before a reload. Share links can't export, so it
+  // stays hidden for them.
+  async loadExports() {
+    if (!this.exportPicker) return;
+    let exports;
+    try {
+      const response = await fetch('/api/exports');
+      if (!response.ok) return;
+      exports = await response.json();
+    } catch (error) {
+      console.error('Failed to load exports:', error);
+      return;
+    }
+    this.exportPicker.classList.remove('hidden');
+    if (exports.length > 0 && !['done', 'failed'].includes(exports[0].status)) this.showExport(exports[0]);
+  }
+
+  // Render the selected images, in the order the slideshow will show them,
+  // as a video on the server
+  async exportVideo() {
+    const selected = this.getSelectedImages().filter(imageName => !this.isVideo(imageName));
+    if (selected.length === 0) return;
+
+    const source = this.exportSource();
+    const count = source.images ? source.images.length : selected.length;
+    if (count > MAX_EXPORT_IMAGES) {
+      this.exportStatus.textContent = `A video can have at most ${MAX_EXPORT_IMAGES} images, and this slideshow has ${count}`;
+      return;
+    }
+
+    this.exportBtn.disabled = true;
+    try {
+      const response = await fetch('/api/exports', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...source,
+          interval: Math.min(this.interval, MAX_EXPORT_INTERVAL),
+          transition: this.transition,
+          format: this.exportFormatSelect.value,
+          audio: this.exportAudioToggle.checked && this.musicTracks.length > 0,
+        }),
+      });
+      if (!response.ok) throw new Error(await response.text());
+      this.showExport(await response.json());
+    } catch (error) {
+      console.error('Failed to export the slideshow:', error);
+      this.exportStatus.textContent = `Export failed: ${error.message}`;
+      this.exportBtn.disabled = false;
+    }
+  }
+
+  // What to export: a playlist or albums in their own order, which the server
+  // lists the same way, or else the images lined up as the slideshow will
+  // show them, which it then starts with
+  exportSource() {
+    const playlist = this.activePlaylist();
+    if (!this.isShuffled && !this.favoritesOnly) {
+      if (playlist) return { playlist: playlist.id };
+      if (!this.hasFilters() && this.includeSubfolders) return { albums: this.selectedAlbums, sort: this.sortBy };
+    }
+    this.updateDisplayOrder();
+    this.exportOrder = { key: this.orderKey(), images: this.displayImages };
+    return { images: this.displayImages.filter(imageName => !this.isVideo(imageName)) };
+  }
+
+  // What the slideshow's order is drawn from
+  orderKey() {
+    return JSON.stringify([this.getSelectedImages(), this.isShuffled, this.weightedShuffle, this.spread]);
+  }
+
+  // Show how an export is getting on, checking back until its video can be
+  // downloaded
+  showExport(job) {
+    clearTimeout(this.exportTimer);
+    const finished = job.status === 'done' || job.status === 'failed';
+    this.exportBtn.disabled = !finished;
+    this.exportStatus.innerHTML = '';
+    if (job.status === 'done') {
+      const link = document.createElement('a');
+      link.href = `/api/exports/${encodeURIComponent(job.id)}/video`;
+      link.download = '';
+      link.textContent = '⬇ Download video';
+      this.exportStatus.appendChild(link);
+    } else if (job.status === 'failed') {
+      this.exportStatus.textContent = `Export failed: ${job.error}`;
+    } else {
+      this.exportStatus.textContent = `Exporting… ${Math.round(job.progress * 100)}%`;
+      this.exportTimer = setTimeout(() => this.checkExport(job.id), EXPORT_POLL_INTERVAL);
+    }
+  }
+
+  async checkExport(id) {
+    try {
+      const response = await fetch(`/api/exports/${encodeURIComponent(id)}`);
+      if (!response.ok) throw new Error(await response.text());
+      this.showExport(await response.json());
+    } catch (error) {
+      console.error('Failed to check on the export:', error);
+      this.exportStatus.textContent = 'Lost track of the export';
+      this.exportBtn.disabled = false;
+    }
+  }
+
   toggleMetadata() {
     this.showMetadata = !this.showMetadata;
     this.updateMetadataButton();
+    this.saveSettings();
     if (this.showMetadata) {
       this.metadata.classList.add('enabled');
       this.fetchMetadata();
@@ -305,23 +2293,60 @@ class Slideshow {
     this.metadataBtn.textContent = this.showMetadata ? 'ℹ Info ✓' : 'ℹ Info';
   }
 
+  toggleCaptions() {
+    this.showCaptions = !this.showCaptions;
+    this.updateCaptionControls();
+    this.saveSettings();
+    if (this.showCaptions) {
+      this.fetchMetadata();
+    } else {
+      this.displayCaption(null);
+    }
+  }
+
+  setCaptionPosition(position) {
+    this.captionPosition = CAPTION_POSITIONS.includes(position) ? position : 'bottom';
+    this.updateCaptionControls();
+    this.saveSettings();
+  }
+
+  updateCaptionControls() {
+    this.captionBtn.textContent = this.showCaptions ? '💬 Captions ✓' : '💬 Captions';
+    this.captionPositionSelect.value = this.captionPosition;
+    for (const position of CAPTION_POSITIONS) {
+      this.caption.classList.toggle(`caption-${position}`, position === this.captionPosition);
+    }
+  }
+
   async fetchMetadata() {
-    if (!this.showMetadata || this.displayImages.length === 0) return;
+    if ((!this.showMetadata && !this.showCaptions) || this.displayImages.length === 0) return;
 
     const imageName = this.displayImages[this.currentIndex];
     try {
       const response = await fetch(`/api/images/${encodeURIComponent(imageName)}/metadata`);
       if (!response.ok) {
         this.metadata.innerHTML = '<div>Metadata unavailable</div>';
+        this.displayCaption(null);
         return;
       }
       const data = await response.json();
-      this.displayMetadata(data);
+      // The slideshow may have moved on while this loaded
+      if (this.displayImages[this.currentIndex] !== imageName) return;
+      if (this.showMetadata) this.displayMetadata(data);
+      this.displayCaption(data.caption);
     } catch (error) {
       this.metadata.innerHTML = '<div>Failed to load metadata</div>';
+      this.displayCaption(null);
     }
   }
 
+  // Show the current image's caption, or hide the caption when it has none
+  displayCaption(caption) {
+    const visible = this.showCaptions && Boolean(caption);
+    this.caption.textContent = visible ? caption : '';
+    this.caption.classList.toggle('visible', visible);
+  }
+
   displayMetadata(data) {
     const formatSize = (bytes) => {
       if (bytes < 1024) return bytes + ' B';
@@ -385,6 +2410,10 @@ class Slideshow {
         html += `<div><span class="label">Flash:</span>${escapeHtml(exif.flash)}</div>`;
       }
 
+      if (data.place) {
+        html += `<div><span class="label">Place:</span>${escapeHtml(data.place)}</div>`;
+      }
+
       if (exif.gps) {
         const lat = exif.gps.latitude.toFixed(6);
         const lng = exif.gps.longitude.toFixed(6);
@@ -435,6 +2464,42 @@ class Slideshow {
       case 'I':
         this.toggleMetadata();
         break;
+      case 'c':
+      case 'C':
+        this.toggleCaptions();
+        break;
+      case 'k':
+      case 'K':
+        this.toggleKenBurns();
+        break;
+      case 'm':
+      case 'M':
+        this.toggleMute();
+        break;
+      case 'l':
+      case 'L':
+        this.toggleFavorite();
+        break;
+      case '0':
+      case '1':
+      case '2':
+      case '3':
+      case '4':
+      case '5':
+        this.setStars(parseInt(e.key, 10));
+        break;
+      case 'h':
+      case 'H':
+        this.hideCurrent();
+        break;
+      case 'b':
+      case 'B':
+        this.toggleMusic();
+        break;
+      case 'n':
+      case 'N':
+        this.nextTrack();
+        break;
     }
   }
 
@@ -16,7 +16,44 @@ function setupDOM() {
       <div class="start-content">
         <h1>Image Slideshow</h1>
         <p id="imageCount">Loading...</p>
+        <div class="playlist-picker hidden" id="playlistPicker">
+          <select id="playlistSelect">
+            <option value="">Albums and filters</option>
+          </select>
+          <button id="newPlaylistBtn">＋ New</button>
+          <button id="renamePlaylistBtn" disabled>✎ Rename</button>
+          <button id="deletePlaylistBtn" disabled>🗑 Delete</button>
+          <ol class="playlist-images hidden" id="playlistImages"></ol>
+        </div>
+        <div class="album-picker hidden" id="albumPicker">
+          <div class="album-list" id="albumList"></div>
+          <label><input type="checkbox" id="subfoldersToggle" checked> Include subfolders</label>
+        </div>
+        <div class="filter-picker" id="filterPicker">
+          <select id="startSortSelect">
+            <option value="name" selected>Name</option>
+            <option value="dateTaken">Date taken</option>
+          </select>
+          <select id="cameraSelect">
+            <option value="">All cameras</option>
+          </select>
+          <select id="placeSelect">
+            <option value="">All places</option>
+          </select>
+          <input type="date" id="fromDate">
+          <input type="date" id="toDate">
+          <input type="checkbox" id="onThisDayToggle">
+        </div>
         <button class="start-btn" id="startBtn">Start Slideshow</button>
+        <div class="export-picker hidden" id="exportPicker">
+          <select id="exportFormatSelect">
+            <option value="mp4" selected>MP4</option>
+            <option value="webm">WebM</option>
+          </select>
+          <label class="hidden" id="exportAudioLabel"><input type="checkbox" id="exportAudioToggle"> With music</label>
+          <button id="exportBtn">🎬 Export video</button>
+          <span id="exportStatus"></span>
+        </div>
       </div>
     </div>
     <div class="slideshow-container" id="slideshow">
@@ -33,10 +70,67 @@ function setupDOM() {
         <option value="30000" selected>30 sec</option>
       </select>
       <button id="shuffleBtn">🔀 Shuffle</button>
+      <select id="sortSelect">
+        <option value="name" selected>Name</option>
+        <option value="dateTaken">Date taken</option>
+      </select>
+      <select id="barCameraSelect">
+        <option value="">All cameras</option>
+      </select>
+      <select id="barPlaceSelect">
+        <option value="">All places</option>
+      </select>
+      <input type="date" id="barFromDate">
+      <input type="date" id="barToDate">
+      <button id="onThisDayBtn">📅 On this day</button>
+      <button id="favoritesOnlyBtn">♥ Favorites only</button>
+      <button id="weightedBtn">⚖️ Weighted</button>
+      <select id="spreadSelect">
+        <option value="none" selected>Off</option>
+        <option value="folder">By folder</option>
+        <option value="date">By date</option>
+      </select>
+      <button id="favoriteBtn">♡ Favorite</button>
+      <select id="ratingSelect">
+        <option value="0" selected>None</option>
+        <option value="1">★</option>
+        <option value="2">★★</option>
+        <option value="3">★★★</option>
+        <option value="4">★★★★</option>
+        <option value="5">★★★★★</option>
+      </select>
+      <button id="hideBtn">🚫 Hide</button>
+      <select id="addToPlaylistSelect" class="hidden">
+        <option value="">➕ Add to playlist…</option>
+      </select>
+      <select id="transitionSelect">
+        <option value="crossfade" selected>Crossfade</option>
+        <option value="slide">Slide</option>
+        <option value="zoom">Zoom</option>
+        <option value="none">None</option>
+      </select>
+      <button id="kenBurnsBtn">🎥 Pan &amp; zoom</button>
+      <button id="muteBtn">🔇 Muted</button>
       <button id="metadataBtn">ℹ Info</button>
+      <button id="captionBtn">💬 Captions</button>
+      <select id="captionPositionSelect">
+        <option value="bottom" selected>Bottom</option>
+        <option value="top">Top</option>
+      </select>
+      <span class="music-controls hidden" id="musicControls">
+        <button id="musicBtn">🎵 Music</button>
+        <button id="skipTrackBtn">⏭ Track</button>
+        <input type="range" id="musicVolume" min="0" max="1" step="0.05" value="0.5">
+        <select id="musicModeSelect">
+          <option value="loop" selected>In order</option>
+          <option value="shuffle">Shuffled</option>
+        </select>
+      </span>
       <button id="fullscreenBtn">⛶ Fullscreen</button>
     </div>
+    <audio id="music"></audio>
     <div class="metadata" id="metadata"></div>
+    <div class="caption" id="caption"></div>
   `;
 }
 
@@ -56,6 +150,17 @@ function loadSlideshow() {
   return new Function(wrappedCode)();
 }
 
+// What the server answers for a library of these images without subfolders,
+// for mocks that answer the rest of the start screen's requests with the images
+function libraryResponse(url, images) {
+  if (url === '/api/folders') {
+    const tree = { name: '', path: '', imageCount: images.length, totalCount: images.length, children: [] };
+    return { ok: true, json: () => Promise.resolve(tree) };
+  }
+  if (url === '/api/music' || url === '/api/exports') return { ok: true, json: () => Promise.resolve([]) };
+  return { ok: true, json: () => Promise.resolve(images) };
+}
+
 let Slideshow;
 
 beforeAll(() => {
@@ -65,6 +170,8 @@ beforeAll(() => {
 
 beforeEach(() => {
   setupDOM();
+  history.replaceState(null, '', '/');
+  localStorage.clear();
   jest.clearAllMocks();
   global.fetch.mockResolvedValue({
     json: () => Promise.resolve(['image1.jpg', 'image2.jpg', 'image3.jpg', 'image4.jpg', 'image5.jpg']),
@@ -461,6 +568,24 @@ describe('Metadata feature', () => {
     expect(metadataHtml).toContain('ISO 100');
     expect(metadataHtml).not.toContain('Lens:');
     expect(metadataHtml).not.toContain('GPS:');
+    expect(metadataHtml).not.toContain('Place:');
+  });
+
+  it('should show the place name before the coordinates', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.displayMetadata({
+      filename: 'tower.jpg',
+      size: 1000,
+      modified: '2024-01-15T10:30:00.000Z',
+      place: 'Paris, France',
+      exif: { gps: { latitude: 48.85837, longitude: 2.294481 } },
+    });
+
+    const metadataHtml = document.getElementById('metadata').innerHTML;
+    expect(metadataHtml).toContain('<span class="label">Place:</span>Paris, France');
+    expect(metadataHtml.indexOf('Place:')).toBeLessThan(metadataHtml.indexOf('GPS:'));
   });
 
   it('should format file sizes correctly', async () => {
@@ -520,63 +645,2303 @@ describe('Metadata feature', () => {
   });
 });
 
-describe('Image grid feature', () => {
-  it('should initialize imageGrid element', async () => {
+describe('Captions', () => {
+  const metadataResponse = (data) => ({ ok: true, json: () => Promise.resolve(data) });
+
+  it('should be off by default', async () => {
     const slideshow = new Slideshow();
     await new Promise(resolve => setTimeout(resolve, 10));
 
-    expect(slideshow.imageGrid).toBe(document.getElementById('imageGrid'));
+    expect(slideshow.showCaptions).toBe(false);
+    expect(document.getElementById('captionBtn').textContent).toBe('💬 Captions');
+    expect(document.getElementById('caption').classList.contains('caption-bottom')).toBe(true);
   });
 
-  it('should populate grid with images after loading', async () => {
+  it('should show the caption of the current image', async () => {
     const slideshow = new Slideshow();
     await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.displayImages = [...slideshow.images];
+    slideshow.currentIndex = 1;
+    global.fetch.mockResolvedValue(metadataResponse({ filename: 'image2.jpg', caption: 'First day of <school>' }));
 
-    const grid = document.getElementById('imageGrid');
-    const cells = grid.querySelectorAll('.grid-cell');
+    slideshow.toggleCaptions();
+    await new Promise(resolve => setTimeout(resolve, 10));
 
-    expect(cells.length).toBe(5); // We have 5 images in mock
+    const caption = document.getElementById('caption');
+    expect(global.fetch).toHaveBeenCalledWith('/api/images/image2.jpg/metadata');
+    expect(caption.textContent).toBe('First day of <school>');
+    expect(caption.classList.contains('visible')).toBe(true);
+    expect(document.getElementById('captionBtn').textContent).toBe('💬 Captions ✓');
+
+    slideshow.toggleCaptions();
+    expect(caption.classList.contains('visible')).toBe(false);
   });
 
-  it('should create up to 40 cells for larger image sets', async () => {
-    // Mock more images
-    const manyImages = Array.from({ length: 50 }, (_, i) => `image${i + 1}.jpg`);
+  it('should hide the caption for images without one', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.displayImages = [...slideshow.images];
+    slideshow.showCaptions = true;
+    slideshow.displayCaption('Old caption');
+    global.fetch.mockResolvedValue(metadataResponse({ filename: 'image1.jpg', caption: null }));
+
+    await slideshow.fetchMetadata();
+
+    expect(document.getElementById('caption').classList.contains('visible')).toBe(false);
+  });
+
+  it('should fetch captions with the info panel off', async () => {
+    localStorage.setItem('slideshow.settings', JSON.stringify({ info: false, captions: true }));
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.displayImages = [...slideshow.images];
+    global.fetch.mockResolvedValue(metadataResponse({ filename: 'image1.jpg', caption: 'Beach' }));
+
+    await slideshow.fetchMetadata();
+
+    expect(document.getElementById('caption').textContent).toBe('Beach');
+    expect(document.getElementById('metadata').innerHTML).toBe('');
+  });
+
+  it('should read the captions and their position from the URL', async () => {
+    history.replaceState(null, '', '/?captions=1&captionpos=top');
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.showCaptions).toBe(true);
+    expect(slideshow.captionPosition).toBe('top');
+    expect(document.getElementById('captionPositionSelect').value).toBe('top');
+    expect(document.getElementById('caption').classList.contains('caption-top')).toBe(true);
+  });
+
+  it('should move the caption and remember where', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.setCaptionPosition('top');
+    expect(document.getElementById('caption').classList.contains('caption-top')).toBe(true);
+    expect(document.getElementById('caption').classList.contains('caption-bottom')).toBe(false);
+    expect(JSON.parse(localStorage.getItem('slideshow.settings')).captionPosition).toBe('top');
+
+    slideshow.setCaptionPosition('sideways');
+    expect(slideshow.captionPosition).toBe('bottom');
+  });
+
+  it('should toggle captions when C is pressed', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.handleKeydown(new KeyboardEvent('keydown', { key: 'c' }));
+    expect(slideshow.showCaptions).toBe(true);
+    slideshow.handleKeydown(new KeyboardEvent('keydown', { key: 'C' }));
+    expect(slideshow.showCaptions).toBe(false);
+  });
+});
+
+describe('Background music', () => {
+  const tracks = ['intro.mp3', 'Jazz/take five.ogg', 'outro.flac'];
+  let play;
+  let pause;
+
+  beforeEach(() => {
+    play = jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+    pause = jest.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    global.fetch.mockImplementation((url) => Promise.resolve(url === '/api/music'
+      ? { ok: true, json: () => Promise.resolve(tracks) }
+      : { json: () => Promise.resolve(['image1.jpg', 'image2.jpg', 'image3.jpg']) }));
+  });
+
+  afterEach(() => {
+    play.mockRestore();
+    pause.mockRestore();
+  });
+
+  const newSlideshow = async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return slideshow;
+  };
+
+  it('should hide the music controls when the server has no music', async () => {
+    global.fetch.mockImplementation((url) => Promise.resolve(url === '/api/music'
+      ? { ok: true, json: () => Promise.resolve([]) }
+      : { json: () => Promise.resolve(['image1.jpg']) }));
+    const slideshow = await newSlideshow();
+    slideshow.start();
+
+    expect(document.getElementById('musicControls').classList.contains('hidden')).toBe(true);
+    expect(play).not.toHaveBeenCalled();
+  });
+
+  it('should wait for the slideshow to start before playing', async () => {
+    const slideshow = await newSlideshow();
+    expect(document.getElementById('musicControls').classList.contains('hidden')).toBe(false);
+    expect(play).not.toHaveBeenCalled();
+
+    slideshow.start();
+    const music = document.getElementById('music');
+    expect(play).toHaveBeenCalledTimes(1);
+    expect(play.mock.contexts[0]).toBe(music);
+    expect(music.getAttribute('src')).toBe('/music/intro.mp3');
+    expect(music.volume).toBe(0.5);
+    slideshow.stopTimer();
+  });
+
+  it('should pause and resume with the slideshow', async () => {
+    const slideshow = await newSlideshow();
+    slideshow.start();
+    play.mockClear();
+
+    slideshow.togglePlayPause();
+    expect(pause).toHaveBeenCalledTimes(1);
+    expect(pause.mock.contexts[0]).toBe(document.getElementById('music'));
+    expect(play).not.toHaveBeenCalled();
+
+    slideshow.togglePlayPause();
+    expect(play).toHaveBeenCalledTimes(1);
+    expect(pause).toHaveBeenCalledTimes(1);
+    expect(document.getElementById('music').getAttribute('src')).toBe('/music/intro.mp3');
+    slideshow.stopTimer();
+  });
+
+  it('should pause while the schedule blanks the screen', async () => {
+    const slideshow = await newSlideshow();
+    slideshow.start();
+    play.mockClear();
+    pause.mockClear();
+
+    slideshow.setBlackout(true, false);
+    expect(pause).toHaveBeenCalledTimes(1);
+    expect(pause.mock.contexts[0]).toBe(document.getElementById('music'));
+    expect(play).not.toHaveBeenCalled();
+
+    slideshow.setBlackout(false, false);
+    expect(play).toHaveBeenCalledTimes(1);
+    slideshow.stopTimer();
+  });
+
+  it('should play the tracks in order and start over after the last', async () => {
+    const slideshow = await newSlideshow();
+    slideshow.start();
+    const music = document.getElementById('music');
+
+    music.dispatchEvent(new Event('ended'));
+    expect(music.getAttribute('src')).toBe(`/music/${encodeURIComponent('Jazz/take five.ogg')}`);
+    slideshow.nextTrack();
+    music.dispatchEvent(new Event('ended'));
+    expect(music.getAttribute('src')).toBe('/music/intro.mp3');
+    // Once at the start and once for each of the three tracks after it
+    expect(play).toHaveBeenCalledTimes(4);
+    slideshow.stopTimer();
+  });
+
+  it('should shuffle the tracks, carrying on with the one playing', async () => {
+    const slideshow = await newSlideshow();
+    slideshow.start();
+
+    document.getElementById('musicModeSelect').value = 'shuffle';
+    document.getElementById('musicModeSelect').dispatchEvent(new Event('change'));
+    expect(slideshow.musicQueue[slideshow.musicIndex]).toBe('intro.mp3');
+    expect([...slideshow.musicQueue].sort()).toEqual([...tracks].sort());
+    expect(JSON.parse(localStorage.getItem('slideshow.settings')).musicMode).toBe('shuffle');
+
+    slideshow.nextTrack();
+    slideshow.nextTrack();
+    slideshow.nextTrack();
+    expect(slideshow.musicIndex).toBe(0);
+    expect([...slideshow.musicQueue].sort()).toEqual([...tracks].sort());
+    slideshow.stopTimer();
+  });
+
+  it('should skip tracks that fail to load, but not forever', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const slideshow = await newSlideshow();
+    slideshow.start();
+    const music = document.getElementById('music');
+
+    for (let i = 0; i < 5; i++) music.dispatchEvent(new Event('error'));
+    expect(slideshow.musicIndex).toBe(2);
+    expect(errorSpy).toHaveBeenCalledWith('Failed to play any of the music');
+    errorSpy.mockRestore();
+    slideshow.stopTimer();
+  });
+
+  it('should mute, skip and change the volume', async () => {
+    const slideshow = await newSlideshow();
+    slideshow.start();
+    const music = document.getElementById('music');
+
+    slideshow.handleKeydown(new KeyboardEvent('keydown', { key: 'b' }));
+    expect(music.muted).toBe(true);
+    expect(document.getElementById('musicBtn').textContent).toBe('🎵 Music off');
+
+    slideshow.handleKeydown(new KeyboardEvent('keydown', { key: 'N' }));
+    expect(music.getAttribute('src')).toBe(`/music/${encodeURIComponent('Jazz/take five.ogg')}`);
+
+    const volume = document.getElementById('musicVolume');
+    volume.value = '0.2';
+    volume.dispatchEvent(new Event('input'));
+    expect(music.volume).toBe(0.2);
+    expect(JSON.parse(localStorage.getItem('slideshow.settings'))).toEqual(expect.objectContaining({ musicVolume: 0.2, musicMuted: true }));
+    slideshow.stopTimer();
+  });
+
+  it('should read the music settings from the URL', async () => {
+    history.replaceState(null, '', '/?music=0&musicmode=shuffle&volume=0.3');
+    const slideshow = await newSlideshow();
+
+    expect(slideshow.musicMuted).toBe(true);
+    expect(slideshow.musicMode).toBe('shuffle');
+    expect(slideshow.musicVolume).toBe(0.3);
+    expect(document.getElementById('musicModeSelect').value).toBe('shuffle');
+    expect(play).not.toHaveBeenCalled();
+  });
+});
+
+describe('Live library updates', () => {
+  let eventSources;
+
+  beforeEach(() => {
+    eventSources = [];
+    global.EventSource = jest.fn(function (url) {
+      this.url = url;
+      this.listeners = {};
+      this.addEventListener = (type, listener) => { this.listeners[type] = listener; };
+      this.emit = (type, data) => this.listeners[type]({ data: JSON.stringify(data) });
+      eventSources.push(this);
+    });
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+  });
+
+  it('should subscribe to change events after loading images', async () => {
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(eventSources).toHaveLength(1);
+    expect(eventSources[0].url).toBe('/api/events');
+  });
+
+  it('should add new images in sorted order and update the count', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    eventSources[0].emit('add', 'image3b.jpg');
+
+    expect(slideshow.images).toEqual(['image1.jpg', 'image2.jpg', 'image3.jpg', 'image3b.jpg', 'image4.jpg', 'image5.jpg']);
+    expect(document.getElementById('imageCount').textContent).toBe('6 images found');
+  });
+
+  it('should ignore duplicate add events', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.addImage('image1.jpg');
+
+    expect(slideshow.images).toHaveLength(5);
+  });
+
+  it('should enable the start button when the first image arrives', async () => {
     global.fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(manyImages),
+      json: () => Promise.resolve([]),
     });
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(document.getElementById('startBtn').disabled).toBe(true);
+
+    slideshow.addImage('first.jpg');
+
+    expect(document.getElementById('startBtn').disabled).toBe(false);
+    expect(document.getElementById('imageCount').textContent).toBe('1 images found');
+  });
 
+  it('should keep the current image when adding during ordered playback', async () => {
     const slideshow = new Slideshow();
     await new Promise(resolve => setTimeout(resolve, 10));
 
-    const grid = document.getElementById('imageGrid');
-    const cells = grid.querySelectorAll('.grid-cell');
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+    slideshow.currentIndex = 2;
 
-    expect(cells.length).toBe(40); // Max 40 cells (8x5 grid)
+    slideshow.addImage('image0.jpg');
+
+    expect(slideshow.displayImages[0]).toBe('image0.jpg');
+    expect(slideshow.displayImages[slideshow.currentIndex]).toBe('image3.jpg');
+    expect(document.getElementById('imageCounter').textContent).toBe('4 / 6');
   });
 
-  it('should create img elements inside grid cells', async () => {
+  it('should queue added images after the current one when shuffled', async () => {
     const slideshow = new Slideshow();
     await new Promise(resolve => setTimeout(resolve, 10));
 
-    const grid = document.getElementById('imageGrid');
-    const images = grid.querySelectorAll('.grid-cell img');
+    slideshow.isShuffled = true;
+    slideshow.displayImages = ['image3.jpg', 'image1.jpg', 'image5.jpg', 'image2.jpg', 'image4.jpg'];
+    slideshow.currentIndex = 2;
 
-    expect(images.length).toBe(5);
+    slideshow.addImage('new.jpg');
+
+    expect(slideshow.displayImages.indexOf('new.jpg')).toBeGreaterThan(2);
+    expect(slideshow.displayImages[slideshow.currentIndex]).toBe('image5.jpg');
   });
 
-  it('should set correct src for grid images', async () => {
+  it('should remove deleted images without changing the current image', async () => {
     const slideshow = new Slideshow();
     await new Promise(resolve => setTimeout(resolve, 10));
 
-    const grid = document.getElementById('imageGrid');
-    const images = grid.querySelectorAll('.grid-cell img');
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+    slideshow.currentIndex = 3;
+    slideshow.isPlaying = true;
 
-    // All images should have src starting with /images/
-    images.forEach(img => {
-      expect(img.src).toContain('/images/');
+    eventSources[0].emit('remove', 'image1.jpg');
+
+    expect(slideshow.images).not.toContain('image1.jpg');
+    expect(slideshow.displayImages[slideshow.currentIndex]).toBe('image4.jpg');
+    expect(slideshow.isPlaying).toBe(true);
+  });
+
+  it('should advance to the image after a removed current image', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+    slideshow.currentIndex = 2;
+
+    slideshow.removeImage('image3.jpg');
+
+    expect(slideshow.displayImages[(slideshow.currentIndex + 1) % slideshow.displayImages.length]).toBe('image4.jpg');
+  });
+
+  it('should wrap to the new first image when the current first image is removed', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+    slideshow.currentIndex = 0;
+
+    slideshow.removeImage('image1.jpg');
+
+    expect(slideshow.displayImages[(slideshow.currentIndex + 1) % slideshow.displayImages.length]).toBe('image2.jpg');
+  });
+});
+
+describe('Remote control', () => {
+  let eventSources;
+
+  beforeEach(() => {
+    eventSources = [];
+    global.EventSource = jest.fn(function (url) {
+      this.url = url;
+      this.listeners = {};
+      this.addEventListener = (type, listener) => { this.listeners[type] = listener; };
+      this.emit = (type, data) => this.listeners[type]({ data: JSON.stringify(data) });
+      eventSources.push(this);
+    });
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+  });
+
+  const startSlideshow = async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = false;
+    slideshow.start();
+    document.getElementById('startScreen').classList.add('hidden');
+    return slideshow;
+  };
+
+  const reportedStates = () => global.fetch.mock.calls
+    .filter(([url]) => url === '/api/control/state')
+    .map(([, options]) => JSON.parse(options.body));
+
+  it('should move between images on command', async () => {
+    const slideshow = await startSlideshow();
+
+    eventSources[0].emit('control', { command: 'next' });
+    eventSources[0].emit('control', { command: 'next' });
+    expect(slideshow.currentIndex).toBe(2);
+    eventSources[0].emit('control', { command: 'prev' });
+    expect(slideshow.currentIndex).toBe(1);
+  });
+
+  it('should play and pause on command', async () => {
+    const slideshow = await startSlideshow();
+
+    eventSources[0].emit('control', { command: 'pause' });
+    expect(slideshow.isPlaying).toBe(false);
+    eventSources[0].emit('control', { command: 'pause' });
+    expect(slideshow.isPlaying).toBe(false);
+    eventSources[0].emit('control', { command: 'toggle' });
+    expect(slideshow.isPlaying).toBe(true);
+    eventSources[0].emit('control', { command: 'play' });
+    expect(slideshow.isPlaying).toBe(true);
+  });
+
+  it('should start the slideshow when told to play from the start screen', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const start = jest.spyOn(slideshow, 'start');
+
+    eventSources[0].emit('control', { command: 'next' });
+    eventSources[0].emit('control', { command: 'pause' });
+    expect(start).not.toHaveBeenCalled();
+    eventSources[0].emit('control', { command: 'play' });
+    expect(start).toHaveBeenCalled();
+  });
+
+  it('should change the shuffle and interval on command', async () => {
+    const slideshow = await startSlideshow();
+
+    eventSources[0].emit('control', { command: 'shuffle', value: false });
+    expect(slideshow.isShuffled).toBe(false);
+    eventSources[0].emit('control', { command: 'shuffle' });
+    expect(slideshow.isShuffled).toBe(true);
+
+    eventSources[0].emit('control', { command: 'interval', value: 7000 });
+    expect(slideshow.interval).toBe(7000);
+    expect(document.getElementById('intervalSelect').value).toBe('7000');
+  });
+
+  it('should report what it shows', async () => {
+    const slideshow = await startSlideshow();
+    slideshow.next();
+    slideshow.togglePlayPause();
+
+    expect(reportedStates().pop()).toEqual({
+      image: 'image2.jpg',
+      index: 1,
+      total: 5,
+      playing: false,
+      shuffle: false,
+      interval: 60000,
+    });
+  });
+
+  it('should not report anything before the slideshow starts', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.changeInterval('5000');
+
+    expect(reportedStates()).toEqual([]);
+  });
+});
+
+describe('Playback groups', () => {
+  let eventSources;
+  let now;
+  let groupState;
+
+  beforeEach(() => {
+    history.replaceState(null, '', '/?group=lobby');
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    groupState = {
+      name: 'lobby',
+      playlist: ['image3.jpg', 'image1.jpg', 'image2.jpg'],
+      interval: 10000,
+      shuffle: false,
+      albums: [],
+      playing: true,
+      startedAt: now - 15000,
+      elapsed: 15000,
+      serverTime: now,
+    };
+    global.fetch.mockImplementation((url) => Promise.resolve(url.startsWith('/api/groups/')
+      ? { ok: true, status: 200, json: () => Promise.resolve(groupState) }
+      : { json: () => Promise.resolve(['image1.jpg', 'image2.jpg', 'image3.jpg', 'image4.jpg', 'image5.jpg']) }));
+
+    eventSources = [];
+    global.EventSource = jest.fn(function (url) {
+      this.url = url;
+      this.listeners = {};
+      this.addEventListener = (type, listener) => { this.listeners[type] = listener; };
+      this.emit = (type, data) => this.listeners[type]({ data: JSON.stringify(data) });
+      eventSources.push(this);
     });
   });
 
+  afterEach(() => {
+    Date.now.mockRestore();
+    delete global.EventSource;
+  });
+
+  const joinGroup = async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.start();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return slideshow;
+  };
+
+  const groupCommands = () => global.fetch.mock.calls
+    .filter(([url]) => url.startsWith('/api/groups/lobby/') && url !== '/api/groups/lobby/join')
+    .map(([url, options]) => [url, JSON.parse(options.body)]);
+
+  // A group event as the server sends it, with the playlist left out
+  const groupChange = (fields) => {
+    const { playlist, ...clock } = groupState;
+    return { ...clock, length: playlist.length, ...fields };
+  };
+  const joins = () => global.fetch.mock.calls.filter(([url]) => url === '/api/groups/lobby/join').length;
+
+  it('should join the group with its settings and show the image the group is on', async () => {
+    const slideshow = await joinGroup();
+
+    const join = global.fetch.mock.calls.find(([url]) => url === '/api/groups/lobby/join');
+    expect(JSON.parse(join[1].body)).toEqual({ interval: 60000, shuffle: true, albums: [] });
+    expect(slideshow.displayImages).toEqual(['image3.jpg', 'image1.jpg', 'image2.jpg']);
+    expect(slideshow.currentIndex).toBe(1);
+    expect(slideshow.interval).toBe(10000);
+    expect(slideshow.isShuffled).toBe(false);
+    expect(document.getElementById('shuffleBtn').textContent).toBe('➡️ Order');
+    slideshow.stopTimer();
+  });
+
+  it('should show an image ahead of the group with an offset', async () => {
+    history.replaceState(null, '', '/?group=lobby&offset=1');
+    const slideshow = await joinGroup();
+
+    expect(slideshow.currentIndex).toBe(2);
+    slideshow.stopTimer();
+  });
+
+  it('should allow for the server\'s clock being ahead', async () => {
+    groupState = { ...groupState, startedAt: now - 5000, serverTime: now + 10000 };
+    const slideshow = await joinGroup();
+
+    expect(slideshow.clockOffset).toBe(10000);
+    expect(slideshow.currentIndex).toBe(1);
+    slideshow.stopTimer();
+  });
+
+  it('should move on when the group does', async () => {
+    const slideshow = await joinGroup();
+    expect(slideshow.groupTimer).not.toBeNull();
+
+    now += 5000;
+    slideshow.syncGroup();
+    expect(slideshow.currentIndex).toBe(2);
+    now += 10000;
+    slideshow.syncGroup();
+    expect(slideshow.currentIndex).toBe(0);
+    slideshow.stopTimer();
+  });
+
+  it('should catch up with the group after a blackout', async () => {
+    const slideshow = await joinGroup();
+    slideshow.startScreen.classList.add('hidden');
+
+    slideshow.setBlackout(true, false);
+    expect(slideshow.groupTimer).toBeNull();
+
+    now += 5000;
+    slideshow.setBlackout(false, false);
+    expect(slideshow.timer).toBeNull();
+    expect(slideshow.groupTimer).not.toBeNull();
+    expect(slideshow.currentIndex).toBe(2);
+    expect(groupCommands()).toEqual([]);
+    slideshow.stopTimer();
+  });
+
+  it('should steer the group from its controls instead of moving on by itself', async () => {
+    const slideshow = await joinGroup();
+
+    document.getElementById('nextBtn').click();
+    document.getElementById('prevBtn').click();
+    document.getElementById('playPauseBtn').click();
+    document.getElementById('shuffleBtn').click();
+    slideshow.changeInterval('5000');
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(groupCommands()).toEqual([
+      ['/api/groups/lobby/next', {}],
+      ['/api/groups/lobby/prev', {}],
+      ['/api/groups/lobby/pause', {}],
+      ['/api/groups/lobby/shuffle', { value: true }],
+      ['/api/groups/lobby/interval', { value: 5000 }],
+    ]);
+    expect(slideshow.currentIndex).toBe(1);
+    expect(slideshow.isPlaying).toBe(true);
+    slideshow.stopTimer();
+  });
+
+  it('should follow changes to its group only', async () => {
+    const slideshow = await joinGroup();
+
+    eventSources[0].emit('group', groupChange({ name: 'office', playing: false, elapsed: 0 }));
+    expect(slideshow.isPlaying).toBe(true);
+
+    eventSources[0].emit('group', groupChange({ playing: false, elapsed: 20000 }));
+    expect(slideshow.isPlaying).toBe(false);
+    expect(slideshow.currentIndex).toBe(2);
+    expect(slideshow.groupTimer).toBeNull();
+    expect(document.getElementById('playPauseBtn').textContent).toBe('▶ Play');
+    expect(document.getElementById('slideshow').classList.contains('paused')).toBe(true);
+  });
+
+  it('should follow images added to and removed from the group\'s playlist', async () => {
+    const slideshow = await joinGroup();
+
+    eventSources[0].emit('group', groupChange({ length: 4, added: 'image4.jpg' }));
+    expect(slideshow.displayImages).toEqual(['image3.jpg', 'image1.jpg', 'image2.jpg', 'image4.jpg']);
+    eventSources[0].emit('group', groupChange({ length: 3, removed: 'image3.jpg' }));
+    expect(slideshow.displayImages).toEqual(['image1.jpg', 'image2.jpg', 'image4.jpg']);
+    eventSources[0].emit('group', groupChange({ length: 3, playlist: ['image4.jpg', 'image2.jpg', 'image1.jpg'] }));
+    expect(slideshow.displayImages).toEqual(['image4.jpg', 'image2.jpg', 'image1.jpg']);
+    expect(joins()).toBe(1);
+    slideshow.stopTimer();
+  });
+
+  it('should join again when it missed a change or the group was ended', async () => {
+    const slideshow = await joinGroup();
+
+    eventSources[0].emit('group', groupChange({ length: 5, added: 'image4.jpg' }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(joins()).toBe(2);
+    expect(slideshow.displayImages).toEqual(['image3.jpg', 'image1.jpg', 'image2.jpg']);
+
+    eventSources[0].emit('group', { name: 'lobby', ended: true });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(joins()).toBe(3);
+    slideshow.stopTimer();
+  });
+
+  it('should leave remote control commands to the group', async () => {
+    const slideshow = await joinGroup();
+
+    eventSources[0].emit('control', { command: 'next' });
+    eventSources[0].emit('control', { command: 'pause' });
+    expect(slideshow.currentIndex).toBe(1);
+    expect(slideshow.isPlaying).toBe(true);
+    slideshow.stopTimer();
+  });
+
+  it('should ignore group names the server would reject', () => {
+    history.replaceState(null, '', '/?group=../lobby');
+    const slideshow = new Slideshow();
+    expect(slideshow.group).toBeNull();
+  });
+});
+
+describe('Album selection', () => {
+  const libraryImages = ['2023/trip/a.jpg', '2023/trip/day2/b.jpg', '2023/c.jpg', '2024/d.jpg', 'loose.jpg'];
+  const folderTree = {
+    name: '', path: '', imageCount: 1, totalCount: 5,
+    children: [
+      {
+        name: '2023', path: '2023', imageCount: 1, totalCount: 3,
+        children: [
+          {
+            name: 'trip', path: '2023/trip', imageCount: 1, totalCount: 2,
+            children: [{ name: 'day2', path: '2023/trip/day2', imageCount: 1, totalCount: 1, children: [] }],
+          },
+        ],
+      },
+      { name: '2024', path: '2024', imageCount: 1, totalCount: 1, children: [] },
+    ],
+  };
+
+  beforeEach(() => {
+    global.fetch.mockImplementation((url) => Promise.resolve(url === '/api/folders'
+      ? { ok: true, json: () => Promise.resolve(folderTree) }
+      : libraryResponse(url, libraryImages)));
+  });
+
+  it('should use the whole library when no album is selected', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.selectedAlbums).toEqual([]);
+    expect(slideshow.getSelectedImages()).toEqual(libraryImages);
+    expect(document.getElementById('imageCount').textContent).toBe('5 images found');
+  });
+
+  it('should render the folder tree as checkboxes', async () => {
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const checkboxes = document.querySelectorAll('#albumList input[type="checkbox"]');
+    expect([...checkboxes].map(checkbox => checkbox.value)).toEqual(['2023', '2023/trip', '2023/trip/day2', '2024']);
+    expect(document.getElementById('albumList').textContent).toContain('trip (2)');
+    expect(document.getElementById('albumPicker').classList.contains('hidden')).toBe(false);
+  });
+
+  it('should read the selection from the URL', async () => {
+    history.replaceState(null, '', '/?album=2023/trip&album=2024&subfolders=0');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.selectedAlbums).toEqual(['2023/trip', '2024']);
+    expect(slideshow.includeSubfolders).toBe(false);
+    expect(slideshow.getSelectedImages()).toEqual(['2023/trip/a.jpg', '2024/d.jpg']);
+    expect(document.getElementById('subfoldersToggle').checked).toBe(false);
+    expect(document.querySelector('#albumList input[value="2024"]').checked).toBe(true);
+  });
+
+  it('should include subfolders of a selected album by default', async () => {
+    history.replaceState(null, '', '/?album=2023');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.getSelectedImages()).toEqual(['2023/trip/a.jpg', '2023/trip/day2/b.jpg', '2023/c.jpg']);
+  });
+
+  it('should update the URL and count when albums are picked', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const checkbox = document.querySelector('#albumList input[value="2023/trip"]');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change'));
+
+    expect(slideshow.selectedAlbums).toEqual(['2023/trip']);
+    expect(window.location.search).toBe('?album=2023%2Ftrip');
+    expect(document.getElementById('imageCount').textContent).toBe('2 images found');
+    expect(document.querySelectorAll('#imageGrid .grid-cell')).toHaveLength(2);
+
+    const toggle = document.getElementById('subfoldersToggle');
+    toggle.checked = false;
+    toggle.dispatchEvent(new Event('change'));
+
+    expect(window.location.search).toBe('?album=2023%2Ftrip&subfolders=0');
+    expect(document.getElementById('imageCount').textContent).toBe('1 images found');
+  });
+
+  it('should keep other URL parameters when the selection changes', async () => {
+    history.replaceState(null, '', '/?foo=bar');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.toggleAlbum('2024', true);
+    expect(window.location.search).toBe('?foo=bar&album=2024');
+
+    slideshow.toggleAlbum('2024', false);
+    expect(window.location.search).toBe('?foo=bar');
+  });
+
+  it('should disable start when the selected albums are empty', async () => {
+    history.replaceState(null, '', '/?album=2022');
+
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(document.getElementById('startBtn').disabled).toBe(true);
+    expect(document.getElementById('imageCount').textContent).toBe('No images in the selected albums');
+  });
+
+  it('should only play images from the selected albums', async () => {
+    history.replaceState(null, '', '/?album=2024&album=2023/trip/day2');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+
+    expect(slideshow.displayImages).toEqual(['2023/trip/day2/b.jpg', '2024/d.jpg']);
+  });
+
+  it('should not queue live additions from other albums', async () => {
+    history.replaceState(null, '', '/?album=2024');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+    slideshow.addImage('2023/new.jpg');
+    slideshow.addImage('2024/new.jpg');
+
+    expect(slideshow.images).toContain('2023/new.jpg');
+    expect(slideshow.displayImages).toEqual(['2024/d.jpg', '2024/new.jpg']);
+  });
+});
+
+describe('EXIF sorting and filters', () => {
+  const libraryImages = ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg'];
+  const cameras = [{ camera: 'Canon EOS R5', count: 2 }, { camera: 'Fujifilm X100V', count: 2 }];
+  const places = [{ place: 'Paris, France', count: 3 }];
+
+  // The server's answer for filtered or date-ordered listings
+  let listing;
+
+  beforeEach(() => {
+    listing = { ok: true, json: () => Promise.resolve({ total: 2, offset: 0, limit: null, images: ['d.jpg', 'b.jpg'] }) };
+    global.fetch.mockImplementation((url) => {
+      if (url === '/api/cameras') return Promise.resolve({ ok: true, json: () => Promise.resolve(cameras) });
+      if (url === '/api/places') return Promise.resolve({ ok: true, json: () => Promise.resolve(places) });
+      if (url.startsWith('/api/images?')) return Promise.resolve(listing);
+      return Promise.resolve(libraryResponse(url, libraryImages));
+    });
+  });
+
+  const listingUrl = () => new URL(
+    global.fetch.mock.calls.map(([url]) => url).filter(url => url.startsWith('/api/images?')).pop(),
+    'http://localhost'
+  );
+
+  it('should use the whole library without filters', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.filteredImages).toBeNull();
+    expect(slideshow.getSelectedImages()).toEqual(libraryImages);
+    expect(global.fetch).not.toHaveBeenCalledWith(expect.stringMatching(/^\/api\/images\?/));
+  });
+
+  it('should list the cameras on the start screen', async () => {
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const options = [...document.getElementById('cameraSelect').options];
+    expect(options.map(option => option.value)).toEqual(['', 'Canon EOS R5', 'Fujifilm X100V']);
+    expect(options[1].textContent).toBe('Canon EOS R5 (2)');
+    expect([...document.getElementById('placeSelect').options].map(option => option.textContent))
+      .toEqual(['All places', 'Paris, France (3)']);
+  });
+
+  it('should filter by place', async () => {
+    history.replaceState(null, '', '/?place=Rome,%20Italy');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(listingUrl().searchParams.get('place')).toBe('Rome, Italy');
+    expect(slideshow.getSelectedImages()).toEqual(['d.jpg', 'b.jpg']);
+    // Still selectable, though no image in the library was taken there
+    expect(document.getElementById('placeSelect').value).toBe('Rome, Italy');
+
+    await slideshow.setFilter('place', 'Paris, France');
+    expect(window.location.search).toBe('?place=Paris%2C+France');
+    expect(listingUrl().searchParams.get('place')).toBe('Paris, France');
+  });
+
+  it('should read filters from the URL and ask the server for matching images', async () => {
+    history.replaceState(null, '', '/?camera=Canon%20EOS%20R5&from=2023-01-01&to=2023-12-31&onthisday=1');
+    const today = new Date();
+    const day = `${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const params = listingUrl().searchParams;
+    expect(params.get('camera')).toBe('Canon EOS R5');
+    expect(params.get('from')).toBe('2023-01-01');
+    expect(params.get('to')).toBe('2023-12-31');
+    expect(params.get('day')).toBe(day);
+    expect(slideshow.getSelectedImages()).toEqual(['d.jpg', 'b.jpg']);
+    expect(document.getElementById('imageCount').textContent).toBe('2 images found');
+    expect(document.getElementById('cameraSelect').value).toBe('Canon EOS R5');
+    expect(document.getElementById('fromDate').value).toBe('2023-01-01');
+    expect(document.getElementById('onThisDayToggle').checked).toBe(true);
+    expect(document.getElementById('onThisDayBtn').textContent).toBe('📅 On this day ✓');
+  });
+
+  it('should play in the order the server sorted by date taken', async () => {
+    localStorage.setItem('slideshow.settings', JSON.stringify({ shuffle: false, sort: 'dateTaken' }));
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.updateDisplayOrder();
+
+    expect(listingUrl().searchParams.get('sort')).toBe('dateTaken');
+    expect(slideshow.displayImages).toEqual(['d.jpg', 'b.jpg']);
+    expect(document.getElementById('sortSelect').value).toBe('dateTaken');
+    expect(document.getElementById('startSortSelect').value).toBe('dateTaken');
+  });
+
+  it('should apply filters picked on the start screen and clear them again', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const select = document.getElementById('cameraSelect');
+    select.value = 'Fujifilm X100V';
+    select.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(window.location.search).toBe('?camera=Fujifilm+X100V');
+    expect(listingUrl().searchParams.get('camera')).toBe('Fujifilm X100V');
+    expect(document.getElementById('imageCount').textContent).toBe('2 images found');
+    expect(document.querySelectorAll('#imageGrid .grid-cell')).toHaveLength(2);
+
+    await slideshow.setFilter('camera', '');
+    expect(window.location.search).toBe('');
+    expect(slideshow.filteredImages).toBeNull();
+    expect(document.getElementById('imageCount').textContent).toBe('4 images found');
+  });
+
+  it('should switch to date order from the controls bar while playing', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.showImage = jest.fn();
+    slideshow.startTimer = jest.fn();
+    slideshow.start();
+    slideshow.startScreen.classList.add('hidden');
+    slideshow.displayImages = ['c.jpg', 'b.jpg', 'a.jpg', 'd.jpg'];
+    slideshow.currentIndex = 1;
+
+    const select = document.getElementById('sortSelect');
+    select.value = 'dateTaken';
+    select.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.isShuffled).toBe(false);
+    expect(slideshow.displayImages).toEqual(['d.jpg', 'b.jpg']);
+    expect(slideshow.displayImages[slideshow.currentIndex]).toBe('b.jpg');
+    expect(JSON.parse(localStorage.getItem('slideshow.settings')).sort).toBe('dateTaken');
+    expect(document.getElementById('shuffleBtn').textContent).toBe('➡️ Order');
+  });
+
+  it('should filter by camera, place and dates from the controls bar while playing', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.showImage = jest.fn();
+    slideshow.startTimer = jest.fn();
+    slideshow.start();
+    slideshow.startScreen.classList.add('hidden');
+
+    const camera = document.getElementById('barCameraSelect');
+    expect([...camera.options].map(option => option.textContent))
+      .toEqual(['All cameras', 'Canon EOS R5 (2)', 'Fujifilm X100V (2)']);
+    camera.value = 'Canon EOS R5';
+    camera.dispatchEvent(new Event('change'));
+    const place = document.getElementById('barPlaceSelect');
+    place.value = 'Paris, France';
+    place.dispatchEvent(new Event('change'));
+    const from = document.getElementById('barFromDate');
+    from.value = '2023-01-01';
+    from.dispatchEvent(new Event('change'));
+    const to = document.getElementById('barToDate');
+    to.value = '2023-12-31';
+    to.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.filters).toEqual(expect.objectContaining({
+      camera: 'Canon EOS R5', place: 'Paris, France', from: '2023-01-01', to: '2023-12-31',
+    }));
+    const params = listingUrl().searchParams;
+    expect(params.get('camera')).toBe('Canon EOS R5');
+    expect(params.get('place')).toBe('Paris, France');
+    expect(params.get('to')).toBe('2023-12-31');
+    expect(slideshow.displayImages.slice().sort()).toEqual(['b.jpg', 'd.jpg']);
+    // The start screen's pickers show the same filters
+    expect(document.getElementById('cameraSelect').value).toBe('Canon EOS R5');
+    expect(document.getElementById('fromDate').value).toBe('2023-01-01');
+
+    await slideshow.setFilter('camera', '');
+    expect(camera.value).toBe('');
+  });
+
+  it('should toggle on this day from the controls bar', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    document.getElementById('onThisDayBtn').click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.filters.onThisDay).toBe(true);
+    expect(window.location.search).toBe('?onthisday=1');
+    expect(listingUrl().searchParams.has('day')).toBe(true);
+    expect(document.getElementById('onThisDayToggle').checked).toBe(true);
+  });
+
+  it('should say when nothing matches', async () => {
+    listing = { ok: true, json: () => Promise.resolve({ total: 0, offset: 0, limit: null, images: [] }) };
+    history.replaceState(null, '', '/?onthisday=1');
+
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(document.getElementById('imageCount').textContent).toBe('No images match the filters');
+    expect(document.getElementById('startBtn').disabled).toBe(true);
+  });
+
+  it('should not queue live additions while filtered', async () => {
+    history.replaceState(null, '', '/?camera=Canon%20EOS%20R5');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+
+    slideshow.addImage('e.jpg');
+    expect(slideshow.images).toContain('e.jpg');
+    expect(slideshow.displayImages).toEqual(['d.jpg', 'b.jpg']);
+
+    slideshow.removeImage('b.jpg');
+    expect(slideshow.getSelectedImages()).toEqual(['d.jpg']);
+  });
+});
+
+describe('Ratings', () => {
+  const libraryImages = ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg'];
+  let ratings;
+
+  beforeEach(() => {
+    ratings = { 'a.jpg': { favorite: true, stars: 5 }, 'b.jpg': { hidden: true }, 'c.jpg': { stars: 2 } };
+    global.fetch.mockImplementation((url, options) => {
+      if (url === '/api/ratings') return Promise.resolve({ ok: true, json: () => Promise.resolve(ratings) });
+      if (url.startsWith('/api/ratings/')) {
+        const imageName = decodeURIComponent(url.slice('/api/ratings/'.length));
+        const rating = { ...ratings[imageName], ...JSON.parse(options.body) };
+        Object.keys(rating).forEach(key => { if (!rating[key]) delete rating[key]; });
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(rating) });
+      }
+      return Promise.resolve(libraryResponse(url, libraryImages));
+    });
+  });
+
+  const startSlideshow = async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = false;
+    slideshow.start();
+    document.getElementById('startScreen').classList.add('hidden');
+    return slideshow;
+  };
+
+  const ratingRequest = () => global.fetch.mock.calls.filter(([url]) => url.startsWith('/api/ratings/')).pop();
+
+  it('should leave hidden images out', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.getSelectedImages()).toEqual(['a.jpg', 'c.jpg', 'd.jpg']);
+    expect(document.getElementById('imageCount').textContent).toBe('3 images found');
+  });
+
+  it('should only show favorites in favorites-only mode', async () => {
+    history.replaceState(null, '', '/?favorites=1');
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.getSelectedImages()).toEqual(['a.jpg']);
+    expect(document.getElementById('favoritesOnlyBtn').textContent).toBe('♥ Favorites only ✓');
+
+    slideshow.toggleFavoritesOnly();
+    expect(slideshow.getSelectedImages()).toEqual(['a.jpg', 'c.jpg', 'd.jpg']);
+    expect(JSON.parse(localStorage.getItem('slideshow.settings')).favoritesOnly).toBe(false);
+  });
+
+  it('should show higher-rated images more often with the weighted shuffle', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = true;
+    slideshow.toggleWeightedShuffle();
+    slideshow.updateDisplayOrder();
+
+    const count = (imageName) => slideshow.displayImages.filter(name => name === imageName).length;
+    // Once, plus once per two stars and once for a favorite
+    expect(count('a.jpg')).toBe(4);
+    expect(count('c.jpg')).toBe(2);
+    expect(count('d.jpg')).toBe(1);
+    expect(count('b.jpg')).toBe(0);
+    slideshow.displayImages.forEach((imageName, i) => {
+      if (i > 0 && imageName !== 'a.jpg') expect(imageName).not.toBe(slideshow.displayImages[i - 1]);
+    });
+    expect(document.getElementById('weightedBtn').textContent).toBe('⚖️ Weighted ✓');
+  });
+
+  it('should ignore ratings when shuffling without weights', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = true;
+    slideshow.updateDisplayOrder();
+
+    expect([...slideshow.displayImages].sort()).toEqual(['a.jpg', 'c.jpg', 'd.jpg']);
+  });
+
+  it('should show the rating of the image on screen', async () => {
+    await startSlideshow();
+
+    expect(document.getElementById('favoriteBtn').textContent).toBe('♥ Favorite');
+    expect(document.getElementById('ratingSelect').value).toBe('5');
+  });
+
+  it('should toggle the favorite and set stars from the keyboard', async () => {
+    const slideshow = await startSlideshow();
+    slideshow.next();
+    expect(slideshow.displayImages[slideshow.currentIndex]).toBe('c.jpg');
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'l' }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(ratingRequest()).toEqual(['/api/ratings/c.jpg', expect.objectContaining({ method: 'PUT', body: '{"favorite":true}' })]);
+    expect(slideshow.ratings['c.jpg']).toEqual({ stars: 2, favorite: true });
+    expect(document.getElementById('favoriteBtn').textContent).toBe('♥ Favorite');
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: '4' }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(ratingRequest()[1].body).toBe('{"stars":4}');
+    expect(document.getElementById('ratingSelect').value).toBe('4');
+  });
+
+  it('should hide the image on screen and move on', async () => {
+    const slideshow = await startSlideshow();
+    expect(slideshow.displayImages).toEqual(['a.jpg', 'c.jpg', 'd.jpg']);
+
+    document.getElementById('hideBtn').click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(ratingRequest()[1].body).toBe('{"hidden":true}');
+    expect(slideshow.displayImages).toEqual(['c.jpg', 'd.jpg']);
+    expect(slideshow.displayImages[slideshow.currentIndex]).toBe('c.jpg');
+    expect(document.getElementById('imageCounter').textContent).toBe('1 / 2');
+  });
+
+  it('should keep the rating unchanged when saving fails', async () => {
+    const slideshow = await startSlideshow();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockResolvedValueOnce({ ok: false, text: () => Promise.resolve('Share links cannot change ratings') });
+
+    await slideshow.hideCurrent();
+    expect(slideshow.displayImages).toEqual(['a.jpg', 'c.jpg', 'd.jpg']);
+    expect(slideshow.ratings['a.jpg']).toEqual({ favorite: true, stars: 5 });
+    console.error.mockRestore();
+  });
+});
+
+describe('Playlists', () => {
+  let playlists;
+
+  beforeEach(() => {
+    playlists = [
+      { id: 'p1', name: 'Lobby', images: ['image3.jpg', 'gone.jpg', 'image1.jpg'], created: 1, updated: 1 },
+      { id: 'p2', name: 'Trip', images: ['image5.jpg'], created: 1, updated: 1 },
+    ];
+    global.fetch.mockImplementation((url, options = {}) => {
+      if (url === '/api/playlists' && !options.method) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(playlists) });
+      }
+      if (url.startsWith('/api/playlists')) {
+        // Keep saved playlists and send them back whole, as the server does
+        const id = url.split('/')[3] || 'p3';
+        const existing = playlists.find(playlist => playlist.id === id) || { id, name: '', images: [], created: 2 };
+        const saved = { ...existing, ...JSON.parse(options.body || '{}'), updated: 2 };
+        playlists = [...playlists.filter(playlist => playlist.id !== id), saved];
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(saved) });
+      }
+      return Promise.resolve({
+        json: () => Promise.resolve(['image1.jpg', 'image2.jpg', 'image3.jpg', 'image4.jpg', 'image5.jpg']),
+      });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const playlistRequests = (method) => global.fetch.mock.calls
+    .filter(([url, options]) => url.startsWith('/api/playlists') && options && options.method === method)
+    .map(([url, options]) => [url, options.body === undefined ? undefined : JSON.parse(options.body)]);
+
+  it('should play a playlist from the URL in its order, skipping deleted images', async () => {
+    history.replaceState(null, '', '/?playlist=p1&album=other');
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(document.getElementById('playlistPicker').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('playlistSelect').value).toBe('p1');
+    expect(document.getElementById('imageCount').textContent).toBe('2 images found');
+    expect([...document.querySelectorAll('#playlistImages li')].map(item => item.firstChild.textContent))
+      .toEqual(['image3.jpg', 'gone.jpg', 'image1.jpg']);
+
+    slideshow.isShuffled = false;
+    slideshow.start();
+    expect(slideshow.displayImages).toEqual(['image3.jpg', 'image1.jpg']);
+  });
+
+  it('should pick a playlist on the start screen and keep it in the URL', async () => {
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const select = document.getElementById('playlistSelect');
+    expect([...select.options].map(option => option.textContent)).toEqual(['Albums and filters', 'Lobby', 'Trip']);
+    select.value = 'p2';
+    select.dispatchEvent(new Event('change'));
+    expect(window.location.search).toBe('?playlist=p2');
+    expect(document.getElementById('imageCount').textContent).toBe('1 images found');
+    expect(document.getElementById('deletePlaylistBtn').disabled).toBe(false);
+
+    select.value = '';
+    select.dispatchEvent(new Event('change'));
+    expect(window.location.search).toBe('');
+    expect(document.getElementById('imageCount').textContent).toBe('5 images found');
+  });
+
+  it('should start a playback group with the playlist', async () => {
+    history.replaceState(null, '', '/?playlist=p1&group=lobby');
+    const playlistFetch = global.fetch.getMockImplementation();
+    const group = { name: 'lobby', playlist: ['image3.jpg', 'image1.jpg'], interval: 60000, shuffle: false, albums: [],
+      playlistId: 'p1', playing: true, startedAt: Date.now(), elapsed: 0, serverTime: Date.now() };
+    global.fetch.mockImplementation((url, options) => url === '/api/groups/lobby/join'
+      ? Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(group) })
+      : playlistFetch(url, options));
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.start();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const join = global.fetch.mock.calls.find(([url]) => url === '/api/groups/lobby/join');
+    expect(JSON.parse(join[1].body)).toEqual(expect.objectContaining({ playlist: 'p1' }));
+    expect(slideshow.displayImages).toEqual(['image3.jpg', 'image1.jpg']);
+    slideshow.stopTimer();
+  });
+
+  it('should create, rename and delete playlists', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    jest.spyOn(window, 'prompt').mockReturnValueOnce('Garden').mockReturnValueOnce('Back garden');
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    await slideshow.newPlaylist();
+    expect(playlistRequests('POST')).toEqual([['/api/playlists', { name: 'Garden', images: [] }]]);
+    expect(slideshow.playlistId).toBe('p3');
+    expect(document.getElementById('imageCount').textContent).toBe('No images in the playlist');
+
+    await slideshow.renamePlaylist();
+    expect(playlistRequests('PUT')).toEqual([['/api/playlists/p3', { name: 'Back garden' }]]);
+    const select = document.getElementById('playlistSelect');
+    expect([...select.options].map(option => option.textContent)).toEqual(['Albums and filters', 'Back garden', 'Lobby', 'Trip']);
+    expect(select.value).toBe('p3');
+    expect(document.getElementById('imageCount').textContent).toBe('No images in the playlist');
+
+    await slideshow.deletePlaylist();
+    expect(playlistRequests('DELETE')).toEqual([['/api/playlists/p3', undefined]]);
+    expect(slideshow.playlists.map(playlist => playlist.id)).toEqual(['p1', 'p2']);
+    expect(slideshow.playlistId).toBeNull();
+  });
+
+  it('should reorder and remove images in a playlist', async () => {
+    history.replaceState(null, '', '/?playlist=p1');
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    document.querySelector('#playlistImages li button[title="Move down"]').click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(playlistRequests('PUT').pop()).toEqual(['/api/playlists/p1', { images: ['gone.jpg', 'image3.jpg', 'image1.jpg'] }]);
+
+    document.querySelectorAll('#playlistImages li button[title="Remove from the playlist"]')[0].click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(playlistRequests('PUT').pop()).toEqual(['/api/playlists/p1', { images: ['image3.jpg', 'image1.jpg'] }]);
+  });
+
+  it('should add the image on screen to a playlist', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = false;
+    slideshow.start();
+    slideshow.showImage(1);
+
+    const select = document.getElementById('addToPlaylistSelect');
+    expect(select.classList.contains('hidden')).toBe(false);
+    select.value = 'p2';
+    select.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(playlistRequests('PUT')).toEqual([['/api/playlists/p2', { images: ['image5.jpg', 'image2.jpg'] }]]);
+    expect(select.value).toBe('');
+
+    jest.spyOn(window, 'prompt').mockReturnValue('Favourites');
+    await slideshow.addToPlaylist('new');
+    expect(playlistRequests('POST')).toEqual([['/api/playlists', { name: 'Favourites', images: ['image2.jpg'] }]]);
+  });
+
+  it('should keep playlists away from share links', async () => {
+    global.fetch.mockImplementation((url) => Promise.resolve(url === '/api/playlists'
+      ? { ok: false, status: 403, text: () => Promise.resolve('Share links cannot use playlists') }
+      : { json: () => Promise.resolve(['image1.jpg', 'image2.jpg']) }));
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(document.getElementById('playlistPicker').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('addToPlaylistSelect').classList.contains('hidden')).toBe(true);
+  });
+});
+
+describe('Video export', () => {
+  let job;
+  let postExport;
+  let slideshow;
+  let play;
+
+  // The export API, with the rest of the app's requests listing images
+  const exportRoutes = (url, options = {}) => {
+    if (url === '/api/exports' && options.method === 'POST') return postExport(options);
+    if (url === '/api/exports') return Promise.resolve({ ok: true, json: () => Promise.resolve([]) });
+    if (url === '/api/exports/e1') return Promise.resolve({ ok: true, json: () => Promise.resolve(job) });
+    if (url === '/api/music') return Promise.resolve({ ok: true, json: () => Promise.resolve(['intro.mp3']) });
+    return Promise.resolve({
+      json: () => Promise.resolve(['image1.jpg', 'image2.jpg', 'clip.mp4', 'image3.jpg']),
+    });
+  };
+
+  beforeEach(() => {
+    job = { id: 'e1', status: 'preparing', progress: 0.1, images: 3, duration: 15 };
+    postExport = () => Promise.resolve({ ok: true, status: 202, json: () => Promise.resolve(job) });
+    global.fetch.mockImplementation(exportRoutes);
+    // The music offered for the video also plays once the slideshow starts
+    play = jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+  });
+
+  afterEach(() => {
+    if (slideshow) clearTimeout(slideshow.exportTimer);
+    slideshow = null;
+    play.mockRestore();
+    jest.useRealTimers();
+  });
+
+  const exportRequest = () => global.fetch.mock.calls
+    .filter(([url, options]) => url === '/api/exports' && options && options.method === 'POST')
+    .map(([, options]) => JSON.parse(options.body))
+    .pop();
+
+  it('should export the albums in the slideshow order', async () => {
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(document.getElementById('exportPicker').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('exportAudioLabel').classList.contains('hidden')).toBe(false);
+
+    slideshow.isShuffled = false;
+    slideshow.interval = 300000;
+    slideshow.transition = 'slide';
+    document.getElementById('exportFormatSelect').value = 'webm';
+    document.getElementById('exportAudioToggle').checked = true;
+    await slideshow.exportVideo();
+
+    expect(exportRequest()).toEqual({
+      albums: [],
+      sort: 'name',
+      interval: 60000,
+      transition: 'slide',
+      format: 'webm',
+      audio: true,
+    });
+    expect(document.getElementById('exportStatus').textContent).toBe('Exporting… 10%');
+    expect(document.getElementById('exportBtn').disabled).toBe(true);
+  });
+
+  it('should export a shuffle in the order the slideshow then shows', async () => {
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = true;
+    await slideshow.exportVideo();
+
+    const { images } = exportRequest();
+    const order = slideshow.displayImages.filter(imageName => imageName !== 'clip.mp4');
+    expect(images).toEqual(order);
+    expect([...images].sort()).toEqual(['image1.jpg', 'image2.jpg', 'image3.jpg']);
+
+    const reorder = jest.spyOn(slideshow, 'updateDisplayOrder');
+    slideshow.start();
+    expect(reorder).not.toHaveBeenCalled();
+    expect(slideshow.displayImages.filter(imageName => imageName !== 'clip.mp4')).toEqual(images);
+    expect(play).toHaveBeenCalledTimes(1);
+    slideshow.stopTimer();
+  });
+
+  it('should export a playlist by its id', async () => {
+    history.replaceState(null, '', '/?playlist=p1');
+    global.fetch.mockImplementation((url, options) => url === '/api/playlists'
+      ? Promise.resolve({ ok: true, json: () => Promise.resolve([{ id: 'p1', name: 'Lobby', images: ['image2.jpg'] }]) })
+      : exportRoutes(url, options));
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = false;
+    await slideshow.exportVideo();
+
+    expect(exportRequest()).toEqual(expect.objectContaining({ playlist: 'p1' }));
+  });
+
+  it('should say when there are too many images for a video', async () => {
+    const many = Array.from({ length: 301 }, (_, i) => `image${i}.jpg`);
+    global.fetch.mockImplementation((url, options) => url === '/api/images'
+      ? Promise.resolve({ json: () => Promise.resolve(many) })
+      : exportRoutes(url, options));
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await slideshow.exportVideo();
+
+    expect(exportRequest()).toBeUndefined();
+    expect(document.getElementById('exportStatus').textContent)
+      .toBe('A video can have at most 300 images, and this slideshow has 301');
+    expect(document.getElementById('exportBtn').disabled).toBe(false);
+  });
+
+  it('should follow the export until the video can be downloaded', async () => {
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    jest.useFakeTimers();
+    await slideshow.exportVideo();
+
+    job = { ...job, status: 'encoding', progress: 0.55 };
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(document.getElementById('exportStatus').textContent).toBe('Exporting… 55%');
+
+    job = { ...job, status: 'done', progress: 1 };
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    await Promise.resolve();
+    const link = document.querySelector('#exportStatus a');
+    expect(link.getAttribute('href')).toBe('/api/exports/e1/video');
+    expect(document.getElementById('exportBtn').disabled).toBe(false);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('should carry on following an export in progress', async () => {
+    global.fetch.mockImplementation((url, options) => url === '/api/exports'
+      ? Promise.resolve({ ok: true, json: () => Promise.resolve([job]) })
+      : exportRoutes(url, options));
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(document.getElementById('exportStatus').textContent).toBe('Exporting… 10%');
+    expect(slideshow.exportTimer).not.toBeNull();
+  });
+
+  it('should show why an export failed', async () => {
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    postExport = () => Promise.resolve({ ok: false, status: 400, text: () => Promise.resolve('No images to export') });
+
+    await slideshow.exportVideo();
+    expect(document.getElementById('exportStatus').textContent).toBe('Export failed: No images to export');
+    expect(document.getElementById('exportBtn').disabled).toBe(false);
+    console.error.mockRestore();
+  });
+
+  it('should keep exports away from share links', async () => {
+    global.fetch.mockImplementation((url, options) => url === '/api/exports'
+      ? Promise.resolve({ ok: false, status: 403, text: () => Promise.resolve('Share links cannot export slideshows') })
+      : exportRoutes(url, options));
+    slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(document.getElementById('exportPicker').classList.contains('hidden')).toBe(true);
+  });
+});
+
+describe('Schedule', () => {
+  // 2024-01-06 is a Saturday and 2024-01-08 a Monday
+  const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes);
+
+  beforeEach(() => {
+    window.SLIDESHOW_SCHEDULE = {
+      profiles: {
+        weekdays: { albums: ['work'], interval: 10000, shuffle: false },
+        weekends: { albums: ['family'] },
+        night: { blackout: 'clock' },
+        closed: { blackout: true },
+      },
+      windows: [
+        { days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '07:00', to: '22:00', profile: 'weekdays' },
+        { days: ['sat', 'sun'], from: '08:00', to: '22:00', profile: 'weekends' },
+        { days: ['fri', 'sat'], from: '22:00', to: '02:00', profile: 'closed' },
+        { days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], from: '22:00', to: '07:00', profile: 'night' },
+      ],
+    };
+  });
+
+  afterEach(() => {
+    delete window.SLIDESHOW_SCHEDULE;
+    document.body.className = '';
+  });
+
+  const newSlideshow = async () => {
+    const slideshow = new Slideshow();
+    // Monday night, whatever the time the test runs at
+    slideshow.applySchedule(at(8, 22, 0));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return slideshow;
+  };
+
+  it('should pick the first window that matches the time', () => {
+    const slideshow = new Slideshow();
+
+    expect(slideshow.scheduledProfile(at(8, 7, 0))).toBe('weekdays');
+    expect(slideshow.scheduledProfile(at(8, 21, 59))).toBe('weekdays');
+    expect(slideshow.scheduledProfile(at(8, 22, 0))).toBe('night');
+    expect(slideshow.scheduledProfile(at(9, 6, 59))).toBe('night');
+    expect(slideshow.scheduledProfile(at(6, 12, 0))).toBe('weekends');
+    // Friday night runs into Saturday morning
+    expect(slideshow.scheduledProfile(at(6, 1, 30))).toBe('closed');
+    expect(slideshow.scheduledProfile(at(6, 2, 0))).toBe('night');
+    expect(slideshow.scheduledProfile(at(7, 1, 30))).toBe('closed');
+    expect(slideshow.scheduledProfile(at(8, 1, 30))).toBe('night');
+  });
+
+  it('should play the profile\'s albums and settings, and go back to its own after', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.schedule = { profiles: { weekdays: window.SLIDESHOW_SCHEDULE.profiles.weekdays }, windows: [window.SLIDESHOW_SCHEDULE.windows[0]] };
+    slideshow.applySchedule(at(8, 6, 0));
+    expect(slideshow.profileName).toBeNull();
+    const own = { albums: slideshow.selectedAlbums, interval: slideshow.interval, shuffle: slideshow.isShuffled };
+
+    slideshow.applySchedule(at(8, 9, 0));
+    expect(slideshow.profileName).toBe('weekdays');
+    expect(slideshow.selectedAlbums).toEqual(['work']);
+    expect(slideshow.interval).toBe(10000);
+    expect(slideshow.isShuffled).toBe(false);
+    expect(document.getElementById('imageCount').textContent).toBe('No images in the selected albums');
+
+    // The schedule's settings aren't saved as the display's own
+    slideshow.toggleMetadata();
+    const saved = JSON.parse(localStorage.getItem('slideshow.settings'));
+    expect(saved.interval).toBe(own.interval);
+    expect(saved.shuffle).toBe(own.shuffle);
+
+    slideshow.applySchedule(at(8, 23, 0));
+    expect(slideshow.profileName).toBeNull();
+    expect(slideshow.selectedAlbums).toEqual(own.albums);
+    expect(slideshow.interval).toBe(own.interval);
+    expect(slideshow.isShuffled).toBe(own.shuffle);
+    expect(document.getElementById('imageCount').textContent).toBe('5 images found');
+  });
+
+  it('should blank the screen or show a dimmed clock, holding the slideshow still', async () => {
+    const slideshow = await newSlideshow();
+    expect(slideshow.profileName).toBe('night');
+    expect(document.body.classList.contains('blackout')).toBe(true);
+    expect(document.body.classList.contains('blackout-clock')).toBe(true);
+
+    slideshow.start();
+    document.getElementById('startScreen').classList.add('hidden');
+    expect(slideshow.timer).toBeNull();
+
+    slideshow.applySchedule(at(5, 23, 0));
+    expect(slideshow.profileName).toBe('closed');
+    expect(document.body.classList.contains('blackout-clock')).toBe(false);
+    expect(slideshow.timer).toBeNull();
+
+    slideshow.applySchedule(at(9, 7, 30));
+    expect(document.body.classList.contains('blackout')).toBe(false);
+    expect(slideshow.timer).not.toBeNull();
+    slideshow.stopTimer();
+  });
+
+  it('should apply the schedule as the clock ticks', () => {
+    window.SLIDESHOW_SCHEDULE = { profiles: { always: { interval: 5000 } }, windows: [{ days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], from: '00:00', to: '24:00', profile: 'always' }] };
+    const slideshow = new Slideshow();
+
+    expect(slideshow.profileName).toBe('always');
+    expect(slideshow.interval).toBe(5000);
+  });
+});
+
+describe('Shuffle history and spreading', () => {
+  const libraryImages = ['a/1.jpg', 'a/2.jpg', 'a/3.jpg', 'a/4.jpg', 'b/1.jpg', 'b/2.jpg', 'b/3.jpg', 'b/4.jpg'];
+  const daysTaken = {
+    'a/1.jpg': '2023-01-01', 'a/2.jpg': '2023-01-01', 'b/1.jpg': '2023-01-01', 'b/2.jpg': '2023-01-01',
+    'a/3.jpg': '2023-02-01', 'a/4.jpg': '2023-02-01', 'b/3.jpg': '2023-02-01', 'b/4.jpg': '2023-02-01',
+  };
+
+  beforeEach(() => {
+    global.fetch.mockImplementation((url) => {
+      if (url === '/api/dates') return Promise.resolve({ ok: true, json: () => Promise.resolve(daysTaken) });
+      if (url === '/api/images') return Promise.resolve({ ok: true, json: () => Promise.resolve(libraryImages) });
+      return Promise.resolve({ ok: false });
+    });
+  });
+
+  // The hashes saved in the first chunk of the history
+  const shownSoFar = () => (localStorage.getItem('slideshow.shown.0') || '').split(',').filter(Boolean);
+
+  it('should show images not seen in earlier sessions first', async () => {
+    // Saved by name, as the history used to be
+    localStorage.setItem('slideshow.shown', JSON.stringify(['a/1.jpg', 'a/2.jpg', 'b/1.jpg']));
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.updateDisplayOrder();
+
+    expect(slideshow.displayImages.slice(0, 5).sort()).toEqual(['a/3.jpg', 'a/4.jpg', 'b/2.jpg', 'b/3.jpg', 'b/4.jpg']);
+    expect(slideshow.displayImages.slice(5).sort()).toEqual(['a/1.jpg', 'a/2.jpg', 'b/1.jpg']);
+    expect(localStorage.getItem('slideshow.shown')).toBeNull();
+    expect(shownSoFar()).toHaveLength(3);
+  });
+
+  it('should keep the history in chunks, only rewriting the last one', async () => {
+    const many = Array.from({ length: 2500 }, (_, i) => `photos/${i}.jpg`);
+    global.fetch.mockImplementation((url) => Promise.resolve(url === '/api/images'
+      ? { ok: true, json: () => Promise.resolve(many) }
+      : { ok: false }));
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.isShuffled = false;
+    slideshow.updateDisplayOrder();
+    many.slice(0, 2400).forEach(imageName => slideshow.markShown(imageName));
+
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+    slideshow.markShown(many[2400]);
+    expect(setItem.mock.calls.map(([key]) => key)).toEqual(['slideshow.shown.2']);
+    expect(localStorage.getItem('slideshow.shown.2').split(',')).toHaveLength(401);
+    setItem.mockRestore();
+
+    const reloaded = new Slideshow();
+    expect(many.slice(0, 2401).every(imageName => reloaded.hasBeenShown(imageName))).toBe(true);
+    expect(reloaded.hasBeenShown(many[2401])).toBe(false);
+  });
+
+  it('should remember what has been shown and start over once everything has been', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.start();
+
+    // Every image but one
+    for (let i = 2; i < libraryImages.length; i++) {
+      slideshow.next();
+    }
+    expect(shownSoFar()).toHaveLength(7);
+
+    const reloaded = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    reloaded.start();
+    const last = libraryImages.find(imageName => !slideshow.hasBeenShown(imageName));
+    expect(reloaded.displayImages[0]).toBe(last);
+    // That was the last image of the pass
+    expect(shownSoFar()).toHaveLength(1);
+    expect(new Slideshow().hasBeenShown(last)).toBe(true);
+  });
+
+  it('should leave the history alone in a plain order', async () => {
+    localStorage.setItem('slideshow.shown', JSON.stringify(['a/1.jpg']));
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.toggleShuffle();
+
+    expect(slideshow.displayImages).toEqual(libraryImages);
+  });
+
+  it('should spread out images from the same folder', async () => {
+    history.replaceState(null, '', '/?spread=folder');
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(document.getElementById('spreadSelect').value).toBe('folder');
+
+    for (let run = 0; run < 20; run++) {
+      slideshow.updateDisplayOrder();
+      const folders = slideshow.displayImages.map(imageName => imageName[0]);
+      // Each folder has one image in each quarter of the show, so two in each half
+      expect(folders.slice(0, 4).sort()).toEqual(['a', 'a', 'b', 'b']);
+      expect(folders.slice(4).sort()).toEqual(['a', 'a', 'b', 'b']);
+    }
+  });
+
+  it('should load dates to spread out images from the same day', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(global.fetch).not.toHaveBeenCalledWith('/api/dates');
+
+    await slideshow.setSpread('date');
+    expect(global.fetch).toHaveBeenCalledWith('/api/dates');
+    expect(JSON.parse(localStorage.getItem('slideshow.settings')).spread).toBe('date');
+
+    for (let run = 0; run < 20; run++) {
+      slideshow.updateDisplayOrder();
+      const days = slideshow.displayImages.map(imageName => daysTaken[imageName]);
+      expect(days.slice(0, 4).filter(day => day === '2023-01-01')).toHaveLength(2);
+    }
+  });
+});
+
+describe('Transitions and Ken Burns', () => {
+  it('should default to a crossfade without Ken Burns', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.transition).toBe('crossfade');
+    expect(slideshow.kenBurns).toBe(false);
+    expect(document.getElementById('slideshow').classList.contains('transition-crossfade')).toBe(true);
+  });
+
+  it('should switch the transition class when a transition is selected', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const select = document.getElementById('transitionSelect');
+    select.value = 'slide';
+    select.dispatchEvent(new Event('change'));
+
+    const container = document.getElementById('slideshow');
+    expect(slideshow.transition).toBe('slide');
+    expect(container.classList.contains('transition-slide')).toBe(true);
+    expect(container.classList.contains('transition-crossfade')).toBe(false);
+  });
+
+  it('should fall back to crossfade for unknown transitions', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.setTransition('spin');
+
+    expect(slideshow.transition).toBe('crossfade');
+    expect(document.getElementById('transitionSelect').value).toBe('crossfade');
+  });
+
+  it('should mark the outgoing slide as leaving and reset it before reuse', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const slide1 = document.getElementById('slide1');
+    const slide2 = document.getElementById('slide2');
+    slide1.classList.add('active');
+    slide2.classList.add('leaving');
+    slideshow.activeSlide = 1;
+    slideshow.displayImages = ['image1.jpg', 'image2.jpg'];
+    slideshow.showMetadata = false;
+
+    const preloaded = document.createElement('img');
+    const originalImage = window.Image;
+    window.Image = jest.fn(() => preloaded);
+    slideshow.showImage(1);
+    window.Image = originalImage;
+
+    preloaded.onload();
+
+    expect(slide1.classList.contains('leaving')).toBe(true);
+    expect(slide1.classList.contains('active')).toBe(false);
+    expect(slide2.classList.contains('leaving')).toBe(false);
+    expect(slide2.classList.contains('no-transition')).toBe(false);
+    expect(slide2.classList.contains('active')).toBe(true);
+    expect(preloaded.classList.contains('ken-burns')).toBe(false);
+  });
+
+  it('should toggle Ken Burns with the button and K key', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    document.getElementById('kenBurnsBtn').click();
+    expect(slideshow.kenBurns).toBe(true);
+    expect(document.getElementById('kenBurnsBtn').textContent).toBe('🎥 Pan & zoom ✓');
+
+    slideshow.handleKeydown(new KeyboardEvent('keydown', { key: 'k' }));
+    expect(slideshow.kenBurns).toBe(false);
+    expect(document.getElementById('kenBurnsBtn').textContent).toBe('🎥 Pan & zoom');
+  });
+
+  it('should animate images for the length of the interval', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.interval = 10000;
+    const img = document.createElement('img');
+    slideshow.applyKenBurns(img);
+
+    expect(img.classList.contains('ken-burns')).toBe(true);
+    expect(img.style.getPropertyValue('--kb-duration')).toBe('12000ms');
+    const fromScale = parseFloat(img.style.getPropertyValue('--kb-from-scale'));
+    const toScale = parseFloat(img.style.getPropertyValue('--kb-to-scale'));
+    expect(Math.abs(toScale - fromScale)).toBeGreaterThan(0.05);
+  });
+
+  it('should start and stop motion on the current image when toggled', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const img = document.createElement('img');
+    document.getElementById('slide1').appendChild(img);
+    slideshow.activeSlide = 1;
+
+    slideshow.toggleKenBurns();
+    expect(img.classList.contains('ken-burns')).toBe(true);
+
+    slideshow.toggleKenBurns();
+    expect(img.classList.contains('ken-burns')).toBe(false);
+  });
+
+  it('should pause the motion while the slideshow is paused', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.startTimer = jest.fn();
+    slideshow.stopTimer = jest.fn();
+
+    slideshow.togglePlayPause();
+    expect(document.getElementById('slideshow').classList.contains('paused')).toBe(true);
+
+    slideshow.togglePlayPause();
+    expect(document.getElementById('slideshow').classList.contains('paused')).toBe(false);
+  });
+});
+
+describe('Persisted settings', () => {
+  const savedSettings = () => JSON.parse(localStorage.getItem('slideshow.settings'));
+
+  it('should use the defaults when nothing is saved', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.interval).toBe(60000);
+    expect(slideshow.isShuffled).toBe(true);
+    expect(slideshow.showMetadata).toBe(true);
+    expect(slideshow.fullscreen).toBe(false);
+    expect(document.getElementById('intervalSelect').value).toBe('60000');
+  });
+
+  it('should save settings when they are changed', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.restartTimer = jest.fn();
+
+    slideshow.changeInterval('30000');
+    slideshow.toggleShuffle();
+    slideshow.toggleMetadata();
+    slideshow.setTransition('zoom');
+    slideshow.toggleKenBurns();
+    slideshow.toggleMute();
+
+    expect(savedSettings()).toEqual({
+      interval: 30000,
+      shuffle: false,
+      info: false,
+      transition: 'zoom',
+      kenBurns: true,
+      fullscreen: false,
+      muteVideos: false,
+      playVideosToEnd: true,
+      maxVideoDuration: 60000,
+      sort: 'name',
+      favoritesOnly: false,
+      weightedShuffle: false,
+      spread: 'none',
+      captions: false,
+      captionPosition: 'bottom',
+      musicMode: 'loop',
+      musicVolume: 0.5,
+      musicMuted: false,
+    });
+  });
+
+  it('should restore saved settings on reload', async () => {
+    localStorage.setItem('slideshow.settings', JSON.stringify({
+      interval: 30000,
+      shuffle: false,
+      info: false,
+      transition: 'slide',
+      kenBurns: true,
+    }));
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.interval).toBe(30000);
+    expect(slideshow.isShuffled).toBe(false);
+    expect(slideshow.showMetadata).toBe(false);
+    expect(slideshow.transition).toBe('slide');
+    expect(slideshow.kenBurns).toBe(true);
+    expect(document.getElementById('intervalSelect').value).toBe('30000');
+    expect(document.getElementById('shuffleBtn').textContent).toBe('➡️ Order');
+    expect(document.getElementById('metadata').classList.contains('enabled')).toBe(false);
+    expect(document.getElementById('slideshow').classList.contains('transition-slide')).toBe(true);
+  });
+
+  it('should start from the server defaults when nothing is saved', async () => {
+    window.SLIDESHOW_DEFAULTS = { interval: 5000, info: false };
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    delete window.SLIDESHOW_DEFAULTS;
+
+    expect(slideshow.interval).toBe(5000);
+    expect(slideshow.showMetadata).toBe(false);
+    expect(slideshow.isShuffled).toBe(true);
+  });
+
+  it('should prefer saved settings over the server defaults', async () => {
+    window.SLIDESHOW_DEFAULTS = { interval: 5000 };
+    localStorage.setItem('slideshow.settings', JSON.stringify({ interval: 30000 }));
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    delete window.SLIDESHOW_DEFAULTS;
+
+    expect(slideshow.interval).toBe(30000);
+  });
+
+  it('should let URL parameters override saved settings without saving them', async () => {
+    localStorage.setItem('slideshow.settings', JSON.stringify({ interval: 30000, shuffle: true, info: true }));
+    history.replaceState(null, '', '/?interval=10000&shuffle=0&info=0&kenburns=1&fullscreen=1');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.interval).toBe(10000);
+    expect(slideshow.isShuffled).toBe(false);
+    expect(slideshow.showMetadata).toBe(false);
+    expect(slideshow.kenBurns).toBe(true);
+    expect(slideshow.fullscreen).toBe(true);
+    expect(savedSettings().interval).toBe(30000);
+  });
+
+  it('should add an interval option for non-preset URL intervals', async () => {
+    history.replaceState(null, '', '/?interval=7000');
+
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const select = document.getElementById('intervalSelect');
+    expect(select.value).toBe('7000');
+    expect(select.selectedOptions[0].textContent).toBe('7 sec');
+  });
+
+  it('should ignore unusable values', async () => {
+    localStorage.setItem('slideshow.settings', '{not json');
+    history.replaceState(null, '', '/?interval=abc&transition=spin');
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.interval).toBe(60000);
+    expect(slideshow.transition).toBe('crossfade');
+  });
+
+  it('should remember the fullscreen choice and apply it on start', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.requestFullscreen = jest.fn();
+
+    await slideshow.toggleFullscreen();
+    expect(savedSettings().fullscreen).toBe(true);
+
+    slideshow.requestFullscreen.mockClear();
+    slideshow.showImage = jest.fn();
+    slideshow.startTimer = jest.fn();
+    slideshow.start();
+
+    expect(slideshow.requestFullscreen).toHaveBeenCalled();
+  });
+
+  it('should not go fullscreen on start by default', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.requestFullscreen = jest.fn();
+    slideshow.showImage = jest.fn();
+    slideshow.startTimer = jest.fn();
+
+    slideshow.start();
+
+    expect(slideshow.requestFullscreen).not.toHaveBeenCalled();
+  });
+});
+
+describe('Video clips', () => {
+  let play;
+  let pause;
+
+  beforeEach(() => {
+    play = jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+    pause = jest.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    global.fetch.mockResolvedValue({
+      json: () => Promise.resolve(['a.jpg', 'clip.MP4', 'b.jpg']),
+    });
+  });
+
+  afterEach(() => {
+    play.mockRestore();
+    pause.mockRestore();
+  });
+
+  // Show the clip and pretend its first frame has loaded
+  const showClip = (slideshow) => {
+    const createVideo = jest.spyOn(slideshow, 'createVideo');
+    slideshow.displayImages = ['a.jpg', 'clip.MP4', 'b.jpg'];
+    slideshow.showImage(1);
+    const video = createVideo.mock.results[0].value;
+    video.onloadeddata();
+    return video;
+  };
+
+  it('should recognise clips by extension', async () => {
+    const slideshow = new Slideshow();
+    expect(slideshow.isVideo('2023/clip.mov')).toBe(true);
+    expect(slideshow.isVideo('clip.WEBM')).toBe(true);
+    expect(slideshow.isVideo('photo.jpg')).toBe(false);
+    expect(slideshow.isVideo('mp4')).toBe(false);
+  });
+
+  it('should play clips inline, muted, from the original file', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.kenBurns = true;
+
+    const video = showClip(slideshow);
+
+    expect(video.tagName).toBe('VIDEO');
+    expect(video.muted).toBe(true);
+    expect(video.loop).toBe(false);
+    expect(video.getAttribute('src')).toBe('/images/clip.MP4');
+    expect(video.classList.contains('ken-burns')).toBe(false);
+    expect(slideshow.currentVideo()).toBe(video);
+    expect(play).toHaveBeenCalled();
+  });
+
+  it('should leave clips out of the start screen grid', async () => {
+    new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const images = [...document.querySelectorAll('#imageGrid img')].map(img => img.alt).sort();
+    expect(images).toEqual(['a.jpg', 'b.jpg']);
+  });
+
+  it('should wait for a clip to end instead of using the interval', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    slideshow.interval = 10000;
+
+    jest.useFakeTimers();
+    try {
+      const video = showClip(slideshow);
+      slideshow.restartTimer();
+      jest.advanceTimersByTime(30000);
+      expect(slideshow.currentIndex).toBe(1);
+
+      video.onended();
+      expect(slideshow.currentIndex).toBe(2);
+    } finally {
+      slideshow.stopTimer();
+      jest.useRealTimers();
+    }
+  });
+
+  it('should cut clips short at the maximum duration', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    slideshow.maxVideoDuration = 5000;
+
+    jest.useFakeTimers();
+    try {
+      showClip(slideshow);
+      slideshow.restartTimer();
+      jest.advanceTimersByTime(5000);
+      expect(slideshow.currentIndex).toBe(2);
+    } finally {
+      slideshow.stopTimer();
+      jest.useRealTimers();
+    }
+  });
+
+  it('should skip clips the browser cannot play', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const createVideo = jest.spyOn(slideshow, 'createVideo');
+    slideshow.displayImages = ['a.jpg', 'clip.MP4', 'b.jpg'];
+
+    slideshow.showImage(1);
+    createVideo.mock.results[0].value.onerror();
+    expect(slideshow.currentIndex).toBe(2);
+    slideshow.stopTimer();
+    console.error.mockRestore();
+  });
+
+  it('should move on from a clip that never starts, even without a maximum duration', async () => {
+    history.replaceState(null, '', '/?maxvideo=0');
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    jest.useFakeTimers();
+    try {
+      slideshow.displayImages = ['a.jpg', 'clip.MP4', 'b.jpg'];
+      slideshow.showImage(1);
+      slideshow.restartTimer();
+      jest.advanceTimersByTime(15000);
+      expect(slideshow.currentIndex).toBe(2);
+
+      // A clip that did start plays to its end
+      showClip(slideshow);
+      slideshow.restartTimer();
+      jest.advanceTimersByTime(60000);
+      expect(slideshow.currentIndex).toBe(1);
+    } finally {
+      slideshow.stopTimer();
+      jest.useRealTimers();
+    }
+  });
+
+  it('should loop clips on the normal interval when not waiting for the end', async () => {
+    history.replaceState(null, '', '/?videoend=0');
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    jest.useFakeTimers();
+    try {
+      const video = showClip(slideshow);
+      expect(video.loop).toBe(true);
+      slideshow.restartTimer();
+      jest.advanceTimersByTime(slideshow.interval);
+      expect(slideshow.currentIndex).toBe(2);
+    } finally {
+      slideshow.stopTimer();
+      jest.useRealTimers();
+    }
+  });
+
+  it('should ignore the end of a clip that was skipped', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const video = showClip(slideshow);
+    slideshow.showImage(0);
+    video.onended();
+
+    expect(slideshow.currentIndex).toBe(0);
+  });
+
+  it('should pause and resume the clip with the slideshow', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    showClip(slideshow);
+    play.mockClear();
+
+    slideshow.togglePlayPause();
+    expect(pause).toHaveBeenCalled();
+
+    slideshow.togglePlayPause();
+    expect(play).toHaveBeenCalled();
+    slideshow.stopTimer();
+  });
+
+  it('should toggle sound with the M key', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const video = showClip(slideshow);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'm' }));
+
+    expect(slideshow.muteVideos).toBe(false);
+    expect(video.muted).toBe(false);
+    expect(document.getElementById('muteBtn').textContent).toBe('🔊 Sound');
+  });
+
+  it('should fall back to muted playback when sound is blocked', async () => {
+    history.replaceState(null, '', '/?muted=0');
+    play.mockImplementationOnce(() => Promise.reject(new Error('NotAllowedError')));
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const video = showClip(slideshow);
+    expect(video.muted).toBe(false);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(video.muted).toBe(true);
+    expect(play).toHaveBeenCalledTimes(2);
+  });
+
+  it('should read clip settings from the URL', async () => {
+    history.replaceState(null, '', '/?muted=0&videoend=0&maxvideo=30000');
+    const slideshow = new Slideshow();
+
+    expect(slideshow.muteVideos).toBe(false);
+    expect(slideshow.playVideosToEnd).toBe(false);
+    expect(slideshow.maxVideoDuration).toBe(30000);
+  });
+});
+
+describe('imageUrl', () => {
+  it('should encode the image path and scale by device pixel ratio', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const originalRatio = window.devicePixelRatio;
+    window.devicePixelRatio = 2;
+
+    expect(slideshow.imageUrl('2023/trip/img 1.jpg', 960, 540))
+      .toBe('/images/2023%2Ftrip%2Fimg%201.jpg?w=1920&h=1080');
+
+    window.devicePixelRatio = originalRatio;
+  });
+});
+
+describe('Image grid feature', () => {
+  it('should initialize imageGrid element', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(slideshow.imageGrid).toBe(document.getElementById('imageGrid'));
+  });
+
+  it('should populate grid with images after loading', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const grid = document.getElementById('imageGrid');
+    const cells = grid.querySelectorAll('.grid-cell');
+
+    expect(cells.length).toBe(5); // We have 5 images in mock
+  });
+
+  it('should create up to 40 cells for larger image sets', async () => {
+    // Mock more images
+    const manyImages = Array.from({ length: 50 }, (_, i) => `image${i + 1}.jpg`);
+    global.fetch.mockResolvedValueOnce({
+      json: () => Promise.resolve(manyImages),
+    });
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const grid = document.getElementById('imageGrid');
+    const cells = grid.querySelectorAll('.grid-cell');
+
+    expect(cells.length).toBe(40); // Max 40 cells (8x5 grid)
+  });
+
+  it('should create img elements inside grid cells', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const grid = document.getElementById('imageGrid');
+    const images = grid.querySelectorAll('.grid-cell img');
+
+    expect(images.length).toBe(5);
+  });
+
+  it('should set correct src for grid images', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const grid = document.getElementById('imageGrid');
+    const images = grid.querySelectorAll('.grid-cell img');
+
+    // All images should have src starting with /images/
+    images.forEach(img => {
+      expect(img.src).toContain('/images/');
+    });
+  });
+
+  it('should request renditions sized to a grid cell', async () => {
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const img = document.getElementById('imageGrid').querySelector('.grid-cell img');
+    const url = new URL(img.src);
+
+    expect(url.searchParams.get('w')).toBe(String(Math.ceil(window.innerWidth / 8)));
+    expect(url.searchParams.get('h')).toBe(String(Math.ceil(window.innerHeight / 5)));
+  });
+
+  it('should send the browser to the login page when a password is required', async () => {
+    const redirect = jest.spyOn(Slideshow.prototype, 'redirectToLogin').mockImplementation(() => {});
+    global.fetch.mockResolvedValueOnce({ status: 401, json: () => Promise.reject(new Error('not JSON')) });
+
+    const slideshow = new Slideshow();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(redirect).toHaveBeenCalled();
+    expect(document.getElementById('imageGrid').querySelectorAll('.grid-cell').length).toBe(0);
+    redirect.mockRestore();
+  });
+
   it('should not populate grid when no images', async () => {
     global.fetch.mockResolvedValueOnce({
       json: () => Promise.resolve([]),
@@ -0,0 +1,100 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { Auth, LOGIN_WINDOW, LoginLimiter, MAX_LOGIN_FAILURES, SESSION_MAX_AGE, isInAlbum, parseCookies } from './auth';
+
+describe('parseCookies', () => {
+  it('should parse and decode cookies', () => {
+    expect(parseCookies('a=1; b=hello%20world;c=')).toEqual({ a: '1', b: 'hello world', c: '' });
+  });
+
+  it('should handle missing and malformed headers', () => {
+    expect(parseCookies(undefined)).toEqual({});
+    expect(parseCookies('junk; bad=%E0%A4%A')).toEqual({});
+  });
+});
+
+describe('isInAlbum', () => {
+  it('should match images in the album and its subfolders', () => {
+    expect(isInAlbum('2023/trip/a.jpg', '2023/trip')).toBe(true);
+    expect(isInAlbum('2023/trip/day1/a.jpg', '2023/trip')).toBe(true);
+  });
+
+  it('should not match other folders', () => {
+    expect(isInAlbum('2023/a.jpg', '2023/trip')).toBe(false);
+    expect(isInAlbum('2023/trip2/a.jpg', '2023/trip')).toBe(false);
+    expect(isInAlbum('2023/trip/../private/a.jpg', '2023/trip')).toBe(false);
+  });
+});
+
+describe('Auth', () => {
+  const auth = new Auth('secret');
+
+  it('should check the password', () => {
+    expect(auth.checkPassword('secret')).toBe(true);
+    expect(auth.checkPassword('Secret')).toBe(false);
+    expect(auth.checkPassword('')).toBe(false);
+    expect(auth.checkPassword(undefined)).toBe(false);
+  });
+
+  it('should verify the tokens it signs until they expire', () => {
+    const now = Date.now();
+    const session = auth.createSession(now);
+    expect(auth.verify(session, 'session', now)).toEqual({ type: 'session', exp: now + SESSION_MAX_AGE });
+    expect(auth.verify(session, 'session', now + SESSION_MAX_AGE)).toBeNull();
+
+    const share = auth.createShare('2023/trip', now + 1000);
+    expect(auth.verify(share, 'share', now)).toEqual({ type: 'share', exp: now + 1000, album: '2023/trip' });
+  });
+
+  it('should not accept a token as another type', () => {
+    const share = auth.createShare('2023/trip', Date.now() + 1000);
+    expect(auth.verify(share, 'session')).toBeNull();
+  });
+
+  it('should reject tampered tokens and tokens signed with another password', () => {
+    const share = auth.createShare('2023/trip', Date.now() + 1000);
+    const [, signature] = share.split('.');
+    const widened = Buffer.from(JSON.stringify({ type: 'share', exp: Date.now() + 1000, album: '2023' })).toString('base64url');
+
+    expect(auth.verify(`${widened}.${signature}`, 'share')).toBeNull();
+    expect(auth.verify(share.slice(0, -2), 'share')).toBeNull();
+    expect(auth.verify('nonsense', 'share')).toBeNull();
+    expect(new Auth('other').verify(share, 'share')).toBeNull();
+  });
+
+  it('should keep its salt, so tokens outlast a restart', () => {
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    const saltFile = path.join(testDir, 'data', 'login-salt');
+    try {
+      const share = new Auth('secret', saltFile).createShare('2023/trip', Date.now() + 1000);
+      expect(fs.readFileSync(saltFile, 'utf8')).toMatch(/^[0-9a-f]{32}$/);
+      expect(new Auth('secret', saltFile).verify(share, 'share')).not.toBeNull();
+      // Another salt makes another key, even with the same password
+      expect(new Auth('secret').verify(share, 'share')).toBeNull();
+    } finally {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('LoginLimiter', () => {
+  it('should block an address after too many failures, until the window ends', () => {
+    const limiter = new LoginLimiter();
+    for (let i = 0; i < MAX_LOGIN_FAILURES; i++) {
+      expect(limiter.isBlocked('10.0.0.1', 1000)).toBe(false);
+      limiter.fail('10.0.0.1', 1000);
+    }
+    expect(limiter.isBlocked('10.0.0.1', 1000)).toBe(true);
+    expect(limiter.isBlocked('10.0.0.2', 1000)).toBe(false);
+    expect(limiter.isBlocked('10.0.0.1', 1000 + LOGIN_WINDOW)).toBe(false);
+  });
+
+  it('should forget the failures after a login', () => {
+    const limiter = new LoginLimiter();
+    for (let i = 0; i < MAX_LOGIN_FAILURES; i++) limiter.fail('10.0.0.1');
+    limiter.succeed('10.0.0.1');
+    expect(limiter.isBlocked('10.0.0.1')).toBe(false);
+  });
+});
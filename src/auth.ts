@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { NextFunction, Request, Response } from 'express';
+
+export const SESSION_COOKIE = 'slideshow_session';
+export const SHARE_COOKIE = 'slideshow_share';
+
+// How long a browser stays logged in
+export const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Failed password attempts one address can make in LOGIN_WINDOW before it has
+// to wait for the window to end
+export const MAX_LOGIN_FAILURES = 10;
+export const LOGIN_WINDOW = 15 * 60 * 1000;
+
+// What a request may see: the whole library, or only one album
+export interface Access {
+  album: string | null;
+}
+
+export interface TokenPayload {
+  type: 'session' | 'share';
+  // Expiry time in epoch ms
+  exp: number;
+  album?: string;
+}
+
+export function parseCookies(header: string | undefined): Record<string, string> {
+  const cookies: Record<string, string> = {};
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    try {
+      cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      // Ignore cookies that aren't ours and aren't URI-encoded
+    }
+  }
+  return cookies;
+}
+
+// Whether a library path is inside an album (or one of its subfolders).
+// The path is normalized first so "album/../other.jpg" doesn't count.
+export function isInAlbum(imagePath: string, album: string): boolean {
+  const normalized = path.posix.normalize(imagePath);
+  return normalized.startsWith(`${album}/`);
+}
+
+// The random salt for the signing key, kept in saltFile so logins and share
+// links survive a restart. A new one (without a file) revokes them all.
+function loadSalt(saltFile: string | undefined): Buffer {
+  if (saltFile) {
+    try {
+      const salt = Buffer.from(fs.readFileSync(saltFile, 'utf8').trim(), 'hex');
+      if (salt.length >= 16) return salt;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error(`Error loading the login salt ${saltFile}:`, error);
+      }
+    }
+  }
+
+  const salt = crypto.randomBytes(16);
+  if (saltFile) {
+    try {
+      fs.mkdirSync(path.dirname(saltFile), { recursive: true });
+      fs.writeFileSync(saltFile, salt.toString('hex'), { mode: 0o600 });
+    } catch (error) {
+      console.error(`Error saving the login salt ${saltFile}:`, error);
+    }
+  }
+  return salt;
+}
+
+// Counts failed password attempts by address, so the password can't be
+// guessed by trying one after another
+export class LoginLimiter {
+  private failures = new Map<string, { count: number; until: number }>();
+
+  isBlocked(address: string, now = Date.now()): boolean {
+    const entry = this.failures.get(address);
+    return entry !== undefined && entry.until > now && entry.count >= MAX_LOGIN_FAILURES;
+  }
+
+  fail(address: string, now = Date.now()): void {
+    const entry = this.failures.get(address);
+    if (entry && entry.until > now) {
+      entry.count++;
+      return;
+    }
+    // Forget addresses whose window has ended, so the map doesn't grow forever
+    for (const [key, { until }] of this.failures) {
+      if (until <= now) this.failures.delete(key);
+    }
+    this.failures.set(address, { count: 1, until: now + LOGIN_WINDOW });
+  }
+
+  succeed(address: string): void {
+    this.failures.delete(address);
+  }
+}
+
+/**
+ * Password login with a signed session cookie, and signed share links that
+ * give read-only access to a single album until they expire.
+ *
+ * Tokens are signed with a key derived from the password and a random salt
+ * with scrypt, so a share link can't be used to guess the password offline,
+ * and changing the password logs everyone out and revokes every share link.
+ */
+export class Auth {
+  private key: Buffer;
+  // Logins, and scripts' Bearer passwords, are limited separately, so a
+  // misconfigured script can't lock people out of logging in
+  readonly limiter = new LoginLimiter();
+  readonly bearerLimiter = new LoginLimiter();
+
+  constructor(private password: string, saltFile?: string) {
+    this.key = crypto.scryptSync(password, loadSalt(saltFile), 32);
+  }
+
+  checkPassword(candidate: unknown): boolean {
+    if (typeof candidate !== 'string') return false;
+    // Compare digests so the comparison takes the same time whatever the length
+    const digest = (value: string) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(candidate), digest(this.password));
+  }
+
+  sign(payload: TokenPayload): string {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.signature(body)}`;
+  }
+
+  // The token's payload, or null if it is forged, expired or of another type
+  verify(token: string | undefined, type: TokenPayload['type'], now = Date.now()): TokenPayload | null {
+    if (!token) return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(this.signature(body));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString()) as TokenPayload;
+      return payload.type === type && payload.exp > now ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  createSession(now = Date.now()): string {
+    return this.sign({ type: 'session', exp: now + SESSION_MAX_AGE });
+  }
+
+  createShare(album: string, expires: number): string {
+    return this.sign({ type: 'share', exp: expires, album });
+  }
+
+  // A logged-in browser, or a script sending "Authorization: Bearer <password>",
+  // sees everything; a share link's cookie sees its album; anyone else nothing.
+  // Wrong Bearer passwords are limited like logins.
+  getAccess(req: Request): Access | null {
+    const authorization = req.headers.authorization;
+    const address = req.ip || '';
+    if (authorization?.startsWith('Bearer ') && !this.bearerLimiter.isBlocked(address)) {
+      if (this.checkPassword(authorization.slice(7))) return { album: null };
+      this.bearerLimiter.fail(address);
+    }
+
+    const cookies = parseCookies(req.headers.cookie);
+    if (this.verify(cookies[SESSION_COOKIE], 'session')) {
+      return { album: null };
+    }
+    const share = this.verify(cookies[SHARE_COOKIE], 'share');
+    if (share && share.album) {
+      return { album: share.album };
+    }
+    return null;
+  }
+
+  // Rejects requests without access; otherwise stores it in res.locals.access
+  middleware = (req: Request, res: Response, next: NextFunction): void => {
+    const access = this.getAccess(req);
+    if (!access) {
+      res.status(401).send('Login required');
+      return;
+    }
+    res.locals.access = access;
+    next();
+  };
+
+  private signature(body: string): string {
+    return crypto.createHmac('sha256', this.key).update(body).digest('base64url');
+  }
+}
@@ -0,0 +1,89 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { CaptionTemplateError, formatCaption, getCaption, parseCaptionTemplate, readSidecarCaption } from './captions';
+import { ImageMetadata } from './metadata';
+
+const metadata = (extra: Partial<ImageMetadata> = {}): ImageMetadata => ({
+  filename: 'photo.jpg',
+  width: 6,
+  height: 4,
+  size: 100,
+  modified: new Date(2024, 4, 6, 12).toISOString(),
+  type: 'jpg',
+  ...extra,
+});
+
+describe('parseCaptionTemplate', () => {
+  it('should accept known placeholders', () => {
+    expect(parseCaptionTemplate('{name} · {date}')).toBe('{name} · {date}');
+  });
+
+  it('should reject anything else', () => {
+    expect(() => parseCaptionTemplate(3)).toThrow(CaptionTemplateError);
+    expect(() => parseCaptionTemplate('{name} {camera}')).toThrow('Unknown caption placeholder: {camera}');
+  });
+});
+
+describe('formatCaption', () => {
+  it('should fill in the placeholders', () => {
+    const info = metadata({ place: 'Paris, France', exif: { dateTaken: '2023:07:14 18:30:00' } });
+    expect(formatCaption('{name} — {folder}, {place} ({date})', 'trips/france/eiffel_tower.jpg', info))
+      .toBe('eiffel tower — france, Paris, France (2023-07-14)');
+  });
+
+  it('should fall back to the modified date', () => {
+    expect(formatCaption('{date}', 'photo.jpg', metadata())).toBe('2024-05-06');
+  });
+
+  it('should give nothing when every placeholder is empty', () => {
+    expect(formatCaption('{place} · {title}', 'photo.jpg', metadata())).toBeNull();
+    expect(formatCaption('{folder}', 'photo.jpg', null)).toBeNull();
+  });
+});
+
+describe('captions from files', () => {
+  let testDir: string;
+  let filepath: string;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'captions-test-'));
+    filepath = path.join(testDir, 'photo.jpg');
+    fs.writeFileSync(filepath, '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should read a text sidecar', async () => {
+    fs.writeFileSync(path.join(testDir, 'photo.txt'), ' First day of school \n');
+    expect(await readSidecarCaption(filepath)).toBe('First day of school');
+
+    fs.writeFileSync(`${filepath}.txt`, 'Named after the whole file');
+    expect(await readSidecarCaption(filepath)).toBe('Named after the whole file');
+  });
+
+  it('should read a JSON sidecar', async () => {
+    fs.writeFileSync(`${filepath}.json`, JSON.stringify({ title: 'photo.jpg', description: 'Beach day' }));
+    expect(await readSidecarCaption(filepath)).toBe('Beach day');
+
+    fs.writeFileSync(`${filepath}.json`, JSON.stringify({ title: 'photo.jpg', description: '' }));
+    expect(await readSidecarCaption(filepath)).toBeNull();
+
+    fs.writeFileSync(`${filepath}.json`, 'not json');
+    expect(await readSidecarCaption(filepath)).toBeNull();
+  });
+
+  it('should prefer a sidecar, then embedded text, then the template', async () => {
+    const info = metadata({ title: 'Embedded title', description: 'Embedded description' });
+    expect(await getCaption(filepath, 'photo.jpg', info, '{name}')).toBe('Embedded description');
+    expect(await getCaption(filepath, 'photo.jpg', metadata({ title: 'Embedded title' }), '{name}')).toBe('Embedded title');
+    expect(await getCaption(filepath, 'photo.jpg', metadata(), '{name}')).toBe('photo');
+    expect(await getCaption(filepath, 'photo.jpg', metadata())).toBeNull();
+
+    fs.writeFileSync(path.join(testDir, 'photo.txt'), 'From the sidecar');
+    expect(await getCaption(filepath, 'photo.jpg', info, '{name}')).toBe('From the sidecar');
+  });
+});
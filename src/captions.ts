@@ -0,0 +1,94 @@
+import path from 'path';
+import fs from 'fs';
+import { ImageMetadata } from './metadata';
+import { formatDay, parseExifDate } from './listing';
+
+// Placeholders a caption template can fill in: {name} (the file name without
+// its extension, underscores as spaces), {folder}, {date} (taken, or else
+// modified, as YYYY-MM-DD), {place}, {title} and {description}
+export const CAPTION_FIELDS = ['name', 'folder', 'date', 'place', 'title', 'description'];
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Longest caption a sidecar file can give; anything longer is cut off
+const MAX_CAPTION_LENGTH = 1000;
+
+export class CaptionTemplateError extends Error {}
+
+// Check a caption template only uses known placeholders
+export function parseCaptionTemplate(value: unknown): string {
+  if (typeof value !== 'string') throw new CaptionTemplateError('Invalid caption template');
+  for (const [, field] of value.matchAll(PLACEHOLDER)) {
+    if (!CAPTION_FIELDS.includes(field)) {
+      throw new CaptionTemplateError(`Unknown caption placeholder: {${field}}`);
+    }
+  }
+  return value;
+}
+
+// Fill in a caption template for an image. Placeholders without a value are
+// left empty, and so is a caption with nothing but punctuation left in it.
+export function formatCaption(template: string, imagePath: string, metadata: ImageMetadata | null): string | null {
+  const name = path.posix.basename(imagePath, path.posix.extname(imagePath)).replace(/_+/g, ' ');
+  const folder = path.posix.basename(path.posix.dirname(imagePath));
+  const taken = metadata?.exif?.dateTaken ? parseExifDate(metadata.exif.dateTaken) : null;
+  const modified = metadata ? Date.parse(metadata.modified) : NaN;
+  const date = taken ?? (isNaN(modified) ? null : modified);
+
+  const values: Record<string, string | undefined> = {
+    name,
+    folder: folder === '.' ? '' : folder,
+    date: date === null ? undefined : formatDay(date),
+    place: metadata?.place,
+    title: metadata?.title,
+    description: metadata?.description,
+  };
+  const caption = template.replace(PLACEHOLDER, (_match, field: string) => values[field] || '').trim();
+  return /[\p{L}\p{N}]/u.test(caption) ? caption : null;
+}
+
+// The caption in a sidecar file next to the image: photo.jpg.txt or
+// photo.txt holds the caption itself, and photo.jpg.json or photo.json has a
+// caption, description or title (as Google Takeout writes)
+export async function readSidecarCaption(filepath: string): Promise<string | null> {
+  const base = filepath.slice(0, -path.extname(filepath).length);
+  for (const file of [`${filepath}.txt`, `${base}.txt`, `${filepath}.json`, `${base}.json`]) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch {
+      continue;
+    }
+
+    let caption: unknown = text;
+    if (file.endsWith('.json')) {
+      try {
+        const data = JSON.parse(text);
+        // Takeout titles are usually just the file name
+        const title = data?.title !== path.basename(filepath) ? data?.title : undefined;
+        caption = [data?.caption, data?.description, title].find(value => typeof value === 'string' && value.trim());
+      } catch {
+        continue;
+      }
+    }
+    if (typeof caption === 'string' && caption.trim()) {
+      return caption.trim().slice(0, MAX_CAPTION_LENGTH);
+    }
+  }
+  return null;
+}
+
+// An image's caption: from a sidecar file, else the description or title
+// embedded in it, else the template (when there is one)
+export async function getCaption(
+  filepath: string,
+  imagePath: string,
+  metadata: ImageMetadata | null,
+  template?: string
+): Promise<string | null> {
+  const sidecar = await readSidecarCaption(filepath);
+  if (sidecar) return sidecar;
+  if (metadata?.description) return metadata.description;
+  if (metadata?.title) return metadata.title;
+  return template ? formatCaption(template, imagePath, metadata) : null;
+}
@@ -0,0 +1,277 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import {
+  ConfigError,
+  DEFAULT_CONFIG,
+  loadConfig,
+  loadConfigFile,
+  nameFolders,
+  parseCommandLine,
+  parseEnvironment,
+} from './config';
+
+describe('parseCommandLine', () => {
+  it('should return nothing for no arguments', () => {
+    expect(parseCommandLine([])).toEqual({});
+  });
+
+  it('should accept a folder as the only argument', () => {
+    expect(parseCommandLine(['/photos'])).toEqual({ folders: { photos: '/photos' } });
+  });
+
+  it('should parse all options', () => {
+    const result = parseCommandLine([
+      '--folder', '/phone', '-f', '/camera', '/scans',
+      '--port', '8080', '--host', '0.0.0.0', '--no-open',
+      '--cache-dir', '/var/cache/slideshow', '--data-dir', '/var/lib/slideshow', '--music-dir', '/srv/music',
+      '-c', 'config.yaml',
+    ]);
+    expect(result).toEqual({
+      folders: { phone: '/phone', camera: '/camera', scans: '/scans' },
+      port: 8080,
+      host: '0.0.0.0',
+      open: false,
+      cacheDir: '/var/cache/slideshow',
+      dataDir: '/var/lib/slideshow',
+      musicDir: '/srv/music',
+      config: 'config.yaml',
+    });
+  });
+
+  it('should resolve relative folders', () => {
+    expect(parseCommandLine(['photos']).folders).toEqual({ photos: path.resolve('photos') });
+  });
+
+  it('should accept named folders', () => {
+    expect(parseCommandLine(['-f', 'phone=/mnt/uploads', '-f', '/mnt/archive']).folders).toEqual({
+      phone: '/mnt/uploads',
+      archive: '/mnt/archive',
+    });
+  });
+
+  it('should reject invalid ports and unknown options', () => {
+    expect(() => parseCommandLine(['--port', 'http'])).toThrow(ConfigError);
+    expect(() => parseCommandLine(['--port', '70000'])).toThrow('Invalid port in --port: 70000');
+    expect(() => parseCommandLine(['--verbose'])).toThrow(ConfigError);
+  });
+});
+
+describe('parseEnvironment', () => {
+  it('should read the supported variables', () => {
+    const result = parseEnvironment({
+      PORT: '4000',
+      HOST: '::',
+      IMAGES_PATH: ['/a', '/b'].join(path.delimiter),
+      SLIDESHOW_NO_OPEN: '1',
+      SLIDESHOW_CONFIG: '/etc/slideshow.json',
+      SLIDESHOW_CACHE_DIR: '/tmp/cache',
+      SLIDESHOW_DATA_DIR: '/srv/slideshow',
+      SLIDESHOW_MUSIC_DIR: '/srv/music',
+      SLIDESHOW_PASSWORD: 'hunter2',
+    });
+    expect(result).toEqual({
+      port: 4000,
+      host: '::',
+      folders: { a: '/a', b: '/b' },
+      open: false,
+      config: '/etc/slideshow.json',
+      cacheDir: '/tmp/cache',
+      dataDir: '/srv/slideshow',
+      musicDir: '/srv/music',
+      password: 'hunter2',
+    });
+  });
+
+  it('should ignore unrelated variables', () => {
+    expect(parseEnvironment({ HOME: '/root' })).toEqual({});
+  });
+});
+
+describe('config files', () => {
+  let testDir: string;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should read JSON and resolve paths against the file', () => {
+    const file = path.join(testDir, 'slideshow.json');
+    fs.writeFileSync(file, JSON.stringify({
+      port: 8000,
+      open: false,
+      folders: ['photos', '/mnt/scans'],
+      cacheDir: 'cache',
+      dataDir: 'data',
+      musicDir: 'music',
+      ffmpegPath: 'bin/ffmpeg',
+      client: { interval: 10000, shuffle: false, unknown: true },
+    }));
+
+    expect(loadConfigFile(file)).toEqual({
+      port: 8000,
+      open: false,
+      folders: { photos: path.join(testDir, 'photos'), scans: '/mnt/scans' },
+      cacheDir: path.join(testDir, 'cache'),
+      dataDir: path.join(testDir, 'data'),
+      musicDir: path.join(testDir, 'music'),
+      ffmpegPath: path.join(testDir, 'bin/ffmpeg'),
+      clientDefaults: { interval: 10000, shuffle: false },
+    });
+  });
+
+  it('should leave an ffmpeg command name to be found on the PATH', () => {
+    const file = path.join(testDir, 'slideshow.json');
+    fs.writeFileSync(file, JSON.stringify({ ffmpegPath: 'ffmpeg' }));
+    expect(loadConfigFile(file).ffmpegPath).toBe('ffmpeg');
+  });
+
+  it('should read YAML', () => {
+    const file = path.join(testDir, 'slideshow.yaml');
+    fs.writeFileSync(file, [
+      'host: 0.0.0.0',
+      'password: correct horse',
+      'trustProxy: 1',
+      'folders: /photos',
+      'client:',
+      '  transition: slide',
+      '  kenBurns: true',
+    ].join('\n'));
+
+    expect(loadConfigFile(file)).toEqual({
+      host: '0.0.0.0',
+      password: 'correct horse',
+      trustProxy: 1,
+      folders: { photos: '/photos' },
+      clientDefaults: { transition: 'slide', kenBurns: true },
+    });
+  });
+
+  it('should reject settings with the wrong type', () => {
+    const file = path.join(testDir, 'slideshow.json');
+    fs.writeFileSync(file, JSON.stringify({ open: 'false' }));
+    expect(() => loadConfigFile(file)).toThrow(`Invalid open in ${file}: false`);
+
+    for (const client of [{ shuffle: 'no' }, { interval: 500 }, { transition: 'spin' }, { musicVolume: 2 }]) {
+      fs.writeFileSync(file, JSON.stringify({ client }));
+      expect(() => loadConfigFile(file)).toThrow(ConfigError);
+    }
+    fs.writeFileSync(file, JSON.stringify({ client: { shuffle: 'no' } }));
+    expect(() => loadConfigFile(file)).toThrow(`Invalid client setting shuffle in ${file}: no`);
+  });
+
+  it('should read a schedule', () => {
+    const file = path.join(testDir, 'slideshow.yaml');
+    fs.writeFileSync(file, [
+      'schedule:',
+      '  profiles:',
+      '    night: { blackout: clock }',
+      '  windows:',
+      '    - { from: 22:00, to: 07:00, profile: night }',
+    ].join('\n'));
+
+    expect(loadConfigFile(file).schedule).toEqual({
+      profiles: { night: { blackout: 'clock' } },
+      windows: [{ days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], from: '22:00', to: '07:00', profile: 'night' }],
+    });
+  });
+
+  it('should reject an invalid schedule', () => {
+    const file = path.join(testDir, 'slideshow.json');
+    fs.writeFileSync(file, JSON.stringify({ schedule: { profiles: {}, windows: [{ profile: 'night' }] } }));
+
+    expect(() => loadConfigFile(file)).toThrow(`Unknown profile: night in the schedule in ${file}`);
+  });
+
+  it('should read a caption template', () => {
+    const file = path.join(testDir, 'slideshow.json');
+    fs.writeFileSync(file, JSON.stringify({ captionTemplate: '{folder} · {date}' }));
+    expect(loadConfigFile(file).captionTemplate).toBe('{folder} · {date}');
+
+    fs.writeFileSync(file, JSON.stringify({ captionTemplate: '{camera}' }));
+    expect(() => loadConfigFile(file)).toThrow(`Unknown caption placeholder: {camera} in ${file}`);
+  });
+
+  it('should read folders by name', () => {
+    const file = path.join(testDir, 'slideshow.yaml');
+    fs.writeFileSync(file, [
+      'folders:',
+      '  phone: /mnt/phone',
+      '  camera: archive/camera',
+    ].join('\n'));
+
+    expect(loadConfigFile(file).folders).toEqual({
+      phone: '/mnt/phone',
+      camera: path.join(testDir, 'archive/camera'),
+    });
+  });
+
+  it('should report unreadable and invalid files', () => {
+    expect(() => loadConfigFile(path.join(testDir, 'missing.json'))).toThrow(ConfigError);
+
+    const broken = path.join(testDir, 'broken.json');
+    fs.writeFileSync(broken, '{ port: ');
+    expect(() => loadConfigFile(broken)).toThrow('Could not read config file');
+
+    const list = path.join(testDir, 'list.yml');
+    fs.writeFileSync(list, '- one\n- two\n');
+    expect(() => loadConfigFile(list)).toThrow('must contain an object');
+
+    const badFolders = path.join(testDir, 'folders.json');
+    fs.writeFileSync(badFolders, JSON.stringify({ folders: [1, 2] }));
+    expect(() => loadConfigFile(badFolders)).toThrow('Invalid folders');
+
+    const badPassword = path.join(testDir, 'password.json');
+    fs.writeFileSync(badPassword, JSON.stringify({ password: 1234 }));
+    expect(() => loadConfigFile(badPassword)).toThrow('Invalid password');
+
+    const badProxy = path.join(testDir, 'proxy.json');
+    fs.writeFileSync(badProxy, JSON.stringify({ trustProxy: -1 }));
+    expect(() => loadConfigFile(badProxy)).toThrow(`Invalid trustProxy in ${badProxy}: -1`);
+  });
+
+  it('should let the environment override the file and the command line override both', () => {
+    const file = path.join(testDir, 'slideshow.json');
+    fs.writeFileSync(file, JSON.stringify({ port: 8000, host: '0.0.0.0', open: false }));
+
+    const config = loadConfig(['--port', '9000'], { SLIDESHOW_CONFIG: file, PORT: '8500', HOST: '127.0.0.1' });
+
+    expect(config).toEqual({
+      ...DEFAULT_CONFIG,
+      port: 9000,
+      host: '127.0.0.1',
+      open: false,
+    });
+  });
+});
+
+describe('loadConfig', () => {
+  it('should use the defaults when nothing is set', () => {
+    expect(loadConfig([], {})).toEqual(DEFAULT_CONFIG);
+  });
+
+  it('should report help', () => {
+    expect(loadConfig(['--help'], {}).help).toBe(true);
+  });
+});
+
+describe('nameFolders', () => {
+  it('should number folders with the same name', () => {
+    expect(nameFolders(['/a/photos', '/b/photos', '/c/photos'], '/', 'test')).toEqual({
+      photos: '/a/photos',
+      'photos-2': '/b/photos',
+      'photos-3': '/c/photos',
+    });
+  });
+
+  it('should reject duplicate and unusable names', () => {
+    expect(() => nameFolders(['x=/a', 'x=/b'], '/', 'test')).toThrow('Duplicate folder name in test: x');
+    expect(() => nameFolders(['my photos=/a'], '/', 'test')).toThrow('Invalid folder name in test: my photos');
+    expect(() => nameFolders(['..=/a'], '/', 'test')).toThrow(ConfigError);
+  });
+});
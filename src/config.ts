@@ -0,0 +1,297 @@
+import path from 'path';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+import { DEFAULT_CACHE_DIR } from './renditions';
+import { ImageRoots } from './library';
+import { Schedule, ScheduleError, parseSchedule } from './schedule';
+import { CaptionTemplateError, parseCaptionTemplate } from './captions';
+
+const isBoolean = (value: unknown) => typeof value === 'boolean';
+const isInteger = (min: number) => (value: unknown) => Number.isInteger(value) && (value as number) >= min;
+const isOneOf = (...choices: string[]) => (value: unknown) => choices.includes(value as string);
+
+// Client settings the server may set defaults for, and the values each takes
+// (see DEFAULT_SETTINGS in slideshow.js)
+export const CLIENT_SETTINGS: Record<string, (value: unknown) => boolean> = {
+  interval: isInteger(1000),
+  shuffle: isBoolean,
+  info: isBoolean,
+  transition: isOneOf('crossfade', 'slide', 'zoom', 'none'),
+  kenBurns: isBoolean,
+  fullscreen: isBoolean,
+  muteVideos: isBoolean,
+  playVideosToEnd: isBoolean,
+  maxVideoDuration: isInteger(0),
+  sort: isOneOf('name', 'dateTaken'),
+  favoritesOnly: isBoolean,
+  weightedShuffle: isBoolean,
+  spread: isOneOf('none', 'folder', 'date'),
+  captions: isBoolean,
+  captionPosition: isOneOf('bottom', 'top'),
+  musicMode: isOneOf('loop', 'shuffle'),
+  musicVolume: value => typeof value === 'number' && value >= 0 && value <= 1,
+  musicMuted: isBoolean,
+};
+
+export interface ServerConfig {
+  port: number;
+  // Address to bind to; all interfaces when not set
+  host?: string;
+  // Launch a browser once the server is listening
+  open: boolean;
+  // Image folders by name; with more than one, image paths start with the name
+  folders: ImageRoots;
+  cacheDir: string;
+  // Where ratings and other things people set up are kept; unlike the cache,
+  // losing it loses work
+  dataDir: string;
+  // Audio folder played as background music; no music when not set
+  musicDir?: string;
+  // The ffmpeg that renders slideshow videos; the one on the PATH when not set
+  ffmpegPath?: string;
+  // Defaults for the slideshow settings; the browser's saved settings and URL override them
+  clientDefaults: Record<string, unknown>;
+  // Display profiles by time of day and day of week (config file only)
+  schedule?: Schedule;
+  // Caption for images without one of their own (config file only)
+  captionTemplate?: string;
+  // Password for viewing the slideshow; anyone on the network can view it when not set
+  password?: string;
+  // Which proxies to take the client's address from (Express's "trust proxy":
+  // true, a number of hops, or addresses) (config file only)
+  trustProxy?: boolean | number | string;
+}
+
+export const DEFAULT_CONFIG: ServerConfig = {
+  port: 3000,
+  open: true,
+  folders: { images: path.join(__dirname, '../images') },
+  cacheDir: DEFAULT_CACHE_DIR,
+  dataDir: path.join(__dirname, '../slideshow-data'),
+  clientDefaults: {},
+};
+
+export const USAGE = `Usage: node dist/server.js [options] [[name=]folder...]
+
+Options:
+  -f, --folder [name=]<path>
+                          Image folder to serve (repeatable)
+  -p, --port <number>     Port to listen on (default 3000)
+      --host <address>    Address to bind to (default all interfaces)
+      --no-open           Don't open a browser on start
+      --cache-dir <path>  Where renditions, the image index and metadata are cached
+      --data-dir <path>   Where favorites and ratings are kept
+                          (default slideshow-data next to the server)
+      --music-dir <path>  Audio folder to play as background music
+  -c, --config <file>     JSON or YAML config file
+  -h, --help              Show this help
+
+Environment variables:
+  PORT, HOST, IMAGES_PATH (folders separated by "${path.delimiter}"),
+  SLIDESHOW_CONFIG, SLIDESHOW_CACHE_DIR, SLIDESHOW_DATA_DIR, SLIDESHOW_MUSIC_DIR,
+  SLIDESHOW_NO_OPEN=1,
+  SLIDESHOW_PASSWORD (only set the password here or in a config file)`;
+
+export class ConfigError extends Error {}
+
+type PartialConfig = Partial<ServerConfig>;
+
+const FOLDER_NAME = /^(?!\.\.?$)[\w.-]+$/;
+
+// Name each folder: "phone=/mnt/phone" names it explicitly, otherwise the
+// folder's own name is used (with a number added if it is taken)
+export function nameFolders(specs: string[], baseDir: string, source: string): ImageRoots {
+  const folders: ImageRoots = {};
+  for (const spec of specs) {
+    const match = /^([^=/\\]+)=(.+)$/.exec(spec);
+    const folder = path.resolve(baseDir, match ? match[2] : spec);
+    let name = match ? match[1] : path.basename(folder);
+    if (!FOLDER_NAME.test(name)) {
+      throw new ConfigError(`Invalid folder name in ${source}: ${name}`);
+    }
+    if (!match) {
+      const base = name;
+      for (let n = 2; name in folders; n++) {
+        name = `${base}-${n}`;
+      }
+    } else if (name in folders) {
+      throw new ConfigError(`Duplicate folder name in ${source}: ${name}`);
+    }
+    folders[name] = folder;
+  }
+  return folders;
+}
+
+function parsePort(value: unknown, source: string): number {
+  const port = typeof value === 'number' ? value : parseInt(String(value), 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535 || String(port) !== String(value).trim()) {
+    throw new ConfigError(`Invalid port in ${source}: ${value}`);
+  }
+  return port;
+}
+
+// true or false only, so "false" in a config file isn't taken as true
+function parseBoolean(value: unknown, name: string, source: string): boolean {
+  if (typeof value !== 'boolean') {
+    throw new ConfigError(`Invalid ${name} in ${source}: ${value}`);
+  }
+  return value;
+}
+
+// Settings the slideshow doesn't know are ignored; ones it knows must have a value it takes
+function pickClientDefaults(value: unknown, source: string): Record<string, unknown> {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new ConfigError(`Invalid client settings in ${source}`);
+  }
+  const defaults: Record<string, unknown> = {};
+  for (const [key, isValid] of Object.entries(CLIENT_SETTINGS)) {
+    if (key in value) {
+      const setting = (value as Record<string, unknown>)[key];
+      if (!isValid(setting)) {
+        throw new ConfigError(`Invalid client setting ${key} in ${source}: ${setting}`);
+      }
+      defaults[key] = setting;
+    }
+  }
+  return defaults;
+}
+
+export function parseCommandLine(argv: string[]): PartialConfig & { config?: string; help?: boolean } {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        folder: { type: 'string', short: 'f', multiple: true },
+        port: { type: 'string', short: 'p' },
+        host: { type: 'string' },
+        'no-open': { type: 'boolean' },
+        'cache-dir': { type: 'string' },
+        'data-dir': { type: 'string' },
+        'music-dir': { type: 'string' },
+        config: { type: 'string', short: 'c' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    throw new ConfigError((error as Error).message);
+  }
+
+  const { values, positionals } = parsed;
+  const result: PartialConfig & { config?: string; help?: boolean } = {};
+  const folders = [...(values.folder || []), ...positionals];
+  if (folders.length > 0) result.folders = nameFolders(folders, process.cwd(), '--folder');
+  if (values.port !== undefined) result.port = parsePort(values.port, '--port');
+  if (values.host !== undefined) result.host = values.host;
+  if (values['no-open']) result.open = false;
+  if (values['cache-dir'] !== undefined) result.cacheDir = path.resolve(values['cache-dir']);
+  if (values['data-dir'] !== undefined) result.dataDir = path.resolve(values['data-dir']);
+  if (values['music-dir'] !== undefined) result.musicDir = path.resolve(values['music-dir']);
+  if (values.config !== undefined) result.config = values.config;
+  if (values.help) result.help = true;
+  return result;
+}
+
+export function parseEnvironment(env: NodeJS.ProcessEnv): PartialConfig & { config?: string } {
+  const result: PartialConfig & { config?: string } = {};
+  if (env.PORT) result.port = parsePort(env.PORT, 'PORT');
+  if (env.HOST) result.host = env.HOST;
+  if (env.IMAGES_PATH) {
+    result.folders = nameFolders(env.IMAGES_PATH.split(path.delimiter).filter(Boolean), process.cwd(), 'IMAGES_PATH');
+  }
+  if (env.SLIDESHOW_CACHE_DIR) result.cacheDir = path.resolve(env.SLIDESHOW_CACHE_DIR);
+  if (env.SLIDESHOW_DATA_DIR) result.dataDir = path.resolve(env.SLIDESHOW_DATA_DIR);
+  if (env.SLIDESHOW_MUSIC_DIR) result.musicDir = path.resolve(env.SLIDESHOW_MUSIC_DIR);
+  if (env.SLIDESHOW_NO_OPEN === '1' || env.SLIDESHOW_NO_OPEN === 'true') result.open = false;
+  if (env.SLIDESHOW_CONFIG) result.config = env.SLIDESHOW_CONFIG;
+  if (env.SLIDESHOW_PASSWORD) result.password = env.SLIDESHOW_PASSWORD;
+  return result;
+}
+
+// Read a JSON or YAML (.yaml/.yml) config file. Relative paths in it are
+// resolved against the file's own folder.
+export function loadConfigFile(file: string): PartialConfig {
+  let data: unknown;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`Could not read config file ${file}: ${(error as Error).message}`);
+  }
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new ConfigError(`Config file ${file} must contain an object`);
+  }
+
+  const raw = data as Record<string, unknown>;
+  const baseDir = path.dirname(path.resolve(file));
+  const result: PartialConfig = {};
+
+  if (raw.port !== undefined) result.port = parsePort(raw.port, file);
+  if (raw.host !== undefined) result.host = String(raw.host);
+  if (raw.open !== undefined) result.open = parseBoolean(raw.open, 'open', file);
+  if (raw.folders !== undefined) {
+    // A path, a list of paths, or an object of paths by name
+    const folders = typeof raw.folders === 'object' && raw.folders !== null && !Array.isArray(raw.folders)
+      ? Object.entries(raw.folders).map(([name, folder]) => typeof folder === 'string' ? `${name}=${folder}` : null)
+      : ([] as unknown[]).concat(raw.folders);
+    if (!folders.every(folder => typeof folder === 'string')) {
+      throw new ConfigError(`Invalid folders in ${file}`);
+    }
+    result.folders = nameFolders(folders as string[], baseDir, file);
+  }
+  if (raw.cacheDir !== undefined) result.cacheDir = path.resolve(baseDir, String(raw.cacheDir));
+  if (raw.dataDir !== undefined) result.dataDir = path.resolve(baseDir, String(raw.dataDir));
+  if (raw.musicDir !== undefined) result.musicDir = path.resolve(baseDir, String(raw.musicDir));
+  if (raw.ffmpegPath !== undefined) {
+    // A bare command name is looked up on the PATH
+    const ffmpegPath = String(raw.ffmpegPath);
+    result.ffmpegPath = /[\\/]/.test(ffmpegPath) ? path.resolve(baseDir, ffmpegPath) : ffmpegPath;
+  }
+  if (raw.client !== undefined) result.clientDefaults = pickClientDefaults(raw.client, file);
+  if (raw.schedule !== undefined) {
+    try {
+      result.schedule = parseSchedule(raw.schedule);
+    } catch (error) {
+      if (!(error instanceof ScheduleError)) throw error;
+      throw new ConfigError(`${error.message} in the schedule in ${file}`);
+    }
+  }
+  if (raw.captionTemplate !== undefined) {
+    try {
+      result.captionTemplate = parseCaptionTemplate(raw.captionTemplate);
+    } catch (error) {
+      if (!(error instanceof CaptionTemplateError)) throw error;
+      throw new ConfigError(`${error.message} in ${file}`);
+    }
+  }
+  if (raw.password !== undefined) {
+    if (typeof raw.password !== 'string' || !raw.password) {
+      throw new ConfigError(`Invalid password in ${file}`);
+    }
+    result.password = raw.password;
+  }
+  if (raw.trustProxy !== undefined) {
+    const value = raw.trustProxy;
+    if (typeof value !== 'boolean' && !(Number.isInteger(value) && (value as number) >= 0) &&
+        !(typeof value === 'string' && value)) {
+      throw new ConfigError(`Invalid trustProxy in ${file}: ${value}`);
+    }
+    result.trustProxy = value as boolean | number | string;
+  }
+  return result;
+}
+
+// Combine the defaults, config file, environment and command line, in increasing priority
+export function loadConfig(argv: string[], env: NodeJS.ProcessEnv): ServerConfig & { help?: boolean } {
+  const fromCommandLine = parseCommandLine(argv);
+  const fromEnvironment = parseEnvironment(env);
+
+  const configFile = fromCommandLine.config || fromEnvironment.config;
+  const fromFile = configFile ? loadConfigFile(configFile) : {};
+
+  const config = { ...DEFAULT_CONFIG, ...fromFile, ...fromEnvironment, ...fromCommandLine };
+  delete config.config;
+  return config;
+}
@@ -0,0 +1,185 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import {
+  DEFAULT_EXPORT_OPTIONS, ExportError, ExportJob, ExportManager, ExportSource, MAX_EXPORT_IMAGES, ffmpegArguments,
+  parseExportOptions, soundtrackArguments,
+} from './exports';
+
+describe('parseExportOptions', () => {
+  it('should fill in the defaults', () => {
+    expect(parseExportOptions({})).toEqual(DEFAULT_EXPORT_OPTIONS);
+    expect(parseExportOptions({ albums: '/trip/', interval: 3000, transition: 'none', format: 'webm', audio: true }))
+      .toEqual({ ...DEFAULT_EXPORT_OPTIONS, albums: ['trip'], interval: 3000, transition: 'none', format: 'webm', audio: true });
+    expect(parseExportOptions({ images: ['b.jpg', 'a.jpg'], shuffle: true, sort: 'dateTaken' }))
+      .toEqual({ ...DEFAULT_EXPORT_OPTIONS, images: ['b.jpg', 'a.jpg'], shuffle: true, sort: 'dateTaken' });
+  });
+
+  it('should reject anything else', () => {
+    expect(() => parseExportOptions(null)).toThrow(ExportError);
+    expect(() => parseExportOptions({ albums: [1] })).toThrow('Invalid albums');
+    expect(() => parseExportOptions({ playlist: '' })).toThrow('Invalid playlist');
+    expect(() => parseExportOptions({ images: [] })).toThrow('Invalid images');
+    expect(() => parseExportOptions({ images: Array(MAX_EXPORT_IMAGES + 1).fill('a.jpg') }))
+      .toThrow(`At most ${MAX_EXPORT_IMAGES} images per video`);
+    expect(() => parseExportOptions({ playlist: 'p1', images: ['a.jpg'] })).toThrow('Give either a playlist or images');
+    expect(() => parseExportOptions({ interval: 500 })).toThrow('Invalid interval');
+    expect(() => parseExportOptions({ interval: 120000 })).toThrow('Invalid interval');
+    expect(() => parseExportOptions({ transition: 'spin' })).toThrow('Invalid transition');
+    expect(() => parseExportOptions({ sort: 'mtime' })).toThrow('Invalid sort');
+    expect(() => parseExportOptions({ format: 'gif' })).toThrow('Invalid format');
+    expect(() => parseExportOptions({ audio: 'yes' })).toThrow('Invalid audio');
+  });
+});
+
+describe('ffmpegArguments', () => {
+  const filterGraph = (args: string[]) => args[args.indexOf('-filter_complex') + 1].split(';');
+
+  it('should cross-fade each image into the next', () => {
+    const args = ffmpegArguments(['a.jpg', 'b.jpg', 'c.jpg'], DEFAULT_EXPORT_OPTIONS, 'out.mp4');
+
+    // Every image but the last overlaps the next by the transition
+    expect(args.filter((_arg, i) => args[i - 1] === '-t')).toEqual(['6', '6', '5', '15']);
+    expect(filterGraph(args).slice(3)).toEqual([
+      '[v0][v1]xfade=transition=fade:duration=1:offset=5[x1]',
+      '[x1][v2]xfade=transition=fade:duration=1:offset=10[video]',
+    ]);
+    expect(args).toEqual(expect.arrayContaining(['-c:v', 'libx264']));
+    expect(args[args.length - 1]).toBe('out.mp4');
+  });
+
+  it('should cut straight from image to image without a transition', () => {
+    const options = { ...DEFAULT_EXPORT_OPTIONS, transition: 'none', format: 'webm' as const };
+    const args = ffmpegArguments(['a.jpg', 'b.jpg'], options, 'out.webm');
+
+    expect(args.filter((_arg, i) => args[i - 1] === '-t')).toEqual(['5', '5', '10']);
+    expect(filterGraph(args)[2]).toBe('[v0][v1]concat=n=2:v=1:a=0[video]');
+    expect(args).toEqual(expect.arrayContaining(['-c:v', 'libvpx-vp9']));
+  });
+
+  it('should add the soundtrack, fading out at the end', () => {
+    const args = ffmpegArguments(['a.jpg', 'b.jpg'], DEFAULT_EXPORT_OPTIONS, 'out.mp4', 'soundtrack.flac');
+
+    expect(args).toEqual(expect.arrayContaining(['-stream_loop', '-1', '-i', 'soundtrack.flac']));
+    expect(filterGraph(args)).toContain('[2:a]afade=t=out:st=8:d=2[audio]');
+    expect(args).toEqual(expect.arrayContaining(['-map', '[audio]', '-c:a', 'aac']));
+  });
+});
+
+describe('soundtrackArguments', () => {
+  it('should decode each track and join them, as long as the video at most', () => {
+    const args = soundtrackArguments(['a.mp3', 'b.flac', 'c.m4a'], 15, 'soundtrack.flac');
+
+    expect(args.filter((_arg, i) => args[i - 1] === '-i')).toEqual(['a.mp3', 'b.flac', 'c.m4a']);
+    const filters = args[args.indexOf('-filter_complex') + 1].split(';');
+    expect(filters[1]).toBe('[1:a]aformat=sample_fmts=s16:sample_rates=48000:channel_layouts=stereo[a1]');
+    expect(filters[3]).toBe('[a0][a1][a2]concat=n=3:v=0:a=1[music]');
+    expect(args).toEqual(expect.arrayContaining(['-map', '[music]', '-t', '15']));
+    expect(args[args.length - 1]).toBe('soundtrack.flac');
+  });
+});
+
+describe('ExportManager', () => {
+  let testDir: string;
+  let outputDir: string;
+  let source: ExportSource;
+
+  // Stands in for ffmpeg: reports some progress, then writes the output file
+  // after a delay (in ms), or fails
+  const fakeFfmpeg = (delay: number | 'fail' = 0) => {
+    const file = path.join(testDir, `ffmpeg-${delay}`);
+    fs.writeFileSync(file, `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const output = args[args.length - 1];
+fs.writeFileSync(output + '.args', JSON.stringify(args));
+if (${delay === 'fail'}) {
+  console.error('Unknown encoder');
+  process.exit(1);
+}
+console.log('out_time_us=5000000\\nprogress=continue');
+setTimeout(() => {
+  fs.writeFileSync(output, 'video');
+  console.log('progress=end');
+}, ${delay === 'fail' ? 0 : delay});
+`, { mode: 0o755 });
+    return file;
+  };
+
+  const finished = async (manager: ExportManager, id: string): Promise<ExportJob> => {
+    for (let i = 0; i < 200; i++) {
+      const job = manager.get(id)!;
+      if (job.status === 'done' || job.status === 'failed') return job;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error('Export did not finish');
+  };
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-test-'));
+    outputDir = path.join(testDir, 'exports');
+    source = {
+      frame: async image => image === 'broken.jpg' ? null : path.join(testDir, image),
+      tracks: async () => [path.join(testDir, "it's.mp3")],
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should make the video and report when it is done', async () => {
+    const manager = new ExportManager(outputDir, source, { ffmpegPath: fakeFfmpeg() });
+    const job = manager.create(DEFAULT_EXPORT_OPTIONS, ['a.jpg', 'broken.jpg', 'b.jpg'], 1000);
+    expect(job).toEqual(expect.objectContaining({ status: 'preparing', images: 3, duration: 15, created: 1000 }));
+    expect(manager.file(job.id)).toBeNull();
+
+    const done = await finished(manager, job.id);
+    expect(done).toEqual(expect.objectContaining({ status: 'done', progress: 1, images: 2, duration: 10 }));
+    const file = manager.file(job.id)!;
+    expect(fs.readFileSync(file, 'utf8')).toBe('video');
+    expect(JSON.parse(fs.readFileSync(`${file}.args`, 'utf8'))).toEqual(expect.arrayContaining([path.join(testDir, 'b.jpg')]));
+    expect(manager.list()).toEqual([done]);
+  });
+
+  it('should join the music into a soundtrack for the video first', async () => {
+    const manager = new ExportManager(outputDir, source, { ffmpegPath: fakeFfmpeg() });
+    const job = manager.create({ ...DEFAULT_EXPORT_OPTIONS, audio: true }, ['a.jpg']);
+    const soundtrack = path.join(outputDir, `${job.id}.soundtrack.flac`);
+
+    expect((await finished(manager, job.id)).status).toBe('done');
+    const args = (file: string) => JSON.parse(fs.readFileSync(`${file}.args`, 'utf8'));
+    expect(args(soundtrack)).toEqual(expect.arrayContaining(['-i', path.join(testDir, "it's.mp3")]));
+    expect(args(manager.file(job.id)!)).toEqual(expect.arrayContaining(['-i', soundtrack]));
+    expect(fs.existsSync(soundtrack)).toBe(false);
+  });
+
+  it('should report what went wrong', async () => {
+    const manager = new ExportManager(outputDir, source, { ffmpegPath: fakeFfmpeg('fail') });
+    const failed = await finished(manager, manager.create(DEFAULT_EXPORT_OPTIONS, ['a.jpg']).id);
+    expect(failed).toEqual(expect.objectContaining({ status: 'failed', error: 'ffmpeg failed: Unknown encoder' }));
+
+    const missing = new ExportManager(outputDir, source, { ffmpegPath: path.join(testDir, 'no-ffmpeg') });
+    const notRun = await finished(missing, missing.create(DEFAULT_EXPORT_OPTIONS, ['a.jpg']).id);
+    expect(notRun.error).toMatch(/^Could not run .*no-ffmpeg: spawn .* ENOENT$/);
+
+    const unreadable = await finished(manager, manager.create(DEFAULT_EXPORT_OPTIONS, ['broken.jpg']).id);
+    expect(unreadable.error).toBe('None of the images could be read');
+  });
+
+  it('should make one video at a time, and stop one that is deleted', async () => {
+    const manager = new ExportManager(outputDir, source, { ffmpegPath: fakeFfmpeg(300) });
+    const first = manager.create(DEFAULT_EXPORT_OPTIONS, ['a.jpg']);
+    const second = manager.create(DEFAULT_EXPORT_OPTIONS, ['b.jpg']);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(manager.get(second.id)!.status).toBe('queued');
+
+    expect(manager.delete(first.id)).toBe(true);
+    expect(manager.delete(first.id)).toBe(false);
+    expect(manager.get(first.id)).toBeUndefined();
+
+    expect((await finished(manager, second.id)).status).toBe('done');
+    expect(fs.existsSync(path.join(outputDir, `${first.id}.mp4`))).toBe(false);
+  });
+});
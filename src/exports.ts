@@ -0,0 +1,416 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { ChildProcess, spawn } from 'child_process';
+
+export const EXPORT_FORMATS = ['mp4', 'webm'] as const;
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+// The slideshow's transitions (see TRANSITIONS in slideshow.js), as ffmpeg
+// xfade transitions; none cuts straight from one image to the next
+const XFADE_TRANSITIONS: Record<string, string | null> = {
+  crossfade: 'fade',
+  slide: 'slideleft',
+  zoom: 'zoomin',
+  none: null,
+};
+
+export const EXPORT_TRANSITIONS = Object.keys(XFADE_TRANSITIONS);
+
+// The sort orders the slideshow has when shuffle is off
+const EXPORT_SORTS = ['name', 'dateTaken'];
+
+export interface ExportOptions {
+  // Only images in these folders (and their subfolders); the whole library when empty
+  albums: string[];
+  // A saved playlist's images, in its order, instead of the albums
+  playlist?: string;
+  // These images in this order instead, as a slideshow has them lined up
+  images?: string[];
+  // How long each image is on screen, in ms
+  interval: number;
+  transition: string;
+  shuffle: boolean;
+  sort: string;
+  format: ExportFormat;
+  // Add the music folder as the soundtrack
+  audio: boolean;
+}
+
+export type ExportStatus = 'queued' | 'preparing' | 'encoding' | 'done' | 'failed';
+
+export interface ExportJob {
+  id: string;
+  status: ExportStatus;
+  // 0-1, across preparing the images and encoding the video
+  progress: number;
+  options: ExportOptions;
+  // How many images are in the video, and how long it runs, in seconds
+  images: number;
+  duration: number;
+  created: number;
+  error?: string;
+}
+
+// Where an export gets its pictures and music
+export interface ExportSource {
+  // A still of the image to put in the video, or null to leave the image out
+  frame(image: string): Promise<string | null>;
+  // Audio files for the soundtrack, in order
+  tracks(): Promise<string[]>;
+}
+
+export interface ExportManagerOptions {
+  // The ffmpeg to run; the one on the PATH when not given
+  ffmpegPath?: string;
+}
+
+export const DEFAULT_EXPORT_OPTIONS: ExportOptions = {
+  albums: [],
+  interval: 5000,
+  transition: 'crossfade',
+  shuffle: false,
+  sort: 'name',
+  format: 'mp4',
+  audio: false,
+};
+
+// Most images one video can have; every image is an ffmpeg input
+export const MAX_EXPORT_IMAGES = 300;
+
+// Shortest and longest time an image can be on screen, in ms
+const MIN_INTERVAL = 1000;
+const MAX_INTERVAL = 60000;
+
+// Size and frame rate of the video; images are fitted in on black
+export const VIDEO_WIDTH = 1920;
+export const VIDEO_HEIGHT = 1080;
+const FRAME_RATE = 25;
+
+// How long a transition takes, in seconds, matching the slideshow's
+const TRANSITION_SECONDS = 1;
+
+// How long the soundtrack fades out at the end, in seconds, and the sample
+// rate the tracks are joined at
+const AUDIO_FADE_SECONDS = 2;
+const AUDIO_SAMPLE_RATE = 48000;
+
+// Share of the progress that is preparing the images; encoding is the rest
+const PREPARE_SHARE = 0.2;
+
+// How much of ffmpeg's error output a failed export reports
+const ERROR_OUTPUT_LENGTH = 500;
+
+export class ExportError extends Error {}
+
+// Validate the options for a new export from a request body, filling in defaults
+export function parseExportOptions(body: unknown): ExportOptions {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ExportError('Invalid export');
+  }
+
+  const raw = body as Record<string, unknown>;
+  const options = { ...DEFAULT_EXPORT_OPTIONS };
+  if (raw.albums !== undefined) {
+    // A single album or a list of them
+    const albums = ([] as unknown[]).concat(raw.albums);
+    if (!albums.every(album => typeof album === 'string')) throw new ExportError('Invalid albums');
+    options.albums = (albums as string[]).map(album => album.replace(/^\/+|\/+$/g, ''));
+  }
+  if (raw.playlist !== undefined) {
+    if (typeof raw.playlist !== 'string' || !raw.playlist) throw new ExportError('Invalid playlist');
+    options.playlist = raw.playlist;
+  }
+  if (raw.images !== undefined) {
+    if (!Array.isArray(raw.images) || raw.images.length === 0 ||
+        !raw.images.every(image => typeof image === 'string' && image)) {
+      throw new ExportError('Invalid images');
+    }
+    if (raw.images.length > MAX_EXPORT_IMAGES) throw new ExportError(`At most ${MAX_EXPORT_IMAGES} images per video`);
+    options.images = raw.images;
+  }
+  if (options.playlist && options.images) {
+    throw new ExportError('Give either a playlist or images');
+  }
+  if (raw.interval !== undefined) {
+    if (typeof raw.interval !== 'number' || !Number.isInteger(raw.interval) ||
+        raw.interval < MIN_INTERVAL || raw.interval > MAX_INTERVAL) {
+      throw new ExportError('Invalid interval');
+    }
+    options.interval = raw.interval;
+  }
+  if (raw.transition !== undefined) {
+    if (typeof raw.transition !== 'string' || !EXPORT_TRANSITIONS.includes(raw.transition)) {
+      throw new ExportError('Invalid transition');
+    }
+    options.transition = raw.transition;
+  }
+  if (raw.shuffle !== undefined) {
+    if (typeof raw.shuffle !== 'boolean') throw new ExportError('Invalid shuffle');
+    options.shuffle = raw.shuffle;
+  }
+  if (raw.sort !== undefined) {
+    if (typeof raw.sort !== 'string' || !EXPORT_SORTS.includes(raw.sort)) throw new ExportError('Invalid sort');
+    options.sort = raw.sort;
+  }
+  if (raw.format !== undefined) {
+    const format = EXPORT_FORMATS.find(f => f === raw.format);
+    if (!format) throw new ExportError('Invalid format');
+    options.format = format;
+  }
+  if (raw.audio !== undefined) {
+    if (typeof raw.audio !== 'boolean') throw new ExportError('Invalid audio');
+    options.audio = raw.audio;
+  }
+  return options;
+}
+
+/**
+ * The ffmpeg command line that joins the music tracks into one soundtrack,
+ * no longer than the video. Each track is decoded on its own and brought to
+ * the same sample rate and channels before they are joined, as the tracks
+ * can be in any mix of formats.
+ */
+export function soundtrackArguments(tracks: string[], duration: number, output: string): string[] {
+  const args = ['-y', '-hide_banner', '-nostats'];
+  tracks.forEach(track => args.push('-i', track));
+
+  const filters = tracks.map((_track, i) =>
+    `[${i}:a]aformat=sample_fmts=s16:sample_rates=${AUDIO_SAMPLE_RATE}:channel_layouts=stereo[a${i}]`);
+  filters.push(`${tracks.map((_track, i) => `[a${i}]`).join('')}concat=n=${tracks.length}:v=0:a=1[music]`);
+  args.push('-filter_complex', filters.join(';'), '-map', '[music]', '-t', String(duration), '-c:a', 'flac', output);
+  return args;
+}
+
+/**
+ * The ffmpeg command line that makes a video of the frames, each on screen
+ * for the interval. With a transition every image but the last stays on a
+ * little longer, overlapping the next one as it comes in, so the video runs
+ * for exactly one interval per image either way.
+ */
+export function ffmpegArguments(frames: string[], options: ExportOptions, output: string, soundtrack?: string): string[] {
+  const seconds = options.interval / 1000;
+  const duration = frames.length * seconds;
+  const xfade = frames.length > 1 ? XFADE_TRANSITIONS[options.transition] : null;
+  const overlap = xfade ? Math.min(TRANSITION_SECONDS, seconds / 2) : 0;
+
+  const args = ['-y', '-hide_banner', '-nostats', '-progress', 'pipe:1'];
+  frames.forEach((frame, i) => {
+    const length = i < frames.length - 1 ? seconds + overlap : seconds;
+    args.push('-loop', '1', '-framerate', String(FRAME_RATE), '-t', String(length), '-i', frame);
+  });
+  if (soundtrack) {
+    // Starting over if the video outlasts it
+    args.push('-stream_loop', '-1', '-i', soundtrack);
+  }
+
+  // Fit every image into the frame, then join them up
+  const filters = frames.map((_frame, i) =>
+    `[${i}:v]scale=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:force_original_aspect_ratio=decrease,` +
+    `pad=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v${i}]`);
+  if (xfade) {
+    let previous = 'v0';
+    for (let i = 1; i < frames.length; i++) {
+      const joined = i === frames.length - 1 ? 'video' : `x${i}`;
+      filters.push(`[${previous}][v${i}]xfade=transition=${xfade}:duration=${overlap}:offset=${i * seconds}[${joined}]`);
+      previous = joined;
+    }
+  } else {
+    filters.push(`${frames.map((_frame, i) => `[v${i}]`).join('')}concat=n=${frames.length}:v=1:a=0[video]`);
+  }
+  if (soundtrack) {
+    const fadeStart = Math.max(0, duration - AUDIO_FADE_SECONDS);
+    filters.push(`[${frames.length}:a]afade=t=out:st=${fadeStart}:d=${AUDIO_FADE_SECONDS}[audio]`);
+  }
+
+  args.push('-filter_complex', filters.join(';'), '-map', '[video]');
+  if (soundtrack) args.push('-map', '[audio]');
+  args.push('-t', String(duration), '-r', String(FRAME_RATE));
+  if (options.format === 'webm') {
+    args.push('-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-row-mt', '1');
+    if (soundtrack) args.push('-c:a', 'libopus', '-b:a', '128k');
+  } else {
+    args.push('-c:v', 'libx264', '-crf', '23', '-pix_fmt', 'yuv420p', '-movflags', '+faststart');
+    if (soundtrack) args.push('-c:a', 'aac', '-b:a', '192k');
+  }
+  args.push(output);
+  return args;
+}
+
+interface ExportTask {
+  job: ExportJob;
+  images: string[];
+  process?: ChildProcess;
+  deleted: boolean;
+}
+
+/**
+ * Slideshows being made into videos with ffmpeg, one at a time, kept in
+ * memory. Finished videos stay in the output folder until they are deleted
+ * or the server restarts.
+ */
+export class ExportManager {
+  private tasks = new Map<string, ExportTask>();
+  private queue: ExportTask[] = [];
+  private running = false;
+  private ffmpegPath: string;
+
+  constructor(
+    private outputDir: string,
+    private source: ExportSource,
+    options: ExportManagerOptions = {}
+  ) {
+    this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+    // Videos from before a restart have no job to download them from
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+
+  get(id: string): ExportJob | undefined {
+    return this.tasks.get(id)?.job;
+  }
+
+  // Every export, newest first
+  list(): ExportJob[] {
+    return [...this.tasks.values()].map(task => task.job).sort((a, b) => b.created - a.created);
+  }
+
+  // The finished video, or null while it is being made (or if it failed)
+  file(id: string): string | null {
+    const job = this.get(id);
+    return job && job.status === 'done' ? this.outputPath(job) : null;
+  }
+
+  // Queue a video of these images, in this order
+  create(options: ExportOptions, images: string[], now: number = Date.now()): ExportJob {
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('hex');
+    } while (this.tasks.has(id));
+
+    const job: ExportJob = {
+      id,
+      status: 'queued',
+      progress: 0,
+      options,
+      images: images.length,
+      duration: images.length * options.interval / 1000,
+      created: now,
+    };
+    const task = { job, images, deleted: false };
+    this.tasks.set(id, task);
+    this.queue.push(task);
+    this.runNext();
+    return job;
+  }
+
+  // Stop an export if it is still being made, and delete its video
+  delete(id: string): boolean {
+    const task = this.tasks.get(id);
+    if (!task) return false;
+
+    task.deleted = true;
+    this.tasks.delete(id);
+    this.queue = this.queue.filter(queued => queued !== task);
+    task.process?.kill();
+    fs.rm(this.outputPath(task.job), { force: true }, () => {});
+    return true;
+  }
+
+  private outputPath(job: ExportJob): string {
+    return path.join(this.outputDir, `${job.id}.${job.options.format}`);
+  }
+
+  // Make the next video in the queue, if none is being made
+  private runNext(): void {
+    if (this.running) return;
+    const task = this.queue.shift();
+    if (!task) return;
+
+    this.running = true;
+    this.run(task)
+      .catch(error => {
+        task.job.status = 'failed';
+        task.job.error = error.message;
+      })
+      .finally(() => {
+        this.running = false;
+        this.runNext();
+      });
+  }
+
+  private async run(task: ExportTask): Promise<void> {
+    const { job } = task;
+    job.status = 'preparing';
+
+    const frames: string[] = [];
+    for (const [i, image] of task.images.entries()) {
+      if (task.deleted) return;
+      try {
+        const frame = await this.source.frame(image);
+        if (frame) frames.push(frame);
+      } catch (error) {
+        console.error(`Failed to prepare ${image} for export:`, error);
+      }
+      job.progress = PREPARE_SHARE * (i + 1) / task.images.length;
+    }
+    if (frames.length === 0) throw new Error('None of the images could be read');
+    job.images = frames.length;
+    job.duration = frames.length * job.options.interval / 1000;
+
+    await fs.promises.mkdir(this.outputDir, { recursive: true });
+    let soundtrack: string | undefined;
+    try {
+      if (job.options.audio) {
+        const tracks = await this.source.tracks();
+        if (tracks.length === 0) throw new Error('No music for the soundtrack');
+        if (task.deleted) return;
+        job.status = 'encoding';
+        soundtrack = path.join(this.outputDir, `${job.id}.soundtrack.flac`);
+        await this.encode(task, soundtrackArguments(tracks, job.duration, soundtrack));
+      }
+
+      if (task.deleted) return;
+      job.status = 'encoding';
+      await this.encode(task, ffmpegArguments(frames, job.options, this.outputPath(job), soundtrack));
+      if (task.deleted) {
+        // ffmpeg may have finished the file as it was stopped
+        await fs.promises.rm(this.outputPath(job), { force: true });
+        return;
+      }
+      job.status = 'done';
+      job.progress = 1;
+    } finally {
+      if (soundtrack) await fs.promises.rm(soundtrack, { force: true });
+    }
+  }
+
+  // Run ffmpeg, following its progress through the video (as -progress reports it)
+  private encode(task: ExportTask, args: string[]): Promise<void> {
+    const { job } = task;
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      task.process = ffmpeg;
+
+      let errorOutput = '';
+      ffmpeg.stderr.on('data', (chunk: Buffer) => {
+        errorOutput = (errorOutput + chunk.toString()).slice(-ERROR_OUTPUT_LENGTH);
+      });
+      ffmpeg.stdout.on('data', (chunk: Buffer) => {
+        // -progress writes key=value lines, with the time encoded so far in microseconds
+        for (const match of chunk.toString().matchAll(/^out_time_(?:us|ms)=(\d+)/gm)) {
+          const encoded = Number(match[1]) / 1e6 / job.duration;
+          job.progress = PREPARE_SHARE + (1 - PREPARE_SHARE) * Math.min(1, encoded);
+        }
+      });
+      ffmpeg.on('error', error => reject(new Error(`Could not run ${this.ffmpegPath}: ${error.message}`)));
+      ffmpeg.on('close', code => {
+        task.process = undefined;
+        if (code === 0 || task.deleted) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg failed: ${errorOutput.trim() || `exit code ${code}`}`));
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,49 @@
+import path from 'path';
+
+// Formats browsers can't display (or not everywhere). They are listed like any
+// other image but always served as a JPEG/WebP rendition (see transcode.ts).
+export const HEIF_EXTENSIONS = ['.heic', '.heif', '.avif'];
+export const RAW_EXTENSIONS = ['.cr2', '.nef', '.arw', '.dng'];
+
+// Supported image extensions
+export const IMAGE_EXTENSIONS = [
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg',
+  ...HEIF_EXTENSIONS,
+  ...RAW_EXTENSIONS,
+];
+
+// Video clips, played inline by the slideshow
+export const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm'];
+
+// Background music, from the music folder rather than the image folders
+export const AUDIO_EXTENSIONS = ['.mp3', '.ogg', '.flac', '.m4a'];
+
+export function isImageFile(filename: string): boolean {
+  const ext = path.extname(filename).toLowerCase();
+  return IMAGE_EXTENSIONS.includes(ext);
+}
+
+export function isVideoFile(filename: string): boolean {
+  const ext = path.extname(filename).toLowerCase();
+  return VIDEO_EXTENSIONS.includes(ext);
+}
+
+export function isAudioFile(filename: string): boolean {
+  const ext = path.extname(filename).toLowerCase();
+  return AUDIO_EXTENSIONS.includes(ext);
+}
+
+export function isRawFile(filename: string): boolean {
+  const ext = path.extname(filename).toLowerCase();
+  return RAW_EXTENSIONS.includes(ext);
+}
+
+export function needsTranscoding(filename: string): boolean {
+  const ext = path.extname(filename).toLowerCase();
+  return HEIF_EXTENSIONS.includes(ext) || RAW_EXTENSIONS.includes(ext);
+}
+
+// Anything the slideshow can show: a still image or a video clip
+export function isMediaFile(filename: string): boolean {
+  return isImageFile(filename) || isVideoFile(filename);
+}
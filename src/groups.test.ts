@@ -0,0 +1,230 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { Library } from './library';
+import { GroupError, GroupManager, PlaybackGroup, isGroupName, parseGroupOptions } from './groups';
+
+describe('parseGroupOptions', () => {
+  it('should fill in defaults', () => {
+    expect(parseGroupOptions(undefined)).toEqual({ interval: 60000, shuffle: true, albums: [], playlistId: null });
+    expect(parseGroupOptions({ interval: 5000, shuffle: false, albums: ['/2023/trip/'] }))
+      .toEqual({ interval: 5000, shuffle: false, albums: ['2023/trip'], playlistId: null });
+    expect(parseGroupOptions({ playlist: 'abc' }).playlistId).toBe('abc');
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => parseGroupOptions({ interval: 10 })).toThrow(GroupError);
+    expect(() => parseGroupOptions({ shuffle: 'yes' })).toThrow('Invalid shuffle');
+    expect(() => parseGroupOptions({ albums: 'trip' })).toThrow('Invalid albums');
+    expect(() => parseGroupOptions({ playlist: 3 })).toThrow('Invalid playlist');
+  });
+});
+
+describe('isGroupName', () => {
+  it('should accept simple names only', () => {
+    expect(isGroupName('living-room_2')).toBe(true);
+    expect(isGroupName('')).toBe(false);
+    expect(isGroupName('../etc')).toBe(false);
+  });
+});
+
+describe('PlaybackGroup', () => {
+  const options = { interval: 1000, shuffle: false, albums: [], playlistId: null };
+  const newGroup = () => new PlaybackGroup('lobby', ['a.jpg', 'b.jpg', 'c.jpg'], options, 0);
+
+  it('should move through the playlist as time passes and wrap around', () => {
+    const group = newGroup();
+    expect(group.current(0)).toBe('a.jpg');
+    expect(group.current(999)).toBe('a.jpg');
+    expect(group.current(1000)).toBe('b.jpg');
+    expect(group.current(3500)).toBe('a.jpg');
+    expect(group.slot(3500)).toBe(3);
+  });
+
+  it('should skip to the next and previous image with a full interval ahead', () => {
+    const group = newGroup();
+    group.skip(1, 500);
+    expect(group.current(500)).toBe('b.jpg');
+    expect(group.current(1499)).toBe('b.jpg');
+    expect(group.current(1500)).toBe('c.jpg');
+
+    group.skip(-1, 1600);
+    expect(group.current(1600)).toBe('b.jpg');
+  });
+
+  it('should go back from the first image to the last', () => {
+    const group = newGroup();
+    group.skip(-1, 200);
+    expect(group.current(200)).toBe('c.jpg');
+  });
+
+  it('should hold still while paused', () => {
+    const group = newGroup();
+    group.pause(1500);
+    expect(group.playing).toBe(false);
+    expect(group.current(60000)).toBe('b.jpg');
+    expect(group.state(60000)).toEqual(expect.objectContaining({ playing: false, elapsed: 1500, serverTime: 60000 }));
+
+    group.play(60000);
+    expect(group.current(60499)).toBe('b.jpg');
+    expect(group.current(60500)).toBe('c.jpg');
+  });
+
+  it('should keep the image on screen when the interval changes', () => {
+    const group = newGroup();
+    group.setInterval(10000, 1500);
+    expect(group.current(1500)).toBe('b.jpg');
+    expect(group.current(11499)).toBe('b.jpg');
+    expect(group.current(11500)).toBe('c.jpg');
+  });
+
+  it('should stay on the image on screen when the playlist changes', () => {
+    const group = newGroup();
+    group.setPlaylist(['c.jpg', 'b.jpg', 'a.jpg'], options, 1500);
+    expect(group.current(1500)).toBe('b.jpg');
+
+    expect(group.remove('b.jpg', 1600)).toBe(true);
+    expect(group.current(1600)).toBe('c.jpg');
+    expect(group.remove('b.jpg', 1600)).toBe(false);
+  });
+
+  it('should stay on the image on screen when an image is added', () => {
+    const group = new PlaybackGroup('lobby', ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg'], options, 0);
+    expect(group.current(5500)).toBe('b.jpg');
+
+    group.add('e.jpg', 5500);
+    expect(group.current(5500)).toBe('b.jpg');
+    // For the rest of its interval
+    expect(group.current(5999)).toBe('b.jpg');
+    expect(group.current(6000)).toBe('c.jpg');
+    expect(group.state().playlist).toEqual(['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', 'e.jpg']);
+  });
+});
+
+describe('GroupManager', () => {
+  let testDir: string;
+  let library: Library;
+  let manager: GroupManager;
+  let buildPlaylist: jest.Mock;
+
+  beforeEach(async () => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'groups-test-'));
+    fs.mkdirSync(path.join(testDir, 'trip'));
+    fs.writeFileSync(path.join(testDir, 'a.jpg'), 'a');
+    fs.writeFileSync(path.join(testDir, 'trip', 'b.jpg'), 'b');
+    library = new Library(testDir, { watch: false });
+    await library.ready();
+
+    buildPlaylist = jest.fn(async ({ shuffle }) => shuffle ? ['trip/b.jpg', 'a.jpg'] : ['a.jpg', 'trip/b.jpg']);
+    manager = new GroupManager(library, buildPlaylist);
+  });
+
+  afterEach(() => {
+    manager.close();
+    library.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should start a group for its first display and share it with the rest', async () => {
+    const first = await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: null });
+    const second = await manager.join('lobby', { interval: 1000, shuffle: true, albums: [], playlistId: null });
+
+    expect(second).toBe(first);
+    expect(first.state().playlist).toEqual(['a.jpg', 'trip/b.jpg']);
+    expect(first.options.interval).toBe(5000);
+    expect(buildPlaylist).toHaveBeenCalledTimes(1);
+    expect(manager.list()).toEqual([first]);
+  });
+
+  it('should apply commands and tell displays to resync', async () => {
+    const group = await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: null });
+    const changes = jest.fn();
+    manager.on('change', changes);
+
+    await manager.control({ command: 'next' }, 'lobby');
+    expect(group.current()).toBe('trip/b.jpg');
+    await manager.control({ command: 'toggle' });
+    expect(group.playing).toBe(false);
+    await manager.control({ command: 'interval', value: 2000 });
+    expect(group.options.interval).toBe(2000);
+
+    expect(changes).toHaveBeenCalledTimes(3);
+    expect(changes).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'lobby', playing: false, interval: 2000, length: 2 }));
+    // The playlist is the same, so it isn't sent again
+    expect(changes.mock.calls[2][0]).not.toHaveProperty('playlist');
+  });
+
+  it('should rebuild the playlist when the shuffle changes', async () => {
+    const group = await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: null });
+    await manager.control({ command: 'shuffle' }, 'lobby');
+
+    expect(group.options.shuffle).toBe(true);
+    expect(group.state().playlist).toEqual(['trip/b.jpg', 'a.jpg']);
+    // Still on the same image
+    expect(group.current()).toBe('a.jpg');
+  });
+
+  it('should send the whole playlist only when it is rebuilt', async () => {
+    await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: null });
+    const changes = jest.fn();
+    manager.on('change', changes);
+    await manager.control({ command: 'shuffle' }, 'lobby');
+
+    expect(changes).toHaveBeenCalledWith(expect.objectContaining({ playlist: ['trip/b.jpg', 'a.jpg'], length: 2 }));
+  });
+
+  it('should follow images added to and removed from its albums', async () => {
+    const everything = await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: null });
+    const trip = await manager.join('trip', { interval: 5000, shuffle: false, albums: ['trip'], playlistId: null });
+
+    fs.writeFileSync(path.join(testDir, 'c.jpg'), 'c');
+    fs.rmSync(path.join(testDir, 'trip', 'b.jpg'));
+    await library.rescan();
+
+    expect(everything.state().playlist).toEqual(['a.jpg', 'c.jpg']);
+    expect(trip.state().playlist).toEqual(['a.jpg']);
+  });
+
+  it('should keep a saved playlist\'s group to its images', async () => {
+    buildPlaylist.mockResolvedValueOnce(['trip/b.jpg']);
+    const group = await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: 'abc' });
+    expect(group.state().playlistId).toBe('abc');
+
+    fs.writeFileSync(path.join(testDir, 'c.jpg'), 'c');
+    await library.rescan();
+    expect(group.state().playlist).toEqual(['trip/b.jpg']);
+  });
+
+  it('should tell displays only which image was added or removed', async () => {
+    await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: null });
+    const changes = jest.fn();
+    manager.on('change', changes);
+
+    fs.writeFileSync(path.join(testDir, 'c.jpg'), 'c');
+    await library.rescan();
+    fs.rmSync(path.join(testDir, 'a.jpg'));
+    await library.rescan();
+
+    expect(changes.mock.calls.map(([change]) => [change.added, change.removed, change.length, change.playlist]))
+      .toEqual([['c.jpg', undefined, 3, undefined], [undefined, 'a.jpg', 2, undefined]]);
+  });
+
+  it('should end groups', async () => {
+    await manager.join('lobby', { interval: 5000, shuffle: false, albums: [], playlistId: null });
+    const changes = jest.fn();
+    manager.on('change', changes);
+    expect(manager.delete('lobby')).toBe(true);
+    expect(manager.get('lobby')).toBeUndefined();
+    expect(changes).toHaveBeenCalledWith({ name: 'lobby', ended: true });
+    expect(manager.delete('lobby')).toBe(false);
+    expect(changes).toHaveBeenCalledTimes(1);
+  });
+
+  it('should take any number of listeners', () => {
+    const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+    for (let i = 0; i < 20; i++) manager.on('change', () => {});
+    expect(warning).not.toHaveBeenCalled();
+    warning.mockRestore();
+  });
+});
@@ -0,0 +1,325 @@
+import { EventEmitter } from 'events';
+import { Library } from './library';
+import { isInFolder } from './listing';
+import { ControlMessage } from './remote';
+
+// How a group is set up by the display that starts it
+export interface GroupOptions {
+  interval: number;
+  shuffle: boolean;
+  // Only images in these folders (and their subfolders); the whole library when empty
+  albums: string[];
+  // The saved playlist to play instead of the albums, by id
+  playlistId: string | null;
+}
+
+// What displays need to show a group in step: the image at position p is
+// playlist[floor(p / interval) % playlist.length], where p is serverTime -
+// startedAt while playing and elapsed while paused
+export interface GroupState {
+  name: string;
+  playlist: string[];
+  interval: number;
+  shuffle: boolean;
+  albums: string[];
+  playlistId: string | null;
+  playing: boolean;
+  startedAt: number;
+  elapsed: number;
+  serverTime: number;
+}
+
+// A change to a group, as sent to displays: its clock and settings (the
+// GroupState less the playlist) and what became of the playlist, which is
+// `length` images long afterwards. Only an image added to or removed from it
+// is sent, or the whole of it when it was rebuilt.
+export interface GroupChange extends Omit<GroupState, 'playlist'> {
+  length: number;
+  added?: string;
+  removed?: string;
+  playlist?: string[];
+}
+
+// What displays are sent when a group is ended
+export interface GroupEnd {
+  name: string;
+  ended: true;
+}
+
+export const DEFAULT_GROUP_OPTIONS: GroupOptions = { interval: 60000, shuffle: true, albums: [], playlistId: null };
+
+const GROUP_NAME = /^[\w-]{1,64}$/;
+
+// Shortest interval a group can have, matching the slideshow's ?interval=
+const MIN_INTERVAL = 1000;
+
+export class GroupError extends Error {}
+
+export function isGroupName(name: string): boolean {
+  return GROUP_NAME.test(name);
+}
+
+// Validate the options for a new group, filling in defaults
+export function parseGroupOptions(body: unknown): GroupOptions {
+  const raw = (typeof body === 'object' && body !== null ? body : {}) as Record<string, unknown>;
+  const options = { ...DEFAULT_GROUP_OPTIONS };
+
+  if (raw.interval !== undefined) {
+    if (typeof raw.interval !== 'number' || !Number.isInteger(raw.interval) || raw.interval < MIN_INTERVAL) {
+      throw new GroupError('Invalid interval');
+    }
+    options.interval = raw.interval;
+  }
+  if (raw.shuffle !== undefined) {
+    if (typeof raw.shuffle !== 'boolean') throw new GroupError('Invalid shuffle');
+    options.shuffle = raw.shuffle;
+  }
+  if (raw.albums !== undefined) {
+    if (!Array.isArray(raw.albums) || !raw.albums.every(album => typeof album === 'string')) {
+      throw new GroupError('Invalid albums');
+    }
+    options.albums = raw.albums.map((album: string) => album.replace(/^\/+|\/+$/g, ''));
+  }
+  if (raw.playlist !== undefined && raw.playlist !== null) {
+    if (typeof raw.playlist !== 'string' || raw.playlist === '') throw new GroupError('Invalid playlist');
+    options.playlistId = raw.playlist;
+  }
+  return options;
+}
+
+/**
+ * One playlist played in step by every display that joins it. The group is
+ * a clock rather than a timer: the image on screen follows from how long it
+ * has been playing, so displays work it out for themselves and change images
+ * together.
+ */
+export class PlaybackGroup {
+  private running = true;
+  private startedAt: number;
+  // How far into the playlist a paused group is, in ms
+  private pausedElapsed = 0;
+
+  constructor(
+    readonly name: string,
+    private playlist: string[],
+    private groupOptions: GroupOptions,
+    now: number = Date.now()
+  ) {
+    this.startedAt = now;
+  }
+
+  get options(): GroupOptions {
+    return this.groupOptions;
+  }
+
+  get playing(): boolean {
+    return this.running;
+  }
+
+  elapsed(now: number = Date.now()): number {
+    return this.running ? now - this.startedAt : this.pausedElapsed;
+  }
+
+  // How many images into the playlist the group is (not wrapped around)
+  slot(now: number = Date.now()): number {
+    return Math.floor(this.elapsed(now) / this.groupOptions.interval);
+  }
+
+  current(now: number = Date.now()): string | null {
+    if (this.playlist.length === 0) return null;
+    const index = this.slot(now) % this.playlist.length;
+    return this.playlist[index];
+  }
+
+  // Start the next (or previous) image now, with a full interval ahead of it
+  skip(by: number, now: number = Date.now()): void {
+    let slot = this.slot(now) + by;
+    // Back from the first image to the last
+    if (slot < 0) slot += this.playlist.length;
+    this.seek(Math.max(0, slot) * this.groupOptions.interval, now);
+  }
+
+  play(now: number = Date.now()): void {
+    if (this.running) return;
+    this.running = true;
+    this.startedAt = now - this.pausedElapsed;
+  }
+
+  pause(now: number = Date.now()): void {
+    if (!this.running) return;
+    this.pausedElapsed = now - this.startedAt;
+    this.running = false;
+  }
+
+  // Change the interval without changing the image on screen
+  setInterval(interval: number, now: number = Date.now()): void {
+    const slot = this.slot(now);
+    this.groupOptions = { ...this.groupOptions, interval };
+    this.seek(slot * interval, now);
+  }
+
+  // Swap in a new playlist, staying on the image on screen (for the rest of
+  // its interval) if it is in it
+  setPlaylist(playlist: string[], options: GroupOptions = this.groupOptions, now: number = Date.now()): void {
+    const current = this.current(now);
+    const intoImage = this.elapsed(now) % this.groupOptions.interval;
+    this.playlist = playlist;
+    this.groupOptions = options;
+    const index = current === null ? -1 : playlist.indexOf(current);
+    this.seek(index < 0 ? 0 : index * options.interval + Math.min(intoImage, options.interval - 1), now);
+  }
+
+  add(image: string, now: number = Date.now()): void {
+    this.setPlaylist([...this.playlist, image], this.groupOptions, now);
+  }
+
+  remove(image: string, now: number = Date.now()): boolean {
+    if (!this.playlist.includes(image)) return false;
+    this.setPlaylist(this.playlist.filter(name => name !== image), this.groupOptions, now);
+    return true;
+  }
+
+  state(now: number = Date.now()): GroupState {
+    return {
+      name: this.name,
+      playlist: this.playlist,
+      interval: this.groupOptions.interval,
+      shuffle: this.groupOptions.shuffle,
+      albums: this.groupOptions.albums,
+      playlistId: this.groupOptions.playlistId,
+      playing: this.running,
+      startedAt: this.startedAt,
+      elapsed: this.elapsed(now),
+      serverTime: now,
+    };
+  }
+
+  private seek(elapsed: number, now: number): void {
+    if (this.running) {
+      this.startedAt = now - elapsed;
+    } else {
+      this.pausedElapsed = elapsed;
+    }
+  }
+}
+
+/**
+ * The playback groups by name, kept in memory. Groups follow the library:
+ * new images in their albums join the end of the playlist and deleted ones
+ * leave it. A group playing a saved playlist keeps to its images.
+ *
+ * Emits 'change' with a GroupChange whenever displays need to resync, and
+ * with a GroupEnd when a group is ended.
+ */
+export class GroupManager extends EventEmitter {
+  private groups = new Map<string, PlaybackGroup>();
+
+  // buildPlaylist lists the images for a group's options, in play order
+  constructor(
+    private library: Library,
+    private buildPlaylist: (options: GroupOptions) => Promise<string[]>
+  ) {
+    super();
+    // Every connected display listens for changes
+    this.setMaxListeners(0);
+    library.on('add', this.onAdd);
+    library.on('remove', this.onRemove);
+  }
+
+  get(name: string): PlaybackGroup | undefined {
+    return this.groups.get(name);
+  }
+
+  list(): PlaybackGroup[] {
+    return [...this.groups.values()];
+  }
+
+  // The group, started with these options if it isn't playing yet
+  async join(name: string, options: GroupOptions): Promise<PlaybackGroup> {
+    const existing = this.groups.get(name);
+    if (existing) return existing;
+
+    const playlist = await this.buildPlaylist(options);
+    // Another display may have started it in the meantime
+    if (!this.groups.has(name)) {
+      this.groups.set(name, new PlaybackGroup(name, playlist, options));
+    }
+    return this.groups.get(name)!;
+  }
+
+  delete(name: string): boolean {
+    if (!this.groups.delete(name)) return false;
+    const end: GroupEnd = { name, ended: true };
+    this.emit('change', end);
+    return true;
+  }
+
+  // Apply a remote control command to one group, or to all of them
+  async control(message: ControlMessage, name?: string): Promise<void> {
+    const groups = name === undefined ? this.list() : [this.groups.get(name)].filter(Boolean) as PlaybackGroup[];
+    for (const group of groups) {
+      let change: Partial<GroupChange> = {};
+      switch (message.command) {
+        case 'next':
+          group.skip(1);
+          break;
+        case 'prev':
+          group.skip(-1);
+          break;
+        case 'play':
+          group.play();
+          break;
+        case 'pause':
+          group.pause();
+          break;
+        case 'toggle':
+          if (group.playing) {
+            group.pause();
+          } else {
+            group.play();
+          }
+          break;
+        case 'interval':
+          group.setInterval(message.value as number);
+          break;
+        case 'shuffle': {
+          const shuffle = message.value === undefined ? !group.options.shuffle : message.value as boolean;
+          const options = { ...group.options, shuffle };
+          group.setPlaylist(await this.buildPlaylist(options), options);
+          change = { playlist: group.state().playlist };
+          break;
+        }
+      }
+      this.emitChange(group, change);
+    }
+  }
+
+  close(): void {
+    this.library.off('add', this.onAdd);
+    this.library.off('remove', this.onRemove);
+  }
+
+  private onAdd = (image: string) => {
+    for (const group of this.groups.values()) {
+      const { albums, playlistId } = group.options;
+      if (playlistId === null && (albums.length === 0 || albums.some(album => isInFolder(image, album, true)))) {
+        group.add(image);
+        this.emitChange(group, { added: image });
+      }
+    }
+  };
+
+  private onRemove = (image: string) => {
+    for (const group of this.groups.values()) {
+      if (group.remove(image)) {
+        this.emitChange(group, { removed: image });
+      }
+    }
+  };
+
+  private emitChange(group: PlaybackGroup, change: Partial<GroupChange>): void {
+    const { playlist, ...clock } = group.state();
+    const groupChange: GroupChange = { ...clock, length: playlist.length, ...change };
+    this.emit('change', groupChange);
+  }
+}
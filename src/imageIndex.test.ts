@@ -0,0 +1,159 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { ImageIndex } from './imageIndex';
+
+function nextEvent(index: ImageIndex, event: string): Promise<string> {
+  return new Promise(resolve => index.once(event, resolve));
+}
+
+describe('ImageIndex', () => {
+  let testDir: string;
+  let index: ImageIndex;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-test-'));
+  });
+
+  afterEach(() => {
+    index?.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should list images sorted by relative path', async () => {
+    fs.mkdirSync(path.join(testDir, 'b'));
+    fs.writeFileSync(path.join(testDir, 'b', 'two.jpg'), '');
+    fs.writeFileSync(path.join(testDir, 'a.png'), '');
+    fs.writeFileSync(path.join(testDir, 'notes.txt'), '');
+
+    index = new ImageIndex(testDir, { watch: false });
+    await index.ready();
+
+    expect(index.list()).toEqual(['a.png', 'b/two.jpg']);
+    expect(index.size).toBe(2);
+    expect(index.get('a.png')).toEqual(expect.objectContaining({ size: 0 }));
+  });
+
+  it('should build only once', async () => {
+    index = new ImageIndex(testDir, { watch: false });
+    expect(index.ready()).toBe(index.ready());
+    await index.ready();
+  });
+
+  it('should pick up files added after the initial build', async () => {
+    index = new ImageIndex(testDir);
+    await index.ready();
+
+    const added = nextEvent(index, 'add');
+    fs.writeFileSync(path.join(testDir, 'new.jpg'), 'data');
+
+    expect(await added).toBe('new.jpg');
+    expect(index.list()).toEqual(['new.jpg']);
+  });
+
+  it('should pick up new folders of images', async () => {
+    index = new ImageIndex(testDir);
+    await index.ready();
+
+    const added = nextEvent(index, 'add');
+    const album = path.join(testDir, 'album');
+    fs.mkdirSync(album);
+    fs.writeFileSync(path.join(album, 'photo.jpg'), 'data');
+
+    expect(await added).toBe('album/photo.jpg');
+  });
+
+  it('should drop removed files and folders', async () => {
+    fs.mkdirSync(path.join(testDir, 'album'));
+    fs.writeFileSync(path.join(testDir, 'album', 'one.jpg'), '');
+    fs.writeFileSync(path.join(testDir, 'album', 'two.jpg'), '');
+    fs.writeFileSync(path.join(testDir, 'keep.jpg'), '');
+
+    index = new ImageIndex(testDir);
+    await index.ready();
+
+    const removed: string[] = [];
+    index.on('remove', relativePath => removed.push(relativePath));
+    fs.rmSync(path.join(testDir, 'album'), { recursive: true });
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+    expect(removed.sort()).toEqual(['album/one.jpg', 'album/two.jpg']);
+    expect(index.list()).toEqual(['keep.jpg']);
+  });
+
+  it('should apply differences on rescan', async () => {
+    fs.writeFileSync(path.join(testDir, 'old.jpg'), '');
+
+    index = new ImageIndex(testDir, { watch: false });
+    await index.ready();
+
+    fs.rmSync(path.join(testDir, 'old.jpg'));
+    fs.writeFileSync(path.join(testDir, 'new.jpg'), '');
+    const events: string[] = [];
+    index.on('add', relativePath => events.push(`add ${relativePath}`));
+    index.on('remove', relativePath => events.push(`remove ${relativePath}`));
+
+    await index.rescan();
+
+    expect(events).toEqual(['remove old.jpg', 'add new.jpg']);
+    expect(index.list()).toEqual(['new.jpg']);
+  });
+
+  describe('persistence', () => {
+    let indexFile: string;
+
+    beforeEach(() => {
+      indexFile = path.join(testDir, 'state', 'index.json');
+      fs.mkdirSync(path.join(testDir, 'photos'));
+    });
+
+    it('should save and reload the index', async () => {
+      fs.writeFileSync(path.join(testDir, 'photos', 'a.jpg'), '');
+
+      index = new ImageIndex(path.join(testDir, 'photos'), { indexFile, watch: false });
+      await index.ready();
+      index.save();
+      index.close();
+
+      expect(fs.existsSync(indexFile)).toBe(true);
+
+      // Remove the file: the persisted entry is served until the background rescan finishes
+      fs.rmSync(path.join(testDir, 'photos', 'a.jpg'));
+      index = new ImageIndex(path.join(testDir, 'photos'), { indexFile, watch: false });
+      const removed = nextEvent(index, 'remove');
+      await index.ready();
+
+      expect(index.list()).toEqual(['a.jpg']);
+      expect(await removed).toBe('a.jpg');
+      expect(index.list()).toEqual([]);
+    });
+
+    it('should ignore an index saved for another folder', async () => {
+      fs.mkdirSync(path.dirname(indexFile));
+      fs.writeFileSync(indexFile, JSON.stringify({
+        version: 1,
+        folder: '/somewhere/else',
+        entries: [['stale.jpg', 1, 1]],
+      }));
+
+      index = new ImageIndex(path.join(testDir, 'photos'), { indexFile, watch: false });
+      await index.ready();
+
+      expect(index.list()).toEqual([]);
+    });
+
+    it('should ignore a corrupt index file', async () => {
+      fs.mkdirSync(path.dirname(indexFile));
+      fs.writeFileSync(indexFile, '{not json');
+      fs.writeFileSync(path.join(testDir, 'photos', 'a.jpg'), '');
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      index = new ImageIndex(path.join(testDir, 'photos'), { indexFile, watch: false });
+      await index.ready();
+
+      expect(index.list()).toEqual(['a.jpg']);
+      errorSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,302 @@
+import path from 'path';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { isMediaFile } from './formats';
+
+export interface IndexEntry {
+  size: number;
+  mtimeMs: number;
+}
+
+export interface ImageIndexOptions {
+  // Persist the index to this file so restarts don't need a full walk before serving
+  indexFile?: string;
+  // Keep the index current with a recursive filesystem watcher (default true)
+  watch?: boolean;
+  // Periodically re-walk the folder, in ms. Useful on network mounts where
+  // changes made by other machines don't raise filesystem events. 0 disables.
+  rescanInterval?: number;
+}
+
+interface PersistedIndex {
+  version: number;
+  folder: string;
+  entries: [string, number, number][];
+}
+
+const INDEX_FILE_VERSION = 1;
+
+// Delay before applying watcher events, so bursts of events for one file
+// (create, write, close) are handled once
+const WATCH_DEBOUNCE_MS = 200;
+const SAVE_DEBOUNCE_MS = 5000;
+
+async function walk(folder: string): Promise<Map<string, IndexEntry>> {
+  const results = new Map<string, IndexEntry>();
+
+  async function walkDir(currentPath: string, relativePath: string): Promise<void> {
+    let entries: fs.Dirent[];
+    try {
+      entries = await fs.promises.readdir(currentPath, { withFileTypes: true });
+    } catch (error) {
+      console.error(`Error reading folder ${currentPath}:`, error);
+      return;
+    }
+
+    await Promise.all(entries.map(async entry => {
+      const entryRelativePath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+      const entryPath = path.join(currentPath, entry.name);
+      if (entry.isDirectory()) {
+        await walkDir(entryPath, entryRelativePath);
+      } else if (entry.isFile() && isMediaFile(entry.name)) {
+        try {
+          const stats = await fs.promises.stat(entryPath);
+          results.set(entryRelativePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+        } catch {
+          // Removed between readdir and stat
+        }
+      }
+    }));
+  }
+
+  await walkDir(folder, '');
+  return results;
+}
+
+/**
+ * In-memory list of the images under a folder, built once and kept current
+ * with a filesystem watcher.
+ *
+ * Emits 'add', 'change' and 'remove' with the relative path of the image.
+ */
+export class ImageIndex extends EventEmitter {
+  readonly folder: string;
+  private options: ImageIndexOptions;
+  private entries = new Map<string, IndexEntry>();
+  private sorted: string[] | null = null;
+  private readyPromise: Promise<void> | null = null;
+  private watcher: fs.FSWatcher | null = null;
+  private rescanTimer: NodeJS.Timeout | null = null;
+  private saveTimer: NodeJS.Timeout | null = null;
+  private pendingPaths = new Map<string, NodeJS.Timeout>();
+  private closed = false;
+
+  constructor(folder: string, options: ImageIndexOptions = {}) {
+    super();
+    this.folder = path.resolve(folder);
+    this.options = options;
+  }
+
+  // Resolves once the index has been populated. The first call starts the build.
+  ready(): Promise<void> {
+    if (!this.readyPromise) {
+      this.readyPromise = this.build();
+    }
+    return this.readyPromise;
+  }
+
+  private async build(): Promise<void> {
+    const loaded = this.load();
+
+    if (this.options.watch !== false) {
+      this.startWatching();
+    }
+    if (this.options.rescanInterval) {
+      this.rescanTimer = setInterval(() => this.rescan(), this.options.rescanInterval);
+      this.rescanTimer.unref();
+    }
+
+    if (loaded) {
+      // Serve the persisted index straight away and reconcile in the background
+      this.rescan();
+    } else {
+      await this.rescan();
+    }
+  }
+
+  // Sorted relative paths of all indexed images
+  list(): string[] {
+    if (!this.sorted) {
+      this.sorted = [...this.entries.keys()].sort();
+    }
+    return this.sorted;
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  has(relativePath: string): boolean {
+    return this.entries.has(relativePath);
+  }
+
+  get(relativePath: string): IndexEntry | undefined {
+    return this.entries.get(relativePath);
+  }
+
+  // Walk the whole folder and apply the differences to the index
+  async rescan(): Promise<void> {
+    const found = await walk(this.folder);
+    if (this.closed) return;
+
+    for (const relativePath of [...this.entries.keys()]) {
+      if (!found.has(relativePath)) {
+        this.removeEntry(relativePath);
+      }
+    }
+    for (const [relativePath, entry] of found) {
+      this.setEntry(relativePath, entry);
+    }
+    this.scheduleSave();
+  }
+
+  close(): void {
+    this.closed = true;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    if (this.rescanTimer) {
+      clearInterval(this.rescanTimer);
+      this.rescanTimer = null;
+    }
+    for (const timer of this.pendingPaths.values()) {
+      clearTimeout(timer);
+    }
+    this.pendingPaths.clear();
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+  }
+
+  save(): void {
+    if (!this.options.indexFile) return;
+
+    const data: PersistedIndex = {
+      version: INDEX_FILE_VERSION,
+      folder: this.folder,
+      entries: [...this.entries].map(([relativePath, entry]) => [relativePath, entry.size, entry.mtimeMs]),
+    };
+    try {
+      const tempPath = `${this.options.indexFile}.tmp`;
+      fs.mkdirSync(path.dirname(this.options.indexFile), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.options.indexFile);
+    } catch (error) {
+      console.error(`Error saving image index ${this.options.indexFile}:`, error);
+    }
+  }
+
+  private load(): boolean {
+    if (!this.options.indexFile || !fs.existsSync(this.options.indexFile)) return false;
+
+    try {
+      const data: PersistedIndex = JSON.parse(fs.readFileSync(this.options.indexFile, 'utf8'));
+      if (data.version !== INDEX_FILE_VERSION || data.folder !== this.folder) return false;
+
+      for (const [relativePath, size, mtimeMs] of data.entries) {
+        this.entries.set(relativePath, { size, mtimeMs });
+      }
+      this.sorted = null;
+      return true;
+    } catch (error) {
+      console.error(`Error loading image index ${this.options.indexFile}:`, error);
+      return false;
+    }
+  }
+
+  private scheduleSave(): void {
+    if (!this.options.indexFile || this.saveTimer || this.closed) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DEBOUNCE_MS);
+    this.saveTimer.unref();
+  }
+
+  private setEntry(relativePath: string, entry: IndexEntry): void {
+    const existing = this.entries.get(relativePath);
+    if (existing && existing.size === entry.size && existing.mtimeMs === entry.mtimeMs) return;
+
+    this.entries.set(relativePath, entry);
+    if (existing) {
+      this.emit('change', relativePath);
+    } else {
+      this.sorted = null;
+      this.emit('add', relativePath);
+    }
+  }
+
+  private removeEntry(relativePath: string): void {
+    if (this.entries.delete(relativePath)) {
+      this.sorted = null;
+      this.emit('remove', relativePath);
+    }
+  }
+
+  private startWatching(): void {
+    try {
+      this.watcher = fs.watch(this.folder, { recursive: true, persistent: false }, (_event, filename) => {
+        if (filename) {
+          this.queuePath(filename.toString().split(path.sep).join('/'));
+        } else {
+          // The platform didn't say what changed
+          this.rescan();
+        }
+      });
+      this.watcher.on('error', error => {
+        console.error(`Error watching folder ${this.folder}:`, error);
+      });
+    } catch (error) {
+      console.error(`Error watching folder ${this.folder}:`, error);
+    }
+  }
+
+  private queuePath(relativePath: string): void {
+    const existing = this.pendingPaths.get(relativePath);
+    if (existing) clearTimeout(existing);
+
+    const timer = setTimeout(() => {
+      this.pendingPaths.delete(relativePath);
+      this.refreshPath(relativePath);
+    }, WATCH_DEBOUNCE_MS);
+    timer.unref();
+    this.pendingPaths.set(relativePath, timer);
+  }
+
+  // Bring one changed path (file or directory) up to date
+  private async refreshPath(relativePath: string): Promise<void> {
+    const fullPath = path.join(this.folder, relativePath);
+
+    let stats: fs.Stats | null = null;
+    try {
+      stats = await fs.promises.stat(fullPath);
+    } catch {
+      // Deleted or renamed away
+    }
+    if (this.closed) return;
+
+    if (stats && stats.isFile()) {
+      if (isMediaFile(relativePath)) {
+        this.setEntry(relativePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    } else if (stats && stats.isDirectory()) {
+      const found = await walk(fullPath);
+      if (this.closed) return;
+      for (const [childPath, entry] of found) {
+        this.setEntry(`${relativePath}/${childPath}`, entry);
+      }
+    } else {
+      const prefix = `${relativePath}/`;
+      for (const entryPath of [...this.entries.keys()]) {
+        if (entryPath === relativePath || entryPath.startsWith(prefix)) {
+          this.removeEntry(entryPath);
+        }
+      }
+    }
+    this.scheduleSave();
+  }
+}
@@ -0,0 +1,106 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { Library } from './library';
+
+describe('Library', () => {
+  let testDir: string;
+  let library: Library;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-test-'));
+    for (const folder of ['phone', 'camera', 'camera/2023']) {
+      fs.mkdirSync(path.join(testDir, folder));
+    }
+    fs.writeFileSync(path.join(testDir, 'phone', 'a.jpg'), 'a');
+    fs.writeFileSync(path.join(testDir, 'camera', '2023', 'b.jpg'), 'bb');
+  });
+
+  afterEach(() => {
+    library?.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('with a single folder', () => {
+    beforeEach(async () => {
+      library = new Library(path.join(testDir, 'camera'), { watch: false });
+      await library.ready();
+    });
+
+    it('should list paths relative to the folder', () => {
+      expect(library.namespaced).toBe(false);
+      expect(library.list()).toEqual(['2023/b.jpg']);
+      expect(library.size).toBe(1);
+    });
+
+    it('should resolve paths inside the folder', () => {
+      expect(library.resolve('2023/b.jpg')).toBe(path.join(testDir, 'camera', '2023', 'b.jpg'));
+      expect(library.get('2023/b.jpg')).toEqual(expect.objectContaining({ size: 2 }));
+    });
+
+    it('should refuse paths outside the folder', () => {
+      expect(library.resolve('../phone/a.jpg')).toBeNull();
+      expect(library.resolve('2023/../../phone/a.jpg')).toBeNull();
+    });
+  });
+
+  describe('with several folders', () => {
+    beforeEach(async () => {
+      library = new Library({
+        phone: path.join(testDir, 'phone'),
+        camera: path.join(testDir, 'camera'),
+      }, { watch: false });
+      await library.ready();
+    });
+
+    it('should list paths starting with the folder name', () => {
+      expect(library.namespaced).toBe(true);
+      expect(library.list()).toEqual(['camera/2023/b.jpg', 'phone/a.jpg']);
+      expect(library.size).toBe(2);
+    });
+
+    it('should resolve paths against the named folder', () => {
+      expect(library.resolve('phone/a.jpg')).toBe(path.join(testDir, 'phone', 'a.jpg'));
+      expect(library.resolve('camera/2023/b.jpg')).toBe(path.join(testDir, 'camera', '2023', 'b.jpg'));
+      expect(library.get('phone/a.jpg')).toEqual(expect.objectContaining({ size: 1 }));
+    });
+
+    it('should refuse unknown folders and paths that leave their folder', () => {
+      expect(library.resolve('scans/a.jpg')).toBeNull();
+      expect(library.resolve('phone/../camera/2023/b.jpg')).toBeNull();
+      expect(library.resolve('../etc/passwd')).toBeNull();
+      expect(library.get('scans/a.jpg')).toBeUndefined();
+    });
+
+    it('should report changes with the folder name', async () => {
+      const events: string[] = [];
+      library.on('add', imagePath => events.push(`add ${imagePath}`));
+      library.on('remove', imagePath => events.push(`remove ${imagePath}`));
+
+      fs.writeFileSync(path.join(testDir, 'phone', 'new.jpg'), '');
+      fs.rmSync(path.join(testDir, 'camera', '2023', 'b.jpg'));
+      await library.rescan();
+
+      expect(events.sort()).toEqual(['add phone/new.jpg', 'remove camera/2023/b.jpg']);
+      expect(library.list()).toEqual(['phone/a.jpg', 'phone/new.jpg']);
+    });
+
+    it('should persist one index per folder', async () => {
+      library.close();
+      const indexDir = path.join(testDir, 'cache');
+      library = new Library({
+        phone: path.join(testDir, 'phone'),
+        camera: path.join(testDir, 'camera'),
+      }, { watch: false, indexDir });
+      await library.ready();
+      library.close();
+
+      expect(fs.readdirSync(indexDir).sort()).toEqual(['index-camera.json', 'index-phone.json']);
+    });
+  });
+
+  it('should require at least one folder', () => {
+    expect(() => new Library({})).toThrow('At least one image folder is required');
+  });
+});
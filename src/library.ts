@@ -0,0 +1,133 @@
+import path from 'path';
+import { EventEmitter } from 'events';
+import { ImageIndex, IndexEntry } from './imageIndex';
+
+// Image folders by name, e.g. { phone: '/mnt/phone', camera: '/mnt/camera' }
+export type ImageRoots = Record<string, string>;
+
+export interface LibraryOptions {
+  // Persist each root's index as index-<name>.json in this folder
+  indexDir?: string;
+  // Passed through to each ImageIndex
+  watch?: boolean;
+  rescanInterval?: number;
+}
+
+interface Root {
+  name: string;
+  folder: string;
+  index: ImageIndex;
+}
+
+/**
+ * All the image folders being served, merged into one list.
+ *
+ * With a single folder, image paths are relative to it. With several, each
+ * path starts with the name of its folder ("phone/2023/img.jpg").
+ *
+ * Emits 'add', 'change' and 'remove' with the library path of the image.
+ */
+export class Library extends EventEmitter {
+  readonly namespaced: boolean;
+  private roots: Root[];
+  private sorted: string[] | null = null;
+
+  constructor(roots: string | ImageRoots, options: LibraryOptions = {}) {
+    super();
+    // Every connected slideshow listens for changes
+    this.setMaxListeners(0);
+
+    const named = typeof roots === 'string' ? { [path.basename(path.resolve(roots))]: roots } : roots;
+    if (Object.keys(named).length === 0) {
+      throw new Error('At least one image folder is required');
+    }
+    this.namespaced = Object.keys(named).length > 1;
+
+    this.roots = Object.keys(named).sort().map(name => {
+      const index = new ImageIndex(named[name], {
+        indexFile: options.indexDir ? path.join(options.indexDir, `index-${name}.json`) : undefined,
+        watch: options.watch,
+        rescanInterval: options.rescanInterval,
+      });
+      const root = { name, folder: path.resolve(named[name]), index };
+
+      for (const event of ['add', 'change', 'remove']) {
+        index.on(event, (relativePath: string) => {
+          if (event !== 'change') this.sorted = null;
+          this.emit(event, this.toLibraryPath(root, relativePath));
+        });
+      }
+      return root;
+    });
+  }
+
+  // Resolves once every folder has been indexed. The first call starts the builds.
+  async ready(): Promise<void> {
+    await Promise.all(this.roots.map(root => root.index.ready()));
+  }
+
+  // Walk every folder again and apply the differences
+  async rescan(): Promise<void> {
+    await Promise.all(this.roots.map(root => root.index.rescan()));
+  }
+
+  close(): void {
+    this.roots.forEach(root => root.index.close());
+  }
+
+  get folders(): ImageRoots {
+    const folders: ImageRoots = {};
+    this.roots.forEach(root => { folders[root.name] = root.folder; });
+    return folders;
+  }
+
+  get size(): number {
+    return this.roots.reduce((sum, root) => sum + root.index.size, 0);
+  }
+
+  // Sorted library paths of all images
+  list(): string[] {
+    if (!this.sorted) {
+      this.sorted = this.roots
+        .flatMap(root => root.index.list().map(relativePath => this.toLibraryPath(root, relativePath)))
+        .sort();
+    }
+    return this.sorted;
+  }
+
+  get(imagePath: string): IndexEntry | undefined {
+    const found = this.findRoot(imagePath);
+    return found ? found.root.index.get(found.relativePath) : undefined;
+  }
+
+  /**
+   * Map a library path to a file on disk. Returns null when the path names no
+   * folder or escapes the folder it names, so callers can refuse it.
+   */
+  resolve(imagePath: string): string | null {
+    const found = this.findRoot(imagePath);
+    if (!found) return null;
+
+    // Security check: ensure the resolved path is within its folder
+    const resolvedPath = path.resolve(found.root.folder, found.relativePath);
+    if (!resolvedPath.startsWith(found.root.folder + path.sep) && resolvedPath !== found.root.folder) {
+      return null;
+    }
+    return resolvedPath;
+  }
+
+  private toLibraryPath(root: Root, relativePath: string): string {
+    return this.namespaced ? `${root.name}/${relativePath}` : relativePath;
+  }
+
+  private findRoot(imagePath: string): { root: Root; relativePath: string } | null {
+    if (!this.namespaced) {
+      return { root: this.roots[0], relativePath: imagePath };
+    }
+
+    const slash = imagePath.indexOf('/');
+    const name = slash >= 0 ? imagePath.slice(0, slash) : imagePath;
+    const root = this.roots.find(candidate => candidate.name === name);
+    return root ? { root, relativePath: slash >= 0 ? imagePath.slice(slash + 1) : '' } : null;
+  }
+}
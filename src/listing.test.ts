@@ -0,0 +1,335 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import sharp from 'sharp';
+
+import { Library } from './library';
+import { MetadataCache } from './metadataCache';
+import {
+  ListingQueryError,
+  listCameras,
+  listDaysTaken,
+  listImages,
+  listPlaces,
+  buildFolderTree,
+  isInFolder,
+  parseExifDate,
+  parseListingQuery,
+  seededRandom,
+} from './listing';
+
+describe('parseExifDate', () => {
+  it('should parse EXIF dates as local time', () => {
+    expect(parseExifDate('2024:01:10 14:30:05')).toBe(new Date(2024, 0, 10, 14, 30, 5).getTime());
+  });
+
+  it('should accept dates without a time', () => {
+    expect(parseExifDate('2024-01-10')).toBe(new Date(2024, 0, 10).getTime());
+  });
+
+  it('should return null for unparseable values', () => {
+    expect(parseExifDate('sometime last year')).toBeNull();
+  });
+});
+
+describe('seededRandom', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const a = seededRandom(42);
+    const b = seededRandom(42);
+    const sequence = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(sequence);
+    sequence.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('parseListingQuery', () => {
+  it('should apply defaults', () => {
+    const query = parseListingQuery({});
+    expect(query).toEqual(expect.objectContaining({
+      offset: 0,
+      limit: null,
+      sort: 'name',
+      order: 'asc',
+      folders: null,
+      recursive: true,
+      extensions: null,
+    }));
+  });
+
+  it('should parse all parameters', () => {
+    const query = parseListingQuery({
+      offset: '20',
+      limit: '10',
+      sort: 'mtime',
+      order: 'desc',
+      folder: '/2023/trip/',
+      ext: 'JPG, .png',
+      seed: '7',
+    });
+    expect(query).toEqual({
+      offset: 20,
+      limit: 10,
+      sort: 'mtime',
+      order: 'desc',
+      folders: ['2023/trip'],
+      recursive: true,
+      extensions: ['.jpg', '.png'],
+      seed: 7,
+      camera: null,
+      place: null,
+      from: null,
+      to: null,
+      day: null,
+    });
+  });
+
+  it('should accept several folders and non-recursive selection', () => {
+    const query = parseListingQuery({ folder: ['2023', '2024/'], recursive: '0' });
+    expect(query.folders).toEqual(['2023', '2024']);
+    expect(query.recursive).toBe(false);
+  });
+
+  it('should reject invalid values', () => {
+    expect(() => parseListingQuery({ offset: '-1' })).toThrow(ListingQueryError);
+    expect(() => parseListingQuery({ limit: '0' })).toThrow('Invalid limit');
+    expect(() => parseListingQuery({ limit: 'ten' })).toThrow('Invalid limit');
+    expect(() => parseListingQuery({ sort: 'size' })).toThrow('Invalid sort');
+    expect(() => parseListingQuery({ order: 'up' })).toThrow('Invalid order');
+    expect(() => parseListingQuery({ from: '2023-13-45' })).toThrow('Invalid from');
+    expect(() => parseListingQuery({ to: 'yesterday' })).toThrow('Invalid to');
+    expect(() => parseListingQuery({ day: '02-30x' })).toThrow('Invalid day');
+  });
+
+  it('should parse the EXIF filters', () => {
+    const query = parseListingQuery({ camera: 'Canon EOS R5', from: '2023-06-01', to: '2023-06-30', day: '06-15' });
+    expect(query.camera).toBe('Canon EOS R5');
+    expect(query.from).toBe(new Date(2023, 5, 1).getTime());
+    expect(query.to).toBe(new Date(2023, 6, 1).getTime() - 1);
+    expect(query.day).toBe('06-15');
+  });
+});
+
+describe('listImages', () => {
+  let testDir: string;
+  let library: Library;
+  let metadata: MetadataCache;
+
+  // Modification times a few seconds apart in 2020
+  const setMtime = (relativePath: string, seconds: number) => {
+    const time = new Date(2020, 0, 1).getTime() / 1000 + seconds;
+    fs.utimesSync(path.join(testDir, relativePath), time, time);
+  };
+
+  beforeEach(async () => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listing-test-'));
+    fs.mkdirSync(path.join(testDir, 'album'));
+    fs.writeFileSync(path.join(testDir, 'a.jpg'), '');
+    fs.writeFileSync(path.join(testDir, 'b.png'), '');
+    fs.writeFileSync(path.join(testDir, 'album', 'c.jpg'), '');
+    fs.writeFileSync(path.join(testDir, 'album', 'd.gif'), '');
+    setMtime('a.jpg', 4000);
+    setMtime('b.png', 1000);
+    setMtime('album/c.jpg', 3000);
+    setMtime('album/d.gif', 2000);
+
+    library = new Library(testDir, { watch: false });
+    await library.ready();
+    metadata = new MetadataCache(library);
+  });
+
+  afterEach(() => {
+    library.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should return every image by name with the total', async () => {
+    const result = await listImages(library, metadata, parseListingQuery({}));
+    expect(result).toEqual({
+      total: 4,
+      offset: 0,
+      limit: null,
+      images: ['a.jpg', 'album/c.jpg', 'album/d.gif', 'b.png'],
+    });
+  });
+
+  it('should page through results', async () => {
+    const result = await listImages(library, metadata, parseListingQuery({ offset: '1', limit: '2' }));
+    expect(result.total).toBe(4);
+    expect(result.images).toEqual(['album/c.jpg', 'album/d.gif']);
+  });
+
+  it('should sort by modification time in either order', async () => {
+    const ascending = await listImages(library, metadata, parseListingQuery({ sort: 'mtime' }));
+    expect(ascending.images).toEqual(['b.png', 'album/d.gif', 'album/c.jpg', 'a.jpg']);
+
+    const descending = await listImages(library, metadata, parseListingQuery({ sort: 'mtime', order: 'desc' }));
+    expect(descending.images).toEqual(['a.jpg', 'album/c.jpg', 'album/d.gif', 'b.png']);
+  });
+
+  it('should sort by EXIF date taken, falling back to modification time', async () => {
+    await sharp({ create: { width: 4, height: 4, channels: 3, background: 'white' } })
+      .jpeg()
+      .withExif({ IFD2: { DateTimeOriginal: '1999:12:31 23:59:00' } })
+      .toFile(path.join(testDir, 'a.jpg'));
+    setMtime('a.jpg', 4000);
+    await library.rescan();
+
+    const result = await listImages(library, metadata, parseListingQuery({ sort: 'dateTaken' }));
+    expect(result.images).toEqual(['a.jpg', 'b.png', 'album/d.gif', 'album/c.jpg']);
+  });
+
+  describe('EXIF filters', () => {
+    // Positions as EXIF degrees, minutes and seconds
+    const PARIS = { GPSLatitudeRef: 'N', GPSLatitude: '48/1 51/1 30/1', GPSLongitudeRef: 'E', GPSLongitude: '2/1 17/1 40/1' };
+    const ROME = { GPSLatitudeRef: 'N', GPSLatitude: '41/1 53/1 24/1', GPSLongitudeRef: 'E', GPSLongitude: '12/1 29/1 32/1' };
+
+    const writePhoto = (relativePath: string, make: string, dateTaken: string, gps: Record<string, string>) =>
+      sharp({ create: { width: 4, height: 4, channels: 3, background: 'white' } })
+        .jpeg()
+        .withExif({ IFD0: { Make: make, Model: 'X100' }, IFD2: { DateTimeOriginal: dateTaken }, IFD3: gps })
+        .toFile(path.join(testDir, relativePath));
+
+    beforeEach(async () => {
+      await writePhoto('a.jpg', 'Fujifilm', '2019:06:15 10:00:00', PARIS);
+      await writePhoto('album/c.jpg', 'Leica', '2021:06:15 18:30:00', ROME);
+      await writePhoto('album/d.gif', 'Fujifilm', '2021:07:01 09:00:00', PARIS);
+      await library.rescan();
+    });
+
+    it('should only list images from a camera', async () => {
+      const result = await listImages(library, metadata, parseListingQuery({ camera: 'fujifilm x100' }));
+      expect(result.images).toEqual(['a.jpg', 'album/d.gif']);
+    });
+
+    it('should only list images taken within a date range', async () => {
+      const result = await listImages(library, metadata, parseListingQuery({ from: '2021-06-15', to: '2021-06-30' }));
+      expect(result.images).toEqual(['album/c.jpg']);
+    });
+
+    it('should list images taken on a day in any year, oldest first', async () => {
+      const result = await listImages(library, metadata, parseListingQuery({ day: '06-15', sort: 'dateTaken' }));
+      expect(result.images).toEqual(['a.jpg', 'album/c.jpg']);
+    });
+
+    it('should only list images taken near a place', async () => {
+      const result = await listImages(library, metadata, parseListingQuery({ place: 'paris, france' }));
+      expect(result.images).toEqual(['a.jpg', 'album/d.gif']);
+    });
+
+    it('should count images by place', async () => {
+      expect(await listPlaces(metadata, library.list())).toEqual([
+        { place: 'Paris, France', count: 2 },
+        { place: 'Rome, Italy', count: 1 },
+      ]);
+    });
+
+    it('should list the day each image was taken, or else last modified', async () => {
+      fs.utimesSync(path.join(testDir, 'b.png'), new Date(2020, 0, 2, 12), new Date(2020, 0, 2, 12));
+      await library.rescan();
+
+      expect(await listDaysTaken(library, metadata, ['a.jpg', 'album/c.jpg', 'b.png'])).toEqual({
+        'a.jpg': '2019-06-15',
+        'album/c.jpg': '2021-06-15',
+        'b.png': '2020-01-02',
+      });
+    });
+
+    it('should count images by camera', async () => {
+      expect(await listCameras(metadata, library.list())).toEqual([
+        { camera: 'Fujifilm X100', count: 2 },
+        { camera: 'Leica X100', count: 1 },
+      ]);
+    });
+  });
+
+  it('should give a stable random order for a seed', async () => {
+    const first = await listImages(library, metadata, parseListingQuery({ sort: 'random', seed: '123' }));
+    const again = await listImages(library, metadata, parseListingQuery({ sort: 'random', seed: '123' }));
+    expect(again.images).toEqual(first.images);
+    expect(first.seed).toBe(123);
+    expect([...first.images].sort()).toEqual(['a.jpg', 'album/c.jpg', 'album/d.gif', 'b.png']);
+  });
+
+  it('should return the generated seed for unseeded random listings', async () => {
+    const result = await listImages(library, metadata, parseListingQuery({ sort: 'random', limit: '2' }));
+    const nextPage = await listImages(library, metadata, parseListingQuery({
+      sort: 'random', offset: '2', limit: '2', seed: String(result.seed),
+    }));
+    expect([...result.images, ...nextPage.images].sort()).toEqual(['a.jpg', 'album/c.jpg', 'album/d.gif', 'b.png']);
+  });
+
+  it('should filter by folder', async () => {
+    const result = await listImages(library, metadata, parseListingQuery({ folder: 'album' }));
+    expect(result.total).toBe(2);
+    expect(result.images).toEqual(['album/c.jpg', 'album/d.gif']);
+  });
+
+  it('should filter by several folders without subfolders', async () => {
+    fs.mkdirSync(path.join(testDir, 'album', 'nested'));
+    fs.writeFileSync(path.join(testDir, 'album', 'nested', 'e.jpg'), '');
+    await library.rescan();
+
+    const recursive = await listImages(library, metadata, parseListingQuery({ folder: ['album'] }));
+    expect(recursive.images).toEqual(['album/c.jpg', 'album/d.gif', 'album/nested/e.jpg']);
+
+    const flat = await listImages(library, metadata, parseListingQuery({ folder: ['', 'album/nested'], recursive: '0' }));
+    expect(flat.images).toEqual(['a.jpg', 'album/nested/e.jpg', 'b.png']);
+  });
+
+  it('should not match folders that only share a prefix', async () => {
+    const result = await listImages(library, metadata, parseListingQuery({ folder: 'alb' }));
+    expect(result.images).toEqual([]);
+  });
+
+  it('should filter by extension', async () => {
+    const result = await listImages(library, metadata, parseListingQuery({ ext: 'jpg,gif' }));
+    expect(result.images).toEqual(['a.jpg', 'album/c.jpg', 'album/d.gif']);
+  });
+});
+
+describe('isInFolder', () => {
+  it('should match images directly in the folder', () => {
+    expect(isInFolder('2023/a.jpg', '2023', false)).toBe(true);
+    expect(isInFolder('a.jpg', '', false)).toBe(true);
+    expect(isInFolder('2023/trip/a.jpg', '2023', false)).toBe(false);
+  });
+
+  it('should match subfolders when recursive', () => {
+    expect(isInFolder('2023/trip/a.jpg', '2023', true)).toBe(true);
+    expect(isInFolder('2023/trip/a.jpg', '', true)).toBe(true);
+    expect(isInFolder('20234/a.jpg', '2023', true)).toBe(false);
+  });
+});
+
+describe('buildFolderTree', () => {
+  it('should group images into nested folders with counts', () => {
+    const tree = buildFolderTree(['root.jpg', 'b/one.jpg', 'a/x/deep.jpg', 'a/two.jpg', 'a/three.jpg']);
+
+    expect(tree).toEqual({
+      name: '',
+      path: '',
+      imageCount: 1,
+      totalCount: 5,
+      children: [
+        {
+          name: 'a',
+          path: 'a',
+          imageCount: 2,
+          totalCount: 3,
+          children: [
+            { name: 'x', path: 'a/x', imageCount: 1, totalCount: 1, children: [] },
+          ],
+        },
+        { name: 'b', path: 'b', imageCount: 1, totalCount: 1, children: [] },
+      ],
+    });
+  });
+
+  it('should include folders that only contain subfolders', () => {
+    const tree = buildFolderTree(['2023/trip/a.jpg']);
+    expect(tree.children[0]).toEqual(expect.objectContaining({ path: '2023', imageCount: 0, totalCount: 1 }));
+  });
+});
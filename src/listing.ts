@@ -0,0 +1,332 @@
+import path from 'path';
+import { Library } from './library';
+import { MetadataCache } from './metadataCache';
+import { ImageMetadata } from './metadata';
+
+export const SORT_FIELDS = ['name', 'mtime', 'dateTaken', 'random'] as const;
+export type SortField = typeof SORT_FIELDS[number];
+
+export interface ListingQuery {
+  offset: number;
+  limit: number | null;
+  sort: SortField;
+  order: 'asc' | 'desc';
+  folders: string[] | null;
+  recursive: boolean;
+  extensions: string[] | null;
+  seed: number;
+  // Only images from this camera (EXIF make and model, ignoring case)
+  camera: string | null;
+  // Only images taken near this place ("Paris, France", ignoring case)
+  place: string | null;
+  // Only images taken in this range of epoch ms, inclusive
+  from: number | null;
+  to: number | null;
+  // Only images taken on this day of any year, as "MM-DD"
+  day: string | null;
+}
+
+export interface ListingResult {
+  total: number;
+  offset: number;
+  limit: number | null;
+  seed?: number;
+  images: string[];
+}
+
+export interface FolderNode {
+  name: string;
+  path: string;
+  // Images directly in this folder
+  imageCount: number;
+  // Images in this folder and all of its subfolders
+  totalCount: number;
+  children: FolderNode[];
+}
+
+export interface CameraCount {
+  camera: string;
+  count: number;
+}
+
+export interface PlaceCount {
+  place: string;
+  count: number;
+}
+
+export class ListingQueryError extends Error {}
+
+// Parse EXIF "YYYY:MM:DD HH:MM:SS" (local time) into epoch ms
+export function parseExifDate(value: string): number | null {
+  const match = /^(\d{4})[:-](\d{2})[:-](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+  const date = new Date(+year, +month - 1, +day, +hours, +minutes, +seconds);
+  return isNaN(date.getTime()) ? null : date.getTime();
+}
+
+// Small seeded PRNG (mulberry32) so a random order can be paged through consistently
+export function seededRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function parseListingQuery(query: Record<string, unknown>): ListingQuery {
+  const parseInteger = (name: string, min: number): number | null => {
+    const value = query[name];
+    if (value === undefined) return null;
+    const parsed = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    if (isNaN(parsed) || parsed < min) {
+      throw new ListingQueryError(`Invalid ${name}`);
+    }
+    return parsed;
+  };
+
+  const sort = query.sort === undefined ? 'name' : SORT_FIELDS.find(field => field === query.sort);
+  if (!sort) {
+    throw new ListingQueryError('Invalid sort');
+  }
+
+  if (query.order !== undefined && query.order !== 'asc' && query.order !== 'desc') {
+    throw new ListingQueryError('Invalid order');
+  }
+
+  // folder may be repeated to select several albums
+  const folders = ([] as unknown[]).concat(query.folder ?? [])
+    .filter((folder): folder is string => typeof folder === 'string')
+    .map(folder => folder.replace(/^\/+|\/+$/g, ''));
+
+  // from and to are whole days ("2023-06-01"), in the server's time zone
+  const parseDate = (name: string, endOfDay: boolean): number | null => {
+    const value = query[name];
+    if (value === undefined || value === '') return null;
+    const match = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value) : null;
+    const [year, month, day] = match ? match.slice(1).map(Number) : [];
+    const date = new Date(year, month - 1, day);
+    if (!match || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      throw new ListingQueryError(`Invalid ${name}`);
+    }
+    // The last millisecond of the day for the end of a range
+    return endOfDay ? new Date(year, month - 1, day + 1).getTime() - 1 : date.getTime();
+  };
+
+  const day = query.day === undefined || query.day === '' ? null : query.day;
+  if (day !== null && (typeof day !== 'string' || !/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(day))) {
+    throw new ListingQueryError('Invalid day');
+  }
+
+  const extensions = typeof query.ext === 'string' && query.ext
+    ? query.ext.split(',').map(ext => `.${ext.trim().replace(/^\./, '').toLowerCase()}`)
+    : null;
+
+  return {
+    offset: parseInteger('offset', 0) || 0,
+    limit: parseInteger('limit', 1),
+    sort,
+    order: query.order === 'desc' ? 'desc' : 'asc',
+    folders: folders.length > 0 ? folders : null,
+    recursive: query.recursive !== '0' && query.recursive !== 'false',
+    extensions,
+    seed: parseInteger('seed', 0) ?? Math.floor(Math.random() * 4294967296),
+    camera: typeof query.camera === 'string' && query.camera ? query.camera : null,
+    place: typeof query.place === 'string' && query.place ? query.place : null,
+    from: parseDate('from', false),
+    to: parseDate('to', true),
+    day,
+  };
+}
+
+// folder is '' for the library root
+export function isInFolder(image: string, folder: string, recursive: boolean): boolean {
+  const slash = image.lastIndexOf('/');
+  const imageFolder = slash >= 0 ? image.slice(0, slash) : '';
+  if (imageFolder === folder) return true;
+  return recursive && (folder === '' || imageFolder.startsWith(`${folder}/`));
+}
+
+// Group image paths into a tree of folders
+export function buildFolderTree(images: string[]): FolderNode {
+  const root: FolderNode = { name: '', path: '', imageCount: 0, totalCount: 0, children: [] };
+  const nodes = new Map<string, FolderNode>([['', root]]);
+
+  const getNode = (folderPath: string): FolderNode => {
+    let node = nodes.get(folderPath);
+    if (!node) {
+      const slash = folderPath.lastIndexOf('/');
+      const parent = getNode(slash >= 0 ? folderPath.slice(0, slash) : '');
+      node = { name: folderPath.slice(slash + 1), path: folderPath, imageCount: 0, totalCount: 0, children: [] };
+      parent.children.push(node);
+      nodes.set(folderPath, node);
+    }
+    return node;
+  };
+
+  for (const image of images) {
+    const slash = image.lastIndexOf('/');
+    const node = getNode(slash >= 0 ? image.slice(0, slash) : '');
+    node.imageCount++;
+  }
+
+  const finish = (node: FolderNode): number => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.totalCount = node.imageCount + node.children.reduce((sum, child) => sum + finish(child), 0);
+    return node.totalCount;
+  };
+  finish(root);
+  return root;
+}
+
+// When an image was taken, falling back to its modification time
+async function getDateTaken(library: Library, metadata: MetadataCache, imagePath: string): Promise<number> {
+  const mtimeMs = library.get(imagePath)?.mtimeMs || 0;
+  const dateTaken = (await metadata.get(imagePath))?.exif?.dateTaken;
+  return (dateTaken && parseExifDate(dateTaken)) || mtimeMs;
+}
+
+// "YYYY-MM-DD" in the server's time zone
+export function formatDay(time: number): string {
+  const date = new Date(time);
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isOnDay(time: number, day: string): boolean {
+  return formatDay(time).slice(5) === day;
+}
+
+// How many of these images have each value of a metadata field, by value
+async function countValues(
+  metadata: MetadataCache,
+  images: string[],
+  pick: (data: ImageMetadata) => string | undefined
+): Promise<[string, number][]> {
+  const counts = new Map<string, number>();
+  for (const image of images) {
+    const data = await metadata.get(image);
+    const value = data && pick(data);
+    if (value) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return [...counts].sort(([a], [b]) => a.localeCompare(b));
+}
+
+// The cameras that took these images, with how many each took
+export async function listCameras(metadata: MetadataCache, images: string[]): Promise<CameraCount[]> {
+  const counts = await countValues(metadata, images, data => data.exif?.camera);
+  return counts.map(([camera, count]) => ({ camera, count }));
+}
+
+// The places these images were taken, with how many were taken at each
+export async function listPlaces(metadata: MetadataCache, images: string[]): Promise<PlaceCount[]> {
+  const counts = await countValues(metadata, images, data => data.place);
+  return counts.map(([place, count]) => ({ place, count }));
+}
+
+// The day each of these images was taken ("YYYY-MM-DD"), by image
+export async function listDaysTaken(
+  library: Library,
+  metadata: MetadataCache,
+  images: string[]
+): Promise<Record<string, string>> {
+  const days: Record<string, string> = {};
+  for (const image of images) {
+    days[image] = formatDay(await getDateTaken(library, metadata, image));
+  }
+  return days;
+}
+
+export async function listImages(
+  library: Library,
+  metadata: MetadataCache,
+  query: ListingQuery
+): Promise<ListingResult> {
+  let images = library.list();
+
+  if (query.folders) {
+    const folders = query.folders;
+    images = images.filter(image => folders.some(folder => isInFolder(image, folder, query.recursive)));
+  }
+
+  if (query.extensions) {
+    const extensions = query.extensions;
+    images = images.filter(image => extensions.includes(path.extname(image).toLowerCase()));
+  }
+
+  // Filtering and sorting by EXIF needs the metadata of every image, which is
+  // cached after the first time
+  const taken = new Map<string, number>();
+  if (query.from !== null || query.to !== null || query.day !== null || query.sort === 'dateTaken') {
+    for (const image of images) {
+      taken.set(image, await getDateTaken(library, metadata, image));
+    }
+  }
+  const { from, to, day } = query;
+  if (from !== null) images = images.filter(image => taken.get(image)! >= from);
+  if (to !== null) images = images.filter(image => taken.get(image)! <= to);
+  if (day !== null) images = images.filter(image => isOnDay(taken.get(image)!, day));
+
+  const matchers: ((data: ImageMetadata | null) => boolean)[] = [];
+  if (query.camera !== null) {
+    const camera = query.camera.toLowerCase();
+    matchers.push(data => data?.exif?.camera?.toLowerCase() === camera);
+  }
+  if (query.place !== null) {
+    const place = query.place.toLowerCase();
+    matchers.push(data => data?.place?.toLowerCase() === place);
+  }
+  if (matchers.length > 0) {
+    const matches: string[] = [];
+    for (const image of images) {
+      const data = await metadata.get(image);
+      if (matchers.every(match => match(data))) {
+        matches.push(image);
+      }
+    }
+    images = matches;
+  }
+
+  // library.list() is already sorted by name
+  images = [...images];
+  switch (query.sort) {
+    case 'mtime': {
+      const mtime = (image: string) => library.get(image)?.mtimeMs || 0;
+      images.sort((a, b) => mtime(a) - mtime(b));
+      break;
+    }
+    case 'dateTaken':
+      images.sort((a, b) => taken.get(a)! - taken.get(b)!);
+      break;
+    case 'random': {
+      const random = seededRandom(query.seed);
+      for (let i = images.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [images[i], images[j]] = [images[j], images[i]];
+      }
+      break;
+    }
+  }
+
+  if (query.order === 'desc') {
+    images.reverse();
+  }
+
+  const end = query.limit === null ? undefined : query.offset + query.limit;
+  const result: ListingResult = {
+    total: images.length,
+    offset: query.offset,
+    limit: query.limit,
+    images: images.slice(query.offset, end),
+  };
+  if (query.sort === 'random') {
+    result.seed = query.seed;
+  }
+  return result;
+}
@@ -0,0 +1,72 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import sharp from 'sharp';
+
+import { getImageMetadata, readImageMetadata } from './metadata';
+
+describe('readImageMetadata', () => {
+  let testDir: string;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should match getImageMetadata', async () => {
+    const filepath = path.join(testDir, 'photo.jpg');
+    await sharp({ create: { width: 6, height: 4, channels: 3, background: 'white' } })
+      .jpeg()
+      .withExif({ IFD0: { Make: 'Canon', Model: 'EOS R5' }, IFD2: { DateTimeOriginal: '2022:03:04 05:06:07' } })
+      .toFile(filepath);
+
+    const metadata = await readImageMetadata(filepath, 'photo.jpg');
+    expect(metadata).toEqual(getImageMetadata(filepath, 'photo.jpg'));
+    expect(metadata).toEqual(expect.objectContaining({ width: 6, height: 4 }));
+    expect(metadata!.exif).toEqual(expect.objectContaining({ camera: 'Canon EOS R5', dateTaken: '2022:03:04 05:06:07' }));
+  });
+
+  it('should read captions written by photo managers', async () => {
+    const filepath = path.join(testDir, 'captioned.jpg');
+    await sharp({ create: { width: 6, height: 4, channels: 3, background: 'white' } })
+      .jpeg()
+      .withExif({ IFD0: { ImageDescription: 'Grandma at the lake' } })
+      .toFile(filepath);
+    const camera = path.join(testDir, 'camera.jpg');
+    await sharp({ create: { width: 6, height: 4, channels: 3, background: 'white' } })
+      .jpeg()
+      .withExif({ IFD0: { ImageDescription: 'OLYMPUS DIGITAL CAMERA' } })
+      .toFile(camera);
+
+    expect((await readImageMetadata(filepath, 'captioned.jpg'))!.description).toBe('Grandma at the lake');
+    expect((await readImageMetadata(camera, 'camera.jpg'))!.description).toBeUndefined();
+  });
+
+  it('should read the rest of the file when the dimensions are further in', async () => {
+    // Ten 60 KB application segments before the JPEG's frame header
+    const jpeg = await sharp({ create: { width: 30, height: 20, channels: 3, background: 'white' } }).jpeg().toBuffer();
+    const segment = Buffer.alloc(60 * 1024);
+    segment.writeUInt16BE(0xffef, 0);
+    segment.writeUInt16BE(segment.length - 2, 2);
+    const filepath = path.join(testDir, 'late.jpg');
+    fs.writeFileSync(filepath, Buffer.concat([jpeg.subarray(0, 2), ...Array(10).fill(segment), jpeg.subarray(2)]));
+
+    const metadata = await readImageMetadata(filepath, 'late.jpg');
+    expect(metadata).toEqual(expect.objectContaining({ width: 30, height: 20 }));
+  });
+
+  it('should report file details for video clips', async () => {
+    const filepath = path.join(testDir, 'clip.mp4');
+    fs.writeFileSync(filepath, 'not really a video');
+
+    const metadata = await readImageMetadata(filepath, 'clip.mp4');
+    expect(metadata).toEqual(expect.objectContaining({ width: null, height: null, size: 18, type: 'mp4' }));
+  });
+
+  it('should return null for missing files', async () => {
+    expect(await readImageMetadata(path.join(testDir, 'missing.jpg'), 'missing.jpg')).toBeNull();
+  });
+});
@@ -0,0 +1,247 @@
+import path from 'path';
+import fs from 'fs';
+import sizeOf from 'image-size';
+import ExifReader from 'exifreader';
+import { isVideoFile } from './formats';
+import { findPlace } from './places';
+
+export interface ImageMetadata {
+  filename: string;
+  // Dimensions as displayed, i.e. after applying the orientation
+  width: number | null;
+  height: number | null;
+  // EXIF orientation (1-8) of the stored pixels; images are served upright already
+  orientation?: number;
+  size: number;
+  modified: string;
+  type: string | null;
+  // Nearest known place to the GPS position, like "Paris, France"
+  place?: string;
+  // Written by photo managers into XMP, IPTC or EXIF
+  description?: string;
+  title?: string;
+  exif?: {
+    camera?: string;
+    lens?: string;
+    dateTaken?: string;
+    aperture?: string;
+    shutterSpeed?: string;
+    iso?: number;
+    focalLength?: string;
+    flash?: string;
+    gps?: {
+      latitude: number;
+      longitude: number;
+    };
+    software?: string;
+    artist?: string;
+    copyright?: string;
+  };
+}
+
+// Dimensions and EXIF sit near the start of nearly every image file
+const HEADER_READ_LENGTH = 512 * 1024;
+
+// Descriptions cameras fill in by themselves, which say nothing about the photo
+const CAMERA_DESCRIPTIONS = ['OLYMPUS DIGITAL CAMERA', 'SONY DSC', 'KODAK Digital Still Camera', 'DIGITAL CAMERA'];
+
+// The first of these tag values with any real text in it
+function firstText(...values: (string | undefined)[]): string | undefined {
+  return values
+    .map(value => value?.trim())
+    .find(value => value && !CAMERA_DESCRIPTIONS.includes(value));
+}
+
+// Clips can be large and carry no EXIF; report what the file system knows
+function videoMetadata(filepath: string, filename: string, stats: fs.Stats): ImageMetadata {
+  return {
+    filename,
+    width: null,
+    height: null,
+    size: stats.size,
+    modified: stats.mtime.toISOString(),
+    type: path.extname(filepath).slice(1).toLowerCase(),
+  };
+}
+
+function metadataFromBuffer(buffer: Buffer, filename: string, stats: fs.Stats): ImageMetadata {
+  let width: number | null = null;
+  let height: number | null = null;
+  let type: string | null = null;
+  let orientation: number | undefined = undefined;
+  let description: string | undefined = undefined;
+  let title: string | undefined = undefined;
+
+  try {
+    const dimensions = sizeOf(buffer);
+    width = dimensions.width || null;
+    height = dimensions.height || null;
+    type = dimensions.type || null;
+    orientation = dimensions.orientation;
+  } catch {
+    // Dimensions not available for this image type
+  }
+
+  // Extract EXIF data
+  let exif: ImageMetadata['exif'] = undefined;
+  try {
+    const tags = ExifReader.load(buffer, { expanded: true });
+
+    // image-size only finds the orientation in JPEG and TIFF files
+    const exifOrientation = tags.exif?.Orientation?.value;
+    if (orientation === undefined && typeof exifOrientation === 'number') {
+      orientation = exifOrientation;
+    }
+
+    const exifData: ImageMetadata['exif'] = {};
+
+    // Camera info
+    const make = tags.exif?.Make?.description;
+    const model = tags.exif?.Model?.description;
+    if (make || model) {
+      exifData.camera = [make, model].filter(Boolean).join(' ');
+    }
+
+    // Lens info
+    const lens = tags.exif?.LensModel?.description;
+    if (lens) {
+      exifData.lens = lens;
+    }
+
+    // Date taken
+    const dateTaken = tags.exif?.DateTimeOriginal?.description ||
+                      tags.exif?.DateTime?.description;
+    if (dateTaken) {
+      exifData.dateTaken = dateTaken;
+    }
+
+    // Aperture
+    const aperture = tags.exif?.FNumber?.description || tags.exif?.ApertureValue?.description;
+    if (aperture) {
+      exifData.aperture = `f/${aperture}`;
+    }
+
+    // Shutter speed
+    const shutterSpeed = tags.exif?.ExposureTime?.description;
+    if (shutterSpeed) {
+      exifData.shutterSpeed = `${shutterSpeed}s`;
+    }
+
+    // ISO
+    const iso = tags.exif?.ISOSpeedRatings?.description;
+    if (iso) {
+      exifData.iso = parseInt(iso, 10);
+    }
+
+    // Focal length
+    const focalLength = tags.exif?.FocalLength?.description;
+    if (focalLength) {
+      exifData.focalLength = `${focalLength}mm`;
+    }
+
+    // Flash
+    const flash = tags.exif?.Flash?.description;
+    if (flash) {
+      exifData.flash = flash;
+    }
+
+    // GPS
+    if (tags.gps?.Latitude && tags.gps?.Longitude) {
+      exifData.gps = {
+        latitude: tags.gps.Latitude,
+        longitude: tags.gps.Longitude,
+      };
+    }
+
+    // Software
+    const software = tags.exif?.Software?.description;
+    if (software) {
+      exifData.software = software;
+    }
+
+    // Artist
+    const artist = tags.exif?.Artist?.description;
+    if (artist) {
+      exifData.artist = artist;
+    }
+
+    // Copyright
+    const copyright = tags.exif?.Copyright?.description;
+    if (copyright) {
+      exifData.copyright = copyright;
+    }
+
+    // Only include exif if we found any data
+    if (Object.keys(exifData).length > 0) {
+      exif = exifData;
+    }
+
+    // Captions from photo managers, in the order they are usually kept up to date
+    const iptc = tags.iptc as Record<string, { description?: string }> | undefined;
+    description = firstText(
+      tags.xmp?.description?.description, iptc?.['Caption/Abstract']?.description, tags.exif?.ImageDescription?.description
+    );
+    title = firstText(tags.xmp?.title?.description, iptc?.['Object Name']?.description, iptc?.Headline?.description);
+  } catch {
+    // EXIF not available for this image
+  }
+
+  // Orientations 5-8 turn the image on its side
+  if (orientation && orientation >= 5 && orientation <= 8) {
+    [width, height] = [height, width];
+  }
+
+  return {
+    filename,
+    width,
+    height,
+    orientation,
+    size: stats.size,
+    modified: stats.mtime.toISOString(),
+    type,
+    place: exif?.gps ? findPlace(exif.gps.latitude, exif.gps.longitude) ?? undefined : undefined,
+    description,
+    title,
+    exif,
+  };
+}
+
+export function getImageMetadata(filepath: string, filename: string): ImageMetadata | null {
+  try {
+    const stats = fs.statSync(filepath);
+    if (isVideoFile(filepath)) {
+      return videoMetadata(filepath, filename, stats);
+    }
+    return metadataFromBuffer(fs.readFileSync(filepath), filename, stats);
+  } catch {
+    return null;
+  }
+}
+
+// Like getImageMetadata, but asynchronous and reading only the start of the
+// file unless the dimensions turn out to be further in
+export async function readImageMetadata(filepath: string, filename: string): Promise<ImageMetadata | null> {
+  try {
+    const stats = await fs.promises.stat(filepath);
+    if (isVideoFile(filepath)) {
+      return videoMetadata(filepath, filename, stats);
+    }
+
+    const buffer = Buffer.alloc(Math.min(stats.size, HEADER_READ_LENGTH));
+    const file = await fs.promises.open(filepath, 'r');
+    let bytesRead: number;
+    try {
+      ({ bytesRead } = await file.read(buffer, 0, buffer.length, 0));
+    } finally {
+      await file.close();
+    }
+
+    const metadata = metadataFromBuffer(buffer.subarray(0, bytesRead), filename, stats);
+    if (metadata.width === null && stats.size > bytesRead) {
+      return metadataFromBuffer(await fs.promises.readFile(filepath), filename, stats);
+    }
+    return metadata;
+  } catch {
+    return null;
+  }
+}
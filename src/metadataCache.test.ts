@@ -0,0 +1,107 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import sharp from 'sharp';
+
+import { Library } from './library';
+import { MetadataCache } from './metadataCache';
+import * as metadataModule from './metadata';
+
+describe('MetadataCache', () => {
+  let testDir: string;
+  let library: Library;
+  let cacheFile: string;
+
+  const writeImage = (relativePath: string, width: number, dateTaken?: string) => {
+    let image = sharp({ create: { width, height: 4, channels: 3, background: 'white' } }).jpeg();
+    if (dateTaken) {
+      image = image.withExif({ IFD2: { DateTimeOriginal: dateTaken } });
+    }
+    return image.toFile(path.join(testDir, 'photos', relativePath));
+  };
+
+  beforeEach(async () => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-cache-test-'));
+    fs.mkdirSync(path.join(testDir, 'photos', 'album'), { recursive: true });
+    await writeImage('a.jpg', 8, '2021:06:01 12:00:00');
+    await writeImage('album/b.jpg', 6);
+    cacheFile = path.join(testDir, 'cache', 'metadata.json');
+
+    library = new Library(path.join(testDir, 'photos'), { watch: false });
+    await library.ready();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    library.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should read metadata by library path', async () => {
+    const cache = new MetadataCache(library);
+    const metadata = await cache.get('a.jpg');
+
+    expect(metadata).toEqual(expect.objectContaining({ filename: 'a.jpg', width: 8, height: 4, type: 'jpg' }));
+    expect(metadata!.exif?.dateTaken).toBe('2021:06:01 12:00:00');
+    expect((await cache.get('album/b.jpg'))!.filename).toBe('album/b.jpg');
+  });
+
+  it('should return null for missing files and paths outside the library', async () => {
+    fs.writeFileSync(path.join(testDir, 'secret.jpg'), 'outside the library');
+    const cache = new MetadataCache(library);
+    expect(await cache.get('missing.jpg')).toBeNull();
+    expect(await cache.get('../secret.jpg')).toBeNull();
+  });
+
+  it('should read each image once until it changes', async () => {
+    const read = jest.spyOn(metadataModule, 'readImageMetadata');
+    const cache = new MetadataCache(library);
+
+    await Promise.all([cache.get('a.jpg'), cache.get('a.jpg')]);
+    await cache.get('a.jpg');
+    expect(read).toHaveBeenCalledTimes(1);
+
+    await writeImage('a.jpg', 12);
+    await library.rescan();
+    expect((await cache.get('a.jpg'))!.width).toBe(12);
+    expect(read).toHaveBeenCalledTimes(2);
+  });
+
+  it('should save entries and load them on the next start', async () => {
+    const first = new MetadataCache(library, { cacheFile });
+    await first.get('a.jpg');
+    first.close();
+    expect(fs.existsSync(cacheFile)).toBe(true);
+
+    const read = jest.spyOn(metadataModule, 'readImageMetadata');
+    const second = new MetadataCache(library, { cacheFile });
+    expect(second.size).toBe(1);
+    expect((await second.get('a.jpg'))!.width).toBe(8);
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  it('should fill every image and drop files no longer in the library', async () => {
+    const first = new MetadataCache(library, { cacheFile });
+    await first.fill();
+    expect(first.size).toBe(2);
+    first.close();
+
+    fs.unlinkSync(path.join(testDir, 'photos', 'album', 'b.jpg'));
+    await library.rescan();
+
+    const second = new MetadataCache(library, { cacheFile });
+    expect(second.size).toBe(2);
+    await second.fill();
+    expect(second.size).toBe(1);
+    second.close();
+  });
+
+  it('should forget removed images', async () => {
+    const cache = new MetadataCache(library);
+    await cache.get('album/b.jpg');
+
+    fs.unlinkSync(path.join(testDir, 'photos', 'album', 'b.jpg'));
+    await library.rescan();
+    expect(cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,201 @@
+import path from 'path';
+import fs from 'fs';
+import { Library } from './library';
+import { IndexEntry } from './imageIndex';
+import { isMediaFile } from './formats';
+import { ImageMetadata, readImageMetadata } from './metadata';
+
+export interface MetadataCacheOptions {
+  // Persist the cache to this file so restarts don't read every image again
+  cacheFile?: string;
+}
+
+interface CacheEntry extends IndexEntry {
+  metadata: ImageMetadata;
+}
+
+interface PersistedCache {
+  version: number;
+  entries: [string, number, number, ImageMetadata][];
+}
+
+// Bumped whenever ImageMetadata gains a field or a field is worked out
+// differently (such as place names), so old entries are read again
+const CACHE_FILE_VERSION = 4;
+const SAVE_DEBOUNCE_MS = 5000;
+
+// Images read at once; a bulk request for hundreds shouldn't open them all together
+const MAX_CONCURRENT_READS = 4;
+
+/**
+ * Metadata (dimensions and EXIF) of the images in a library, read once and
+ * reused for as long as the file's size and modification time are unchanged.
+ *
+ * Entries are keyed by the file's path on disk, so renaming a folder in the
+ * config doesn't throw the cache away.
+ */
+export class MetadataCache {
+  private entries = new Map<string, CacheEntry>();
+  private pending = new Map<string, Promise<ImageMetadata | null>>();
+  private waiting: (() => void)[] = [];
+  private reading = 0;
+  private filling: Promise<void> | null = null;
+  private saveTimer: NodeJS.Timeout | null = null;
+  private closed = false;
+
+  constructor(private library: Library, private options: MetadataCacheOptions = {}) {
+    this.load();
+    library.on('remove', (imagePath: string) => {
+      const filepath = library.resolve(imagePath);
+      if (filepath && this.entries.delete(filepath)) {
+        this.scheduleSave();
+      }
+    });
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  // Metadata for a library path, or null if it isn't a readable image
+  async get(imagePath: string): Promise<ImageMetadata | null> {
+    const filepath = this.library.resolve(imagePath);
+    if (!filepath || !isMediaFile(filepath)) return null;
+
+    let stats = this.library.get(imagePath);
+    if (!stats) {
+      // Not indexed (yet); ask the file system
+      try {
+        const { size, mtimeMs } = await fs.promises.stat(filepath);
+        stats = { size, mtimeMs };
+      } catch {
+        return null;
+      }
+    }
+
+    const cached = this.entries.get(filepath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return { ...cached.metadata, filename: imagePath };
+    }
+
+    // Several requests for the same image share one read
+    let pending = this.pending.get(filepath);
+    if (!pending) {
+      pending = this.read(filepath, stats).finally(() => this.pending.delete(filepath));
+      this.pending.set(filepath, pending);
+    }
+    const metadata = await pending;
+    return metadata && { ...metadata, filename: imagePath };
+  }
+
+  /**
+   * Read every image in the library that isn't cached yet, one at a time, then
+   * keep up with images as they are added or changed. Entries for files no
+   * longer in the library are dropped first.
+   */
+  fill(): Promise<void> {
+    if (!this.filling) {
+      const refresh = (imagePath: string) => {
+        this.get(imagePath).catch(error => console.error(`Failed to read metadata of ${imagePath}:`, error));
+      };
+      this.library.on('add', refresh);
+      this.library.on('change', refresh);
+
+      this.filling = (async () => {
+        await this.library.ready();
+        const images = this.library.list();
+
+        const files = new Set(images.map(image => this.library.resolve(image)));
+        for (const filepath of this.entries.keys()) {
+          if (!files.has(filepath)) {
+            this.entries.delete(filepath);
+            this.scheduleSave();
+          }
+        }
+
+        for (const image of images) {
+          if (this.closed) return;
+          await this.get(image);
+        }
+      })();
+    }
+    return this.filling;
+  }
+
+  // Write out any unsaved entries
+  close(): void {
+    this.closed = true;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+  }
+
+  save(): void {
+    if (!this.options.cacheFile) return;
+
+    const data: PersistedCache = {
+      version: CACHE_FILE_VERSION,
+      entries: [...this.entries].map(([filepath, entry]) => [filepath, entry.size, entry.mtimeMs, entry.metadata]),
+    };
+    try {
+      const tempPath = `${this.options.cacheFile}.tmp`;
+      fs.mkdirSync(path.dirname(this.options.cacheFile), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.options.cacheFile);
+    } catch (error) {
+      console.error(`Error saving metadata cache ${this.options.cacheFile}:`, error);
+    }
+  }
+
+  private load(): void {
+    if (!this.options.cacheFile || !fs.existsSync(this.options.cacheFile)) return;
+
+    try {
+      const data: PersistedCache = JSON.parse(fs.readFileSync(this.options.cacheFile, 'utf8'));
+      if (data.version !== CACHE_FILE_VERSION) return;
+
+      for (const [filepath, size, mtimeMs, metadata] of data.entries) {
+        this.entries.set(filepath, { size, mtimeMs, metadata });
+      }
+    } catch (error) {
+      console.error(`Error loading metadata cache ${this.options.cacheFile}:`, error);
+    }
+  }
+
+  private async read(filepath: string, stats: IndexEntry): Promise<ImageMetadata | null> {
+    // A finished read hands its slot straight to the next one waiting
+    if (this.reading >= MAX_CONCURRENT_READS) {
+      await new Promise<void>(resolve => this.waiting.push(resolve));
+    } else {
+      this.reading++;
+    }
+
+    try {
+      const metadata = await readImageMetadata(filepath, path.basename(filepath));
+      if (metadata) {
+        this.entries.set(filepath, { size: stats.size, mtimeMs: stats.mtimeMs, metadata });
+        this.scheduleSave();
+      }
+      return metadata;
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.reading--;
+      }
+    }
+  }
+
+  private scheduleSave(): void {
+    if (!this.options.cacheFile || this.saveTimer || this.closed) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DEBOUNCE_MS);
+    this.saveTimer.unref();
+  }
+}
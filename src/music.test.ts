@@ -0,0 +1,41 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { MusicLibrary } from './music';
+
+describe('MusicLibrary', () => {
+  let testDir: string;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should list audio files in the folder and its subfolders', async () => {
+    fs.mkdirSync(path.join(testDir, 'Jazz'));
+    fs.writeFileSync(path.join(testDir, 'b.mp3'), '');
+    fs.writeFileSync(path.join(testDir, 'A.OGG'), '');
+    fs.writeFileSync(path.join(testDir, 'Jazz', 'c.flac'), '');
+    fs.writeFileSync(path.join(testDir, 'Jazz', 'd.m4a'), '');
+    fs.writeFileSync(path.join(testDir, 'cover.jpg'), '');
+    fs.writeFileSync(path.join(testDir, '.hidden.mp3'), '');
+
+    expect(await new MusicLibrary(testDir).list()).toEqual(['A.OGG', 'b.mp3', 'Jazz/c.flac', 'Jazz/d.m4a']);
+  });
+
+  it('should list nothing for a missing folder', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await new MusicLibrary(path.join(testDir, 'missing')).list()).toEqual([]);
+  });
+
+  it('should only resolve paths inside the folder', () => {
+    const music = new MusicLibrary(testDir);
+    expect(music.resolve('Jazz/c.flac')).toBe(path.join(testDir, 'Jazz', 'c.flac'));
+    expect(music.resolve('../outside.mp3')).toBeNull();
+    expect(music.resolve('')).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+import path from 'path';
+import fs from 'fs';
+import { isAudioFile } from './formats';
+
+/**
+ * The audio folder the slideshow plays as background music.
+ *
+ * Music folders are small next to photo libraries, so tracks are listed by
+ * walking the folder on each request rather than kept in an index; added and
+ * removed tracks show up the next time a display loads the list.
+ */
+export class MusicLibrary {
+  readonly folder: string;
+
+  constructor(folder: string) {
+    this.folder = path.resolve(folder);
+  }
+
+  // Every track, as paths relative to the folder, by name
+  async list(): Promise<string[]> {
+    const tracks: string[] = [];
+
+    const walkDir = async (currentPath: string, relativePath: string): Promise<void> => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(currentPath, { withFileTypes: true });
+      } catch (error) {
+        console.error(`Error reading music folder ${currentPath}:`, error);
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const entryRelativePath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walkDir(path.join(currentPath, entry.name), entryRelativePath);
+        } else if (entry.isFile() && isAudioFile(entry.name)) {
+          tracks.push(entryRelativePath);
+        }
+      }
+    };
+
+    await walkDir(this.folder, '');
+    return tracks.sort((a, b) => a.localeCompare(b));
+  }
+
+  // Map a track path to a file on disk, or null when it escapes the folder
+  resolve(track: string): string | null {
+    const resolvedPath = path.resolve(this.folder, track);
+    if (!resolvedPath.startsWith(this.folder + path.sep)) return null;
+    return resolvedPath;
+  }
+}
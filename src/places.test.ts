@@ -0,0 +1,84 @@
+import { Gazetteer, distanceKm, findPlace, parseGazetteer } from './places';
+
+describe('parseGazetteer', () => {
+  it('should read tab-separated places and skip comments and bad lines', () => {
+    const places = parseGazetteer([
+      '# name, country, latitude, longitude',
+      'Paris\tFrance\t48.86\t2.35',
+      '',
+      'Nowhere\tLand\tnorth\teast',
+      'Sydney\tAustralia\t-33.87\t151.21\r',
+      'Chartres\tFrance\t48.447\t1.489\t43838',
+    ].join('\n'));
+
+    expect(places).toEqual([
+      { name: 'Paris', country: 'France', latitude: 48.86, longitude: 2.35 },
+      { name: 'Sydney', country: 'Australia', latitude: -33.87, longitude: 151.21 },
+      { name: 'Chartres', country: 'France', latitude: 48.447, longitude: 1.489, population: 43838 },
+    ]);
+  });
+});
+
+describe('distanceKm', () => {
+  it('should measure great-circle distances', () => {
+    // Paris to London is about 344 km
+    expect(distanceKm(48.86, 2.35, 51.51, -0.13)).toBeCloseTo(344, -1);
+    expect(distanceKm(10, 20, 10, 20)).toBe(0);
+  });
+
+  it('should work across the antimeridian', () => {
+    expect(distanceKm(0, 179.5, 0, -179.5)).toBeCloseTo(111, 0);
+  });
+});
+
+describe('Gazetteer', () => {
+  const gazetteer = new Gazetteer([
+    { name: 'Paris', country: 'France', latitude: 48.86, longitude: 2.35 },
+    { name: 'Versailles', country: 'France', latitude: 48.80, longitude: 2.13 },
+    { name: 'Lyon', country: 'France', latitude: 45.76, longitude: 4.84 },
+  ]);
+
+  it('should name the nearest place', () => {
+    // The Eiffel Tower
+    expect(gazetteer.placeName(48.858370, 2.294481)).toBe('Paris, France');
+    // The Palace of Versailles
+    expect(gazetteer.placeName(48.8049, 2.1204)).toBe('Versailles, France');
+  });
+
+  it('should name a city after itself rather than a suburb whose centre is closer', () => {
+    const withSuburb = new Gazetteer([
+      { name: 'Paris', country: 'France', latitude: 48.853, longitude: 2.349, population: 2138551 },
+      { name: 'Levallois-Perret', country: 'France', latitude: 48.895, longitude: 2.286, population: 64379 },
+    ]);
+    // The Eiffel Tower, slightly nearer the middle of Levallois than of Paris
+    expect(withSuburb.placeName(48.858370, 2.294481)).toBe('Paris, France');
+    // Levallois town hall
+    expect(withSuburb.placeName(48.8932, 2.2877)).toBe('Levallois-Perret, France');
+  });
+
+  it('should find places across the antimeridian', () => {
+    const fiji = new Gazetteer([{ name: 'Taveuni', country: 'Fiji', latitude: -16.85, longitude: 179.95 }]);
+    expect(fiji.placeName(-16.8, -179.9)).toBe('Taveuni, Fiji');
+  });
+
+  it('should not name places far from anything known', () => {
+    expect(gazetteer.placeName(0, -30)).toBeNull();
+    expect(new Gazetteer([]).placeName(48.86, 2.35)).toBeNull();
+  });
+
+  it('should load an empty gazetteer from a missing file', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(Gazetteer.load('/non/existent/places.tsv').size).toBe(0);
+  });
+});
+
+describe('findPlace', () => {
+  it('should use the bundled gazetteer', () => {
+    expect(findPlace(48.858370, 2.294481)).toBe('Paris, France');
+    expect(findPlace(-33.8568, 151.2153)).toBe('Sydney, Australia');
+    expect(findPlace(35.6586, 139.7454)).toBe('Tokyo, Japan');
+    // Chartres Cathedral, 85 km from Paris
+    expect(findPlace(48.4478, 1.4876)).toBe('Chartres, France');
+    expect(findPlace(-50, -140)).toBeNull();
+  });
+});
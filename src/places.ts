@@ -0,0 +1,144 @@
+import path from 'path';
+import fs from 'fs';
+
+export interface Place {
+  name: string;
+  country: string;
+  latitude: number;
+  longitude: number;
+  population?: number;
+}
+
+// Every town of 15,000 or more people, from GeoNames (see the file for its license)
+export const DEFAULT_GAZETTEER = path.join(__dirname, '../data/places.tsv');
+
+// Photos further than this from every place in the gazetteer get no place name,
+// rather than the name of a town they weren't taken in
+const MAX_DISTANCE_KM = 50;
+
+// How far a place reaches: the square root of its population over this, in
+// km, but at least MIN_REACH_KM. A photo is named after the place it is
+// nearest to relative to that reach, so one taken by the Eiffel Tower is in
+// Paris rather than the suburb whose centre happens to be closer.
+const REACH_PER_KM = 50;
+const MIN_REACH_KM = 3;
+
+const KM_PER_DEGREE = 111.2;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Parse a gazetteer: one "name, country, latitude, longitude[, population]"
+// line per place, tab-separated, with # comments
+export function parseGazetteer(text: string): Place[] {
+  const places: Place[] = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    const [name, country, latitude, longitude, population] = line.trim().split('\t');
+    const place: Place = { name, country, latitude: Number(latitude), longitude: Number(longitude) };
+    if (population !== undefined && Number(population) >= 0) place.population = Number(population);
+    if (name && country && latitude && longitude && isFinite(place.latitude) && isFinite(place.longitude)) {
+      places.push(place);
+    }
+  }
+  return places;
+}
+
+function reachKm(place: Place): number {
+  return Math.max(MIN_REACH_KM, Math.sqrt(place.population || 0) / REACH_PER_KM);
+}
+
+// Great-circle distance between two points in km
+export function distanceKm(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const toRadians = (degrees: number) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Offline reverse geocoding: the name of the nearest known place to a GPS
+ * position, like "Paris, France". Never touches the network.
+ *
+ * Places are kept in one-degree cells, so a lookup only measures the
+ * distance to the places in the cells around the position.
+ */
+export class Gazetteer {
+  private cells = new Map<string, Place[]>();
+
+  constructor(private places: Place[]) {
+    for (const place of places) {
+      const key = `${Math.floor(place.latitude)},${Math.floor(place.longitude)}`;
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.push(place);
+      } else {
+        this.cells.set(key, [place]);
+      }
+    }
+  }
+
+  static load(file: string = DEFAULT_GAZETTEER): Gazetteer {
+    try {
+      return new Gazetteer(parseGazetteer(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      console.error(`Error loading gazetteer ${file}:`, error);
+      return new Gazetteer([]);
+    }
+  }
+
+  get size(): number {
+    return this.places.length;
+  }
+
+  // The places within MAX_DISTANCE_KM of a position, give or take a cell
+  private placesAround(latitude: number, longitude: number): Place[] {
+    const latitudeSpan = MAX_DISTANCE_KM / KM_PER_DEGREE;
+    const cosine = Math.cos(Math.min(89, Math.abs(latitude)) * Math.PI / 180);
+    const longitudeSpan = Math.min(180, latitudeSpan / cosine);
+
+    const places: Place[] = [];
+    for (let lat = Math.floor(latitude - latitudeSpan); lat <= Math.floor(latitude + latitudeSpan); lat++) {
+      const first = Math.floor(longitude - longitudeSpan);
+      const last = Math.min(first + 359, Math.floor(longitude + longitudeSpan));
+      for (let lon = first; lon <= last; lon++) {
+        // Wrap around the antimeridian
+        const wrapped = ((lon + 180) % 360 + 360) % 360 - 180;
+        places.push(...this.cells.get(`${lat},${wrapped}`) || []);
+      }
+    }
+    return places;
+  }
+
+  // The place the position is in or nearest to, weighing distance against how
+  // far each place reaches, within MAX_DISTANCE_KM
+  nearest(latitude: number, longitude: number): { place: Place; distance: number } | null {
+    let best: { place: Place; distance: number; score: number } | null = null;
+    for (const place of this.placesAround(latitude, longitude)) {
+      const distance = distanceKm(latitude, longitude, place.latitude, place.longitude);
+      const score = distance / reachKm(place);
+      if (distance <= MAX_DISTANCE_KM && (!best || score < best.score)) {
+        best = { place, distance, score };
+      }
+    }
+    return best && { place: best.place, distance: best.distance };
+  }
+
+  // "City, Country" for a position, or null when nothing known is near it
+  placeName(latitude: number, longitude: number): string | null {
+    const nearest = this.nearest(latitude, longitude);
+    return nearest && `${nearest.place.name}, ${nearest.place.country}`;
+  }
+}
+
+let defaultGazetteer: Gazetteer | null = null;
+
+// Look a position up in the bundled gazetteer, loading it on first use
+export function findPlace(latitude: number, longitude: number): string | null {
+  if (!defaultGazetteer) {
+    defaultGazetteer = Gazetteer.load();
+  }
+  return defaultGazetteer.placeName(latitude, longitude);
+}
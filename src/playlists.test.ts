@@ -0,0 +1,84 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { PlaylistError, PlaylistStore, parsePlaylistChanges } from './playlists';
+
+describe('parsePlaylistChanges', () => {
+  it('should need a name for a new playlist', () => {
+    expect(parsePlaylistChanges({ name: ' Office lobby ' }, true)).toEqual({ name: 'Office lobby' });
+    expect(parsePlaylistChanges({ name: 'Trip', images: ['b.jpg', 'a/c.jpg'] }, true))
+      .toEqual({ name: 'Trip', images: ['b.jpg', 'a/c.jpg'] });
+    expect(() => parsePlaylistChanges({ images: [] }, true)).toThrow('Invalid name');
+  });
+
+  it('should accept a change to either the name or the images', () => {
+    expect(parsePlaylistChanges({ images: [] }, false)).toEqual({ images: [] });
+    expect(parsePlaylistChanges({ name: 'Renamed' }, false)).toEqual({ name: 'Renamed' });
+  });
+
+  it('should reject anything else', () => {
+    expect(() => parsePlaylistChanges(null, true)).toThrow(PlaylistError);
+    expect(() => parsePlaylistChanges([], false)).toThrow('Invalid playlist');
+    expect(() => parsePlaylistChanges({}, false)).toThrow('Nothing to change');
+    expect(() => parsePlaylistChanges({ name: '  ' }, false)).toThrow('Invalid name');
+    expect(() => parsePlaylistChanges({ name: 'x'.repeat(101) }, false)).toThrow('Invalid name');
+    expect(() => parsePlaylistChanges({ images: 'a.jpg' }, false)).toThrow('Invalid images');
+    expect(() => parsePlaylistChanges({ images: ['a.jpg', 3] }, false)).toThrow('Invalid images');
+  });
+});
+
+describe('PlaylistStore', () => {
+  let testDir: string;
+  let playlistsFile: string;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'playlists-test-'));
+    playlistsFile = path.join(testDir, 'data', 'playlists.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should create, change and delete playlists', () => {
+    const playlists = new PlaylistStore();
+    const lobby = playlists.create({ name: 'Office lobby', images: ['b.jpg', 'a.jpg'] }, 1000);
+    expect(lobby).toEqual({ id: expect.stringMatching(/^[0-9a-f]{12}$/), name: 'Office lobby', images: ['b.jpg', 'a.jpg'], created: 1000, updated: 1000 });
+
+    const changed = playlists.update(lobby.id, { images: ['a.jpg'] }, 2000);
+    expect(changed).toEqual({ ...lobby, images: ['a.jpg'], updated: 2000 });
+    expect(playlists.update('missing', { name: 'x' })).toBeUndefined();
+
+    expect(playlists.delete(lobby.id)).toBe(true);
+    expect(playlists.delete(lobby.id)).toBe(false);
+    expect(playlists.size).toBe(0);
+  });
+
+  it('should list playlists by name', () => {
+    const playlists = new PlaylistStore();
+    playlists.create({ name: 'Zoo' });
+    playlists.create({ name: 'Beach' });
+
+    expect(playlists.list().map(playlist => playlist.name)).toEqual(['Beach', 'Zoo']);
+  });
+
+  it('should save every change and load them on the next start', () => {
+    const first = new PlaylistStore(playlistsFile);
+    const trip = first.create({ name: 'Trip', images: ['2023/a.jpg'] });
+    first.create({ name: 'Gone' });
+    first.delete(first.list()[0].id);
+
+    const second = new PlaylistStore(playlistsFile);
+    expect(second.size).toBe(1);
+    expect(second.get(trip.id)).toEqual(trip);
+  });
+
+  it('should start empty when the file is unreadable', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.mkdirSync(path.dirname(playlistsFile));
+    fs.writeFileSync(playlistsFile, 'not json');
+
+    expect(new PlaylistStore(playlistsFile).size).toBe(0);
+  });
+});
@@ -0,0 +1,144 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+export interface Playlist {
+  id: string;
+  name: string;
+  // Library paths in play order, from any folders
+  images: string[];
+  created: number;
+  updated: number;
+}
+
+// What a request can set: both for a new playlist, either to change one
+export interface PlaylistChanges {
+  name?: string;
+  images?: string[];
+}
+
+interface PersistedPlaylists {
+  version: number;
+  playlists: Playlist[];
+}
+
+const PLAYLISTS_FILE_VERSION = 1;
+
+const MAX_NAME_LENGTH = 100;
+
+// Most images one playlist can hold
+const MAX_PLAYLIST_IMAGES = 10000;
+
+export class PlaylistError extends Error {}
+
+// Validate a new playlist (which needs a name) or a change to one from a
+// request body
+export function parsePlaylistChanges(body: unknown, creating: boolean): PlaylistChanges {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new PlaylistError('Invalid playlist');
+  }
+
+  const { name, images } = body as Record<string, unknown>;
+  const changes: PlaylistChanges = {};
+  if (name !== undefined || creating) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw new PlaylistError('Invalid name');
+    }
+    changes.name = name.trim();
+  }
+  if (images !== undefined) {
+    if (!Array.isArray(images) || images.length > MAX_PLAYLIST_IMAGES ||
+        !images.every(image => typeof image === 'string' && image)) {
+      throw new PlaylistError('Invalid images');
+    }
+    changes.images = images;
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new PlaylistError('Nothing to change');
+  }
+  return changes;
+}
+
+/**
+ * Named playlists, kept in a JSON file next to the ratings.
+ *
+ * Like ratings, playlists keep images that disappear from the library; the
+ * slideshow skips the ones it can't find.
+ */
+export class PlaylistStore {
+  private playlists = new Map<string, Playlist>();
+
+  constructor(private file?: string) {
+    this.load();
+  }
+
+  get size(): number {
+    return this.playlists.size;
+  }
+
+  get(id: string): Playlist | undefined {
+    return this.playlists.get(id);
+  }
+
+  // Every playlist, by name
+  list(): Playlist[] {
+    return [...this.playlists.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  create(changes: PlaylistChanges, now: number = Date.now()): Playlist {
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('hex');
+    } while (this.playlists.has(id));
+
+    const playlist: Playlist = { id, name: changes.name || 'Untitled', images: changes.images || [], created: now, updated: now };
+    this.playlists.set(id, playlist);
+    this.save();
+    return playlist;
+  }
+
+  update(id: string, changes: PlaylistChanges, now: number = Date.now()): Playlist | undefined {
+    const playlist = this.playlists.get(id);
+    if (!playlist) return undefined;
+
+    const updated = { ...playlist, ...changes, updated: now };
+    this.playlists.set(id, updated);
+    this.save();
+    return updated;
+  }
+
+  delete(id: string): boolean {
+    const deleted = this.playlists.delete(id);
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  save(): void {
+    if (!this.file) return;
+
+    const data: PersistedPlaylists = { version: PLAYLISTS_FILE_VERSION, playlists: [...this.playlists.values()] };
+    try {
+      const tempPath = `${this.file}.tmp`;
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.file);
+    } catch (error) {
+      console.error(`Error saving playlists ${this.file}:`, error);
+    }
+  }
+
+  private load(): void {
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      const data: PersistedPlaylists = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data.version !== PLAYLISTS_FILE_VERSION) return;
+
+      for (const playlist of data.playlists) {
+        this.playlists.set(playlist.id, playlist);
+      }
+    } catch (error) {
+      console.error(`Error loading playlists ${this.file}:`, error);
+    }
+  }
+}
@@ -0,0 +1,75 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+import { RatingError, RatingsStore, parseRatingUpdate } from './ratings';
+
+describe('parseRatingUpdate', () => {
+  it('should accept favorites, stars and hidden', () => {
+    expect(parseRatingUpdate({ favorite: true })).toEqual({ favorite: true });
+    expect(parseRatingUpdate({ stars: 4, hidden: false })).toEqual({ stars: 4, hidden: false });
+    expect(parseRatingUpdate({ stars: 0 })).toEqual({ stars: 0 });
+  });
+
+  it('should reject anything else', () => {
+    expect(() => parseRatingUpdate(null)).toThrow(RatingError);
+    expect(() => parseRatingUpdate([])).toThrow('Invalid rating');
+    expect(() => parseRatingUpdate({})).toThrow('Nothing to change');
+    expect(() => parseRatingUpdate({ favorite: 'yes' })).toThrow('Invalid favorite');
+    expect(() => parseRatingUpdate({ stars: 6 })).toThrow('Invalid stars');
+    expect(() => parseRatingUpdate({ stars: 2.5 })).toThrow('Invalid stars');
+    expect(() => parseRatingUpdate({ hidden: 1 })).toThrow('Invalid hidden');
+  });
+});
+
+describe('RatingsStore', () => {
+  let testDir: string;
+  let ratingsFile: string;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ratings-test-'));
+    ratingsFile = path.join(testDir, 'data', 'ratings.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should merge changes into an image rating', () => {
+    const ratings = new RatingsStore();
+    expect(ratings.get('a.jpg')).toEqual({});
+
+    expect(ratings.set('a.jpg', { favorite: true })).toEqual({ favorite: true });
+    expect(ratings.set('a.jpg', { stars: 3 })).toEqual({ favorite: true, stars: 3 });
+    expect(ratings.set('a.jpg', { favorite: false })).toEqual({ stars: 3 });
+    expect(ratings.all()).toEqual({ 'a.jpg': { stars: 3 } });
+  });
+
+  it('should forget images whose rating is cleared', () => {
+    const ratings = new RatingsStore();
+    ratings.set('a.jpg', { stars: 2, hidden: true });
+    ratings.set('a.jpg', { stars: 0, hidden: false });
+
+    expect(ratings.size).toBe(0);
+    expect(ratings.all()).toEqual({});
+  });
+
+  it('should save every change and load them on the next start', () => {
+    const first = new RatingsStore(ratingsFile);
+    first.set('album/b.jpg', { favorite: true, stars: 5 });
+    first.set('c.jpg', { hidden: true });
+
+    const second = new RatingsStore(ratingsFile);
+    expect(second.size).toBe(2);
+    expect(second.get('album/b.jpg')).toEqual({ favorite: true, stars: 5 });
+    expect(second.get('c.jpg')).toEqual({ hidden: true });
+  });
+
+  it('should start empty when the file is unreadable', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.mkdirSync(path.dirname(ratingsFile));
+    fs.writeFileSync(ratingsFile, 'not json');
+
+    expect(new RatingsStore(ratingsFile).size).toBe(0);
+  });
+});
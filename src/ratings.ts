@@ -0,0 +1,121 @@
+import path from 'path';
+import fs from 'fs';
+
+export interface ImageRating {
+  favorite?: boolean;
+  // 1-5
+  stars?: number;
+  // Left out of the slideshow without deleting the file
+  hidden?: boolean;
+}
+
+interface PersistedRatings {
+  version: number;
+  ratings: Record<string, ImageRating>;
+}
+
+const RATINGS_FILE_VERSION = 1;
+
+export class RatingError extends Error {}
+
+// Validate a rating change from a request body. stars: 0 clears the stars.
+export function parseRatingUpdate(body: unknown): ImageRating {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new RatingError('Invalid rating');
+  }
+
+  const { favorite, stars, hidden } = body as Record<string, unknown>;
+  const update: ImageRating = {};
+  if (favorite !== undefined) {
+    if (typeof favorite !== 'boolean') throw new RatingError('Invalid favorite');
+    update.favorite = favorite;
+  }
+  if (stars !== undefined) {
+    if (typeof stars !== 'number' || !Number.isInteger(stars) || stars < 0 || stars > 5) {
+      throw new RatingError('Invalid stars');
+    }
+    update.stars = stars;
+  }
+  if (hidden !== undefined) {
+    if (typeof hidden !== 'boolean') throw new RatingError('Invalid hidden');
+    update.hidden = hidden;
+  }
+  if (Object.keys(update).length === 0) {
+    throw new RatingError('Nothing to change');
+  }
+  return update;
+}
+
+/**
+ * Favorites, star ratings and hidden images by library path, kept in a JSON
+ * file so they outlive the cache and survive restarts.
+ *
+ * Ratings are kept when an image disappears from the library, so a folder
+ * that is briefly unmounted doesn't lose them.
+ */
+export class RatingsStore {
+  private ratings = new Map<string, ImageRating>();
+
+  constructor(private file?: string) {
+    this.load();
+  }
+
+  get size(): number {
+    return this.ratings.size;
+  }
+
+  get(imagePath: string): ImageRating {
+    return { ...this.ratings.get(imagePath) };
+  }
+
+  all(): Record<string, ImageRating> {
+    return Object.fromEntries(this.ratings);
+  }
+
+  // Apply a change and return the image's new rating. Unset values are
+  // dropped, and images without any rating are forgotten.
+  set(imagePath: string, update: ImageRating): ImageRating {
+    const rating: ImageRating = { ...this.ratings.get(imagePath), ...update };
+    if (!rating.favorite) delete rating.favorite;
+    if (!rating.stars) delete rating.stars;
+    if (!rating.hidden) delete rating.hidden;
+
+    if (Object.keys(rating).length > 0) {
+      this.ratings.set(imagePath, rating);
+    } else {
+      this.ratings.delete(imagePath);
+    }
+    // Ratings change one click at a time, so write them out straight away
+    this.save();
+    return { ...rating };
+  }
+
+  save(): void {
+    if (!this.file) return;
+
+    const data: PersistedRatings = { version: RATINGS_FILE_VERSION, ratings: this.all() };
+    try {
+      const tempPath = `${this.file}.tmp`;
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.file);
+    } catch (error) {
+      console.error(`Error saving ratings ${this.file}:`, error);
+    }
+  }
+
+  private load(): void {
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      const data: PersistedRatings = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data.version !== RATINGS_FILE_VERSION) return;
+
+      for (const [imagePath, rating] of Object.entries(data.ratings)) {
+        this.ratings.set(imagePath, rating);
+      }
+    } catch (error) {
+      console.error(`Error loading ratings ${this.file}:`, error);
+    }
+  }
+}
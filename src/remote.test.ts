@@ -0,0 +1,60 @@
+import { ControlError, RemoteControl, parseControl, parseDisplayState } from './remote';
+
+describe('parseControl', () => {
+  it('should accept the commands', () => {
+    expect(parseControl('next', {})).toEqual({ command: 'next' });
+    expect(parseControl('pause', undefined)).toEqual({ command: 'pause' });
+    expect(parseControl('shuffle', {})).toEqual({ command: 'shuffle' });
+    expect(parseControl('shuffle', { value: false })).toEqual({ command: 'shuffle', value: false });
+    expect(parseControl('interval', { value: 10000 })).toEqual({ command: 'interval', value: 10000 });
+  });
+
+  it('should reject unknown commands and bad values', () => {
+    expect(() => parseControl('rewind', {})).toThrow(ControlError);
+    expect(() => parseControl('rewind', {})).toThrow('Unknown command: rewind');
+    expect(() => parseControl('shuffle', { value: 'on' })).toThrow('Invalid shuffle');
+    expect(() => parseControl('interval', {})).toThrow('Invalid interval');
+    expect(() => parseControl('interval', { value: 10 })).toThrow('Invalid interval');
+  });
+});
+
+describe('parseDisplayState', () => {
+  const state = { image: 'a.jpg', index: 0, total: 3, playing: true, shuffle: false, interval: 5000 };
+
+  it('should accept a display state', () => {
+    expect(parseDisplayState({ ...state, extra: 1 })).toEqual(state);
+    expect(parseDisplayState({ ...state, image: null, total: 0 })).toEqual({ ...state, image: null, total: 0 });
+  });
+
+  it('should reject incomplete states', () => {
+    expect(() => parseDisplayState(null)).toThrow('Invalid state');
+    expect(() => parseDisplayState({ ...state, index: -1 })).toThrow('Invalid state');
+    expect(() => parseDisplayState({ ...state, playing: 'yes' })).toThrow('Invalid state');
+  });
+});
+
+describe('RemoteControl', () => {
+  it('should pass on commands and remember the last state', () => {
+    const remote = new RemoteControl();
+    const commands = jest.fn();
+    const states = jest.fn();
+    remote.on('control', commands);
+    remote.on('state', states);
+
+    remote.send({ command: 'next' });
+    const state = { image: 'a.jpg', index: 0, total: 3, playing: true, shuffle: false, interval: 5000 };
+    remote.report(state);
+
+    expect(commands).toHaveBeenCalledWith({ command: 'next' });
+    expect(states).toHaveBeenCalledWith(state);
+    expect(remote.state).toEqual(state);
+  });
+
+  it('should take any number of listeners', () => {
+    const remote = new RemoteControl();
+    const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+    for (let i = 0; i < 20; i++) remote.on('control', () => {});
+    expect(warning).not.toHaveBeenCalled();
+    warning.mockRestore();
+  });
+});
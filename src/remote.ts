@@ -0,0 +1,95 @@
+import { EventEmitter } from 'events';
+
+// Commands a remote can send to the displays, as POST /api/control/<command>
+export const CONTROL_COMMANDS = ['next', 'prev', 'play', 'pause', 'toggle', 'shuffle', 'interval'] as const;
+
+export type ControlCommand = typeof CONTROL_COMMANDS[number];
+
+export interface ControlMessage {
+  command: ControlCommand;
+  // shuffle: on or off (toggled when not given); interval: ms between images
+  value?: boolean | number;
+}
+
+// What a display is showing, as it last reported it
+export interface DisplayState {
+  image: string | null;
+  index: number;
+  total: number;
+  playing: boolean;
+  shuffle: boolean;
+  interval: number;
+}
+
+// Shortest interval a remote can set, matching the slideshow's ?interval=
+const MIN_INTERVAL = 1000;
+
+export class ControlError extends Error {}
+
+// Validate a command and its request body
+export function parseControl(command: string, body: unknown): ControlMessage {
+  if (!(CONTROL_COMMANDS as readonly string[]).includes(command)) {
+    throw new ControlError(`Unknown command: ${command}`);
+  }
+  const value = (body as Record<string, unknown> | undefined)?.value;
+
+  if (command === 'shuffle') {
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new ControlError('Invalid shuffle');
+    }
+    return value === undefined ? { command } : { command, value };
+  }
+  if (command === 'interval') {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < MIN_INTERVAL) {
+      throw new ControlError('Invalid interval');
+    }
+    return { command, value };
+  }
+  return { command: command as ControlCommand };
+}
+
+export function parseDisplayState(body: unknown): DisplayState {
+  const state = (typeof body === 'object' && body !== null ? body : {}) as Record<string, unknown>;
+  const isCount = (value: unknown) => typeof value === 'number' && Number.isInteger(value) && value >= 0;
+  if (
+    !(state.image === null || typeof state.image === 'string') ||
+    !isCount(state.index) || !isCount(state.total) || !isCount(state.interval) ||
+    typeof state.playing !== 'boolean' || typeof state.shuffle !== 'boolean'
+  ) {
+    throw new ControlError('Invalid state');
+  }
+  return {
+    image: state.image as string | null,
+    index: state.index as number,
+    total: state.total as number,
+    playing: state.playing,
+    shuffle: state.shuffle,
+    interval: state.interval as number,
+  };
+}
+
+/**
+ * Passes commands from remotes to every display, and what the displays are
+ * showing back to the remotes. Both travel over the /api/events stream.
+ *
+ * Emits 'control' with a ControlMessage and 'state' with a DisplayState.
+ */
+export class RemoteControl extends EventEmitter {
+  // The last state a display reported, or null before any has
+  state: DisplayState | null = null;
+
+  constructor() {
+    super();
+    // Every connected display and remote listens
+    this.setMaxListeners(0);
+  }
+
+  send(message: ControlMessage): void {
+    this.emit('control', message);
+  }
+
+  report(state: DisplayState): void {
+    this.state = state;
+    this.emit('state', state);
+  }
+}
@@ -0,0 +1,118 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import sharp from 'sharp';
+
+import { canResize, getRendition, parseRenditionQuery, snapSize, RENDITION_SIZES } from './renditions';
+
+describe('snapSize', () => {
+  it('should round up to the next rendition size', () => {
+    expect(snapSize(1)).toBe(160);
+    expect(snapSize(160)).toBe(160);
+    expect(snapSize(161)).toBe(320);
+    expect(snapSize(1080)).toBe(1280);
+  });
+
+  it('should cap at the largest rendition size', () => {
+    expect(snapSize(10000)).toBe(RENDITION_SIZES[RENDITION_SIZES.length - 1]);
+  });
+});
+
+describe('canResize', () => {
+  it('should pass through vector and animated formats', () => {
+    expect(canResize('logo.svg')).toBe(false);
+    expect(canResize('anim.GIF')).toBe(false);
+    expect(canResize('photo.jpg')).toBe(true);
+    expect(canResize('photo.png')).toBe(true);
+  });
+
+  it('should pass through video clips', () => {
+    expect(canResize('clip.mp4')).toBe(false);
+    expect(canResize('clip.MOV')).toBe(false);
+  });
+});
+
+describe('parseRenditionQuery', () => {
+  it('should return null when no size is requested', () => {
+    expect(parseRenditionQuery({})).toBeNull();
+    expect(parseRenditionQuery({ format: 'webp' })).toBeNull();
+  });
+
+  it('should snap width and height', () => {
+    expect(parseRenditionQuery({ w: '1000', h: '700' })).toEqual({ width: 1280, height: 960, format: 'jpeg' });
+  });
+
+  it('should accept webp and ignore unknown formats', () => {
+    expect(parseRenditionQuery({ w: '100', format: 'webp' })!.format).toBe('webp');
+    expect(parseRenditionQuery({ w: '100', format: 'tiff' })!.format).toBe('jpeg');
+  });
+
+  it('should ignore invalid dimensions', () => {
+    expect(parseRenditionQuery({ w: 'abc' })).toBeNull();
+    expect(parseRenditionQuery({ w: '-5' })).toBeNull();
+  });
+});
+
+describe('getRendition', () => {
+  let testDir: string;
+  let cacheDir: string;
+  let sourcePath: string;
+
+  beforeEach(async () => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rendition-test-'));
+    cacheDir = path.join(testDir, 'cache');
+    sourcePath = path.join(testDir, 'large.png');
+    await sharp({
+      create: { width: 800, height: 400, channels: 3, background: { r: 255, g: 0, b: 0 } },
+    }).png().toFile(sourcePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should write a resized JPEG into the cache', async () => {
+    const renditionPath = await getRendition(sourcePath, cacheDir, { width: 320, format: 'jpeg' });
+
+    expect(renditionPath.startsWith(cacheDir)).toBe(true);
+    const info = await sharp(renditionPath).metadata();
+    expect(info.format).toBe('jpeg');
+    expect(info.width).toBe(320);
+    expect(info.height).toBe(160);
+  });
+
+  it('should write WebP when requested', async () => {
+    const renditionPath = await getRendition(sourcePath, cacheDir, { width: 320, format: 'webp' });
+    const info = await sharp(renditionPath).metadata();
+    expect(info.format).toBe('webp');
+  });
+
+  it('should not enlarge small images', async () => {
+    const renditionPath = await getRendition(sourcePath, cacheDir, { width: 3840, height: 2560 });
+    const info = await sharp(renditionPath).metadata();
+    expect(info.width).toBe(800);
+  });
+
+  it('should reuse the cached rendition for the same file', async () => {
+    const first = await getRendition(sourcePath, cacheDir, { width: 320 });
+    const second = await getRendition(sourcePath, cacheDir, { width: 320 });
+    expect(second).toBe(first);
+  });
+
+  it('should generate a new rendition when the source changes', async () => {
+    const first = await getRendition(sourcePath, cacheDir, { width: 320 });
+
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(sourcePath, later, later);
+
+    const second = await getRendition(sourcePath, cacheDir, { width: 320 });
+    expect(second).not.toBe(first);
+  });
+
+  it('should reject when the source cannot be decoded', async () => {
+    const brokenPath = path.join(testDir, 'broken.jpg');
+    fs.writeFileSync(brokenPath, 'not a real image');
+
+    await expect(getRendition(brokenPath, cacheDir, { width: 320 })).rejects.toThrow();
+  });
+});
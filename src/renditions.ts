@@ -0,0 +1,124 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { isVideoFile } from './formats';
+import { openImage } from './transcode';
+
+// Requested sizes are snapped up to one of these so the cache stays small
+export const RENDITION_SIZES = [160, 320, 640, 960, 1280, 1920, 2560, 3840];
+
+export const RENDITION_FORMATS = ['jpeg', 'webp'] as const;
+export type RenditionFormat = typeof RENDITION_FORMATS[number];
+
+// Formats that are served as-is: vectors scale on their own and resizing
+// would drop the frames of an animated GIF
+const PASSTHROUGH_EXTENSIONS = ['.svg', '.gif'];
+
+export const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), 'image-slideshow-cache');
+
+export interface RenditionOptions {
+  width?: number;
+  height?: number;
+  format?: RenditionFormat;
+}
+
+export function snapSize(size: number): number {
+  for (const candidate of RENDITION_SIZES) {
+    if (size <= candidate) return candidate;
+  }
+  return RENDITION_SIZES[RENDITION_SIZES.length - 1];
+}
+
+export function canResize(filename: string): boolean {
+  const ext = path.extname(filename).toLowerCase();
+  return !PASSTHROUGH_EXTENSIONS.includes(ext) && !isVideoFile(filename);
+}
+
+export function parseRenditionFormat(query: Record<string, unknown>): RenditionFormat {
+  return RENDITION_FORMATS.find(f => f === query.format) || 'jpeg';
+}
+
+// Parse ?w=&h=&format= from a request query. Returns null when no resize was asked for.
+export function parseRenditionQuery(query: Record<string, unknown>): RenditionOptions | null {
+  const parseDimension = (value: unknown): number | undefined => {
+    if (typeof value !== 'string') return undefined;
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? snapSize(parsed) : undefined;
+  };
+
+  const width = parseDimension(query.w);
+  const height = parseDimension(query.h);
+  if (width === undefined && height === undefined) return null;
+
+  return { width, height, format: parseRenditionFormat(query) };
+}
+
+export function getRenditionKey(filepath: string, stats: fs.Stats, options: RenditionOptions): string {
+  const parts = [
+    path.resolve(filepath),
+    stats.mtimeMs,
+    stats.size,
+    options.width || 0,
+    options.height || 0,
+    options.format || 'jpeg',
+  ];
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+// Concurrent requests for the same rendition share one resize job
+const pending = new Map<string, Promise<string>>();
+
+// Returns the path of a cached rendition of filepath, generating it if needed.
+export async function getRendition(
+  filepath: string,
+  cacheDir: string,
+  options: RenditionOptions
+): Promise<string> {
+  const stats = await fs.promises.stat(filepath);
+  const key = getRenditionKey(filepath, stats, options);
+  const format = options.format || 'jpeg';
+  const cachedPath = path.join(cacheDir, key.slice(0, 2), `${key}.${format === 'jpeg' ? 'jpg' : format}`);
+
+  if (fs.existsSync(cachedPath)) {
+    return cachedPath;
+  }
+
+  let job = pending.get(key);
+  if (!job) {
+    job = renderRendition(filepath, cachedPath, options).finally(() => pending.delete(key));
+    pending.set(key, job);
+  }
+  return job;
+}
+
+async function renderRendition(
+  filepath: string,
+  cachedPath: string,
+  options: RenditionOptions
+): Promise<string> {
+  await fs.promises.mkdir(path.dirname(cachedPath), { recursive: true });
+
+  // openImage applies the EXIF orientation, since the output carries no metadata
+  let pipeline = (await openImage(filepath))
+    .resize({
+      width: options.width,
+      height: options.height,
+      fit: 'inside',
+      withoutEnlargement: true,
+    });
+  pipeline = options.format === 'webp'
+    ? pipeline.webp({ quality: 82 })
+    : pipeline.jpeg({ quality: 85, mozjpeg: true });
+
+  // Write to a temporary file first so a half-written rendition is never served
+  const tempPath = `${cachedPath}.${process.pid}.tmp`;
+  try {
+    await pipeline.toFile(tempPath);
+    await fs.promises.rename(tempPath, cachedPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+  return cachedPath;
+}
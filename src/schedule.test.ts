@@ -0,0 +1,50 @@
+import { ScheduleError, parseSchedule } from './schedule';
+
+describe('parseSchedule', () => {
+  const profiles = {
+    weekdays: { albums: ['/work/'], interval: 30000 },
+    weekends: { albums: 'family', shuffle: true },
+    night: { blackout: 'clock' },
+  };
+
+  it('should read profiles and the windows they apply in', () => {
+    const schedule = parseSchedule({
+      profiles,
+      windows: [
+        { days: ['Mon', 'tue', 'wednesday', 'thu', 'fri'], from: '7:00', to: '22:00', profile: 'weekdays' },
+        { days: 'sat', from: '08:30', profile: 'weekends' },
+        { from: '22:00', to: '07:00', profile: 'night' },
+      ],
+    });
+
+    expect(schedule.profiles).toEqual({
+      weekdays: { albums: ['work'], interval: 30000 },
+      weekends: { albums: ['family'], shuffle: true },
+      night: { blackout: 'clock' },
+    });
+    expect(schedule.windows).toEqual([
+      { days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '07:00', to: '22:00', profile: 'weekdays' },
+      { days: ['sat'], from: '08:30', to: '24:00', profile: 'weekends' },
+      { days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], from: '22:00', to: '07:00', profile: 'night' },
+    ]);
+  });
+
+  it('should reject invalid profiles', () => {
+    expect(() => parseSchedule(null)).toThrow(ScheduleError);
+    expect(() => parseSchedule({ windows: [] })).toThrow('Invalid profiles');
+    expect(() => parseSchedule({ profiles: {} })).toThrow('Invalid windows');
+    expect(() => parseSchedule({ profiles: { a: [] }, windows: [] })).toThrow('Invalid profile: a');
+    expect(() => parseSchedule({ profiles: { a: { interval: 10 } }, windows: [] })).toThrow('Invalid interval in profile a');
+    expect(() => parseSchedule({ profiles: { a: { shuffle: 'no' } }, windows: [] })).toThrow('Invalid shuffle in profile a');
+    expect(() => parseSchedule({ profiles: { a: { blackout: 'dim' } }, windows: [] })).toThrow('Invalid blackout in profile a');
+    expect(() => parseSchedule({ profiles: { a: { albums: [1] } }, windows: [] })).toThrow('Invalid albums in profile a');
+  });
+
+  it('should reject invalid windows', () => {
+    expect(() => parseSchedule({ profiles, windows: ['night'] })).toThrow('Invalid window');
+    expect(() => parseSchedule({ profiles, windows: [{ profile: 'evening' }] })).toThrow('Unknown profile: evening');
+    expect(() => parseSchedule({ profiles, windows: [{ profile: 'night', days: ['someday'] }] })).toThrow('Invalid day: som');
+    expect(() => parseSchedule({ profiles, windows: [{ profile: 'night', from: '25:00' }] })).toThrow('Invalid time: 25:00');
+    expect(() => parseSchedule({ profiles, windows: [{ profile: 'night', to: 700 }] })).toThrow('Invalid time: 700');
+  });
+});
@@ -0,0 +1,110 @@
+// Days of the week as schedules name them, in Date.getDay() order
+export const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Settings a display switches to while a schedule window is active
+export interface DisplayProfile {
+  // Only images in these folders (and their subfolders)
+  albums?: string[];
+  interval?: number;
+  shuffle?: boolean;
+  // Blank the screen (true), or show nothing but a dimmed clock ('clock')
+  blackout?: boolean | 'clock';
+}
+
+// When a profile applies: from and to are local "HH:MM" times, and a window
+// whose to is earlier than its from runs past midnight (into the next day)
+export interface ScheduleWindow {
+  days: string[];
+  from: string;
+  to: string;
+  profile: string;
+}
+
+// The first window that matches the time picks the profile; outside all of
+// them displays use their own settings
+export interface Schedule {
+  profiles: Record<string, DisplayProfile>;
+  windows: ScheduleWindow[];
+}
+
+// Shortest interval a profile can set, matching the slideshow's ?interval=
+const MIN_INTERVAL = 1000;
+
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+export class ScheduleError extends Error {}
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function parseProfile(name: string, value: unknown): DisplayProfile {
+  if (!isObject(value)) throw new ScheduleError(`Invalid profile: ${name}`);
+
+  const profile: DisplayProfile = {};
+  const { albums, interval, shuffle, blackout } = value;
+  if (albums !== undefined) {
+    // A single album or a list of them
+    const list = ([] as unknown[]).concat(albums);
+    if (!list.every(album => typeof album === 'string')) {
+      throw new ScheduleError(`Invalid albums in profile ${name}`);
+    }
+    profile.albums = (list as string[]).map(album => album.replace(/^\/+|\/+$/g, ''));
+  }
+  if (interval !== undefined) {
+    if (typeof interval !== 'number' || !Number.isInteger(interval) || interval < MIN_INTERVAL) {
+      throw new ScheduleError(`Invalid interval in profile ${name}`);
+    }
+    profile.interval = interval;
+  }
+  if (shuffle !== undefined) {
+    if (typeof shuffle !== 'boolean') throw new ScheduleError(`Invalid shuffle in profile ${name}`);
+    profile.shuffle = shuffle;
+  }
+  if (blackout !== undefined) {
+    if (typeof blackout !== 'boolean' && blackout !== 'clock') {
+      throw new ScheduleError(`Invalid blackout in profile ${name}`);
+    }
+    profile.blackout = blackout;
+  }
+  return profile;
+}
+
+function parseTime(value: unknown, fallback: string): string {
+  if (value === undefined) return fallback;
+  const match = typeof value === 'string' ? TIME.exec(value) : null;
+  if (!match) throw new ScheduleError(`Invalid time: ${value}`);
+  return match[1] === undefined ? '24:00' : `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+// Validate the schedule from a config file
+export function parseSchedule(value: unknown): Schedule {
+  if (!isObject(value)) throw new ScheduleError('Invalid schedule');
+  if (!isObject(value.profiles)) throw new ScheduleError('Invalid profiles');
+  if (!Array.isArray(value.windows)) throw new ScheduleError('Invalid windows');
+
+  const profiles: Record<string, DisplayProfile> = {};
+  for (const [name, profile] of Object.entries(value.profiles)) {
+    profiles[name] = parseProfile(name, profile);
+  }
+
+  const windows = value.windows.map((window: unknown): ScheduleWindow => {
+    if (!isObject(window)) throw new ScheduleError('Invalid window');
+    if (typeof window.profile !== 'string' || !(window.profile in profiles)) {
+      throw new ScheduleError(`Unknown profile: ${window.profile}`);
+    }
+    // Every day when not given
+    const days = window.days === undefined ? SCHEDULE_DAYS : ([] as unknown[]).concat(window.days)
+      .map(day => typeof day === 'string' ? day.slice(0, 3).toLowerCase() : day);
+    const unknownDay = days.find(day => typeof day !== 'string' || !SCHEDULE_DAYS.includes(day));
+    if (unknownDay !== undefined) throw new ScheduleError(`Invalid day: ${unknownDay}`);
+
+    return {
+      days: days as string[],
+      from: parseTime(window.from, '00:00'),
+      to: parseTime(window.to, '24:00'),
+      profile: window.profile,
+    };
+  });
+
+  return { profiles, windows };
+}
@@ -2,11 +2,14 @@ import request from 'supertest';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
+import sharp from 'sharp';
+import http from 'http';
+import { AddressInfo } from 'net';
 
 // Mock the 'open' module since it's ESM-only
 jest.mock('open', () => jest.fn());
 
-import { createApp, isImageFile, getImageFiles, getImageMetadata, IMAGE_EXTENSIONS } from './server';
+import { createApp, isImageFile, isMediaFile, isVideoFile, getImageFiles, getImageMetadata, IMAGE_EXTENSIONS } from './server';
 
 describe('isImageFile', () => {
   it('should return true for supported image extensions', () => {
@@ -100,6 +103,22 @@ describe('getImageFiles', () => {
   });
 });
 
+describe('isVideoFile', () => {
+  it('should recognise video clips in any case', () => {
+    expect(isVideoFile('clip.mp4')).toBe(true);
+    expect(isVideoFile('clip.MOV')).toBe(true);
+    expect(isVideoFile('clip.webm')).toBe(true);
+    expect(isVideoFile('photo.jpg')).toBe(false);
+  });
+
+  it('should count clips and images as media', () => {
+    expect(isMediaFile('clip.mp4')).toBe(true);
+    expect(isMediaFile('photo.jpg')).toBe(true);
+    expect(isMediaFile('notes.txt')).toBe(false);
+    expect(isImageFile('clip.mp4')).toBe(false);
+  });
+});
+
 describe('IMAGE_EXTENSIONS', () => {
   it('should contain all expected image extensions', () => {
     expect(IMAGE_EXTENSIONS).toContain('.jpg');
@@ -118,10 +137,11 @@ describe('API endpoints', () => {
 
   beforeEach(() => {
     testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slideshow-test-'));
-    app = createApp(testDir);
+    app = createApp(testDir, { cacheDir: path.join(testDir, '.cache') });
   });
 
   afterEach(() => {
+    app.locals.library.close();
     fs.rmSync(testDir, { recursive: true, force: true });
   });
 
@@ -152,6 +172,14 @@ describe('API endpoints', () => {
       expect(response.body).toEqual(['photo.jpg']);
     });
 
+    it('should include video clips', async () => {
+      fs.writeFileSync(path.join(testDir, 'photo.jpg'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'clip.mov'), 'fake video data');
+
+      const response = await request(app).get('/api/images');
+      expect(response.body).toEqual(['clip.mov', 'photo.jpg']);
+    });
+
     it('should return images from subdirectories with relative paths', async () => {
       const subdir = path.join(testDir, 'vacation');
       fs.mkdirSync(subdir);
@@ -164,6 +192,316 @@ describe('API endpoints', () => {
       expect(response.body).toContain('root.jpg');
       expect(response.body).toContain('vacation/beach.png');
     });
+
+    it('should return a page of results with the total when queried', async () => {
+      fs.writeFileSync(path.join(testDir, 'a.jpg'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'b.png'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'c.jpg'), 'fake image data');
+
+      const response = await request(app).get('/api/images?offset=1&limit=1&ext=jpg');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ total: 2, offset: 1, limit: 1, images: ['c.jpg'] });
+    });
+
+    it('should reject invalid listing parameters', async () => {
+      const response = await request(app).get('/api/images?sort=size');
+      expect(response.status).toBe(400);
+      expect(response.text).toBe('Invalid sort');
+    });
+
+    it('should serve later requests from the index instead of walking the folder', async () => {
+      fs.writeFileSync(path.join(testDir, 'photo.jpg'), 'fake image data');
+      await request(app).get('/api/images');
+
+      const readdirSpy = jest.spyOn(fs.promises, 'readdir');
+      const response = await request(app).get('/api/images');
+      expect(response.body).toEqual(['photo.jpg']);
+      expect(readdirSpy).not.toHaveBeenCalled();
+      readdirSpy.mockRestore();
+    });
+
+    it('should include images added after the first request', async () => {
+      await request(app).get('/api/images');
+
+      const added = new Promise(resolve => app.locals.library.once('add', resolve));
+      fs.writeFileSync(path.join(testDir, 'later.jpg'), 'fake image data');
+      await added;
+
+      const response = await request(app).get('/api/images');
+      expect(response.body).toEqual(['later.jpg']);
+    });
+  });
+
+  describe('GET /config.js', () => {
+    it('should serve empty client defaults by default', async () => {
+      const response = await request(app).get('/config.js');
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/javascript');
+      expect(response.text).toBe('window.SLIDESHOW_DEFAULTS = {};\n');
+    });
+
+    it('should serve configured client defaults', async () => {
+      const configured = createApp(testDir, { clientDefaults: { interval: 5000, shuffle: false } });
+
+      const response = await request(configured).get('/config.js');
+      expect(response.text).toBe('window.SLIDESHOW_DEFAULTS = {"interval":5000,"shuffle":false};\n');
+    });
+
+    it('should serve the schedule', async () => {
+      const schedule = { profiles: { night: { blackout: true } }, windows: [{ days: ['sun'], from: '22:00', to: '07:00', profile: 'night' }] };
+      const configured = createApp(testDir, { schedule });
+
+      const response = await request(configured).get('/config.js');
+      expect(response.text).toBe(`window.SLIDESHOW_DEFAULTS = {};\nwindow.SLIDESHOW_SCHEDULE = ${JSON.stringify(schedule)};\n`);
+    });
+  });
+
+  describe('GET /api/folders', () => {
+    it('should return the folder tree with counts', async () => {
+      fs.mkdirSync(path.join(testDir, 'album'));
+      fs.writeFileSync(path.join(testDir, 'root.jpg'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'album', 'photo.jpg'), 'fake image data');
+
+      const response = await request(app).get('/api/folders');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        name: '',
+        path: '',
+        imageCount: 1,
+        totalCount: 2,
+        children: [{ name: 'album', path: 'album', imageCount: 1, totalCount: 1, children: [] }],
+      });
+    });
+  });
+
+  describe('GET /api/cameras', () => {
+    it('should count images by camera and filter the listing by one', async () => {
+      for (const [name, model] of [['a.jpg', 'EOS R5'], ['b.jpg', 'EOS R5'], ['c.jpg', 'EOS M50']]) {
+        await sharp({ create: { width: 4, height: 4, channels: 3, background: 'white' } })
+          .jpeg()
+          .withExif({ IFD0: { Make: 'Canon', Model: model } })
+          .toFile(path.join(testDir, name));
+      }
+      fs.writeFileSync(path.join(testDir, 'scan.jpg'), 'no EXIF');
+
+      const cameras = await request(app).get('/api/cameras');
+      expect(cameras.body).toEqual([
+        { camera: 'Canon EOS M50', count: 1 },
+        { camera: 'Canon EOS R5', count: 2 },
+      ]);
+
+      const images = await request(app).get('/api/images?camera=Canon%20EOS%20R5');
+      expect(images.body).toEqual(expect.objectContaining({ total: 2, images: ['a.jpg', 'b.jpg'] }));
+    });
+  });
+
+  describe('GET /api/places', () => {
+    it('should name where images were taken and filter the listing by place', async () => {
+      await sharp({ create: { width: 4, height: 4, channels: 3, background: 'white' } })
+        .jpeg()
+        .withExif({ IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '33/1 51/1 24/1', GPSLongitudeRef: 'E', GPSLongitude: '151/1 12/1 55/1' } })
+        .toFile(path.join(testDir, 'opera-house.jpg'));
+      fs.writeFileSync(path.join(testDir, 'scan.jpg'), 'no EXIF');
+
+      const metadata = await request(app).get('/api/images/opera-house.jpg/metadata');
+      expect(metadata.body.place).toBe('Sydney, Australia');
+
+      const places = await request(app).get('/api/places');
+      expect(places.body).toEqual([{ place: 'Sydney, Australia', count: 1 }]);
+
+      const images = await request(app).get('/api/images?place=Sydney,%20Australia');
+      expect(images.body.images).toEqual(['opera-house.jpg']);
+    });
+  });
+
+  describe('GET /api/dates', () => {
+    it('should list the day each image was taken', async () => {
+      await sharp({ create: { width: 4, height: 4, channels: 3, background: 'white' } })
+        .jpeg()
+        .withExif({ IFD2: { DateTimeOriginal: '2022:12:24 18:00:00' } })
+        .toFile(path.join(testDir, 'eve.jpg'));
+      fs.writeFileSync(path.join(testDir, 'scan.jpg'), 'no EXIF');
+      fs.utimesSync(path.join(testDir, 'scan.jpg'), new Date(2023, 4, 6), new Date(2023, 4, 6));
+
+      const response = await request(app).get('/api/dates');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ 'eve.jpg': '2022-12-24', 'scan.jpg': '2023-05-06' });
+    });
+  });
+
+  describe('GET /api/events', () => {
+    it('should stream added and removed images', async () => {
+      fs.writeFileSync(path.join(testDir, 'old.jpg'), 'fake image data');
+      const server = app.listen(0);
+      const { port } = server.address() as AddressInfo;
+
+      const received: string[] = [];
+      const req = http.get(`http://localhost:${port}/api/events`, res => {
+        expect(res.headers['content-type']).toBe('text/event-stream');
+        res.setEncoding('utf8');
+        res.on('data', (chunk: string) => received.push(chunk));
+      });
+      await app.locals.library.ready();
+
+      const removed = new Promise(resolve => app.locals.library.once('remove', resolve));
+      fs.writeFileSync(path.join(testDir, 'new.jpg'), 'fake image data');
+      fs.rmSync(path.join(testDir, 'old.jpg'));
+      await removed;
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      req.destroy();
+      server.close();
+
+      const stream = received.join('');
+      expect(stream).toContain('event: add\ndata: "new.jpg"\n\n');
+      expect(stream).toContain('event: remove\ndata: "old.jpg"\n\n');
+    });
+  });
+
+  describe('remote control', () => {
+    const state = { image: 'a.jpg', index: 0, total: 2, playing: true, shuffle: true, interval: 60000 };
+
+    it('should stream commands and display states to every display', async () => {
+      const server = app.listen(0);
+      const { port } = server.address() as AddressInfo;
+
+      const received: string[] = [];
+      const req = http.get(`http://localhost:${port}/api/events`, res => {
+        res.setEncoding('utf8');
+        res.on('data', (chunk: string) => received.push(chunk));
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect((await request(app).post('/api/control/next')).status).toBe(204);
+      expect((await request(app).post('/api/control/interval').send({ value: 10000 })).status).toBe(204);
+      expect((await request(app).post('/api/control/state').send(state)).status).toBe(204);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      req.destroy();
+      server.close();
+
+      const stream = received.join('');
+      expect(stream).toContain('event: control\ndata: {"command":"next"}\n\n');
+      expect(stream).toContain('event: control\ndata: {"command":"interval","value":10000}\n\n');
+      expect(stream).toContain(`event: state\ndata: ${JSON.stringify(state)}\n\n`);
+    });
+
+    it('should return the last reported state', async () => {
+      expect((await request(app).get('/api/control/state')).body).toBeNull();
+
+      await request(app).post('/api/control/state').send(state);
+      const response = await request(app).get('/api/control/state');
+      expect(response.body).toEqual(state);
+    });
+
+    it('should reject unknown commands and invalid states', async () => {
+      const unknown = await request(app).post('/api/control/rewind');
+      expect(unknown.status).toBe(400);
+      expect(unknown.text).toBe('Unknown command: rewind');
+      expect((await request(app).post('/api/control/interval').send({ value: 'fast' })).status).toBe(400);
+      expect((await request(app).post('/api/control/state').send({ image: 'a.jpg' })).status).toBe(400);
+    });
+  });
+
+  describe('playback groups', () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, 'trip'));
+      fs.writeFileSync(path.join(testDir, 'a.jpg'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'b.jpg'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'trip', 'c.jpg'), 'fake image data');
+    });
+
+    it('should start a group for the first display and share it with the rest', async () => {
+      const first = await request(app).post('/api/groups/lobby/join').send({ interval: 5000, shuffle: false });
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual(expect.objectContaining({
+        name: 'lobby', playlist: ['a.jpg', 'b.jpg', 'trip/c.jpg'], interval: 5000, shuffle: false, playing: true,
+      }));
+      expect(typeof first.body.serverTime).toBe('number');
+
+      const second = await request(app).post('/api/groups/lobby/join').send({ interval: 1000 });
+      expect(second.body.interval).toBe(5000);
+      expect(second.body.startedAt).toBe(first.body.startedAt);
+
+      const list = await request(app).get('/api/groups');
+      expect(list.body.map((group: { name: string }) => group.name)).toEqual(['lobby']);
+    });
+
+    it('should only play the albums a group was started with, without hidden images', async () => {
+      await request(app).put('/api/ratings/b.jpg').send({ hidden: true });
+      const all = await request(app).post('/api/groups/all/join').send({ shuffle: false });
+      expect(all.body.playlist).toEqual(['a.jpg', 'trip/c.jpg']);
+
+      const trip = await request(app).post('/api/groups/trip/join').send({ albums: ['trip'] });
+      expect(trip.body.playlist).toEqual(['trip/c.jpg']);
+    });
+
+    it('should play a saved playlist in its order, without hidden or deleted images', async () => {
+      const playlist = await request(app).post('/api/playlists').send({ name: 'Lobby', images: ['trip/c.jpg', 'b.jpg', 'a.jpg'] });
+      await request(app).put('/api/ratings/b.jpg').send({ hidden: true });
+      fs.rmSync(path.join(testDir, 'a.jpg'));
+      await app.locals.library.rescan();
+
+      const group = await request(app).post('/api/groups/lobby/join').send({ shuffle: false, playlist: playlist.body.id });
+      expect(group.status).toBe(200);
+      expect(group.body.playlist).toEqual(['trip/c.jpg']);
+      expect(group.body.playlistId).toBe(playlist.body.id);
+
+      expect((await request(app).post('/api/groups/office/join').send({ playlist: 'missing' })).status).toBe(404);
+      expect((await request(app).post('/api/groups/office/join').send({ playlist: 5 })).status).toBe(400);
+    });
+
+    it('should control a group and stream its changes', async () => {
+      await request(app).post('/api/groups/lobby/join').send({ shuffle: false });
+      const server = app.listen(0);
+      const { port } = server.address() as AddressInfo;
+
+      const received: string[] = [];
+      const req = http.get(`http://localhost:${port}/api/events`, res => {
+        res.setEncoding('utf8');
+        res.on('data', (chunk: string) => received.push(chunk));
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect((await request(app).post('/api/groups/lobby/pause')).status).toBe(204);
+      expect((await request(app).post('/api/groups/lobby/next')).status).toBe(204);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      req.destroy();
+      server.close();
+
+      const state = (await request(app).get('/api/groups/lobby')).body;
+      expect(state.playing).toBe(false);
+      expect(state.elapsed).toBe(60000);
+      expect(received.join('')).toContain('event: group\ndata: {"name":"lobby"');
+      // Only what changed, not the whole playlist
+      expect(received.join('')).not.toContain('"playlist"');
+    });
+
+    it('should pass remote control commands on to every group', async () => {
+      await request(app).post('/api/groups/lobby/join').send({ shuffle: false });
+      await request(app).post('/api/control/pause');
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect((await request(app).get('/api/groups/lobby')).body.playing).toBe(false);
+    });
+
+    it('should reject invalid groups and commands', async () => {
+      expect((await request(app).post('/api/groups/a%20b/join')).status).toBe(400);
+      expect((await request(app).post('/api/groups/lobby/join').send({ interval: 5 })).status).toBe(400);
+      expect((await request(app).get('/api/groups/missing')).status).toBe(404);
+      expect((await request(app).post('/api/groups/missing/next')).status).toBe(404);
+
+      await request(app).post('/api/groups/lobby/join');
+      expect((await request(app).post('/api/groups/lobby/rewind')).status).toBe(400);
+    });
+
+    it('should end groups', async () => {
+      await request(app).post('/api/groups/lobby/join');
+      expect((await request(app).delete('/api/groups/lobby')).status).toBe(204);
+      expect((await request(app).get('/api/groups/lobby')).status).toBe(404);
+      expect((await request(app).delete('/api/groups/lobby')).status).toBe(404);
+    });
   });
 
   describe('GET /images/:filename', () => {
@@ -183,6 +521,62 @@ describe('API endpoints', () => {
       expect(response.body).toEqual(imageContent);
     });
 
+    it('should serve renditions upright', async () => {
+      await sharp({ create: { width: 400, height: 300, channels: 3, background: 'red' } })
+        .jpeg()
+        .withMetadata({ orientation: 6 })
+        .toFile(path.join(testDir, 'portrait.jpg'));
+
+      const response = await request(app)
+        .get('/images/portrait.jpg?w=160')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks: Buffer[] = [];
+          res.on('data', (chunk: Buffer) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+      const metadata = await sharp(response.body).metadata();
+      expect([metadata.width, metadata.height]).toEqual([160, 213]);
+      expect(metadata.orientation).toBeUndefined();
+    });
+
+    it('should convert HEIF and RAW formats for the browser', async () => {
+      await sharp({ create: { width: 40, height: 30, channels: 3, background: 'red' } })
+        .avif()
+        .toFile(path.join(testDir, 'photo.avif'));
+
+      const jpeg = await request(app).get('/images/photo.avif');
+      expect(jpeg.status).toBe(200);
+      expect(jpeg.headers['content-type']).toBe('image/jpeg');
+
+      const webp = await request(app).get('/images/photo.avif?format=webp&w=20');
+      expect(webp.headers['content-type']).toBe('image/webp');
+    });
+
+    it('should report images that cannot be converted', async () => {
+      fs.writeFileSync(path.join(testDir, 'broken.heic'), 'not really a HEIC file');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app).get('/images/broken.heic');
+      expect(response.status).toBe(500);
+      expect(response.text).toBe('Failed to convert image');
+      jest.mocked(console.error).mockRestore();
+    });
+
+    it('should serve video clips with range requests', async () => {
+      fs.writeFileSync(path.join(testDir, 'clip.mp4'), '0123456789');
+
+      const full = await request(app).get('/images/clip.mp4?w=640');
+      expect(full.status).toBe(200);
+      expect(full.headers['content-type']).toBe('video/mp4');
+      expect(full.headers['accept-ranges']).toBe('bytes');
+
+      const partial = await request(app).get('/images/clip.mp4').set('Range', 'bytes=2-5');
+      expect(partial.status).toBe(206);
+      expect(partial.headers['content-range']).toBe('bytes 2-5/10');
+      expect(partial.headers['content-length']).toBe('4');
+    });
+
     it('should return 404 for non-existent image', async () => {
       const response = await request(app).get('/images/nonexistent.jpg');
       expect(response.status).toBe(404);
@@ -245,9 +639,83 @@ describe('API endpoints', () => {
       expect(response.status).toBe(200);
       expect(response.body).toEqual(imageContent);
     });
+
+    it('should serve a resized rendition when a width is requested', async () => {
+      await sharp({
+        create: { width: 1000, height: 500, channels: 3, background: { r: 0, g: 0, b: 255 } },
+      }).png().toFile(path.join(testDir, 'wide.png'));
+
+      const response = await request(app)
+        .get('/images/wide.png?w=300')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks: Buffer[] = [];
+          res.on('data', (chunk: Buffer) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/jpeg');
+      const info = await sharp(response.body).metadata();
+      expect(info.width).toBe(320);
+    });
+
+    it('should fall back to the original when the image cannot be resized', async () => {
+      const imageContent = Buffer.from('fake image binary data');
+      fs.writeFileSync(path.join(testDir, 'broken.jpg'), imageContent);
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .get('/images/broken.jpg?w=300')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks: Buffer[] = [];
+          res.on('data', (chunk: Buffer) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(imageContent);
+
+      errorSpy.mockRestore();
+    });
   });
 
   describe('GET /api/images/:filename/metadata', () => {
+    it('should report dimensions corrected for EXIF orientation', async () => {
+      await sharp({ create: { width: 40, height: 30, channels: 3, background: 'red' } })
+        .jpeg()
+        .withMetadata({ orientation: 6 })
+        .toFile(path.join(testDir, 'portrait.jpg'));
+
+      const response = await request(app).get('/api/images/portrait.jpg/metadata');
+      expect(response.body).toEqual(expect.objectContaining({ width: 30, height: 40, orientation: 6 }));
+    });
+
+    it('should read EXIF from the original of converted formats', async () => {
+      await sharp({ create: { width: 40, height: 30, channels: 3, background: 'red' } })
+        .avif()
+        .withExif({ IFD0: { Make: 'Apple', Model: 'iPhone 15' } })
+        .toFile(path.join(testDir, 'photo.avif'));
+
+      const response = await request(app).get('/api/images/photo.avif/metadata');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({ width: 40, height: 30, type: 'avif' }));
+      expect(response.body.exif.camera).toBe('Apple iPhone 15');
+    });
+
+    it('should return file details for video clips', async () => {
+      fs.writeFileSync(path.join(testDir, 'clip.webm'), 'fake video data');
+
+      const response = await request(app).get('/api/images/clip.webm/metadata');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({
+        filename: 'clip.webm',
+        width: null,
+        height: null,
+        size: 15,
+        type: 'webm',
+      }));
+    });
+
     it('should return metadata for an existing image', async () => {
       // Create a minimal valid PNG file (1x1 pixel)
       const pngHeader = Buffer.from([
@@ -275,6 +743,17 @@ describe('API endpoints', () => {
       expect(response.body).toHaveProperty('type', 'png');
     });
 
+    it('should include the caption from a sidecar file', async () => {
+      await sharp({ create: { width: 4, height: 4, channels: 3, background: 'red' } }).jpeg().toFile(path.join(testDir, 'beach.jpg'));
+      fs.writeFileSync(path.join(testDir, 'beach.txt'), 'Low tide at sunset');
+
+      const response = await request(app).get('/api/images/beach.jpg/metadata');
+      expect(response.body.caption).toBe('Low tide at sunset');
+
+      fs.writeFileSync(path.join(testDir, 'beach.txt'), 'Changed since');
+      expect((await request(app).get('/api/images/beach.jpg/metadata')).body.caption).toBe('Changed since');
+    });
+
     it('should return 404 for non-existent image', async () => {
       const response = await request(app).get('/api/images/nonexistent.jpg/metadata');
       expect(response.status).toBe(404);
@@ -321,6 +800,230 @@ describe('API endpoints', () => {
       expect(response.body).toHaveProperty('height', 1);
     });
   });
+
+  describe('POST /api/metadata', () => {
+    it('should return metadata for every requested image', async () => {
+      fs.mkdirSync(path.join(testDir, 'album'));
+      await sharp({ create: { width: 40, height: 30, channels: 3, background: 'red' } })
+        .jpeg()
+        .toFile(path.join(testDir, 'album', 'photo.jpg'));
+      fs.writeFileSync(path.join(testDir, 'clip.mp4'), 'fake video data');
+
+      const response = await request(app)
+        .post('/api/metadata')
+        .send({ images: ['album/photo.jpg', 'clip.mp4', 'missing.jpg', '../outside.jpg'] });
+
+      expect(response.status).toBe(200);
+      expect(Object.keys(response.body)).toEqual(['album/photo.jpg', 'clip.mp4', 'missing.jpg', '../outside.jpg']);
+      expect(response.body['album/photo.jpg']).toEqual(expect.objectContaining({
+        filename: 'album/photo.jpg',
+        width: 40,
+        height: 30,
+      }));
+      expect(response.body['clip.mp4']).toEqual(expect.objectContaining({ type: 'mp4', size: 15 }));
+      expect(response.body['missing.jpg']).toBeNull();
+      expect(response.body['../outside.jpg']).toBeNull();
+    });
+
+    it('should fill in the caption template for images without a caption', async () => {
+      fs.mkdirSync(path.join(testDir, 'Paris'));
+      await sharp({ create: { width: 4, height: 4, channels: 3, background: 'red' } }).jpeg().toFile(path.join(testDir, 'Paris', 'louvre.jpg'));
+      const configured = createApp(testDir, { captionTemplate: '{name}, {folder}' });
+
+      const response = await request(configured).post('/api/metadata').send({ images: ['Paris/louvre.jpg'] });
+      expect(response.body['Paris/louvre.jpg'].caption).toBe('louvre, Paris');
+      configured.locals.library.close();
+    });
+
+    it('should reject invalid requests', async () => {
+      expect((await request(app).post('/api/metadata').send({})).status).toBe(400);
+      expect((await request(app).post('/api/metadata').send({ images: [1, 2] })).status).toBe(400);
+
+      const tooMany = Array.from({ length: 501 }, (_, i) => `${i}.jpg`);
+      const response = await request(app).post('/api/metadata').send({ images: tooMany });
+      expect(response.status).toBe(400);
+      expect(response.text).toBe('At most 500 images per request');
+    });
+  });
+
+  describe('ratings', () => {
+    beforeEach(() => {
+      fs.writeFileSync(path.join(testDir, 'a.jpg'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'b.jpg'), 'fake image data');
+    });
+
+    it('should start with no ratings', async () => {
+      const response = await request(app).get('/api/ratings');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({});
+    });
+
+    it('should save favorites, stars and hidden images', async () => {
+      const favorite = await request(app).put('/api/ratings/a.jpg').send({ favorite: true, stars: 4 });
+      expect(favorite.status).toBe(200);
+      expect(favorite.body).toEqual({ favorite: true, stars: 4 });
+
+      await request(app).put('/api/ratings/b.jpg').send({ hidden: true });
+      const cleared = await request(app).put('/api/ratings/a.jpg').send({ stars: 0 });
+      expect(cleared.body).toEqual({ favorite: true });
+
+      const response = await request(app).get('/api/ratings');
+      expect(response.body).toEqual({ 'a.jpg': { favorite: true }, 'b.jpg': { hidden: true } });
+    });
+
+    it('should reject invalid ratings and unknown images', async () => {
+      expect((await request(app).put('/api/ratings/a.jpg').send({ stars: 9 })).status).toBe(400);
+      expect((await request(app).put('/api/ratings/a.jpg').send({})).status).toBe(400);
+      expect((await request(app).put('/api/ratings/missing.jpg').send({ favorite: true })).status).toBe(404);
+      expect((await request(app).put('/api/ratings/..%2Foutside.jpg').send({ favorite: true })).status).toBe(403);
+      expect((await request(app).get('/api/ratings')).body).toEqual({});
+    });
+  });
+
+  describe('playlists', () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, 'trip'));
+      fs.writeFileSync(path.join(testDir, 'a.jpg'), 'fake image data');
+      fs.writeFileSync(path.join(testDir, 'trip', 'b.jpg'), 'fake image data');
+    });
+
+    it('should create, change and delete playlists', async () => {
+      expect((await request(app).get('/api/playlists')).body).toEqual([]);
+
+      const created = await request(app).post('/api/playlists').send({ name: 'Lobby', images: ['trip/b.jpg', 'a.jpg'] });
+      expect(created.status).toBe(201);
+      expect(created.body).toEqual(expect.objectContaining({ name: 'Lobby', images: ['trip/b.jpg', 'a.jpg'] }));
+      const { id } = created.body;
+
+      const renamed = await request(app).put(`/api/playlists/${id}`).send({ name: 'Office lobby' });
+      expect(renamed.status).toBe(200);
+      expect(renamed.body).toEqual(expect.objectContaining({ id, name: 'Office lobby', images: ['trip/b.jpg', 'a.jpg'] }));
+
+      expect((await request(app).get(`/api/playlists/${id}`)).body.name).toBe('Office lobby');
+      expect((await request(app).get('/api/playlists')).body).toHaveLength(1);
+
+      expect((await request(app).delete(`/api/playlists/${id}`)).status).toBe(204);
+      expect((await request(app).get(`/api/playlists/${id}`)).status).toBe(404);
+    });
+
+    it('should reject invalid playlists and images not in the library', async () => {
+      expect((await request(app).post('/api/playlists').send({ images: ['a.jpg'] })).status).toBe(400);
+      const unknown = await request(app).post('/api/playlists').send({ name: 'Trip', images: ['missing.jpg'] });
+      expect(unknown.status).toBe(400);
+      expect(unknown.text).toBe('Unknown image: missing.jpg');
+
+      const { id } = (await request(app).post('/api/playlists').send({ name: 'Trip' })).body;
+      expect((await request(app).put(`/api/playlists/${id}`).send({})).status).toBe(400);
+      expect((await request(app).put('/api/playlists/missing').send({ name: 'x' })).status).toBe(404);
+      expect((await request(app).delete('/api/playlists/missing')).status).toBe(404);
+    });
+  });
+
+  describe('music', () => {
+    let musicDir: string;
+    let withMusic: ReturnType<typeof createApp>;
+
+    beforeEach(() => {
+      musicDir = path.join(testDir, 'music');
+      fs.mkdirSync(path.join(musicDir, 'Jazz'), { recursive: true });
+      fs.writeFileSync(path.join(musicDir, 'intro.mp3'), 'fake audio data');
+      fs.writeFileSync(path.join(musicDir, 'Jazz', 'take five.ogg'), 'fake audio data');
+      fs.writeFileSync(path.join(musicDir, 'notes.txt'), 'not audio');
+      withMusic = createApp(path.join(testDir, 'photos'), { musicDir });
+    });
+
+    afterEach(() => {
+      withMusic.locals.library.close();
+    });
+
+    it('should list the tracks in the music folder', async () => {
+      const response = await request(withMusic).get('/api/music');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(['intro.mp3', 'Jazz/take five.ogg']);
+    });
+
+    it('should list no tracks without a music folder', async () => {
+      expect((await request(app).get('/api/music')).body).toEqual([]);
+      expect((await request(app).get('/music/intro.mp3')).status).toBe(404);
+    });
+
+    it('should serve tracks, and nothing else', async () => {
+      const track = await request(withMusic).get(`/music/${encodeURIComponent('Jazz/take five.ogg')}`);
+      expect(track.status).toBe(200);
+      expect(track.headers['content-type']).toBe('audio/ogg');
+
+      expect((await request(withMusic).get('/music/notes.txt')).status).toBe(404);
+      expect((await request(withMusic).get('/music/missing.mp3')).status).toBe(404);
+      const outside = await request(withMusic).get('/music/..%2F..%2Fetc%2Fpasswd');
+      expect(outside.status).toBe(403);
+      expect(outside.text).toBe('Access denied');
+    });
+  });
+
+  describe('exports', () => {
+    let withFfmpeg: ReturnType<typeof createApp>;
+
+    beforeEach(async () => {
+      // Stands in for ffmpeg by writing the output file it was given
+      const ffmpegPath = path.join(testDir, 'ffmpeg');
+      fs.writeFileSync(ffmpegPath, "#!/usr/bin/env node\nrequire('fs').writeFileSync(process.argv[process.argv.length - 1], 'video');\n");
+      fs.chmodSync(ffmpegPath, 0o755);
+
+      fs.mkdirSync(path.join(testDir, 'trip'));
+      for (const image of ['a.jpg', 'trip/b.jpg']) {
+        await sharp({ create: { width: 4, height: 4, channels: 3, background: 'white' } })
+          .jpeg().toFile(path.join(testDir, image));
+      }
+      fs.writeFileSync(path.join(testDir, 'trip', 'clip.mp4'), 'fake video data');
+      withFfmpeg = createApp(testDir, { cacheDir: path.join(testDir, '.cache'), ffmpegPath });
+    });
+
+    afterEach(() => {
+      withFfmpeg.locals.library.close();
+    });
+
+    const finished = async (id: string) => {
+      for (;;) {
+        const job = (await request(withFfmpeg).get(`/api/exports/${id}`)).body;
+        if (job.status === 'done' || job.status === 'failed') return job;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    it('should make a video of an album and offer it for download', async () => {
+      const created = await request(withFfmpeg).post('/api/exports').send({ albums: ['trip'], transition: 'none' });
+      expect(created.status).toBe(202);
+      expect(created.body).toEqual(expect.objectContaining({ images: 1, duration: 5 }));
+      const { id } = created.body;
+
+      expect(await finished(id)).toEqual(expect.objectContaining({ status: 'done', progress: 1 }));
+      expect((await request(withFfmpeg).get('/api/exports')).body).toHaveLength(1);
+      const video = await request(withFfmpeg).get(`/api/exports/${id}/video`);
+      expect(video.status).toBe(200);
+      expect(video.headers['content-disposition']).toBe(`attachment; filename="slideshow-${id}.mp4"`);
+
+      expect((await request(withFfmpeg).delete(`/api/exports/${id}`)).status).toBe(204);
+      expect((await request(withFfmpeg).get(`/api/exports/${id}`)).status).toBe(404);
+    });
+
+    it('should leave video clips out of the images it is given', async () => {
+      const created = await request(withFfmpeg).post('/api/exports').send({ images: ['trip/b.jpg', 'trip/clip.mp4', 'a.jpg'] });
+      expect(created.body.images).toBe(2);
+      await finished(created.body.id);
+    });
+
+    it('should reject invalid exports', async () => {
+      const create = (body: object) => request(withFfmpeg).post('/api/exports').send(body);
+
+      expect((await create({ interval: 10 })).status).toBe(400);
+      expect((await create({ playlist: 'missing' })).status).toBe(404);
+      expect((await create({ audio: true })).text).toBe('No music folder for the soundtrack');
+      expect((await create({ images: ['missing.jpg'] })).text).toBe('Unknown image: missing.jpg');
+      expect((await create({ images: ['trip/clip.mp4'] })).text).toBe('No images to export');
+      expect((await request(withFfmpeg).get('/api/exports/missing')).status).toBe(404);
+      expect((await request(withFfmpeg).delete('/api/exports/missing')).status).toBe(404);
+    });
+  });
 });
 
 describe('getImageMetadata', () => {
@@ -381,3 +1084,305 @@ describe('getImageMetadata', () => {
     expect(metadata!.size).toBeGreaterThan(0);
   });
 });
+
+describe('multiple image folders', () => {
+  let testDir: string;
+  let app: ReturnType<typeof createApp>;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slideshow-test-'));
+    fs.mkdirSync(path.join(testDir, 'uploads'));
+    fs.mkdirSync(path.join(testDir, 'archive', 'trip'), { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'uploads', 'phone.jpg'), 'phone image');
+    fs.writeFileSync(path.join(testDir, 'archive', 'trip', 'camera.jpg'), 'camera image');
+    fs.writeFileSync(path.join(testDir, 'secret.jpg'), 'outside every folder');
+
+    app = createApp({
+      phone: path.join(testDir, 'uploads'),
+      camera: path.join(testDir, 'archive'),
+    }, { cacheDir: path.join(testDir, '.cache') });
+  });
+
+  afterEach(() => {
+    app.locals.library.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should list images from every folder under its name', async () => {
+    const response = await request(app).get('/api/images');
+    expect(response.body).toEqual(['camera/trip/camera.jpg', 'phone/phone.jpg']);
+  });
+
+  it('should list each folder as an album', async () => {
+    const response = await request(app).get('/api/folders');
+    expect(response.body.children.map((child: { path: string }) => child.path)).toEqual(['camera', 'phone']);
+  });
+
+  it('should serve images from each folder', async () => {
+    const phone = await request(app).get('/images/phone/phone.jpg');
+    expect(phone.status).toBe(200);
+
+    const camera = await request(app).get('/images/camera%2Ftrip%2Fcamera.jpg');
+    expect(camera.status).toBe(200);
+  });
+
+  it('should return 403 for unknown folder names', async () => {
+    const response = await request(app).get('/images/scans/photo.jpg');
+    expect(response.status).toBe(403);
+  });
+
+  it('should block traversal out of each folder', async () => {
+    const images = await request(app).get('/images/phone%2F..%2Fsecret.jpg');
+    expect(images.status).toBe(403);
+    expect(images.text).toBe('Access denied');
+
+    const across = await request(app).get('/images/phone%2F..%2F..%2Farchive%2Ftrip%2Fcamera.jpg');
+    expect(across.status).toBe(403);
+
+    const metadata = await request(app).get('/api/images/camera%2F..%2F..%2Fsecret.jpg/metadata');
+    expect(metadata.status).toBe(403);
+    expect(metadata.text).toBe('Access denied');
+  });
+
+  it('should return metadata with the library path', async () => {
+    const response = await request(app).get('/api/images/camera/trip/camera.jpg/metadata');
+    expect(response.status).toBe(200);
+    expect(response.body.filename).toBe('camera/trip/camera.jpg');
+  });
+});
+
+describe('authentication', () => {
+  let testDir: string;
+  let app: ReturnType<typeof createApp>;
+
+  const login = async () => {
+    const response = await request(app).post('/api/login').send({ password: 'hunter2' });
+    expect(response.status).toBe(204);
+    return response.headers['set-cookie'][0].split(';')[0];
+  };
+
+  const share = async (cookie: string, album: string) => {
+    const response = await request(app).post('/api/shares').set('Cookie', cookie).send({ album, hours: 1 });
+    expect(response.status).toBe(201);
+    const link = await request(app).get(new URL(response.body.url).pathname);
+    expect(link.status).toBe(302);
+    return { link, cookie: link.headers['set-cookie'][0].split(';')[0] };
+  };
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slideshow-test-'));
+    fs.mkdirSync(path.join(testDir, 'trip'));
+    fs.mkdirSync(path.join(testDir, 'private'));
+    fs.writeFileSync(path.join(testDir, 'trip', 'beach.jpg'), 'beach');
+    fs.writeFileSync(path.join(testDir, 'private', 'family.jpg'), 'family');
+
+    app = createApp(testDir, { cacheDir: path.join(testDir, '.cache'), password: 'hunter2' });
+  });
+
+  afterEach(() => {
+    app.locals.library.close();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should refuse the library without logging in', async () => {
+    for (const url of ['/api/images', '/api/images?limit=1', '/api/folders', '/images/trip/beach.jpg', '/api/images/trip/beach.jpg/metadata', '/api/music', '/api/exports']) {
+      const response = await request(app).get(url);
+      expect(response.status).toBe(401);
+    }
+  });
+
+  it('should still serve the page itself', async () => {
+    const response = await request(app).get('/login.html');
+    expect(response.status).toBe(200);
+  });
+
+  it('should only give the schedule and client defaults to those logged in', async () => {
+    const schedule = { profiles: { night: { albums: ['private'] } }, windows: [{ days: ['sun'], from: '22:00', to: '07:00', profile: 'night' }] };
+    app.locals.library.close();
+    app = createApp(testDir, { cacheDir: path.join(testDir, '.cache'), password: 'hunter2', schedule, clientDefaults: { interval: 5000 } });
+
+    const anonymous = await request(app).get('/config.js');
+    expect(anonymous.status).toBe(200);
+    expect(anonymous.text).toBe('window.SLIDESHOW_DEFAULTS = {};\n');
+
+    const owner = await login();
+    const loggedIn = await request(app).get('/config.js').set('Cookie', owner);
+    expect(loggedIn.text).toBe(`window.SLIDESHOW_DEFAULTS = {"interval":5000};\nwindow.SLIDESHOW_SCHEDULE = ${JSON.stringify(schedule)};\n`);
+
+    const { cookie } = await share(owner, 'trip');
+    const shared = await request(app).get('/config.js').set('Cookie', cookie);
+    expect(shared.text).toBe('window.SLIDESHOW_DEFAULTS = {"interval":5000};\n');
+  });
+
+  it('should reject a wrong password', async () => {
+    const response = await request(app).post('/api/login').send({ password: 'guess' });
+    expect(response.status).toBe(401);
+    expect(response.headers['set-cookie']).toBeUndefined();
+
+    const form = await request(app).post('/api/login').type('form').send({ password: 'guess' });
+    expect(form.status).toBe(303);
+    expect(form.headers.location).toBe('/login.html?failed=1');
+  });
+
+  it('should make a browser wait after too many wrong passwords', async () => {
+    for (let i = 0; i < 10; i++) {
+      await request(app).post('/api/login').send({ password: 'guess' });
+    }
+    const response = await request(app).post('/api/login').send({ password: 'hunter2' });
+    expect(response.status).toBe(429);
+    expect(response.headers['set-cookie']).toBeUndefined();
+    expect((await request(app).get('/api/images').set('Authorization', 'Bearer hunter2')).status).toBe(200);
+  });
+
+  it('should not let wrong bearer tokens lock out the login', async () => {
+    for (let i = 0; i < 10; i++) {
+      await request(app).get('/api/images').set('Authorization', 'Bearer guess');
+    }
+    expect((await request(app).get('/api/images').set('Authorization', 'Bearer hunter2')).status).toBe(401);
+    expect(await login()).toMatch(/^slideshow_session=/);
+  });
+
+  it('should count wrong passwords per client behind a trusted proxy', async () => {
+    app.locals.library.close();
+    app = createApp(testDir, { cacheDir: path.join(testDir, '.cache'), password: 'hunter2', trustProxy: true });
+    for (let i = 0; i < 10; i++) {
+      await request(app).post('/api/login').set('X-Forwarded-For', '203.0.113.1').send({ password: 'guess' });
+    }
+    const blocked = await request(app).post('/api/login').set('X-Forwarded-For', '203.0.113.1').send({ password: 'hunter2' });
+    expect(blocked.status).toBe(429);
+    const other = await request(app).post('/api/login').set('X-Forwarded-For', '203.0.113.2').send({ password: 'hunter2' });
+    expect(other.status).toBe(204);
+  });
+
+  it('should forget share links on logout', async () => {
+    const response = await request(app).post('/api/logout').set('Cookie', await login());
+    const cookies = response.headers['set-cookie'] as unknown as string[];
+    expect(cookies).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^slideshow_session=;/),
+      expect.stringMatching(/^slideshow_share=;/),
+    ]));
+  });
+
+  it('should give a logged-in browser the whole library', async () => {
+    const cookie = await login();
+    expect(cookie).toMatch(/^slideshow_session=/);
+
+    const images = await request(app).get('/api/images').set('Cookie', cookie);
+    expect(images.body).toEqual(['private/family.jpg', 'trip/beach.jpg']);
+
+    const image = await request(app).get('/images/private/family.jpg').set('Cookie', cookie);
+    expect(image.status).toBe(200);
+  });
+
+  it('should redirect the login form to the slideshow', async () => {
+    const response = await request(app).post('/api/login').type('form').send({ password: 'hunter2' });
+    expect(response.status).toBe(303);
+    expect(response.headers.location).toBe('/');
+    expect(response.headers['set-cookie'][0]).toMatch(/HttpOnly/);
+  });
+
+  it('should accept the password as a bearer token', async () => {
+    const response = await request(app).get('/api/images').set('Authorization', 'Bearer hunter2');
+    expect(response.status).toBe(200);
+  });
+
+  it('should reject forged session cookies', async () => {
+    const response = await request(app).get('/api/images').set('Cookie', 'slideshow_session=eyJ0eXBlIjoic2Vzc2lvbiJ9.abc');
+    expect(response.status).toBe(401);
+  });
+
+  it('should limit a share link to its album', async () => {
+    const { link, cookie } = await share(await login(), 'trip');
+    expect(link.headers.location).toBe('/?album=trip');
+
+    const images = await request(app).get('/api/images').set('Cookie', cookie);
+    expect(images.body).toEqual(['trip/beach.jpg']);
+
+    const paged = await request(app).get('/api/images?folder=private').set('Cookie', cookie);
+    expect(paged.body.images).toEqual([]);
+
+    const folders = await request(app).get('/api/folders').set('Cookie', cookie);
+    expect(folders.body.totalCount).toBe(1);
+
+    const allowed = await request(app).get('/images/trip/beach.jpg').set('Cookie', cookie);
+    expect(allowed.status).toBe(200);
+
+    for (const url of ['/images/private/family.jpg', '/images/trip%2F..%2Fprivate%2Ffamily.jpg', '/api/images/private/family.jpg/metadata']) {
+      const response = await request(app).get(url).set('Cookie', cookie);
+      expect(response.status).toBe(403);
+    }
+
+    const metadata = await request(app)
+      .post('/api/metadata')
+      .set('Cookie', cookie)
+      .send({ images: ['trip/beach.jpg', 'private/family.jpg', 'trip/../private/family.jpg'] });
+    expect(metadata.body['trip/beach.jpg']).toEqual(expect.objectContaining({ filename: 'trip/beach.jpg' }));
+    expect(metadata.body['private/family.jpg']).toBeNull();
+    expect(metadata.body['trip/../private/family.jpg']).toBeNull();
+  });
+
+  it('should only show a share link the ratings in its album, and not let it change them', async () => {
+    const owner = await login();
+    await request(app).put('/api/ratings/trip/beach.jpg').set('Cookie', owner).send({ favorite: true });
+    await request(app).put('/api/ratings/private/family.jpg').set('Cookie', owner).send({ stars: 5 });
+
+    const { cookie } = await share(owner, 'trip');
+    const ratings = await request(app).get('/api/ratings').set('Cookie', cookie);
+    expect(ratings.body).toEqual({ 'trip/beach.jpg': { favorite: true } });
+
+    const response = await request(app).put('/api/ratings/trip/beach.jpg').set('Cookie', cookie).send({ hidden: true });
+    expect(response.status).toBe(403);
+  });
+
+  it('should keep share links out of the remote control', async () => {
+    const { cookie } = await share(await login(), 'trip');
+
+    expect((await request(app).post('/api/control/next').set('Cookie', cookie)).status).toBe(403);
+    expect((await request(app).get('/api/control/state').set('Cookie', cookie)).status).toBe(403);
+    expect((await request(app).post('/api/groups/lobby/join').set('Cookie', cookie)).status).toBe(403);
+    expect((await request(app).get('/api/groups').set('Cookie', cookie)).status).toBe(403);
+  });
+
+  it('should keep share links out of playlists', async () => {
+    const { cookie } = await share(await login(), 'trip');
+
+    expect((await request(app).get('/api/playlists').set('Cookie', cookie)).status).toBe(403);
+    expect((await request(app).post('/api/playlists').set('Cookie', cookie).send({ name: 'Trip' })).status).toBe(403);
+  });
+
+  it('should keep share links out of exports', async () => {
+    const { cookie } = await share(await login(), 'trip');
+
+    expect((await request(app).get('/api/exports').set('Cookie', cookie)).status).toBe(403);
+    expect((await request(app).post('/api/exports').set('Cookie', cookie).send({ albums: ['trip'] })).status).toBe(403);
+  });
+
+  it('should not let a share link create more share links', async () => {
+    const { cookie } = await share(await login(), 'trip');
+    const response = await request(app).post('/api/shares').set('Cookie', cookie).send({ album: 'private' });
+    expect(response.status).toBe(403);
+  });
+
+  it('should validate new share links', async () => {
+    const cookie = await login();
+    const create = (body: object) => request(app).post('/api/shares').set('Cookie', cookie).send(body);
+
+    expect((await create({})).status).toBe(400);
+    expect((await create({ album: '../etc' })).status).toBe(400);
+    expect((await create({ album: 'trip', hours: 0 })).status).toBe(400);
+    expect((await create({ album: 'nowhere' })).status).toBe(404);
+  });
+
+  it('should reject expired or tampered share links', async () => {
+    const response = await request(app).get('/share/eyJ0eXBlIjoic2hhcmUifQ.abc');
+    expect(response.status).toBe(403);
+  });
+
+  it('should leave the library open without a password', async () => {
+    const open = createApp(testDir, { cacheDir: path.join(testDir, '.cache') });
+    const response = await request(open).get('/api/images');
+    expect(response.status).toBe(200);
+    expect((await request(open).post('/api/login').send({ password: 'x' })).status).toBe(404);
+    open.locals.library.close();
+  });
+});
@@ -1,17 +1,32 @@
 import express, { Request, Response } from 'express';
 import path from 'path';
 import fs from 'fs';
-import sizeOf from 'image-size';
-import ExifReader from 'exifreader';
 import open from 'open';
-
-// Supported image extensions
-export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg'];
-
-export function isImageFile(filename: string): boolean {
-  const ext = path.extname(filename).toLowerCase();
-  return IMAGE_EXTENSIONS.includes(ext);
-}
+import { DEFAULT_CACHE_DIR, canResize, getRendition, parseRenditionFormat, parseRenditionQuery } from './renditions';
+import { ImageRoots, Library } from './library';
+import {
+  IMAGE_EXTENSIONS, VIDEO_EXTENSIONS, isAudioFile, isImageFile, isMediaFile, isVideoFile, needsTranscoding,
+} from './formats';
+import {
+  ListingQueryError, buildFolderTree, listCameras, listDaysTaken, listImages, listPlaces, parseListingQuery,
+} from './listing';
+import { ConfigError, USAGE, loadConfig } from './config';
+import { Access, Auth, SESSION_COOKIE, SESSION_MAX_AGE, SHARE_COOKIE, isInAlbum } from './auth';
+import { ImageMetadata, getImageMetadata } from './metadata';
+import { MetadataCache } from './metadataCache';
+import { RatingError, RatingsStore, parseRatingUpdate } from './ratings';
+import { PlaylistChanges, PlaylistError, PlaylistStore, parsePlaylistChanges } from './playlists';
+import { ControlError, ControlMessage, DisplayState, RemoteControl, parseControl, parseDisplayState } from './remote';
+import { Schedule } from './schedule';
+import { GroupChange, GroupEnd, GroupError, GroupManager, isGroupName, parseGroupOptions } from './groups';
+import { getCaption } from './captions';
+import { MusicLibrary } from './music';
+import {
+  ExportError, ExportManager, ExportOptions, MAX_EXPORT_IMAGES, VIDEO_HEIGHT, VIDEO_WIDTH, parseExportOptions,
+} from './exports';
+
+export { IMAGE_EXTENSIONS, VIDEO_EXTENSIONS, isImageFile, isMediaFile, isVideoFile };
+export { ImageMetadata, getImageMetadata };
 
 export function getImageFiles(folder: string): string[] {
   const results: string[] = [];
@@ -36,213 +51,862 @@ export function getImageFiles(folder: string): string[] {
   return results;
 }
 
-export interface ImageMetadata {
-  filename: string;
-  width: number | null;
-  height: number | null;
-  size: number;
-  modified: string;
-  type: string | null;
-  exif?: {
-    camera?: string;
-    lens?: string;
-    dateTaken?: string;
-    aperture?: string;
-    shutterSpeed?: string;
-    iso?: number;
-    focalLength?: string;
-    flash?: string;
-    gps?: {
-      latitude: number;
-      longitude: number;
-    };
-    software?: string;
-    artist?: string;
-    copyright?: string;
-  };
+export interface AppOptions {
+  // Where resized renditions are cached (defaults to a folder in the OS temp dir)
+  cacheDir?: string;
+  // Index of the image folders. One is created (and built on first request) if not given.
+  library?: Library;
+  // Defaults for the slideshow's settings, served to the browser as /config.js
+  clientDefaults?: Record<string, unknown>;
+  // Display profiles the slideshow switches between by time, served with the defaults
+  schedule?: Schedule;
+  // Caption for images without one of their own, like "{folder} · {date}" (see captions.ts)
+  captionTemplate?: string;
+  // Audio folder the slideshow plays as background music; no music when not given
+  musicDir?: string;
+  // The ffmpeg that renders slideshow videos; the one on the PATH when not given
+  ffmpegPath?: string;
+  // Require this password (or a share link) to see any images. Open to everyone when not set.
+  password?: string;
+  // Where the salt for signing logins and share links is kept; without it they
+  // only last until the server restarts
+  authSaltFile?: string;
+  // Express's "trust proxy" setting, so that behind a reverse proxy or tunnel
+  // wrong passwords are counted per client rather than for the proxy's address
+  trustProxy?: boolean | number | string;
+  // Cache of image metadata. One is created (in memory only) if not given.
+  metadata?: MetadataCache;
+  // Favorites, star ratings and hidden images. One is created (in memory only) if not given.
+  ratings?: RatingsStore;
+  // Saved playlists. One is created (in memory only) if not given.
+  playlists?: PlaylistStore;
 }
 
-export function getImageMetadata(filepath: string, filename: string): ImageMetadata | null {
-  try {
-    const stats = fs.statSync(filepath);
-    const buffer = fs.readFileSync(filepath);
+// Most images one POST /api/metadata request can ask for
+const MAX_BULK_METADATA = 500;
 
-    let width: number | null = null;
-    let height: number | null = null;
-    let type: string | null = null;
+// Longest a share link can be valid for, in hours
+const MAX_SHARE_HOURS = 365 * 24;
 
-    try {
-      const dimensions = sizeOf(buffer);
-      width = dimensions.width || null;
-      height = dimensions.height || null;
-      type = dimensions.type || null;
-    } catch {
-      // Dimensions not available for this image type
+// The album a share link limits this request to, or null for the whole library
+function sharedAlbum(res: Response): string | null {
+  return (res.locals.access as Access | undefined)?.album ?? null;
+}
+
+function setCookie(req: Request, res: Response, name: string, value: string, maxAge: number): void {
+  res.cookie(name, value, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge, path: '/' });
+}
+
+// imagesFolder is a single folder, or several by name ({ phone: '/mnt/phone', ... })
+// whose images are then listed as "phone/...".
+export function createApp(imagesFolder: string | ImageRoots, options: AppOptions = {}) {
+  const app = express();
+  if (options.trustProxy !== undefined) app.set('trust proxy', options.trustProxy);
+  const cacheDir = options.cacheDir || DEFAULT_CACHE_DIR;
+  const library = options.library || new Library(imagesFolder);
+  app.locals.library = library;
+  const metadata = options.metadata || new MetadataCache(library);
+  app.locals.metadata = metadata;
+  const ratings = options.ratings || new RatingsStore();
+  app.locals.ratings = ratings;
+  const playlists = options.playlists || new PlaylistStore();
+  app.locals.playlists = playlists;
+  const music = options.musicDir ? new MusicLibrary(options.musicDir) : null;
+  // Videos are made of the same renditions the slideshow shows, so ones
+  // already made for a display are reused
+  const exports = new ExportManager(path.join(cacheDir, 'exports'), {
+    frame: async image => {
+      const resolvedPath = library.resolve(image);
+      if (!resolvedPath || !canResize(resolvedPath)) return null;
+      return getRendition(resolvedPath, cacheDir, { width: VIDEO_WIDTH, height: VIDEO_HEIGHT });
+    },
+    tracks: async () => music ? (await music.list()).map(track => music.resolve(track)!) : [],
+  }, { ffmpegPath: options.ffmpegPath });
+  app.locals.exports = exports;
+  const remote = new RemoteControl();
+  app.locals.remote = remote;
+  // A group's playlist is a saved playlist's images still in the library, or
+  // the same listing as /api/images, less hidden images either way
+  const groups = new GroupManager(library, async ({ shuffle, albums, playlistId }) => {
+    let images;
+    if (playlistId !== null) {
+      images = (playlists.get(playlistId)?.images || []).filter(image => library.get(image));
+      if (shuffle) {
+        for (let i = images.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [images[i], images[j]] = [images[j], images[i]];
+        }
+      }
+    } else {
+      const query = parseListingQuery({ sort: shuffle ? 'random' : 'name', folder: albums });
+      images = (await listImages(library, metadata, query)).images;
     }
+    return images.filter(image => !ratings.get(image)?.hidden);
+  });
+  app.locals.groups = groups;
+  // The remote control drives groups too
+  remote.on('control', (message: ControlMessage) => {
+    groups.control(message).catch(error => console.error('Failed to control groups:', error));
+  });
 
-    // Extract EXIF data
-    let exif: ImageMetadata['exif'] = undefined;
-    try {
-      const tags = ExifReader.load(buffer, { expanded: true });
+  // Metadata as the API returns it: with the caption, which isn't cached as
+  // sidecar files can change without the image changing
+  async function withCaption(imagePath: string, result: ImageMetadata | null) {
+    const resolvedPath = result && library.resolve(imagePath);
+    if (!result || !resolvedPath) return result;
+    return { ...result, caption: await getCaption(resolvedPath, imagePath, result, options.captionTemplate) };
+  }
 
-      const exifData: ImageMetadata['exif'] = {};
+  const auth = options.password ? new Auth(options.password, options.authSaltFile) : null;
+
+  // Client setting defaults and the schedule, loaded by index.html before slideshow.js.
+  // A browser that isn't logged in is only passing through on its way to the
+  // login page, so it gets neither; the schedule names albums, so share links
+  // don't get it either.
+  app.get('/config.js', (req: Request, res: Response) => {
+    const access: Access | null = auth ? auth.getAccess(req) : { album: null };
+    res.type('application/javascript');
+    let script = `window.SLIDESHOW_DEFAULTS = ${JSON.stringify((access && options.clientDefaults) || {})};\n`;
+    if (options.schedule && access && access.album === null) {
+      script += `window.SLIDESHOW_SCHEDULE = ${JSON.stringify(options.schedule)};\n`;
+    }
+    res.send(script);
+  });
 
-      // Camera info
-      const make = tags.exif?.Make?.description;
-      const model = tags.exif?.Model?.description;
-      if (make || model) {
-        exifData.camera = [make, model].filter(Boolean).join(' ');
-      }
+  // Serve static files from public folder
+  app.use(express.static(path.join(__dirname, '../public')));
 
-      // Lens info
-      const lens = tags.exif?.LensModel?.description;
-      if (lens) {
-        exifData.lens = lens;
+  if (auth) {
+    // Form posts from login.html are redirected; scripts get a status code
+    app.post('/api/login', express.urlencoded({ extended: false }), express.json(), (req: Request, res: Response) => {
+      const isForm = req.is('application/x-www-form-urlencoded');
+      const address = req.ip || '';
+      if (auth.limiter.isBlocked(address)) {
+        res.status(429).send('Too many login attempts, try again later');
+        return;
       }
-
-      // Date taken
-      const dateTaken = tags.exif?.DateTimeOriginal?.description ||
-                        tags.exif?.DateTime?.description;
-      if (dateTaken) {
-        exifData.dateTaken = dateTaken;
+      if (!auth.checkPassword(req.body?.password)) {
+        auth.limiter.fail(address);
+        if (isForm) {
+          res.redirect(303, '/login.html?failed=1');
+        } else {
+          res.status(401).send('Wrong password');
+        }
+        return;
       }
 
-      // Aperture
-      const aperture = tags.exif?.FNumber?.description || tags.exif?.ApertureValue?.description;
-      if (aperture) {
-        exifData.aperture = `f/${aperture}`;
+      auth.limiter.succeed(address);
+      setCookie(req, res, SESSION_COOKIE, auth.createSession(), SESSION_MAX_AGE);
+      if (isForm) {
+        res.redirect(303, '/');
+      } else {
+        res.status(204).end();
       }
-
-      // Shutter speed
-      const shutterSpeed = tags.exif?.ExposureTime?.description;
-      if (shutterSpeed) {
-        exifData.shutterSpeed = `${shutterSpeed}s`;
+    });
+
+    // Forgets share links opened in this browser too
+    app.post('/api/logout', (_req: Request, res: Response) => {
+      res.clearCookie(SESSION_COOKIE, { path: '/' });
+      res.clearCookie(SHARE_COOKIE, { path: '/' });
+      res.status(204).end();
+    });
+
+    // Opening a share link stores it in a cookie and shows its album
+    app.get('/share/:token', (req: Request, res: Response) => {
+      const share = auth.verify(req.params.token, 'share');
+      if (!share || !share.album) {
+        res.status(403).send('This link is invalid or has expired');
+        return;
       }
+      setCookie(req, res, SHARE_COOKIE, req.params.token, share.exp - Date.now());
+      res.redirect(`/?album=${encodeURIComponent(share.album)}`);
+    });
 
-      // ISO
-      const iso = tags.exif?.ISOSpeedRatings?.description;
-      if (iso) {
-        exifData.iso = parseInt(iso, 10);
-      }
+    app.use(['/api', '/images', '/music'], auth.middleware);
 
-      // Focal length
-      const focalLength = tags.exif?.FocalLength?.description;
-      if (focalLength) {
-        exifData.focalLength = `${focalLength}mm`;
+    // Create a share link for an album: { album: '2023/trip', hours: 48 }
+    app.post('/api/shares', express.json(), (req: Request, res: Response) => {
+      if (sharedAlbum(res) !== null) {
+        res.status(403).send('Share links cannot create share links');
+        return;
       }
 
-      // Flash
-      const flash = tags.exif?.Flash?.description;
-      if (flash) {
-        exifData.flash = flash;
+      const album = typeof req.body?.album === 'string' ? req.body.album.replace(/^\/+|\/+$/g, '') : '';
+      const hours = req.body?.hours === undefined ? 7 * 24 : Number(req.body.hours);
+      if (!album || path.posix.normalize(album) !== album || album.startsWith('..')) {
+        res.status(400).send('Invalid album');
+        return;
       }
-
-      // GPS
-      if (tags.gps?.Latitude && tags.gps?.Longitude) {
-        exifData.gps = {
-          latitude: tags.gps.Latitude,
-          longitude: tags.gps.Longitude,
-        };
+      if (!(hours > 0 && hours <= MAX_SHARE_HOURS)) {
+        res.status(400).send('Invalid hours');
+        return;
       }
 
-      // Software
-      const software = tags.exif?.Software?.description;
-      if (software) {
-        exifData.software = software;
+      library.ready()
+        .then(() => {
+          if (!library.list().some(image => isInAlbum(image, album))) {
+            res.status(404).send('Album not found');
+            return;
+          }
+          const expires = Date.now() + hours * 60 * 60 * 1000;
+          const token = auth.createShare(album, expires);
+          res.status(201).json({
+            album,
+            url: `${req.protocol}://${req.get('host')}/share/${token}`,
+            expires: new Date(expires).toISOString(),
+          });
+        })
+        .catch(error => {
+          console.error('Failed to index images:', error);
+          res.status(500).send('Failed to create share link');
+        });
+    });
+  }
+
+  // API endpoint to get list of images. Without query parameters this is a flat
+  // array of every image; with offset/limit/sort/order/folder/ext/seed or the
+  // camera/place/from/to/day filters it is a page of results with the total count.
+  app.get('/api/images', (req: Request, res: Response) => {
+    const album = sharedAlbum(res);
+    const paged = Object.keys(req.query).length > 0;
+    let query;
+    try {
+      query = parseListingQuery(req.query as Record<string, unknown>);
+    } catch (error) {
+      if (error instanceof ListingQueryError) {
+        res.status(400).send(error.message);
+        return;
       }
+      throw error;
+    }
+
+    // A share link only lists folders inside its album
+    if (album !== null) {
+      query.folders = (query.folders || [album]).filter(folder => folder === album || isInAlbum(folder, album));
+    }
+    const list = () => album === null ? library.list() : library.list().filter(image => isInAlbum(image, album));
+
+    library.ready()
+      .then(async () => res.json(paged ? await listImages(library, metadata, query) : list()))
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send('Failed to list images');
+      });
+  });
+
+  // Tree of the folders (albums) in the library, with image counts
+  app.get('/api/folders', (_req: Request, res: Response) => {
+    const album = sharedAlbum(res);
+    library.ready()
+      .then(() => {
+        const images = library.list();
+        res.json(buildFolderTree(album === null ? images : images.filter(image => isInAlbum(image, album))));
+      })
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send('Failed to list folders');
+      });
+  });
+
+  // Cameras that took the images in the library, and places they were taken,
+  // for the filters on the start screen
+  const countRoute = (list: typeof listCameras | typeof listPlaces, failure: string) => (_req: Request, res: Response) => {
+    const album = sharedAlbum(res);
+    library.ready()
+      .then(async () => {
+        const images = library.list();
+        res.json(await list(metadata, album === null ? images : images.filter(image => isInAlbum(image, album))));
+      })
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send(failure);
+      });
+  };
+  app.get('/api/cameras', countRoute(listCameras, 'Failed to list cameras'));
+  app.get('/api/places', countRoute(listPlaces, 'Failed to list places'));
+
+  // The day each image was taken ({ 'a.jpg': '2023-06-01', ... }, falling back
+  // to the day it was modified), for spreading out a shuffle by date
+  app.get('/api/dates', (_req: Request, res: Response) => {
+    const album = sharedAlbum(res);
+    library.ready()
+      .then(async () => {
+        const images = library.list();
+        res.json(await listDaysTaken(library, metadata, album === null ? images : images.filter(image => isInAlbum(image, album))));
+      })
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send('Failed to list dates');
+      });
+  });
+
+  // Server-Sent Events stream of images added to or removed from the folder,
+  // of remote control commands (control) and what displays show (state), and
+  // of changes to playback groups (group)
+  app.get('/api/events', (req: Request, res: Response) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+
+    const album = sharedAlbum(res);
+    const send = (event: string) => (imagePath: string) => {
+      if (album !== null && !isInAlbum(imagePath, album)) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(imagePath)}\n\n`);
+    };
+    const onAdd = send('add');
+    const onRemove = send('remove');
+    library.on('add', onAdd);
+    library.on('remove', onRemove);
+
+    // Share links aren't part of the remote control: their displays can't be
+    // driven by someone else's remote, and see nothing of what others show
+    const onControl = (message: ControlMessage) => res.write(`event: control\ndata: ${JSON.stringify(message)}\n\n`);
+    const onState = (state: DisplayState) => res.write(`event: state\ndata: ${JSON.stringify(state)}\n\n`);
+    const onGroup = (change: GroupChange | GroupEnd) => res.write(`event: group\ndata: ${JSON.stringify(change)}\n\n`);
+    if (album === null) {
+      remote.on('control', onControl);
+      remote.on('state', onState);
+      groups.on('change', onGroup);
+    }
 
-      // Artist
-      const artist = tags.exif?.Artist?.description;
-      if (artist) {
-        exifData.artist = artist;
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      library.off('add', onAdd);
+      library.off('remove', onRemove);
+      remote.off('control', onControl);
+      remote.off('state', onState);
+      groups.off('change', onGroup);
+    });
+
+    // Make sure the watcher is running even if nobody has listed images yet
+    library.ready().catch(error => console.error('Failed to index images:', error));
+  });
+
+  // What the displays show, as the last one to change reported it (null before any has)
+  app.get('/api/control/state', (_req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use the remote control');
+      return;
+    }
+    res.json(remote.state);
+  });
+
+  // Displays report what they show after every change, for the remotes
+  app.post('/api/control/state', express.json(), (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use the remote control');
+      return;
+    }
+    try {
+      remote.report(parseDisplayState(req.body));
+    } catch (error) {
+      if (error instanceof ControlError) {
+        res.status(400).send(error.message);
+        return;
       }
+      throw error;
+    }
+    res.status(204).end();
+  });
 
-      // Copyright
-      const copyright = tags.exif?.Copyright?.description;
-      if (copyright) {
-        exifData.copyright = copyright;
+  // Send a command to every display: next, prev, play, pause, toggle (play or
+  // pause), shuffle ({ value: true/false }, or toggled) or interval ({ value: ms })
+  app.post('/api/control/:command', express.json(), (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use the remote control');
+      return;
+    }
+    try {
+      remote.send(parseControl(req.params.command, req.body));
+    } catch (error) {
+      if (error instanceof ControlError) {
+        res.status(400).send(error.message);
+        return;
       }
+      throw error;
+    }
+    res.status(204).end();
+  });
+
+  // Playback groups: displays that join the same group show its playlist in
+  // step, with the server keeping time (see GroupState in src/groups.ts)
+  app.get('/api/groups', (_req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot join playback groups');
+      return;
+    }
+    res.json(groups.list().map(group => group.state()));
+  });
+
+  app.get('/api/groups/:name', (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot join playback groups');
+      return;
+    }
+    const group = groups.get(req.params.name);
+    if (!group) {
+      res.status(404).send('Group not found');
+      return;
+    }
+    res.json(group.state());
+  });
 
-      // Only include exif if we found any data
-      if (Object.keys(exifData).length > 0) {
-        exif = exifData;
+  // Join a group, starting it with { interval?, shuffle?, albums?, playlist? }
+  // if it isn't playing yet. Returns the group's state.
+  app.post('/api/groups/:name/join', express.json(), (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot join playback groups');
+      return;
+    }
+    const { name } = req.params;
+    if (!isGroupName(name)) {
+      res.status(400).send('Invalid group name');
+      return;
+    }
+    let groupOptions;
+    try {
+      groupOptions = parseGroupOptions(req.body);
+    } catch (error) {
+      if (error instanceof GroupError) {
+        res.status(400).send(error.message);
+        return;
       }
-    } catch {
-      // EXIF not available for this image
-    }
-
-    return {
-      filename,
-      width,
-      height,
-      size: stats.size,
-      modified: stats.mtime.toISOString(),
-      type,
-      exif,
-    };
-  } catch {
-    return null;
-  }
-}
+      throw error;
+    }
+    if (groupOptions.playlistId !== null && !groups.get(name) && !playlists.get(groupOptions.playlistId)) {
+      res.status(404).send('Playlist not found');
+      return;
+    }
 
-export function createApp(imagesFolder: string) {
-  const app = express();
+    library.ready()
+      .then(async () => res.json((await groups.join(name, groupOptions)).state()))
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send('Failed to start the group');
+      });
+  });
 
-  // Serve static files from public folder
-  app.use(express.static(path.join(__dirname, '../public')));
+  // Send a remote control command (see /api/control/:command) to one group
+  app.post('/api/groups/:name/:command', express.json(), (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot join playback groups');
+      return;
+    }
+    if (!groups.get(req.params.name)) {
+      res.status(404).send('Group not found');
+      return;
+    }
+    let message;
+    try {
+      message = parseControl(req.params.command, req.body);
+    } catch (error) {
+      if (error instanceof ControlError) {
+        res.status(400).send(error.message);
+        return;
+      }
+      throw error;
+    }
+
+    groups.control(message, req.params.name)
+      .then(() => res.status(204).end())
+      .catch(error => {
+        console.error('Failed to control group:', error);
+        res.status(500).send('Failed to control the group');
+      });
+  });
 
-  // API endpoint to get list of images
-  app.get('/api/images', (_req: Request, res: Response) => {
-    const images = getImageFiles(imagesFolder);
-    res.json(images);
+  app.delete('/api/groups/:name', (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot join playback groups');
+      return;
+    }
+    if (!groups.delete(req.params.name)) {
+      res.status(404).send('Group not found');
+      return;
+    }
+    res.status(204).end();
   });
 
-  // Serve images from the specified folder (supports subdirectories)
+  // Serve images from the specified folders (supports subdirectories).
+  // ?w= and/or ?h= return a resized rendition (&format=webp for WebP instead of JPEG).
+  // HEIC/AVIF and camera RAW files are always served as a rendition.
+  // Video clips are sent as they are; sendFile answers Range requests so they can seek.
   app.get('/images/*', (req: Request, res: Response) => {
     const imagePath = req.params[0];
-    const filepath = path.join(imagesFolder, imagePath);
 
-    // Security check: ensure the resolved path is within the images folder
-    const resolvedPath = path.resolve(filepath);
-    const resolvedFolder = path.resolve(imagesFolder);
-
-    if (!resolvedPath.startsWith(resolvedFolder + path.sep) && resolvedPath !== resolvedFolder) {
+    // Security check: ensure the resolved path is within one of the image folders,
+    // and within the album when the request comes from a share link
+    const album = sharedAlbum(res);
+    const resolvedPath = library.resolve(imagePath);
+    if (!resolvedPath || (album !== null && !isInAlbum(imagePath, album))) {
       res.status(403).send('Access denied');
       return;
     }
 
-    if (fs.existsSync(filepath) && isImageFile(path.basename(filepath))) {
-      res.sendFile(resolvedPath);
-    } else {
+    if (!fs.existsSync(resolvedPath) || !isMediaFile(path.basename(resolvedPath))) {
       res.status(404).send('Image not found');
+      return;
+    }
+
+    const query = req.query as Record<string, unknown>;
+    const transcode = needsTranscoding(resolvedPath);
+    // HEIC and RAW files are converted even when no size is asked for, since
+    // browsers can't show the originals
+    const rendition = parseRenditionQuery(query) || (transcode ? { format: parseRenditionFormat(query) } : null);
+    if (!rendition || !canResize(resolvedPath)) {
+      res.sendFile(resolvedPath);
+      return;
     }
+
+    getRendition(resolvedPath, cacheDir, rendition)
+      .then(renditionPath => res.sendFile(renditionPath))
+      .catch(error => {
+        console.error(`Failed to resize ${imagePath}:`, error);
+        if (transcode) {
+          res.status(500).send('Failed to convert image');
+        } else {
+          // Fall back to the original if the image can't be decoded
+          res.sendFile(resolvedPath);
+        }
+      });
   });
 
   // API endpoint to get image metadata (supports subdirectories)
   app.get('/api/images/*/metadata', (req: Request, res: Response) => {
     const imagePath = req.params[0];
-    const filepath = path.join(imagesFolder, imagePath);
-
-    // Security check: ensure the resolved path is within the images folder
-    const resolvedPath = path.resolve(filepath);
-    const resolvedFolder = path.resolve(imagesFolder);
 
-    if (!resolvedPath.startsWith(resolvedFolder + path.sep) && resolvedPath !== resolvedFolder) {
+    // Security check: ensure the resolved path is within one of the image folders,
+    // and within the album when the request comes from a share link
+    const album = sharedAlbum(res);
+    const resolvedPath = library.resolve(imagePath);
+    if (!resolvedPath || (album !== null && !isInAlbum(imagePath, album))) {
       res.status(403).send('Access denied');
       return;
     }
 
-    if (!fs.existsSync(filepath) || !isImageFile(path.basename(filepath))) {
+    if (!fs.existsSync(resolvedPath) || !isMediaFile(path.basename(resolvedPath))) {
+      res.status(404).send('Image not found');
+      return;
+    }
+
+    metadata.get(imagePath)
+      .then(result => withCaption(imagePath, result))
+      .then(result => {
+        if (result) {
+          res.json(result);
+        } else {
+          res.status(500).send('Failed to read metadata');
+        }
+      })
+      .catch(error => {
+        console.error(`Failed to read metadata of ${imagePath}:`, error);
+        res.status(500).send('Failed to read metadata');
+      });
+  });
+
+  // Metadata of many images at once: { images: ['a.jpg', ...] } returns
+  // { 'a.jpg': {...}, ... }, with null for images that can't be read or seen
+  app.post('/api/metadata', express.json(), (req: Request, res: Response) => {
+    const images: unknown = req.body?.images;
+    if (!Array.isArray(images) || !images.every(image => typeof image === 'string')) {
+      res.status(400).send('Invalid images');
+      return;
+    }
+    if (images.length > MAX_BULK_METADATA) {
+      res.status(400).send(`At most ${MAX_BULK_METADATA} images per request`);
+      return;
+    }
+
+    const album = sharedAlbum(res);
+    Promise.all(images.map(async (imagePath: string) => {
+      const visible = album === null || isInAlbum(imagePath, album);
+      return [imagePath, visible ? await withCaption(imagePath, await metadata.get(imagePath)) : null] as const;
+    }))
+      .then(results => res.json(Object.fromEntries(results)))
+      .catch(error => {
+        console.error('Failed to read metadata:', error);
+        res.status(500).send('Failed to read metadata');
+      });
+  });
+
+  // Favorites, star ratings and hidden images: { 'a.jpg': { favorite: true, stars: 4 }, ... }.
+  // Images without any are left out.
+  app.get('/api/ratings', (_req: Request, res: Response) => {
+    const album = sharedAlbum(res);
+    const all = ratings.all();
+    res.json(album === null ? all : Object.fromEntries(Object.entries(all).filter(([image]) => isInAlbum(image, album))));
+  });
+
+  // Change an image's rating: { favorite?: boolean, stars?: 0-5, hidden?: boolean },
+  // where stars: 0 clears them. Returns the new rating.
+  app.put('/api/ratings/*', express.json(), (req: Request, res: Response) => {
+    const imagePath = req.params[0];
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot change ratings');
+      return;
+    }
+
+    const resolvedPath = library.resolve(imagePath);
+    if (!resolvedPath) {
+      res.status(403).send('Access denied');
+      return;
+    }
+    if (!fs.existsSync(resolvedPath) || !isMediaFile(path.basename(resolvedPath))) {
       res.status(404).send('Image not found');
       return;
     }
 
-    const metadata = getImageMetadata(resolvedPath, imagePath);
-    if (metadata) {
-      res.json(metadata);
+    let update;
+    try {
+      update = parseRatingUpdate(req.body);
+    } catch (error) {
+      if (error instanceof RatingError) {
+        res.status(400).send(error.message);
+        return;
+      }
+      throw error;
+    }
+    res.json(ratings.set(imagePath, update));
+  });
+
+  // Saved playlists: [{ id, name, images, created, updated }], by name. They
+  // mix images from any folder, so share links can't see them.
+  app.get('/api/playlists', (_req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use playlists');
+      return;
+    }
+    res.json(playlists.list());
+  });
+
+  app.get('/api/playlists/:id', (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use playlists');
+      return;
+    }
+    const playlist = playlists.get(req.params.id);
+    if (!playlist) {
+      res.status(404).send('Playlist not found');
+      return;
+    }
+    res.json(playlist);
+  });
+
+  // Validate a playlist from a request, and check its images are in the library.
+  // Sends the error and returns null if it isn't valid.
+  const readPlaylist = async (req: Request, res: Response, creating: boolean): Promise<PlaylistChanges | null> => {
+    let changes;
+    try {
+      changes = parsePlaylistChanges(req.body, creating);
+    } catch (error) {
+      if (error instanceof PlaylistError) {
+        res.status(400).send(error.message);
+        return null;
+      }
+      throw error;
+    }
+
+    await library.ready();
+    const unknown = (changes.images || []).find(image => !library.get(image));
+    if (unknown !== undefined) {
+      res.status(400).send(`Unknown image: ${unknown}`);
+      return null;
+    }
+    return changes;
+  };
+
+  // Create a playlist: { name, images? }. Returns it, with its id.
+  app.post('/api/playlists', express.json({ limit: '1mb' }), (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use playlists');
+      return;
+    }
+    readPlaylist(req, res, true)
+      .then(changes => {
+        if (changes) res.status(201).json(playlists.create(changes));
+      })
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send('Failed to save the playlist');
+      });
+  });
+
+  // Rename a playlist or replace its images: { name?, images? }. Returns it.
+  app.put('/api/playlists/:id', express.json({ limit: '1mb' }), (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use playlists');
+      return;
+    }
+    if (!playlists.get(req.params.id)) {
+      res.status(404).send('Playlist not found');
+      return;
+    }
+    readPlaylist(req, res, false)
+      .then(changes => {
+        if (!changes) return;
+        const playlist = playlists.update(req.params.id, changes);
+        if (playlist) {
+          res.json(playlist);
+        } else {
+          // Deleted while the library was being read
+          res.status(404).send('Playlist not found');
+        }
+      })
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send('Failed to save the playlist');
+      });
+  });
+
+  app.delete('/api/playlists/:id', (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot use playlists');
+      return;
+    }
+    if (!playlists.delete(req.params.id)) {
+      res.status(404).send('Playlist not found');
+      return;
+    }
+    res.status(204).end();
+  });
+
+  // The images for a video, in order: as given, a playlist's, or the
+  // albums' listed as the slideshow lists them. Hidden images and video clips
+  // are left out.
+  async function exportImages(options: ExportOptions): Promise<string[]> {
+    await library.ready();
+    let images;
+    if (options.images) {
+      images = options.images;
+    } else if (options.playlist) {
+      images = playlists.get(options.playlist)!.images.filter(image => library.get(image));
     } else {
-      res.status(500).send('Failed to read metadata');
+      const query = parseListingQuery({ sort: options.shuffle ? 'random' : options.sort, folder: options.albums });
+      images = (await listImages(library, metadata, query)).images;
+    }
+    return images.filter(image => isImageFile(image) && !ratings.get(image)?.hidden);
+  }
+
+  // Videos being made of slideshows, newest first
+  app.get('/api/exports', (_req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot export slideshows');
+      return;
+    }
+    res.json(exports.list());
+  });
+
+  // Start making a video: { albums?, playlist?, images?, interval?, transition?,
+  // shuffle?, sort?, format?, audio? }. Returns the export, to follow at /api/exports/:id.
+  app.post('/api/exports', express.json({ limit: '1mb' }), (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot export slideshows');
+      return;
+    }
+    let options: ExportOptions;
+    try {
+      options = parseExportOptions(req.body);
+    } catch (error) {
+      if (!(error instanceof ExportError)) throw error;
+      res.status(400).send(error.message);
+      return;
+    }
+    if (options.playlist && !playlists.get(options.playlist)) {
+      res.status(404).send('Playlist not found');
+      return;
     }
+    if (options.audio && !music) {
+      res.status(400).send('No music folder for the soundtrack');
+      return;
+    }
+
+    exportImages(options)
+      .then(images => {
+        const unknown = (options.images || []).find(image => !library.get(image));
+        if (unknown !== undefined) {
+          res.status(400).send(`Unknown image: ${unknown}`);
+        } else if (images.length === 0) {
+          res.status(400).send('No images to export');
+        } else if (images.length > MAX_EXPORT_IMAGES) {
+          res.status(400).send(`At most ${MAX_EXPORT_IMAGES} images per video`);
+        } else {
+          res.status(202).json(exports.create(options, images));
+        }
+      })
+      .catch(error => {
+        console.error('Failed to index images:', error);
+        res.status(500).send('Failed to start the export');
+      });
+  });
+
+  app.get('/api/exports/:id', (req: Request, res: Response) => {
+    const job = sharedAlbum(res) === null ? exports.get(req.params.id) : undefined;
+    if (!job) {
+      res.status(404).send('Export not found');
+      return;
+    }
+    res.json(job);
+  });
+
+  // The finished video, as a download
+  app.get('/api/exports/:id/video', (req: Request, res: Response) => {
+    const job = sharedAlbum(res) === null ? exports.get(req.params.id) : undefined;
+    if (!job) {
+      res.status(404).send('Export not found');
+      return;
+    }
+    const file = exports.file(job.id);
+    if (!file) {
+      res.status(409).send('The video is not ready');
+      return;
+    }
+    res.download(file, `slideshow-${job.id}.${job.options.format}`);
+  });
+
+  // Stop making a video, or delete the finished one
+  app.delete('/api/exports/:id', (req: Request, res: Response) => {
+    if (sharedAlbum(res) !== null) {
+      res.status(403).send('Share links cannot export slideshows');
+      return;
+    }
+    if (!exports.delete(req.params.id)) {
+      res.status(404).send('Export not found');
+      return;
+    }
+    res.status(204).end();
+  });
+
+  // Background music: the tracks in the music folder, by name (none without one)
+  app.get('/api/music', (_req: Request, res: Response) => {
+    if (!music) {
+      res.json([]);
+      return;
+    }
+    music.list()
+      .then(tracks => res.json(tracks))
+      .catch(error => {
+        console.error('Failed to list music:', error);
+        res.status(500).send('Failed to list music');
+      });
+  });
+
+  app.get('/music/*', (req: Request, res: Response) => {
+    const resolvedPath = music && music.resolve(req.params[0]);
+    if (music && !resolvedPath) {
+      res.status(403).send('Access denied');
+      return;
+    }
+    if (!resolvedPath || !fs.existsSync(resolvedPath) || !isAudioFile(resolvedPath)) {
+      res.status(404).send('Track not found');
+      return;
+    }
+    res.sendFile(resolvedPath);
   });
 
   return app;
@@ -250,23 +914,74 @@ export function createApp(imagesFolder: string) {
 
 // Only start the server if this file is run directly
 if (require.main === module) {
-  const PORT = 3000;
-  const imagesFolder = process.argv[2] || path.join(__dirname, '../images');
-  const app = createApp(imagesFolder);
+  let config;
+  try {
+    config = loadConfig(process.argv.slice(2), process.env);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    console.error(`\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (config.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const library = new Library(config.folders, { indexDir: config.cacheDir });
+  const metadata = new MetadataCache(library, { cacheFile: path.join(config.cacheDir, 'metadata.json') });
+  const app = createApp(config.folders, {
+    library,
+    metadata,
+    ratings: new RatingsStore(path.join(config.dataDir, 'ratings.json')),
+    playlists: new PlaylistStore(path.join(config.dataDir, 'playlists.json')),
+    authSaltFile: path.join(config.dataDir, 'login-salt'),
+    trustProxy: config.trustProxy,
+    cacheDir: config.cacheDir,
+    clientDefaults: config.clientDefaults,
+    schedule: config.schedule,
+    captionTemplate: config.captionTemplate,
+    musicDir: config.musicDir,
+    ffmpegPath: config.ffmpegPath,
+    password: config.password,
+  });
 
-  app.listen(PORT, () => {
-    console.log(`Slideshow server running at http://localhost:${PORT}`);
-    console.log(`Serving images from: ${path.resolve(imagesFolder)}`);
+  const { port, host } = config;
+  const onListening = async () => {
+    const url = `http://${!host || host === '0.0.0.0' || host === '::' ? 'localhost' : host}:${port}`;
+    console.log(`Slideshow server running at ${url}`);
+    for (const [name, folder] of Object.entries(library.folders)) {
+      console.log(library.namespaced ? `Serving ${name}/ from: ${folder}` : `Serving images from: ${folder}`);
+    }
 
-    const images = getImageFiles(imagesFolder);
-    console.log(`Found ${images.length} images`);
+    await library.ready();
+    console.log(`Found ${library.size} images`);
+    // Read metadata for dateTaken sorting and the info panel ahead of time
+    metadata.fill().catch(error => console.error('Failed to read image metadata:', error));
 
-    if (images.length === 0) {
+    if (library.size === 0) {
       console.log('\nNo images found! Add images to the folder or specify a different folder:');
-      console.log('  npm start /path/to/your/images');
+      console.log('  npm start -- --folder /path/to/your/images');
     }
 
-    // Open browser automatically
-    open(`http://localhost:${PORT}`);
-  });
+    if (config.open) {
+      // Open browser automatically
+      open(url).catch(error => console.error('Could not open a browser:', error.message));
+    }
+  };
+  if (host) {
+    app.listen(port, host, onListening);
+  } else {
+    app.listen(port, onListening);
+  }
+
+  // Write the index and metadata out on shutdown so the next start is quick
+  const shutdown = () => {
+    library.close();
+    metadata.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
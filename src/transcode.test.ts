@@ -0,0 +1,234 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import sharp, { Sharp } from 'sharp';
+
+import { applyOrientation, findJpegPreviews, isBaselineOrProgressiveJpeg, needsHeicDecoder, openImage } from './transcode';
+
+type Entry = [tag: number, type: number, values: number[] | string];
+
+// Build a little-endian TIFF whose IFDs hold the given single-value entries,
+// followed by the data blocks. Returns where each block ended up.
+function buildTiff(ifds: Entry[][], blocks: Buffer[]): { file: Buffer; blockOffsets: number[] } {
+  const ifdSize = (entries: Entry[]) => 2 + entries.length * 12 + 4;
+  let offset = 8 + ifds.reduce((sum, entries) => sum + ifdSize(entries), 0);
+
+  // Strings too long to fit in an entry go after the IFDs
+  const extra: Buffer[] = [];
+  const extraOffsets = new Map<Entry, number>();
+  for (const entries of ifds) {
+    for (const entry of entries) {
+      const [, , values] = entry;
+      if (typeof values === 'string' && values.length + 1 > 4) {
+        extraOffsets.set(entry, offset);
+        extra.push(Buffer.from(`${values}\0`));
+        offset += values.length + 1;
+      }
+    }
+  }
+
+  const blockOffsets: number[] = [];
+  for (const block of blocks) {
+    blockOffsets.push(offset);
+    offset += block.length;
+  }
+
+  const header = Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]);
+  const ifdBuffers = ifds.map(entries => {
+    const buffer = Buffer.alloc(ifdSize(entries));
+    buffer.writeUInt16LE(entries.length, 0);
+    entries.forEach((entry, i) => {
+      const [tag, type, values] = entry;
+      const at = 2 + i * 12;
+      buffer.writeUInt16LE(tag, at);
+      buffer.writeUInt16LE(type, at + 2);
+      buffer.writeUInt32LE(typeof values === 'string' ? values.length + 1 : values.length, at + 4);
+      if (extraOffsets.has(entry)) {
+        buffer.writeUInt32LE(extraOffsets.get(entry)!, at + 8);
+      } else if (typeof values === 'string') {
+        Buffer.from(`${values}\0`).copy(buffer, at + 8);
+      } else if (type === 3) {
+        values.forEach((value, j) => buffer.writeUInt16LE(value, at + 8 + j * 2));
+      } else {
+        buffer.writeUInt32LE(values[0], at + 8);
+      }
+    });
+    // No next IFD; the others are reached as SubIFDs
+    buffer.writeUInt32LE(0, 2 + entries.length * 12);
+    return buffer;
+  });
+
+  const file = Buffer.concat([header, ...ifdBuffers, ...extra, ...blocks]);
+  return { file, blockOffsets };
+}
+
+// A TIFF-based RAW file with a JPEG preview in IFD0 and "sensor data" stored
+// as lossless JPEG in a SubIFD, the way NEF and DNG files are laid out
+function buildRaw(preview: Buffer, orientation = 1): Buffer {
+  const sensorData = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xc3, 0x00, 0x02]), Buffer.alloc(preview.length * 2)]);
+  const layout = (previewOffset: number, sensorOffset: number, subIfdOffset: number): Entry[][] => [
+    [
+      [0x010f, 2, 'NIKON CORPORATION'],
+      [0x0112, 3, [orientation]],
+      [0x014a, 4, [subIfdOffset]],
+      [0x0201, 4, [previewOffset]],
+      [0x0202, 4, [preview.length]],
+    ],
+    [
+      [0x0103, 3, [7]],
+      [0x0111, 4, [sensorOffset]],
+      [0x0117, 4, [sensorData.length]],
+    ],
+  ];
+
+  // Lay the file out once to find where everything lands, then again with the real offsets
+  const first = buildTiff(layout(0, 0, 0), [preview, sensorData]);
+  const subIfdOffset = 8 + 2 + 5 * 12 + 4;
+  return buildTiff(layout(first.blockOffsets[0], first.blockOffsets[1], subIfdOffset), [preview, sensorData]).file;
+}
+
+describe('isBaselineOrProgressiveJpeg', () => {
+  it('should accept JPEGs libjpeg can decode', async () => {
+    const baseline = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'red' } }).jpeg().toBuffer();
+    const progressive = await sharp(baseline).jpeg({ progressive: true }).toBuffer();
+    expect(isBaselineOrProgressiveJpeg(baseline)).toBe(true);
+    expect(isBaselineOrProgressiveJpeg(progressive)).toBe(true);
+  });
+
+  it('should reject lossless JPEG and garbage', () => {
+    expect(isBaselineOrProgressiveJpeg(Buffer.from([0xff, 0xd8, 0xff, 0xc3, 0x00, 0x02]))).toBe(false);
+    expect(isBaselineOrProgressiveJpeg(Buffer.from('not a jpeg'))).toBe(false);
+  });
+});
+
+describe('findJpegPreviews', () => {
+  it('should find previews in IFDs and SubIFDs, largest first', () => {
+    const preview = Buffer.concat([Buffer.from([0xff, 0xd8]), Buffer.alloc(100)]);
+    const raw = buildRaw(preview);
+
+    const previews = findJpegPreviews(raw);
+    expect(previews).toHaveLength(2);
+    expect(previews[0].length).toBe(210);
+    expect(raw.subarray(previews[1].offset, previews[1].offset + previews[1].length)).toEqual(preview);
+  });
+
+  it('should return nothing for files that are not TIFF', () => {
+    expect(findJpegPreviews(Buffer.from('GIF89a....'))).toEqual([]);
+    expect(findJpegPreviews(Buffer.alloc(4))).toEqual([]);
+  });
+
+  it('should survive IFDs that point at themselves or past the end', () => {
+    const loop = Buffer.alloc(26);
+    loop.write('II', 0, 'latin1');
+    loop.writeUInt16LE(42, 2);
+    loop.writeUInt32LE(8, 4);
+    loop.writeUInt16LE(1, 8);
+    // A SubIFD entry pointing back at this IFD, and a next-IFD pointer far past the end
+    loop.writeUInt16LE(0x014a, 10);
+    loop.writeUInt16LE(4, 12);
+    loop.writeUInt32LE(1, 14);
+    loop.writeUInt32LE(8, 18);
+    loop.writeUInt32LE(0xffffff, 22);
+
+    expect(findJpegPreviews(loop)).toEqual([]);
+  });
+});
+
+describe('applyOrientation', () => {
+  // A 3x2 image whose pixels are all different
+  const pixels = Buffer.from([10, 20, 30, 40, 50, 60]);
+  const raw = { raw: { width: 3, height: 2, channels: 1 as const } };
+  const render = async (image: Sharp) => {
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, data: [...data] };
+  };
+
+  it.each([1, 2, 3, 4, 5, 6, 7, 8])('should match libvips for orientation %i', async orientation => {
+    const tagged = await sharp(pixels, raw).png().withMetadata({ orientation }).toBuffer();
+    const expected = await render(sharp(tagged).autoOrient());
+
+    expect(await render(applyOrientation(sharp(pixels, raw), orientation))).toEqual(expected);
+  });
+});
+
+describe('needsHeicDecoder', () => {
+  it('should use libheif for HEIC unless libvips reads it', () => {
+    const libvipsReadsHeic = sharp.format.heif.input.fileSuffix?.includes('.heic');
+    expect(needsHeicDecoder('IMG_0001.HEIC')).toBe(!libvipsReadsHeic);
+    expect(needsHeicDecoder('photo.avif')).toBe(false);
+    expect(needsHeicDecoder('photo.jpg')).toBe(false);
+  });
+});
+
+describe('openImage', () => {
+  let testDir: string;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should open RAW files through their embedded preview', async () => {
+    const preview = await sharp({ create: { width: 60, height: 40, channels: 3, background: 'blue' } }).jpeg().toBuffer();
+    const file = path.join(testDir, 'photo.NEF');
+    fs.writeFileSync(file, buildRaw(preview));
+
+    const metadata = await (await openImage(file)).metadata();
+    expect(metadata).toEqual(expect.objectContaining({ format: 'jpeg', width: 60, height: 40 }));
+  });
+
+  it('should turn RAW previews upright using the RAW file\'s orientation', async () => {
+    const preview = await sharp({ create: { width: 60, height: 40, channels: 3, background: 'blue' } }).jpeg().toBuffer();
+    const file = path.join(testDir, 'portrait.dng');
+    fs.writeFileSync(file, buildRaw(preview, 6));
+
+    const { info } = await (await openImage(file)).toBuffer({ resolveWithObject: true });
+    expect([info.width, info.height]).toEqual([40, 60]);
+  });
+
+  it('should turn images with an EXIF orientation upright', async () => {
+    const file = path.join(testDir, 'portrait.jpg');
+    await sharp({ create: { width: 60, height: 40, channels: 3, background: 'blue' } })
+      .jpeg()
+      .withMetadata({ orientation: 8 })
+      .toFile(file);
+
+    const { info } = await (await openImage(file)).toBuffer({ resolveWithObject: true });
+    expect([info.width, info.height]).toEqual([40, 60]);
+  });
+
+  it('should open AVIF directly', async () => {
+    const file = path.join(testDir, 'photo.avif');
+    await sharp({ create: { width: 30, height: 20, channels: 3, background: 'green' } }).avif().toFile(file);
+
+    const metadata = await (await openImage(file)).metadata();
+    expect(metadata).toEqual(expect.objectContaining({ format: 'heif', width: 30, height: 20 }));
+  });
+
+  it('should decode HEIC with libheif', async () => {
+    // A 2x1 image, red then blue, as libheif hands it over
+    const decode = jest.fn().mockResolvedValue({
+      width: 2, height: 1, data: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255]),
+    });
+    jest.doMock('heic-decode', () => decode);
+    const file = path.join(testDir, 'IMG_0001.HEIC');
+    fs.writeFileSync(file, 'fake heic data');
+    try {
+      const { data, info } = await (await openImage(file)).raw().toBuffer({ resolveWithObject: true });
+      expect(decode).toHaveBeenCalledWith({ buffer: Buffer.from('fake heic data') });
+      expect([info.width, info.height, info.channels]).toEqual([2, 1, 4]);
+      expect([...data]).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+    } finally {
+      jest.dontMock('heic-decode');
+    }
+  });
+
+  it('should fail on a file that isn\'t HEIC after all', async () => {
+    const file = path.join(testDir, 'fake.heic');
+    fs.writeFileSync(file, Buffer.alloc(64));
+    await expect(openImage(file)).rejects.toThrow('input buffer is not a HEIC image');
+  });
+});
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import sharp, { Sharp } from 'sharp';
+import ExifReader from 'exifreader';
+import { isRawFile } from './formats';
+
+export interface JpegPreview {
+  offset: number;
+  length: number;
+}
+
+// TIFF tags that locate embedded JPEG data
+const TAG_COMPRESSION = 0x0103;
+const TAG_STRIP_OFFSETS = 0x0111;
+const TAG_STRIP_BYTE_COUNTS = 0x0117;
+const TAG_SUB_IFDS = 0x014a;
+const TAG_JPEG_OFFSET = 0x0201;
+const TAG_JPEG_LENGTH = 0x0202;
+
+// Compression values for JPEG (old-style and new-style)
+const JPEG_COMPRESSION = [6, 7];
+
+// HEIF files hold HEVC-compressed images (every iPhone photo since iOS 11)
+const HEVC_EXTENSIONS = ['.heic', '.heif'];
+
+// Whether libheif (as WebAssembly) has to decode this file. The prebuilt
+// sharp binaries only read AVIF from HEIF files, since HEVC is patented; a
+// system libvips built with libde265 reads HEIC itself.
+export function needsHeicDecoder(filename: string): boolean {
+  const ext = path.extname(filename).toLowerCase();
+  return HEVC_EXTENSIONS.includes(ext) && !(sharp.format.heif.input.fileSuffix || []).includes(ext);
+}
+
+// Decode a HEIC/HEIF file to raw pixels that sharp can take from there.
+// libheif turns the image upright itself: HEIF rotates and mirrors with
+// transforms in the file, not the EXIF orientation.
+async function openHeic(filepath: string): Promise<Sharp> {
+  // Only loaded when needed, since it is several MB of WebAssembly
+  const { default: decodeHeic } = await import('heic-decode');
+  const { width, height, data } = await decodeHeic({ buffer: await fs.promises.readFile(filepath) });
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+}
+
+// Camera RAW files (CR2, NEF, ARW and DNG) are TIFF files with the sensor data
+// alongside one or more JPEG previews. Returns the previews, largest first.
+export function findJpegPreviews(buffer: Buffer): JpegPreview[] {
+  if (buffer.length < 8) return [];
+  const byteOrder = buffer.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return [];
+
+  const littleEndian = byteOrder === 'II';
+  const u16 = (offset: number) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const u32 = (offset: number) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  if (u16(2) !== 42) return [];
+
+  const previews: JpegPreview[] = [];
+  const visited = new Set<number>();
+
+  const addPreview = (offset: number | undefined, length: number | undefined) => {
+    if (!offset || !length || offset + length > buffer.length) return;
+    if (buffer[offset] !== 0xff || buffer[offset + 1] !== 0xd8) return;
+    if (!previews.some(preview => preview.offset === offset)) {
+      previews.push({ offset, length });
+    }
+  };
+
+  const readIfd = (offset: number, depth: number): void => {
+    // Malformed files can point anywhere, including back at an IFD already read
+    if (depth > 4 || visited.has(offset) || offset < 8 || offset + 2 > buffer.length) return;
+    visited.add(offset);
+
+    const count = u16(offset);
+    if (offset + 2 + count * 12 + 4 > buffer.length) return;
+
+    const tags = new Map<number, number[]>();
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      // Only SHORT, LONG and IFD values are needed
+      const size = type === 3 ? 2 : type === 4 || type === 13 ? 4 : 0;
+      if (size === 0 || valueCount === 0) continue;
+
+      const valueOffset = size * valueCount <= 4 ? entry + 8 : u32(entry + 8);
+      const readCount = Math.min(valueCount, 64);
+      if (valueOffset + size * readCount > buffer.length) continue;
+
+      const values: number[] = [];
+      for (let j = 0; j < readCount; j++) {
+        values.push(size === 2 ? u16(valueOffset + j * 2) : u32(valueOffset + j * 4));
+      }
+      tags.set(u16(entry), values);
+    }
+
+    addPreview(tags.get(TAG_JPEG_OFFSET)?.[0], tags.get(TAG_JPEG_LENGTH)?.[0]);
+
+    const strips = tags.get(TAG_STRIP_OFFSETS);
+    const stripLengths = tags.get(TAG_STRIP_BYTE_COUNTS);
+    if (JPEG_COMPRESSION.includes(tags.get(TAG_COMPRESSION)?.[0] ?? 0) && strips?.length === 1) {
+      addPreview(strips[0], stripLengths?.[0]);
+    }
+
+    for (const subIfd of tags.get(TAG_SUB_IFDS) || []) {
+      readIfd(subIfd, depth + 1);
+    }
+    readIfd(u32(offset + 2 + count * 12), depth);
+  };
+
+  readIfd(u32(4), 0);
+  return previews.sort((a, b) => b.length - a.length);
+}
+
+// Whether libjpeg can decode this JPEG. RAW files also store the sensor data
+// itself as lossless JPEG, which only a RAW developer can read.
+export function isBaselineOrProgressiveJpeg(jpeg: Buffer): boolean {
+  let offset = 2;
+  while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff) {
+    const marker = jpeg[offset + 1];
+    // SOF0 (baseline), SOF1 (extended) and SOF2 (progressive)
+    if (marker >= 0xc0 && marker <= 0xc2) return true;
+    // Any other start of frame, or the image data already, means we can't
+    if ((marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) || marker === 0xda) {
+      return false;
+    }
+    offset += 2 + jpeg.readUInt16BE(offset + 2);
+  }
+  return false;
+}
+
+// Turn an image stored with this EXIF orientation (1-8) upright. Sharp always
+// mirrors before it rotates, whatever order the calls are made in.
+export function applyOrientation(image: Sharp, orientation: number): Sharp {
+  switch (orientation) {
+    case 2: return image.flop();
+    case 3: return image.rotate(180);
+    case 4: return image.flip();
+    case 5: return image.rotate(270).flop();
+    case 6: return image.rotate(90);
+    case 7: return image.rotate(90).flop();
+    case 8: return image.rotate(270);
+    default: return image;
+  }
+}
+
+/**
+ * Open an image with sharp, turned upright according to its EXIF orientation.
+ *
+ * Camera RAW files are opened through the largest JPEG preview the camera
+ * embedded in them, since libvips can't develop RAW sensor data; if there is
+ * none, libvips gets to try the file as a TIFF. The preview usually has no
+ * orientation of its own, so the RAW file's is used. HEIC/HEIF is decoded
+ * with libheif when libvips can't (see needsHeicDecoder), and AVIF by libvips.
+ */
+export async function openImage(filepath: string): Promise<Sharp> {
+  if (needsHeicDecoder(filepath)) {
+    return openHeic(filepath);
+  }
+  if (isRawFile(filepath)) {
+    const buffer = await fs.promises.readFile(filepath);
+    for (const preview of findJpegPreviews(buffer)) {
+      const jpeg = buffer.subarray(preview.offset, preview.offset + preview.length);
+      if (isBaselineOrProgressiveJpeg(jpeg)) {
+        const orientation = readOrientation(buffer);
+        return orientation ? applyOrientation(sharp(jpeg), orientation) : sharp(jpeg).autoOrient();
+      }
+    }
+  }
+  return sharp(filepath).autoOrient();
+}
+
+function readOrientation(buffer: Buffer): number | null {
+  try {
+    const orientation = ExifReader.load(buffer, { expanded: true }).exif?.Orientation?.value;
+    return typeof orientation === 'number' ? orientation : null;
+  } catch {
+    return null;
+  }
+}